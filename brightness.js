@@ -0,0 +1,218 @@
+const fs = require('fs')
+const path = require('path')
+const { runChecked } = require('./run-command')
+
+// Screen brightness and the idle dim/blank policy. The backlight is read and
+// written through /sys/class/backlight directly (the kiosk user needs write
+// access to `brightness` and `bl_power`, see the udev rule in the README);
+// `brightnessctl` is the fallback when sysfs isn't writable.
+//
+// State: { supported, percent, raw: { cur, max }, device, backend }
+//   backend: 'sysfs' | 'brightnessctl'
+
+const BACKLIGHT_DIR = '/sys/class/backlight'
+// firmware interfaces drive the panel most reliably, raw ones last (as systemd does)
+const TYPE_ORDER = ['firmware', 'platform', 'raw']
+const POLL_MS = 5000
+// the saved level never goes below this, so a restart can't leave the screen dark
+const MIN_LEVEL_PERCENT = 5
+// bl_power values (FB_BLANK_UNBLANK / FB_BLANK_POWERDOWN)
+const BL_POWER_ON = 0
+const BL_POWER_OFF = 4
+
+function readValue(dir, name) {
+    try { return fs.readFileSync(path.join(dir, name), 'utf8').trim() } catch (e) { return null }
+}
+
+function writable(file) {
+    try { fs.accessSync(file, fs.constants.W_OK); return true } catch (e) { return false }
+}
+
+// The panel's backlight device: { name, dir, max }, or null
+function findBacklight(root = BACKLIGHT_DIR) {
+    let names = []
+    try { names = fs.readdirSync(root) } catch (e) { return null }
+    const devices = names
+        .map((name) => {
+            const dir = path.join(root, name)
+            return { name, dir, type: readValue(dir, 'type'), max: Number(readValue(dir, 'max_brightness')) || 0 }
+        })
+        .filter(d => d.max > 0)
+    const rank = (d) => (TYPE_ORDER.includes(d.type) ? TYPE_ORDER.indexOf(d.type) : TYPE_ORDER.length)
+    devices.sort((a, b) => rank(a) - rank(b))
+    return devices[0] || null
+}
+
+const toPercent = (raw, max) => Math.round((raw / max) * 100)
+
+// `brightnessctl -m` prints "device,class,current,percent,max"
+async function readBrightnessctl() {
+    const out = await runChecked('brightnessctl', ['-m', '-c', 'backlight', 'info'])
+    const [device, , current, , max] = String(out.stdout || '').trim().split('\n')[0].split(',')
+    const raw = parseInt(current, 10)
+    const maxRaw = parseInt(max, 10)
+    if (isNaN(raw) || !(maxRaw > 0)) throw new Error('could not read current brightness')
+    return { supported: true, percent: toPercent(raw, maxRaw), raw: { cur: raw, max: maxRaw }, device, backend: 'brightnessctl' }
+}
+
+async function readBacklight(root = BACKLIGHT_DIR) {
+    const dev = findBacklight(root)
+    if (dev) {
+        const raw = Number(readValue(dev.dir, 'brightness'))
+        if (!isNaN(raw)) return { supported: true, percent: toPercent(raw, dev.max), raw: { cur: raw, max: dev.max }, device: dev.name, backend: 'sysfs' }
+    }
+    return readBrightnessctl()
+}
+
+// Set the backlight to `percent` (0-100); resolves the new state
+async function writeBacklight(percent, root = BACKLIGHT_DIR) {
+    const clamped = Math.max(0, Math.min(100, Math.round(percent)))
+    const dev = findBacklight(root)
+    if (dev && writable(path.join(dev.dir, 'brightness'))) {
+        const raw = Math.round((dev.max * clamped) / 100)
+        fs.writeFileSync(path.join(dev.dir, 'brightness'), String(raw))
+        return { supported: true, percent: clamped, raw: { cur: raw, max: dev.max }, device: dev.name, backend: 'sysfs' }
+    }
+    await runChecked('brightnessctl', ['-q', '-c', 'backlight', 'set', `${clamped}%`])
+    return readBrightnessctl()
+}
+
+// Switch the panel's backlight off (blank) or back on. Without a writable
+// bl_power the brightness goes to 0 instead; the caller restores the level.
+async function setBacklightPower(on, root = BACKLIGHT_DIR) {
+    const dev = findBacklight(root)
+    const file = dev ? path.join(dev.dir, 'bl_power') : null
+    if (file && fs.existsSync(file) && writable(file)) {
+        fs.writeFileSync(file, String(on ? BL_POWER_ON : BL_POWER_OFF))
+        return
+    }
+    if (!on) await writeBacklight(0, root)
+}
+
+// Check a brightness config; returns an error message or null
+function validateBrightnessConfig(config) {
+    const minutes = (v) => Number.isFinite(Number(v)) && Number(v) >= 0
+    if (!Number.isFinite(Number(config.level)) || Number(config.level) < MIN_LEVEL_PERCENT || Number(config.level) > 100) return `level must be a percentage (${MIN_LEVEL_PERCENT}-100)`
+    if (!minutes(config.dimMinutes) || !minutes(config.blankMinutes)) return 'dimMinutes and blankMinutes must be minutes (0 = off)'
+    if (!Number.isFinite(Number(config.dimPercent)) || Number(config.dimPercent) < 0 || Number(config.dimPercent) > 100) return 'dimPercent must be a percentage (0-100)'
+    if (Number(config.dimMinutes) > 0 && Number(config.blankMinutes) > 0 && Number(config.blankMinutes) <= Number(config.dimMinutes)) return 'blankMinutes must be later than dimMinutes'
+    return null
+}
+
+// Keep the screen at the saved level and dim/blank it when idle:
+//   getConfig() -> { level, dimMinutes, dimPercent, blankMinutes } (minutes, 0 = off)
+//   saveLevel(percent) -> persists a new level (set() or the hardware keys)
+//   getLastActivity() -> time of the last gamepad/keyboard input
+//   isBusy() -> true while the screen must stay on without input (presentations, speech)
+//   onChange({ state, level, percent, backend }) -> state: 'on' | 'dimmed' | 'blanked'
+function createBrightnessController({ getConfig, saveLevel, getLastActivity, isBusy, onChange, read = readBacklight, write = writeBacklight, setPower = setBacklightPower }) {
+    let timer = null
+    let state = 'on'
+    let current = null
+    // serializes backlight writes so a wake can't overtake the dim before it
+    let pending = Promise.resolve()
+    let writing = 0
+
+    const config = () => getConfig() || {}
+    const level = () => Math.max(MIN_LEVEL_PERCENT, Math.min(100, Number(config().level) || 100))
+
+    function notify() {
+        try { if (onChange) onChange({ state, level: level(), percent: state === 'blanked' ? 0 : current ? current.percent : null, backend: current ? current.backend : null }) } catch (e) { }
+    }
+
+    // run `fn` after the writes before it; rejects with its error
+    function enqueue(fn) {
+        writing++
+        const run = pending.then(fn).finally(() => { writing-- })
+        pending = run.catch(() => { })
+        return run
+    }
+
+    // switch to `next`, at `percent` (default: what the state calls for)
+    function enter(next, percent) {
+        const previous = state
+        state = next
+        return enqueue(async () => {
+            if (previous === 'blanked' && next !== 'blanked') await setPower(true)
+            if (next === 'blanked') await setPower(false)
+            else current = await write(typeof percent === 'number' ? percent : next === 'dimmed' ? Math.min(level(), Number(config().dimPercent)) : level())
+            notify()
+        })
+    }
+
+    function switchTo(next) {
+        if (next === state) return
+        enter(next).catch((e) => { console.warn('[brightness]', next, 'failed:', e && e.message) })
+    }
+
+    // the state the idle time calls for
+    function idleState() {
+        const { dimMinutes, blankMinutes } = config()
+        if (isBusy && isBusy()) return 'on'
+        const idleMinutes = (Date.now() - getLastActivity()) / 60000
+        if (Number(blankMinutes) > 0 && idleMinutes >= Number(blankMinutes)) return 'blanked'
+        if (Number(dimMinutes) > 0 && idleMinutes >= Number(dimMinutes)) return 'dimmed'
+        return 'on'
+    }
+
+    async function tick() {
+        const next = idleState()
+        if (next !== state) return switchTo(next)
+        if (state !== 'on' || writing > 0) return
+        // adopt changes made outside the app (e.g. the hardware brightness keys)
+        try {
+            const now = await read()
+            if (state === 'on' && writing === 0 && Math.abs(now.percent - level()) > 1 && now.percent >= MIN_LEVEL_PERCENT) {
+                current = now
+                saveLevel(now.percent)
+                notify()
+            }
+        } catch (e) { }
+    }
+
+    return {
+        // apply the saved level and start the idle policy
+        start() {
+            if (timer) return
+            state = 'on'
+            // bl_power may still be off after a crash while blanked
+            enqueue(async () => {
+                await setPower(true)
+                current = await write(level())
+                notify()
+            }).catch((e) => { console.warn('[brightness] could not restore the level:', e && e.message) })
+            timer = setInterval(tick, POLL_MS)
+        },
+        stop() {
+            clearInterval(timer)
+            timer = null
+            // never leave the panel dark behind
+            switchTo('on')
+        },
+        // input was seen; returns true when it woke a blanked screen
+        activity() {
+            if (state === 'on') return false
+            const wasBlanked = state === 'blanked'
+            switchTo('on')
+            return wasBlanked
+        },
+        // set and save the level; this also wakes a dimmed or blanked screen
+        async set(percent) {
+            const value = Math.max(MIN_LEVEL_PERCENT, Math.min(100, Math.round(percent)))
+            saveLevel(value)
+            await enter('on', value)
+            return this.status()
+        },
+        // the idle timings changed
+        refresh() {
+            return tick()
+        },
+        async status() {
+            let now = current
+            try { now = await read() } catch (e) { if (!now) throw e }
+            return { ...now, state, level: level() }
+        }
+    }
+}
+
+module.exports = { readBacklight, writeBacklight, setBacklightPower, findBacklight, createBrightnessController, validateBrightnessConfig, MIN_LEVEL_PERCENT }
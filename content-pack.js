@@ -0,0 +1,594 @@
+const fs = require('fs')
+const os = require('os')
+const crypto = require('crypto')
+const path = require('path')
+const zlib = require('zlib')
+const updater = require('./updater')
+const { validateManifest, describeErrors } = require('./content-schema')
+
+// Offline content packs (*.gcpack) carry a content release for sites without
+// internet. A pack is a gzip'd tar archive holding:
+//   pack.json         { format: 1, site, version, createdAt, files: [{ path, size, sha256 }] }
+//   content.json      the manifest (listed in pack.json like every other file)
+//   content.json.sig  detached signature, as on the content server (required
+//                     on import when the app bundles a public key)
+//   books/...         the book assets
+// pack.json may also list `missing`: assets content.json uses that the
+// exporting unit didn't have either (e.g. videos never downloaded).
+// Packs are installed through the same staging/swap as network updates, so
+// the previous content is archived and can be rolled back.
+const PACK_EXTENSION = '.gcpack'
+const PACK_FORMAT = 1
+const PACK_INFO_NAME = 'pack.json'
+const PACK_SIGNATURE_NAME = 'content.json.sig'
+
+// Parse a numeric tar header field (octal text, or base-256 for big files)
+function tarNumber(field) {
+    if (field[0] & 0x80) {
+        let value = 0
+        for (let i = 1; i < field.length; i++) value = value * 256 + field[i]
+        return value
+    }
+    const text = field.toString('latin1').replace(/\0.*$/, '').trim()
+    return text ? parseInt(text, 8) : 0
+}
+
+function tarString(field) {
+    return field.toString('utf8').replace(/\0.*$/, '')
+}
+
+function tarChecksumOk(block) {
+    let sum = 0
+    for (let i = 0; i < 512; i++) sum += (i >= 148 && i < 156) ? 32 : block[i]
+    return sum === tarNumber(block.subarray(148, 156))
+}
+
+// Stream a .tar.gz and hand each regular file to `onEntry({ path, size })`.
+// onEntry returns null to skip the entry, or { write(buffer), end() } to
+// receive it; end() may return false to stop reading the archive. Understands
+// ustar prefixes, GNU long names and pax paths, so packs repacked with
+// GNU/bsd tar read as well. onProgress(readBytes, totalBytes) follows the
+// compressed input.
+function readTarGz(archivePath, onEntry, onProgress) {
+    return new Promise((resolve, reject) => {
+        let total = 0
+        try { total = fs.statSync(archivePath).size } catch (e) { }
+        let read = 0
+        const input = fs.createReadStream(archivePath)
+        const gunzip = zlib.createGunzip()
+        let buf = Buffer.alloc(0)
+        let entry = null
+        let longName = null
+        let paxPath = null
+        let finished = false
+
+        const finish = (err) => {
+            if (finished) return
+            finished = true
+            input.destroy()
+            gunzip.destroy()
+            if (err) reject(err)
+            else resolve()
+        }
+
+        const collect = (done) => {
+            const parts = []
+            return { write: (b) => parts.push(Buffer.from(b)), end: () => done(Buffer.concat(parts)) }
+        }
+
+        const startEntry = (block) => {
+            if (!tarChecksumOk(block)) throw new Error('Not a valid content pack (bad tar header)')
+            const size = tarNumber(block.subarray(124, 136))
+            const type = String.fromCharCode(block[156] || 48)
+            const prefix = block.subarray(257, 262).toString('latin1') === 'ustar' ? tarString(block.subarray(345, 500)) : ''
+            const headerName = tarString(block.subarray(0, 100))
+            let sink = null
+            if (type === 'L') {
+                sink = collect((data) => { longName = tarString(data) })
+            } else if (type === 'x') {
+                sink = collect((data) => {
+                    const m = /(?:^|\n)\d+ path=([^\n]*)\n/.exec(data.toString('utf8'))
+                    if (m) paxPath = m[1]
+                })
+            } else {
+                const name = paxPath || longName || (prefix ? prefix + '/' + headerName : headerName)
+                longName = null
+                paxPath = null
+                if (type === '0' || type === '7') sink = onEntry({ path: name, size })
+            }
+            entry = { remaining: size, padding: (512 - (size % 512)) % 512, sink }
+        }
+
+        const consume = (chunk) => {
+            buf = buf.length ? Buffer.concat([buf, chunk]) : chunk
+            while (!finished) {
+                if (entry) {
+                    if (entry.remaining > 0) {
+                        if (buf.length === 0) return
+                        const n = Math.min(entry.remaining, buf.length)
+                        if (entry.sink) entry.sink.write(buf.subarray(0, n))
+                        entry.remaining -= n
+                        buf = buf.subarray(n)
+                        continue
+                    }
+                    if (buf.length < entry.padding) return
+                    buf = buf.subarray(entry.padding)
+                    const done = entry
+                    entry = null
+                    if (done.sink && done.sink.end() === false) return finish()
+                    continue
+                }
+                if (buf.length < 512) return
+                const block = buf.subarray(0, 512)
+                buf = buf.subarray(512)
+                // two zero blocks end the archive; the first one is enough here
+                if (block.every(b => b === 0)) return finish()
+                startEntry(block)
+            }
+        }
+
+        input.on('data', (c) => {
+            read += c.length
+            if (onProgress) onProgress(read, total)
+        })
+        input.on('error', finish)
+        gunzip.on('error', (e) => finish(new Error('Not a valid content pack: ' + e.message)))
+        gunzip.on('data', (chunk) => {
+            try { consume(chunk) } catch (e) { finish(e) }
+        })
+        gunzip.on('end', () => finish(entry ? new Error('Content pack is truncated') : null))
+        input.pipe(gunzip)
+    })
+}
+
+// Build a ustar header block (with a GNU long-name entry in front when the
+// name doesn't fit the ustar name/prefix fields)
+function tarHeaders(name, size, mtime) {
+    const header = (entryName, entrySize, type, prefix = '') => {
+        const block = Buffer.alloc(512)
+        block.write(entryName, 0, 100, 'utf8')
+        block.write('0000644\0', 100, 'latin1')
+        block.write('0000000\0', 108, 'latin1')
+        block.write('0000000\0', 116, 'latin1')
+        block.write(entrySize.toString(8).padStart(11, '0') + '\0', 124, 'latin1')
+        block.write(Math.floor(mtime / 1000).toString(8).padStart(11, '0') + '\0', 136, 'latin1')
+        block.write('        ', 148, 'latin1')
+        block.write(type, 156, 'latin1')
+        block.write('ustar\0', 257, 'latin1')
+        block.write('00', 263, 'latin1')
+        block.write(prefix, 345, 155, 'utf8')
+        let sum = 0
+        for (let i = 0; i < 512; i++) sum += block[i]
+        block.write(sum.toString(8).padStart(6, '0') + '\0 ', 148, 'latin1')
+        return block
+    }
+    if (size >= 8 ** 11) throw new Error('File too large for a content pack: ' + name)
+    if (Buffer.byteLength(name) <= 100) return [header(name, size, '0')]
+    const cut = name.lastIndexOf('/', name.length - 1)
+    const prefix = cut > 0 ? name.slice(0, cut) : ''
+    const base = cut > 0 ? name.slice(cut + 1) : name
+    if (prefix && Buffer.byteLength(prefix) <= 155 && Buffer.byteLength(base) <= 100) return [header(base, size, '0', prefix)]
+    const longName = Buffer.from(name + '\0', 'utf8')
+    return [header('././@LongLink', longName.length, 'L'), tarPadded(longName), header(name.slice(0, 100), size, '0')]
+}
+
+function tarPadded(data) {
+    const padding = (512 - (data.length % 512)) % 512
+    return padding ? Buffer.concat([data, Buffer.alloc(padding)]) : data
+}
+
+// Write entries [{ name, file }] into a .tar.gz at outPath.
+// onProgress(writtenBytes) follows the uncompressed file data.
+function writeTarGz(outPath, entries, onProgress) {
+    return new Promise((resolve, reject) => {
+        const out = fs.createWriteStream(outPath)
+        const gzip = zlib.createGzip()
+        let failed = false
+        const fail = (e) => {
+            if (failed) return
+            failed = true
+            gzip.destroy()
+            out.destroy()
+            reject(e)
+        }
+        out.on('error', fail)
+        gzip.on('error', fail)
+        out.on('close', () => { if (!failed) resolve() })
+        gzip.pipe(out)
+
+        const write = (chunk) => new Promise((res) => (gzip.write(chunk) ? res() : gzip.once('drain', res)))
+        ;(async () => {
+            let written = 0
+            for (const entry of entries) {
+                const st = fs.statSync(entry.file)
+                for (const block of tarHeaders(entry.name, st.size, st.mtimeMs)) await write(block)
+                let size = 0
+                for await (const chunk of fs.createReadStream(entry.file)) {
+                    if (failed) return
+                    await write(chunk)
+                    size += chunk.length
+                    written += chunk.length
+                    if (onProgress) onProgress(written)
+                }
+                if (size !== st.size) throw new Error('File changed while packing: ' + entry.file)
+                const padding = (512 - (size % 512)) % 512
+                if (padding) await write(Buffer.alloc(padding))
+            }
+            await write(Buffer.alloc(1024))
+            gzip.end()
+        })().catch(fail)
+    })
+}
+
+// Archive path -> safe path relative to the pack root (null for anything
+// that would land outside it)
+function packRelPath(name) {
+    const rel = path.posix.normalize(String(name).replace(/\\/g, '/')).replace(/^(\.\/)+/, '')
+    if (!rel || rel === '.' || rel.startsWith('../') || rel === '..' || path.posix.isAbsolute(rel)) return null
+    return rel
+}
+
+// True when content version `version` is later than `installed` (dotted
+// numbers compared numerically, e.g. 1.10.0 after 1.9.2). Anything is newer
+// than no installed version.
+function isNewerVersion(version, installed) {
+    if (installed === null || installed === undefined || installed === '') return true
+    return String(version).localeCompare(String(installed), 'en', { numeric: true }) > 0
+}
+
+// Read only pack.json (it is the first entry of packs written by exportPack)
+async function readPackInfo(packPath) {
+    let info = null
+    await readTarGz(packPath, (e) => {
+        if (packRelPath(e.path) !== PACK_INFO_NAME) return null
+        const parts = []
+        return {
+            write: (b) => parts.push(Buffer.from(b)),
+            end: () => {
+                try { info = JSON.parse(Buffer.concat(parts).toString('utf8')) } catch (err) { info = null }
+                return false
+            }
+        }
+    })
+    if (!info || !Array.isArray(info.files)) throw new Error('Not a content pack (pack.json missing or invalid)')
+    if (info.format !== PACK_FORMAT) throw new Error('Unsupported content pack format ' + info.format)
+    return info
+}
+
+// Unpack every file into destDir; returns the relative paths written
+async function extractPack(packPath, destDir, onProgress) {
+    const written = []
+    await readTarGz(packPath, (e) => {
+        const rel = packRelPath(e.path)
+        if (!rel) throw new Error('Content pack contains an unsafe path: ' + e.path)
+        const dest = path.join(destDir, rel)
+        updater.ensureDir(path.dirname(dest))
+        const fd = fs.openSync(dest, 'w')
+        written.push(rel)
+        return {
+            write: (b) => fs.writeSync(fd, b),
+            end: () => { fs.closeSync(fd) }
+        }
+    }, onProgress)
+    return written
+}
+
+// Check an unpacked pack against its pack.json and return the parsed pieces
+async function verifyUnpacked(workDir, written, options, emitProgress) {
+    let info
+    try { info = JSON.parse(fs.readFileSync(path.join(workDir, PACK_INFO_NAME), 'utf8')) } catch (e) { info = null }
+    if (!info || !Array.isArray(info.files)) throw new Error('Not a content pack (pack.json missing or invalid)')
+    if (info.format !== PACK_FORMAT) throw new Error('Unsupported content pack format ' + info.format)
+    if (options.site && info.site && info.site !== options.site) throw new Error(`Content pack is for the ${info.site} site, not ${options.site}`)
+
+    const listed = new Map()
+    for (const f of info.files) {
+        const rel = f && packRelPath(f.path)
+        if (!rel || (rel !== 'content.json' && !rel.startsWith('books/'))) throw new Error('Unexpected file in content pack: ' + (f && f.path))
+        listed.set(rel, f)
+    }
+    if (!listed.has('content.json')) throw new Error('Content pack has no content.json')
+
+    let checked = 0
+    for (const [rel, f] of listed) {
+        const file = path.join(workDir, rel)
+        if (!fs.existsSync(file)) throw new Error('Content pack is missing ' + rel)
+        const st = fs.statSync(file)
+        if (typeof f.size === 'number' && st.size !== f.size) throw new Error(`Size mismatch for ${rel} in content pack`)
+        if (!f.sha256 || (await updater.sha256File(file)) !== String(f.sha256).toLowerCase()) throw new Error(`Checksum mismatch for ${rel} in content pack`)
+        checked++
+        emitProgress(60 + (checked / listed.size) * 25, `Verified ${rel}`)
+    }
+    // anything in the archive that pack.json doesn't vouch for is not installed
+    for (const rel of written) {
+        if (!listed.has(rel) && rel !== PACK_INFO_NAME && rel !== PACK_SIGNATURE_NAME) fs.rmSync(path.join(workDir, rel), { force: true })
+    }
+
+    const raw = fs.readFileSync(path.join(workDir, 'content.json'), 'utf8')
+    let manifest
+    try { manifest = JSON.parse(raw) } catch (e) { throw new Error('content.json in pack is not valid JSON: ' + e.message) }
+    const validation = validateManifest(manifest)
+    if (!validation.valid) throw new Error('content.json in pack failed validation: ' + describeErrors(validation.errors))
+    if (info.version && String(info.version) !== String(manifest.version)) throw new Error('pack.json and content.json versions differ')
+
+    // same signature rules as a network update: with a public key a valid
+    // signature is required; it is installed only once verified
+    const publicKey = updater.loadPublicKey(options)
+    const sigPath = path.join(workDir, PACK_SIGNATURE_NAME)
+    const signature = fs.existsSync(sigPath) ? fs.readFileSync(sigPath, 'utf8') : null
+    if (publicKey) {
+        if (!signature || !signature.trim()) throw new Error('content.json in pack is not signed')
+        let valid = false
+        try { valid = updater.verifyManifestSignature(raw, signature, publicKey) } catch (e) { valid = false }
+        if (!valid) throw new Error('content.json signature in pack verification failed')
+    } else {
+        if (options.requireSignature) throw new Error('No public key available to verify content.json')
+        fs.rmSync(sigPath, { force: true })
+    }
+
+    // every asset the manifest uses must come with the pack, except the ones
+    // the exporting unit was missing itself
+    const declaredMissing = new Set(Array.isArray(info.missing) ? info.missing.map(packRelPath).filter(Boolean) : [])
+    const missing = localAssetPaths(manifest).filter(rel => !listed.has(rel) && !declaredMissing.has(rel))
+    if (missing.length > 0) throw new Error(`Content pack is missing ${missing.length} referenced file(s), e.g. ${missing[0]}`)
+
+    return { info, manifest, listed, declaredMissing }
+}
+
+// Dist-relative paths of the assets a manifest uses (external URLs excluded)
+function localAssetPaths(manifest) {
+    const base = 'http://pack.invalid/'
+    return updater.inferFilesFromManifest(manifest, base)
+        .filter(u => u.startsWith(base))
+        .map(u => updater.relPathFor({ url: u }, base))
+}
+
+// Install a content pack into `distDir`.
+// options: { packPath, distDir, site, onProgress, publicKey, publicKeyPath,
+//            requireSignature, keepVersions, force }
+// Returns { updated, localVer, remoteVer, summary } like runUpdater();
+// a pack with the installed or an older version is skipped unless `force` is set.
+async function importPack(options) {
+    const { packPath, distDir } = options
+    const emitProgress = (percent, message) => {
+        if (typeof options.onProgress === 'function') options.onProgress({ percent, message })
+    }
+    if (!packPath || !fs.existsSync(packPath)) throw new Error('Content pack not found: ' + packPath)
+
+    const workDir = path.join(distDir, '..', '.pack_tmp', path.basename(distDir))
+    try { fs.rmSync(workDir, { recursive: true, force: true }) } catch (e) { }
+    updater.ensureDir(workDir)
+    try {
+        emitProgress(0, 'Reading content pack...')
+        const written = await extractPack(packPath, workDir, (read, total) => {
+            if (total) emitProgress(Math.min(60, (read / total) * 60), `Unpacking ${path.basename(packPath)}`)
+        })
+
+        emitProgress(60, 'Verifying content pack...')
+        const { manifest, listed, declaredMissing } = await verifyUnpacked(workDir, written, options, emitProgress)
+
+        const prevState = updater.readFileState(distDir)
+        let localVer = null
+        try { localVer = JSON.parse(fs.readFileSync(path.join(distDir, 'content.json'), 'utf8')).version || null } catch (e) { }
+        const remoteVer = manifest.version
+        if (!options.force && localVer && String(localVer) === String(remoteVer)) {
+            emitProgress(100, 'Content up-to-date')
+            return { updated: false, reason: 'same-version', localVer, remoteVer }
+        }
+        // going back to older content has to be asked for
+        if (!options.force && !isNewerVersion(remoteVer, localVer)) {
+            emitProgress(100, 'Installed content is newer')
+            return { updated: false, reason: 'older-version', localVer, remoteVer }
+        }
+
+        emitProgress(85, 'Installing content pack...')
+        const summary = { added: [], changed: [], removed: [], unchanged: 0, bytes: 0 }
+        // the pack owns content.json and books/; other files keep their state
+        const nextFiles = {}
+        for (const [rel, entry] of Object.entries(prevState.files)) {
+            if (rel !== 'content.json' && !rel.startsWith('books/')) nextFiles[rel] = entry
+        }
+        for (const [rel, f] of listed) {
+            const cmp = await updater.compareWithInstalled(distDir, rel, f, prevState.files[rel])
+            if (cmp.status === 'added') summary.added.push(rel)
+            else if (cmp.status === 'changed') summary.changed.push(rel)
+            else summary.unchanged++
+            nextFiles[rel] = { size: f.size, sha256: String(f.sha256).toLowerCase(), etag: null }
+            if (cmp.status !== 'unchanged') summary.bytes += f.size || 0
+        }
+        fs.rmSync(path.join(workDir, PACK_INFO_NAME), { force: true })
+
+        const distTmp = updater.stageContentTree(distDir, workDir, { keep: new Set([...listed.keys(), ...declaredMissing]), nextFiles, version: remoteVer, summary })
+        try {
+            updater.installStagedDir(distDir, distTmp, { keepVersions: options.keepVersions, reason: 'pack' })
+        } catch (e) {
+            throw new Error('Failed to swap dist directories: ' + e.message)
+        }
+        emitProgress(100, 'Content pack installed')
+        console.log(`[content-pack] installed ${path.basename(packPath)}: ${localVer} -> ${remoteVer}, ${summary.added.length} added, ${summary.changed.length} changed, ${summary.removed.length} removed`)
+        return { updated: true, localVer, remoteVer, summary }
+    } finally {
+        try { fs.rmSync(workDir, { recursive: true, force: true }) } catch (e) { }
+    }
+}
+
+// Bundle the content installed in `distDir` into a pack: content.json, every
+// asset it references (inferFilesFromManifest), the generated narration
+// (books/*/tts.wav with its tts.json note) and content.json.sig when the
+// installed content came with one. options: { distDir, site, outPath, onProgress }.
+// outPath may be a file or a directory (named <site>-<version>.gcpack inside);
+// without one the pack goes to the first mounted removable volume. The
+// archive is read back and checked before it is given its final name.
+// Returns { path, site, version, files, bytes, missing }.
+async function exportPack(options) {
+    const { distDir, site = 'interactive' } = options
+    const emitProgress = (percent, message) => {
+        if (typeof options.onProgress === 'function') options.onProgress({ percent, message })
+    }
+    let manifest
+    try { manifest = JSON.parse(fs.readFileSync(path.join(distDir, 'content.json'), 'utf8')) } catch (e) {
+        throw new Error('No readable content.json in ' + distDir + ': ' + e.message)
+    }
+    if (!manifest.version) throw new Error('content.json in ' + distDir + ' has no version')
+
+    let outPath = options.outPath
+    if (!outPath) {
+        outPath = listRemovableMounts()[0]
+        if (!outPath) throw new Error('No removable media found; give an output path')
+    }
+    if (fs.existsSync(outPath) && fs.statSync(outPath).isDirectory()) {
+        outPath = path.join(outPath, `${site}-${String(manifest.version).replace(/[^\w.-]+/g, '_')}${PACK_EXTENSION}`)
+    }
+
+    emitProgress(0, 'Collecting content...')
+    const rels = new Set(['content.json'])
+    const missing = []
+    for (const rel of localAssetPaths(manifest)) {
+        if (fs.existsSync(path.join(distDir, rel))) rels.add(rel)
+        else if (!missing.includes(rel)) missing.push(rel)
+    }
+    for (const rel of updater.listFilesRecursive(path.join(distDir, 'books'), distDir)) {
+        if (updater.isNarrationFile(rel)) rels.add(rel)
+    }
+    if (missing.length > 0) console.warn(`[content-pack] ${missing.length} referenced file(s) are not installed and won't be in the pack, e.g. ${missing[0]}`)
+
+    const files = []
+    let total = 0
+    for (const rel of rels) {
+        const file = path.join(distDir, rel)
+        const size = fs.statSync(file).size
+        files.push({ path: rel, size, sha256: await updater.sha256File(file) })
+        total += size
+        emitProgress((files.length / rels.size) * 30, `Hashed ${rel}`)
+    }
+    const info = { format: PACK_FORMAT, site, version: manifest.version, createdAt: new Date().toISOString(), files, missing }
+
+    const partPath = outPath + '.part'
+    const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gcpack-'))
+    try {
+        const infoPath = path.join(workDir, PACK_INFO_NAME)
+        fs.writeFileSync(infoPath, JSON.stringify(info, null, 2), 'utf8')
+        const entries = [{ name: PACK_INFO_NAME, file: infoPath }]
+        // the signature vouches for itself, so pack.json doesn't list it
+        if (fs.existsSync(path.join(distDir, PACK_SIGNATURE_NAME))) entries.push({ name: PACK_SIGNATURE_NAME, file: path.join(distDir, PACK_SIGNATURE_NAME) })
+        entries.push(...files.map(f => ({ name: f.path, file: path.join(distDir, f.path) })))
+        emitProgress(30, 'Writing content pack...')
+        await writeTarGz(partPath, entries, (written) => {
+            emitProgress(30 + (total ? written / total : 1) * 50, `Writing ${path.basename(outPath)}`)
+        })
+
+        // read the archive back: every listed file must be there, intact
+        emitProgress(80, 'Verifying content pack...')
+        const expected = new Map(files.map(f => [f.path, f]))
+        const seen = new Set()
+        await readTarGz(partPath, (e) => {
+            const rel = packRelPath(e.path)
+            const f = expected.get(rel)
+            if (!f) return null
+            const hash = crypto.createHash('sha256')
+            let size = 0
+            return {
+                write: (b) => { hash.update(b); size += b.length },
+                end: () => {
+                    if (size !== f.size || hash.digest('hex') !== f.sha256) throw new Error('Written pack is corrupt at ' + rel)
+                    seen.add(rel)
+                }
+            }
+        }, (read, size) => emitProgress(80 + (size ? read / size : 1) * 20, 'Verifying content pack...'))
+        if (seen.size !== expected.size) throw new Error('Written pack is incomplete')
+        fs.renameSync(partPath, outPath)
+    } catch (e) {
+        try { fs.rmSync(partPath, { force: true }) } catch (e2) { }
+        throw e
+    } finally {
+        try { fs.rmSync(workDir, { recursive: true, force: true }) } catch (e) { }
+    }
+    emitProgress(100, 'Content pack written')
+    console.log(`[content-pack] exported ${site} ${manifest.version} to ${outPath} (${files.length} files, ${missing.length} missing)`)
+    return { path: outPath, site, version: manifest.version, files: files.length, bytes: total, missing }
+}
+
+// Where desktop automounters put USB sticks and SD cards
+function removableMediaRoots() {
+    let user = process.env.USER
+    try { user = os.userInfo().username } catch (e) { }
+    return [path.join('/run/media', user || ''), path.join('/media', user || '')]
+}
+
+// Mounted volumes under the removable media roots
+function listRemovableMounts(roots = removableMediaRoots()) {
+    const mounts = []
+    for (const root of roots) {
+        try {
+            for (const e of fs.readdirSync(root, { withFileTypes: true })) {
+                if (e.isDirectory()) mounts.push(path.join(root, e.name))
+            }
+        } catch (e) { }
+    }
+    return mounts
+}
+
+// Content packs in the top folder of a mounted volume
+function findPacks(dir) {
+    try {
+        return fs.readdirSync(dir, { withFileTypes: true })
+            .filter(e => e.isFile() && e.name.toLowerCase().endsWith(PACK_EXTENSION) && !e.name.startsWith('.'))
+            .map(e => path.join(dir, e.name))
+    } catch (e) {
+        return []
+    }
+}
+
+// Poll the removable media roots and call onPack(packPath, mountDir) for the
+// packs on each volume that appears (volumes already mounted when watching
+// starts count as new). Packs are handed over one at a time: when onPack
+// returns a promise, the next pack waits for it. Returns { stop }.
+function watchRemovableMedia({ roots = removableMediaRoots(), intervalMs = 5000, onPack } = {}) {
+    const seen = new Set()
+    let queue = Promise.resolve()
+    const scan = () => {
+        const mounts = new Set(listRemovableMounts(roots))
+        for (const mount of mounts) {
+            if (seen.has(mount)) continue
+            seen.add(mount)
+            for (const pack of findPacks(mount)) {
+                queue = queue.then(() => onPack(pack, mount)).catch((e) => console.warn('[content-pack] handler failed:', e && e.message))
+            }
+        }
+        // forget unplugged volumes so plugging them in again is noticed
+        for (const mount of Array.from(seen)) if (!mounts.has(mount)) seen.delete(mount)
+    }
+    scan()
+    const timer = setInterval(scan, intervalMs)
+    return { stop: () => clearInterval(timer) }
+}
+
+module.exports = { importPack, exportPack, readPackInfo, isNewerVersion, findPacks, watchRemovableMedia, removableMediaRoots, listRemovableMounts, PACK_EXTENSION }
+
+// CLI for preparing packs without the app:
+//   node content-pack.js export <distDir> [outPath] [--site=presentation]
+//   node content-pack.js import <pack> <distDir> [--site=...] [--force]
+if (require.main === module) {
+    const args = process.argv.slice(2)
+    const flags = args.filter(a => a.startsWith('--'))
+    const [command, ...rest] = args.filter(a => !a.startsWith('--'))
+    const flag = (name) => {
+        const f = flags.find(a => a === '--' + name || a.startsWith('--' + name + '='))
+        return f ? (f.includes('=') ? f.slice(f.indexOf('=') + 1) : true) : undefined
+    }
+    const run = async () => {
+        if (command === 'export' && rest[0]) {
+            return exportPack({ distDir: path.resolve(rest[0]), outPath: rest[1] && path.resolve(rest[1]), site: flag('site') || 'interactive' })
+        }
+        if (command === 'import' && rest[0] && rest[1]) {
+            return importPack({ packPath: path.resolve(rest[0]), distDir: path.resolve(rest[1]), site: flag('site'), force: !!flag('force') })
+        }
+        console.error('usage: node content-pack.js export <distDir> [outPath] [--site=interactive|presentation]\n       node content-pack.js import <pack.gcpack> <distDir> [--site=...] [--force]')
+        process.exitCode = 2
+        return null
+    }
+    run().then((res) => { if (res) console.log(JSON.stringify(res, null, 2)) }).catch((e) => {
+        console.error(e && e.message)
+        process.exitCode = 1
+    })
+}
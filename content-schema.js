@@ -0,0 +1,115 @@
+// Schema for content.json, checked before an update or a content pack is
+// installed so a broken manifest never reaches the screen:
+//
+//   { version, lang?, collections: [{ id, books: [book] }], files?: [{ path?, url?, size?, sha256? }] }
+//   book:  { id, title, cover?, template: 1 | 2 | 3, lang?, voice?, content: [block] }
+//   block: { type: 'heading', text } | { type: 'paragraph', text }
+//        | { type: 'image', src, alt?, caption? } | { type: 'video', src, poster? }
+//
+// `lang` (e.g. 'en-US') and `voice` (an espeak-ng voice such as 'en-us+f3')
+// pick the narration voice; a book's own setting wins over the manifest's.
+// The legacy top-level `books` array is accepted in place of `collections`.
+// Keys the schema doesn't know are reported as warnings, not errors, so new
+// renderer features don't need an app release first.
+
+// Book layouts the web app can render
+const TEMPLATES = [1, 2, 3]
+
+// required: non-empty strings; optional: strings when present
+const BLOCK_TYPES = {
+    heading: { required: ['text'], optional: [] },
+    paragraph: { required: ['text'], optional: [] },
+    image: { required: ['src'], optional: ['alt', 'caption'] },
+    video: { required: ['src'], optional: ['poster'] }
+}
+
+const BOOK_KEYS = ['id', 'title', 'cover', 'template', 'lang', 'voice', 'content']
+const COLLECTION_KEYS = ['id', 'title', 'books']
+const ROOT_KEYS = ['version', 'lang', 'collections', 'books', 'files']
+
+const isObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v)
+const isText = (v) => typeof v === 'string' && v.trim() !== ''
+// book ids become folder names (books/<id>/), so keep them path-safe
+const isBookId = (v) => (Number.isInteger(v) && v >= 0) || (typeof v === 'string' && /^[\w-]+$/.test(v))
+
+// Validate a parsed content.json.
+// Returns { valid, errors: [{ path, message }], warnings: [{ path, message }] }
+function validateManifest(manifest) {
+    const errors = []
+    const warnings = []
+    const error = (p, message) => errors.push({ path: p, message })
+    const warn = (p, message) => warnings.push({ path: p, message })
+    const unknownKeys = (obj, known, p) => {
+        for (const key of Object.keys(obj)) if (!known.includes(key)) warn(p ? `${p}.${key}` : key, 'unknown property')
+    }
+
+    if (!isObject(manifest)) {
+        error('', 'content.json must be an object')
+        return { valid: false, errors, warnings }
+    }
+    unknownKeys(manifest, ROOT_KEYS, '')
+    if (!(isText(manifest.version) || typeof manifest.version === 'number')) error('version', 'version is required')
+    if (typeof manifest.lang !== 'undefined' && !isText(manifest.lang)) error('lang', 'lang must be a non-empty string')
+
+    const bookIds = new Map()
+    const checkBlock = (block, p) => {
+        if (!isObject(block)) return error(p, 'block must be an object')
+        const spec = BLOCK_TYPES[block.type]
+        if (!spec) return error(`${p}.type`, `unknown block type ${JSON.stringify(block.type)} (expected ${Object.keys(BLOCK_TYPES).join(', ')})`)
+        for (const key of spec.required) if (!isText(block[key])) error(`${p}.${key}`, `${block.type} block needs a non-empty ${key}`)
+        for (const key of spec.optional) if (typeof block[key] !== 'undefined' && typeof block[key] !== 'string') error(`${p}.${key}`, `${key} must be a string`)
+        unknownKeys(block, ['type'].concat(spec.required, spec.optional), p)
+    }
+    const checkBook = (book, p) => {
+        if (!isObject(book)) return error(p, 'book must be an object')
+        if (!isBookId(book.id)) error(`${p}.id`, 'book id must be a non-negative integer or a name of letters, digits, - and _')
+        else if (bookIds.has(String(book.id))) error(`${p}.id`, `duplicate book id ${book.id} (also at ${bookIds.get(String(book.id))})`)
+        else bookIds.set(String(book.id), p)
+        if (!isText(book.title)) error(`${p}.title`, 'title is required')
+        if (typeof book.cover !== 'undefined' && !isText(book.cover)) error(`${p}.cover`, 'cover must be a non-empty string')
+        for (const key of ['lang', 'voice']) if (typeof book[key] !== 'undefined' && !isText(book[key])) error(`${p}.${key}`, `${key} must be a non-empty string`)
+        if (!TEMPLATES.includes(book.template)) error(`${p}.template`, `unknown template ${JSON.stringify(book.template)} (expected ${TEMPLATES.join(', ')})`)
+        if (!Array.isArray(book.content)) error(`${p}.content`, 'content must be an array')
+        else book.content.forEach((block, i) => checkBlock(block, `${p}.content[${i}]`))
+        unknownKeys(book, BOOK_KEYS, p)
+    }
+
+    if (!Array.isArray(manifest.collections) && !Array.isArray(manifest.books)) error('collections', 'collections must be an array')
+    if (Array.isArray(manifest.collections)) {
+        const collectionIds = new Set()
+        manifest.collections.forEach((col, i) => {
+            const p = `collections[${i}]`
+            if (!isObject(col)) return error(p, 'collection must be an object')
+            if (!(isText(col.id) || typeof col.id === 'number')) error(`${p}.id`, 'collection id is required')
+            else if (collectionIds.has(String(col.id))) error(`${p}.id`, `duplicate collection id ${col.id}`)
+            else collectionIds.add(String(col.id))
+            if (!Array.isArray(col.books)) error(`${p}.books`, 'books must be an array')
+            else col.books.forEach((book, j) => checkBook(book, `${p}.books[${j}]`))
+            unknownKeys(col, COLLECTION_KEYS, p)
+        })
+    }
+    if (Array.isArray(manifest.books)) manifest.books.forEach((book, i) => checkBook(book, `books[${i}]`))
+
+    if (typeof manifest.files !== 'undefined') {
+        if (!Array.isArray(manifest.files)) error('files', 'files must be an array')
+        else {
+            manifest.files.forEach((f, i) => {
+                const p = `files[${i}]`
+                if (!isObject(f)) return error(p, 'file entry must be an object')
+                if (!isText(f.path) && !isText(f.url)) error(p, 'file entry needs a path or url')
+                if (typeof f.size !== 'undefined' && !(Number.isInteger(f.size) && f.size >= 0)) error(`${p}.size`, 'size must be a non-negative integer')
+                if (typeof f.sha256 !== 'undefined' && !/^[0-9a-fA-F]{64}$/.test(String(f.sha256))) error(`${p}.sha256`, 'sha256 must be 64 hex digits')
+            })
+        }
+    }
+
+    return { valid: errors.length === 0, errors, warnings }
+}
+
+// One-line summary of the first few errors, for exceptions and logs
+function describeErrors(errors, max = 3) {
+    const shown = errors.slice(0, max).map(e => (e.path ? `${e.path}: ${e.message}` : e.message))
+    return shown.join('; ') + (errors.length > max ? ` (and ${errors.length - max} more)` : '')
+}
+
+module.exports = { validateManifest, describeErrors, TEMPLATES, BLOCK_TYPES }
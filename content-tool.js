@@ -0,0 +1,172 @@
+#!/usr/bin/env node
+// Content release tooling for editors (npm run content -- <command>):
+//
+//   files <distDir> [--write] [--bump[=patch|minor|major|<version>]]
+//       list every file of the dist folder with size and sha256 as the
+//       content.json `files` array (printed, or saved into content.json with
+//       --write), so the updater fetches exactly these instead of scraping
+//       index.html/CSS - assets the Vite bundle loads on its own included
+//   bump <distDir> [patch|minor|major|<version>]
+//       raise content.json `version` (last number by default)
+//   validate <distDir>
+//       schema check plus missing/unreferenced assets; exits 1 on problems
+//   diff <oldDir> <newDir>
+//       added/changed/removed files between two content folders
+//
+// content.json itself and dotfiles (.files.json, .updated_at, ...) are never
+// listed. Re-sign content.json (see README.build.md) after changing it.
+
+const fs = require('fs')
+const path = require('path')
+const updater = require('./updater')
+const { describeErrors } = require('./content-schema')
+
+// Files a release ships: everything except content.json and dot-entries
+function releaseFiles(distDir) {
+    return updater.listFilesRecursive(distDir)
+        .filter(rel => rel !== 'content.json' && !rel.split('/').some(part => part.startsWith('.')))
+        .sort()
+}
+
+async function buildFilesList(distDir) {
+    const files = []
+    for (const rel of releaseFiles(distDir)) {
+        const file = path.join(distDir, rel)
+        files.push({ path: rel, size: fs.statSync(file).size, sha256: await updater.sha256File(file) })
+    }
+    return files
+}
+
+function readManifest(distDir) {
+    const file = path.join(distDir, 'content.json')
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'))
+    } catch (e) {
+        throw new Error(`Cannot read ${file}: ${e.message}`)
+    }
+}
+
+function writeManifest(distDir, manifest) {
+    const file = path.join(distDir, 'content.json')
+    const tmp = file + '.tmp'
+    fs.writeFileSync(tmp, JSON.stringify(manifest, null, 2) + '\n', 'utf8')
+    fs.renameSync(tmp, file)
+}
+
+// '1.2.24' + 'patch' -> '1.2.25'; an explicit version is taken as is
+function bumpVersion(current, how = 'patch') {
+    if (!['patch', 'minor', 'major'].includes(how)) return String(how)
+    const parts = String(current || '0.0.0').split('.')
+    const nums = parts.map(p => (/^\d+$/.test(p) ? Number(p) : null))
+    if (nums.some(n => n === null)) throw new Error(`Cannot bump non-numeric version ${current}; give the new version explicitly`)
+    while (nums.length < 3) nums.push(0)
+    const index = how === 'major' ? 0 : how === 'minor' ? 1 : nums.length - 1
+    nums[index]++
+    for (let i = index + 1; i < nums.length; i++) nums[i] = 0
+    return nums.join('.')
+}
+
+async function hashTree(dir) {
+    const out = new Map()
+    for (const rel of releaseFiles(dir)) out.set(rel, await updater.sha256File(path.join(dir, rel)))
+    return out
+}
+
+async function diffFolders(oldDir, newDir) {
+    const before = await hashTree(oldDir)
+    const after = await hashTree(newDir)
+    const added = []
+    const changed = []
+    const removed = []
+    for (const [rel, hash] of after) {
+        if (!before.has(rel)) added.push(rel)
+        else if (before.get(rel) !== hash) changed.push(rel)
+    }
+    for (const rel of before.keys()) if (!after.has(rel)) removed.push(rel)
+    let oldVersion = null
+    let newVersion = null
+    try { oldVersion = readManifest(oldDir).version } catch (e) { }
+    try { newVersion = readManifest(newDir).version } catch (e) { }
+    return { oldVersion, newVersion, added, changed, removed }
+}
+
+const USAGE = `usage: node content-tool.js <command> ...
+  files <distDir> [--write] [--bump[=patch|minor|major|<version>]]
+  bump <distDir> [patch|minor|major|<version>]
+  validate <distDir>
+  diff <oldDir> <newDir>`
+
+async function main(argv) {
+    const flags = argv.filter(a => a.startsWith('--'))
+    const [command, ...args] = argv.filter(a => !a.startsWith('--'))
+    const flag = (name) => {
+        const f = flags.find(a => a === '--' + name || a.startsWith('--' + name + '='))
+        return f ? (f.includes('=') ? f.slice(f.indexOf('=') + 1) : true) : undefined
+    }
+
+    if (command === 'files' && args[0]) {
+        const bump = flag('bump')
+        // bumping only means something for a content.json that is written
+        if (bump && !flag('write')) {
+            console.error('--bump needs --write; nothing was written')
+            return 2
+        }
+        const distDir = path.resolve(args[0])
+        const manifest = readManifest(distDir)
+        const files = await buildFilesList(distDir)
+        if (!flag('write')) {
+            console.log(JSON.stringify(files, null, 2))
+            return 0
+        }
+        manifest.files = files
+        if (bump) manifest.version = bumpVersion(manifest.version, bump === true ? 'patch' : bump)
+        writeManifest(distDir, manifest)
+        const bytes = files.reduce((n, f) => n + f.size, 0)
+        console.log(`content.json ${manifest.version}: ${files.length} files, ${bytes} bytes`)
+        return 0
+    }
+
+    if (command === 'bump' && args[0]) {
+        const distDir = path.resolve(args[0])
+        const manifest = readManifest(distDir)
+        const before = manifest.version
+        manifest.version = bumpVersion(before, args[1] || 'patch')
+        writeManifest(distDir, manifest)
+        console.log(`version ${before} -> ${manifest.version}`)
+        return 0
+    }
+
+    if (command === 'validate' && args[0]) {
+        const report = updater.contentReferenceReport({ distDir: path.resolve(args[0]) })
+        for (const e of report.errors) console.log(`error    ${e.path || '(root)'}: ${e.message}`)
+        for (const w of report.warnings) console.log(`warning  ${w.path || '(root)'}: ${w.message}`)
+        for (const rel of report.missing) console.log(`missing  ${rel}`)
+        for (const rel of report.unreferenced) console.log(`unused   ${rel}`)
+        const ok = report.valid && report.missing.length === 0
+        console.log(ok
+            ? `content.json ${report.version} is valid (${report.unreferenced.length} unreferenced file(s))`
+            : `content.json ${report.version} has problems: ${report.errors.length ? describeErrors(report.errors) : report.missing.length + ' missing file(s)'}`)
+        return ok ? 0 : 1
+    }
+
+    if (command === 'diff' && args[0] && args[1]) {
+        const d = await diffFolders(path.resolve(args[0]), path.resolve(args[1]))
+        for (const rel of d.added) console.log(`+ ${rel}`)
+        for (const rel of d.changed) console.log(`~ ${rel}`)
+        for (const rel of d.removed) console.log(`- ${rel}`)
+        console.log(`version ${d.oldVersion} -> ${d.newVersion}: ${d.added.length} added, ${d.changed.length} changed, ${d.removed.length} removed`)
+        return 0
+    }
+
+    console.error(USAGE)
+    return 2
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).then((code) => { process.exitCode = code }).catch((e) => {
+        console.error(e && e.message)
+        process.exitCode = 1
+    })
+}
+
+module.exports = { buildFilesList, bumpVersion, diffFolders }
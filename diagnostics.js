@@ -0,0 +1,266 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const dns = require('dns')
+const { URL } = require('url')
+const { runCommand } = require('./run-command')
+const proxy = require('./proxy')
+const { fetchText } = require('./updater')
+
+// Step-by-step connectivity check for the diagnostics screen, so staff can
+// see why a unit can't update instead of "Failed to fetch remote content.json:
+// Timeout". Steps run in order; each reports
+//   { id, label, ok, skipped, reason, detail, ms }
+// and a step whose prerequisite failed is skipped with that reason. The
+// checks read the kernel's view of the network (/sys/class/net,
+// /proc/net/route), so they work with or without NetworkManager.
+
+const NET_DIR = '/sys/class/net'
+const ROUTE_FILE = '/proc/net/route'
+// answers 204 with an empty body unless a captive portal intercepts it
+const DEFAULT_PORTAL_CHECK_URL = 'http://connectivitycheck.gstatic.com/generate_204'
+const STEP_TIMEOUT_MS = 8000
+
+const STEPS = [
+    { id: 'link', label: 'Network link' },
+    { id: 'ip', label: 'IP address' },
+    { id: 'gateway', label: 'Gateway reachable' },
+    { id: 'dns', label: 'DNS lookup' },
+    { id: 'tls', label: 'HTTPS handshake' },
+    { id: 'manifest', label: 'Download content.json' },
+    { id: 'portal', label: 'Captive portal' }
+]
+
+// TLS errors that mostly mean the device clock is wrong (dead RTC battery)
+const CLOCK_ERRORS = ['CERT_NOT_YET_VALID', 'CERT_HAS_EXPIRED']
+
+function readValue(file) {
+    try { return fs.readFileSync(file, 'utf8').trim() } catch (e) { return null }
+}
+
+// Physical interfaces (virtual ones such as lo, docker0 or veth have no
+// `device` link): [{ name, kind: 'ethernet' | 'wifi', state, carrier }]
+function readLinks(root = NET_DIR) {
+    let names = []
+    try { names = fs.readdirSync(root) } catch (e) { return [] }
+    return names
+        .filter(name => fs.existsSync(path.join(root, name, 'device')))
+        .map((name) => {
+            const dir = path.join(root, name)
+            return {
+                name,
+                kind: fs.existsSync(path.join(dir, 'wireless')) ? 'wifi' : 'ethernet',
+                state: readValue(path.join(dir, 'operstate')) || 'unknown',
+                carrier: readValue(path.join(dir, 'carrier')) === '1'
+            }
+        })
+}
+
+// IPv4 of a /proc/net/route field (little-endian hex)
+function routeAddress(hex) {
+    const n = parseInt(hex, 16)
+    return [n & 255, (n >>> 8) & 255, (n >>> 16) & 255, (n >>> 24) & 255].join('.')
+}
+
+// Default IPv4 routes: [{ iface, gateway, metric }], lowest metric first
+function readDefaultRoutes(file = ROUTE_FILE) {
+    const text = readValue(file)
+    if (!text) return []
+    return text.split('\n').slice(1)
+        .map(line => line.trim().split(/\s+/))
+        .filter(cols => cols.length >= 8 && cols[1] === '00000000' && cols[2] !== '00000000')
+        .map(cols => ({ iface: cols[0], gateway: routeAddress(cols[2]), metric: Number(cols[6]) || 0 }))
+        .sort((a, b) => a.metric - b.metric)
+}
+
+function withTimeout(promise, ms, message) {
+    let timer
+    const timeout = new Promise((resolve, reject) => { timer = setTimeout(() => reject(new Error(message)), ms) })
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer))
+}
+
+// One request through the configured proxy without following redirects.
+// Resolves { statusCode, headers, body (first 4 KB), tls } or rejects.
+function probe(target, { method = 'GET', timeout = STEP_TIMEOUT_MS } = {}) {
+    return new Promise((resolve, reject) => {
+        const { client, url, options } = proxy.requestArgs(target, { method, headers: { 'Cache-Control': 'no-cache' } })
+        const req = client.request(url, options, (res) => {
+            const socket = res.socket
+            const tls = socket && typeof socket.getPeerCertificate === 'function' ? {
+                protocol: socket.getProtocol(),
+                issuer: (socket.getPeerCertificate().issuer || {}).O || null,
+                validTo: socket.getPeerCertificate().valid_to || null
+            } : null
+            let body = ''
+            res.setEncoding('utf8')
+            res.on('data', (chunk) => { if (body.length < 4096) body += chunk })
+            res.on('end', () => resolve({ statusCode: res.statusCode, headers: res.headers, body, tls }))
+            res.on('error', reject)
+        })
+        req.on('error', reject)
+        req.setTimeout(timeout, () => req.destroy(new Error('Timeout')))
+        req.end()
+    })
+}
+
+function tlsReason(e) {
+    if (CLOCK_ERRORS.includes(e.code)) return `Certificate rejected (${e.code}); check the device date and time (now ${new Date().toISOString()})`
+    if (e.code && /CERT|SELF_SIGNED|SIGNATURE|ISSUER/.test(e.code)) return `Certificate rejected (${e.code}); a filtering proxy or captive portal may be intercepting HTTPS`
+    return e.message
+}
+
+const checks = {
+    async link(ctx) {
+        const links = readLinks(ctx.netDir)
+        ctx.links = links.filter(l => l.state === 'up' || (l.state === 'unknown' && l.carrier))
+        if (links.length === 0) return { ok: false, reason: 'No network adapter found' }
+        if (ctx.links.length === 0) {
+            const wifi = links.some(l => l.kind === 'wifi')
+            return { ok: false, reason: wifi ? 'Not connected to Wi-Fi and no network cable plugged in' : 'No network cable plugged in', detail: { interfaces: links } }
+        }
+        return { ok: true, reason: ctx.links.map(l => `${l.name} (${l.kind}) is up`).join(', '), detail: { interfaces: links } }
+    },
+
+    async ip(ctx) {
+        const addrs = os.networkInterfaces()
+        const assigned = []
+        for (const l of ctx.links) {
+            for (const a of addrs[l.name] || []) {
+                if (a.family === 'IPv4' || a.family === 4) assigned.push({ iface: l.name, address: a.address, cidr: a.cidr })
+            }
+        }
+        ctx.addresses = assigned
+        if (assigned.length === 0) return { ok: false, reason: 'No IPv4 address; the DHCP server did not answer or a static address is missing' }
+        const selfAssigned = assigned.every(a => a.address.startsWith('169.254.'))
+        if (selfAssigned) return { ok: false, reason: `Only a self-assigned address (${assigned[0].address}); DHCP failed`, detail: { addresses: assigned } }
+        return { ok: true, reason: assigned.map(a => `${a.iface}: ${a.cidr || a.address}`).join(', '), detail: { addresses: assigned } }
+    },
+
+    async gateway(ctx) {
+        const names = ctx.links.map(l => l.name)
+        const route = readDefaultRoutes(ctx.routeFile).find(r => names.includes(r.iface))
+        if (!route) return { ok: false, reason: 'No default gateway; the network settings are incomplete' }
+        ctx.gateway = route.gateway
+        const result = await runCommand('ping', ['-c', '2', '-W', '2', '-n', route.gateway], { timeout: STEP_TIMEOUT_MS })
+        if (result.error) return { skipped: true, reason: `Gateway ${route.gateway} via ${route.iface}; not pinged: ${result.error}`, detail: route }
+        // many routers drop ping: not a failure, the later steps tell
+        if (!result.ok) return { skipped: true, reason: `Gateway ${route.gateway} does not answer ping (some routers block it)`, detail: route }
+        const rtt = /= [\d.]+\/([\d.]+)\//.exec(result.stdout)
+        return { ok: true, reason: `Gateway ${route.gateway} answers` + (rtt ? ` in ${rtt[1]} ms` : ''), detail: route }
+    },
+
+    async dns(ctx) {
+        // behind a proxy only the proxy's name has to resolve; the proxy
+        // looks up the content server itself
+        const host = ctx.proxyHost || ctx.url.hostname
+        try {
+            const addresses = await withTimeout(dns.promises.lookup(host, { all: true }), STEP_TIMEOUT_MS, 'Timeout')
+            return { ok: true, reason: `${host} resolves to ${addresses.map(a => a.address).join(', ')}`, detail: { host, addresses } }
+        } catch (e) {
+            const reason = e.code === 'ENOTFOUND' ? `${host} is unknown to the DNS server` : `${host} could not be resolved: ${e.code || e.message}`
+            return { ok: false, reason, detail: { host } }
+        }
+    },
+
+    async tls(ctx) {
+        if (ctx.url.protocol !== 'https:') return { skipped: true, reason: 'The content server uses plain HTTP' }
+        try {
+            const res = await probe(ctx.manifestUrl, { method: 'HEAD' })
+            return { ok: true, reason: `${res.tls ? res.tls.protocol : 'TLS'} with ${ctx.url.host}` + (ctx.proxyHost ? ' through the proxy' : ''), detail: res.tls }
+        } catch (e) {
+            return { ok: false, reason: tlsReason(e) }
+        }
+    },
+
+    async manifest(ctx) {
+        try {
+            const raw = await fetchText(ctx.manifestUrl, STEP_TIMEOUT_MS)
+            let manifest
+            try { manifest = JSON.parse(raw) } catch (e) {
+                return { ok: false, reason: `content.json is not JSON (${raw.length} bytes); a portal or proxy may have answered instead` }
+            }
+            return { ok: true, reason: `Version ${manifest.version || 'unknown'} (${raw.length} bytes)`, detail: { version: manifest.version || null } }
+        } catch (e) {
+            const reason = e.statusCode ? `The server answered HTTP ${e.statusCode}` : tlsReason(e)
+            return { ok: false, reason }
+        }
+    },
+
+    async portal(ctx) {
+        try {
+            const res = await probe(ctx.portalUrl)
+            if (res.statusCode === 204) return { ok: true, reason: 'No captive portal' }
+            if (res.statusCode >= 300 && res.statusCode < 400) {
+                return { ok: false, reason: `Redirected to ${res.headers.location || 'a login page'}; log in once from a browser on this network`, detail: { location: res.headers.location || null } }
+            }
+            return { ok: false, reason: `The check answered HTTP ${res.statusCode} instead of 204; a portal or filter is answering`, detail: { statusCode: res.statusCode } }
+        } catch (e) {
+            return { ok: false, reason: `Portal check unreachable: ${e.message}` }
+        }
+    }
+}
+
+// What a failed step means for the ones after it
+const PREREQUISITES = {
+    ip: ['link'],
+    gateway: ['link', 'ip'],
+    dns: ['link', 'ip'],
+    tls: ['link', 'ip', 'dns'],
+    manifest: ['link', 'ip', 'dns', 'tls'],
+    portal: ['link', 'ip']
+}
+
+// Run every step. Options: { remoteBaseUrl, portalUrl, onStep (called with
+// each finished step) }. Resolves { passed, summary, remoteBaseUrl, proxy,
+// startedAt, finishedAt, steps }; `summary` is the first failure's reason.
+async function runDiagnostics(options = {}) {
+    const { remoteBaseUrl, onStep } = options
+    const startedAt = new Date().toISOString()
+    const steps = []
+    const ctx = {
+        netDir: options.netDir,
+        routeFile: options.routeFile,
+        portalUrl: options.portalUrl || DEFAULT_PORTAL_CHECK_URL,
+        links: [],
+        url: null,
+        manifestUrl: null,
+        proxyHost: null
+    }
+    const base = remoteBaseUrl ? String(remoteBaseUrl).replace(/\/+$/, '') : null
+    if (base) {
+        ctx.url = new URL(base + '/')
+        ctx.manifestUrl = base + '/content.json'
+        const route = proxy.proxyRouteFor(ctx.manifestUrl)
+        ctx.proxyHost = route ? route.hostname : null
+    }
+    const failed = new Set()
+    for (const { id, label } of STEPS) {
+        const started = Date.now()
+        let result
+        const missing = (PREREQUISITES[id] || []).find(p => failed.has(p))
+        if (missing) {
+            result = { skipped: true, reason: `Skipped: ${STEPS.find(s => s.id === missing).label} failed` }
+        } else if (!ctx.url && ['dns', 'tls', 'manifest'].includes(id)) {
+            // the update itself fails the same way
+            result = id === 'manifest' ? { ok: false, reason: 'No content server configured (update channel or custom URL)' } : { skipped: true, reason: 'No content server configured' }
+        } else {
+            try { result = await checks[id](ctx) } catch (e) { result = { ok: false, reason: e.message } }
+        }
+        const step = { id, label, ok: !!result.ok, skipped: !!result.skipped, reason: result.reason || '', detail: result.detail || null, ms: Date.now() - started }
+        if (!step.ok && !step.skipped) failed.add(id)
+        steps.push(step)
+        if (onStep) { try { onStep(step) } catch (e) { } }
+    }
+    const firstFailure = steps.find(s => !s.ok && !s.skipped)
+    return {
+        passed: !firstFailure,
+        summary: firstFailure ? `${firstFailure.label}: ${firstFailure.reason}` : 'All checks passed',
+        remoteBaseUrl: base,
+        proxy: proxy.describeProxy(),
+        startedAt,
+        finishedAt: new Date().toISOString(),
+        steps
+    }
+}
+
+module.exports = { runDiagnostics, readLinks, readDefaultRoutes, DEFAULT_PORTAL_CHECK_URL }
@@ -1,11 +1,21 @@
-const { app, BrowserWindow, ipcMain, dialog } = require('electron')
+const { app, BrowserWindow, ipcMain, Notification, session } = require('electron')
 const path = require('path')
 const fs = require('fs')
 const http = require('http')
-const { spawn, exec } = require('child_process')
 const os = require('os')
 const { autoUpdater } = require("electron-updater");
 const log = require("electron-log");
+const { startStaticServers } = require('./static-server')
+const { createSettingsStore } = require('./settings')
+const { createUpdateScheduler, validateScheduleConfig } = require('./update-scheduler')
+const contentPack = require('./content-pack')
+const { runCommand, runChecked } = require('./run-command')
+const network = require('./network')
+const proxy = require('./proxy')
+const diagnostics = require('./diagnostics')
+const { createBrightnessController, validateBrightnessConfig } = require('./brightness')
+const { createPowerMonitor, validatePowerConfig, POWER_ACTIONS, detectPowerCapabilities, runPowerAction, setWakeAlarm, createShutdownSchedule, validateShutdownConfig } = require('./power')
+const { createTtsController, listVoices, detectEngines, chooseBackend, clearVoiceCache, DEFAULT_ENGINE_ORDER } = require('./tts')
 
 app.commandLine.appendSwitch('disable-http-cache');
 
@@ -45,119 +55,100 @@ autoUpdater.on("update-downloaded", async (info) => {
     autoUpdater.quitAndInstall();
 });
 
+// `--export-content[=<path>] [--site=presentation]` writes the installed
+// content to a content pack and exits without opening the app
+const exportContentArg = process.argv.find(a => a === '--export-content' || a.startsWith('--export-content='))
+
 // Proveri update odmah kad se app pokrene
 app.on("ready", () => {
-    autoUpdater.checkForUpdatesAndNotify();
+    if (exportContentArg) return
+    // the app update check has to go through the proxy as well
+    applyProxy(settings.get('proxy')).then(() => autoUpdater.checkForUpdatesAndNotify());
 });
 
-// Track any spawned native TTS process so we can stop it later
-let currentTtsProcess = null
-
-/**
- * Try to spawn a system TTS binary as a fallback on Linux.
- * Tries `spd-say` first, then `espeak`.
- * Returns true if a process was spawned, false otherwise.
- */
-function spawnTtsFallback(text, opts = {}) {
-    // opts may include: { lang: 'en-US', voice: 'en-us+f3', rate: 150, pitch: 50, amplitude: 100 }
-    const { lang = 'en-US', voice = null, rate = 150, pitch = 50, amplitude = 100 } = opts || {}
-    if (currentTtsProcess) {
-        try { currentTtsProcess.kill() } catch (e) { }
-        currentTtsProcess = null
-    }
-
-    // Helper to try spawning a command with args, returns true on spawn
-    const trySpawn = (cmd, args) => {
-        try {
-            currentTtsProcess = spawn(cmd, args)
-            currentTtsProcess.on('exit', () => { currentTtsProcess = null })
-            currentTtsProcess.on('error', () => { currentTtsProcess = null })
-            return true
-        } catch (e) {
-            currentTtsProcess = null
-            return false
-        }
-    }
-
-    try {
-        // Prefer spd-say (often available via speech-dispatcher). It will use
-        // system configured voices which are typically higher quality than
-        // espeak. We pass -l for locale if supported and fall back to plain.
-        // const spdArgs = []
-        // try {
-        //     // include language flag if present
-        //     if (lang) spdArgs.push('-l', lang)
-        //     spdArgs.push(text)
-        //     if (trySpawn('spd-say', spdArgs)) return true
-        // } catch (e) { /* fallthrough */ }
-
-        // If spd-say not available or failed, prefer espeak-ng if present
-        // Build espeak/espeak-ng args with voice/rate/pitch/amplitude
-        // espeak/espeak-ng options: -v <voice>, -s <speed words/min>, -p <pitch 0-99>, -a <amplitude 0-200>
-        const espeakVoice = voice || (lang ? String(lang).toLowerCase().replace('_', '-') : 'en')
-        const espeakArgs = ['-v', espeakVoice, '-s', String(rate), '-p', String(pitch), '-a', String(amplitude), text]
-        if (trySpawn('espeak-ng', espeakArgs)) return true
-        if (trySpawn('espeak', espeakArgs)) return true
-
-        // Last resort: try a very simple espeak call with only voice/lang
-        if (trySpawn('espeak', ['-v', espeakVoice, text])) return true
-        return false
-    } catch (e) {
-        currentTtsProcess = null
-        return false
-    }
+// Live speech (see tts.js), with the engines chosen per language from the
+// `tts` settings. Utterance start/end/error events are forwarded to the app
+// window as tts:start / tts:end / tts:error.
+const tts = createTtsController({ getConfig: () => settings.get('tts') || {} })
+for (const type of ['start', 'end', 'error']) {
+    tts.events.on(type, (payload) => {
+        try { if (mainWindow && !mainWindow.isDestroyed()) mainWindow.webContents.send('tts:' + type, payload) } catch (e) { }
+    })
 }
 
-// IPC: speak text — always use the local fallback (spd-say / espeak) via spawnTtsFallback
-// Accepts (text, opts) where opts may include { lang }
+// IPC: speak text. Accepts (text, opts) where opts may include
+// { lang, voice, rate, pitch, amplitude, queue }; without `queue` it
+// interrupts the current utterance. Returns { ok, id }.
 ipcMain.handle('tts:speak', async (_, text, opts = {}) => {
     try {
         const safeOpts = opts && typeof opts === 'object' ? opts : { lang: opts }
-        // Kill any existing TTS process first
-        try { if (currentTtsProcess) { try { currentTtsProcess.kill() } catch (e) { } currentTtsProcess = null } } catch (e) { }
-        const spawned = spawnTtsFallback(text, safeOpts)
-        return { ok: !!spawned }
+        if (detectEngines().length === 0) return { ok: false, error: 'No TTS engine installed' }
+        return { ok: true, id: tts.speak(text, safeOpts) }
     } catch (e) {
         return { ok: false, error: String(e) }
     }
 })
 
-// IPC: stop any current TTS (kill spawned process)
+// IPC: stop the current utterance and drop the queue
 ipcMain.handle('tts:stop', async () => {
     try {
-        if (currentTtsProcess) {
-            try { currentTtsProcess.kill() } catch (e) { /* ignore */ }
-            currentTtsProcess = null
-        }
+        tts.stop()
         return { ok: true }
     } catch (e) {
         return { ok: false, error: String(e) }
     }
 })
 
-// IPC: isAvailable => quick heuristic to detect at least one available TTS path
-ipcMain.handle('tts:isAvailable', async () => {
+ipcMain.handle('tts:pause', async () => ({ ok: tts.pause(), ...tts.status() }))
+ipcMain.handle('tts:resume', async () => ({ ok: tts.resume(), ...tts.status() }))
+ipcMain.handle('tts:status', async () => ({ ok: true, ...tts.status() }))
+
+// IPC: voices of all installed engines (each voice names its engine)
+ipcMain.handle('tts:listVoices', async () => {
     try {
-        // On Linux check common paths for spd-say / espeak / espeak-ng / pico2wave
-        if (process.platform === 'linux') {
-            const candidates = [
-                '/usr/bin/spd-say', '/bin/spd-say',
-                '/usr/bin/espeak-ng', '/bin/espeak-ng',
-                '/usr/bin/espeak', '/bin/espeak',
-                '/usr/bin/pico2wave', '/bin/pico2wave'
-            ]
-            for (const p of candidates) {
-                try { if (fs.existsSync(p)) return { ok: true } } catch (e) { }
-            }
-            return { ok: false }
-        }
-        // Fallback: optimistic true for other platforms
-        return { ok: true }
+        return { ok: true, voices: await listVoices(settings.get('tts') || {}) }
+    } catch (e) {
+        return { ok: false, error: String(e), voices: [] }
+    }
+})
+
+// IPC: isAvailable => which engines are installed (resolved on PATH), the
+// one used for `lang` (default English) and all voices
+ipcMain.handle('tts:isAvailable', async (_, lang) => {
+    try {
+        const config = settings.get('tts') || {}
+        const engines = detectEngines()
+        if (engines.length === 0) return { ok: false, engines: [] }
+        const choice = await chooseBackend(config, { lang: lang || 'en' })
+        const voices = await listVoices(config)
+        return { ok: !!choice, engine: choice ? choice.engine : null, voice: choice ? choice.voice.id : null, engines, voices }
     } catch (e) {
         return { ok: false, error: String(e) }
     }
 })
 
+// IPC: engine selection settings ({ engines, voices, piperModelDir })
+ipcMain.handle('tts:get-config', async () => ({ ok: true, config: settings.get('tts'), engines: detectEngines(), knownEngines: DEFAULT_ENGINE_ORDER }))
+
+ipcMain.handle('tts:set-config', async (_, patch = {}) => {
+    const next = { ...(settings.get('tts') || {}) }
+    if (typeof patch.engines !== 'undefined') {
+        if (!patch.engines || typeof patch.engines !== 'object') return { ok: false, error: 'engines must map languages to engine lists' }
+        for (const [lang, list] of Object.entries(patch.engines)) {
+            if (!Array.isArray(list) || list.some(name => !DEFAULT_ENGINE_ORDER.includes(name))) return { ok: false, error: `Unknown engine in the list for ${lang} (known: ${DEFAULT_ENGINE_ORDER.join(', ')})` }
+        }
+        next.engines = patch.engines
+    }
+    if (typeof patch.voices !== 'undefined') {
+        if (!patch.voices || typeof patch.voices !== 'object') return { ok: false, error: 'voices must map languages to voice ids' }
+        next.voices = patch.voices
+    }
+    if (typeof patch.piperModelDir !== 'undefined') next.piperModelDir = String(patch.piperModelDir || '').trim()
+    settings.set('tts', next)
+    clearVoiceCache()
+    return { ok: true, config: next, engines: detectEngines(), knownEngines: DEFAULT_ENGINE_ORDER }
+})
+
 // Helper: fetch JSON with timeout
 function fetchJson(url, timeout = 5000) {
     return new Promise((resolve, reject) => {
@@ -179,21 +170,134 @@ function fetchJson(url, timeout = 5000) {
     })
 }
 
-async function chooseMode() {
-    const result = await dialog.showMessageBox({
-        type: 'question',
-        buttons: [
-            'Interactive Educational Platform',
-            'Presentation Deck',
-        ],
-        defaultId: 0,
-        cancelId: 1,
-        title: 'Choose Mode',
-        message: 'How would you like to start?',
-        detail: 'You can switch modes later in settings.',
-    });
-
-    return result.response === 0 ? 'interactive' : 'presentation';
+// Persisted app settings (userData/settings.json)
+const settings = createSettingsStore(path.join(app.getPath('userData'), 'settings.json'), {
+    // default: 'ask' shows the in-app chooser at boot, otherwise the named
+    // mode is opened directly (kiosk units). last: the most recently used mode.
+    mode: { default: 'ask', last: 'interactive' },
+    // content update channel: 'stable', 'beta', 'local' or 'custom' (customUrl)
+    updater: { channel: 'stable', customUrl: '' },
+    // background content updates: check every intervalMinutes, apply inside
+    // windowStart-windowEnd (local time) or after idleMinutes without input
+    schedule: { enabled: true, intervalMinutes: 360, windowStart: '03:00', windowEnd: '05:00', idleMinutes: 30 },
+    // offline content packs (*.gcpack) found on USB sticks are installed
+    // right away when newer; with autoImport off the renderer is only told about them
+    packs: { autoImport: true },
+    // speech engines per language, tried in order ('*' for every language),
+    // preferred voice per language and where Piper's voice models are
+    tts: { engines: { '*': DEFAULT_ENGINE_ORDER.slice() }, voices: {}, piperModelDir: '' },
+    // battery warnings below lowPercent/criticalPercent; with autoSuspend the
+    // device suspends a minute after reaching suspendPercent on battery
+    power: { lowPercent: 20, criticalPercent: 10, autoSuspend: true, suspendPercent: 5 },
+    // daily shutdown at `time` after a warnMinutes countdown the user can
+    // cancel; with wakeEnabled the RTC powers the device on at wakeTime
+    shutdown: { enabled: false, time: '18:00', warnMinutes: 5, wakeEnabled: false, wakeTime: '07:30' },
+    // HTTP proxy for content and app updates and the app window
+    // (url: http://[user:pass@]host:port; bypass: host names, '*.domain')
+    proxy: { enabled: false, url: '', bypass: [] },
+    // backlight level restored at startup; after dimMinutes without input the
+    // screen dims to dimPercent and after blankMinutes it goes dark (0 = never)
+    brightness: { level: 100, dimMinutes: 5, dimPercent: 20, blankMinutes: 15 }
+})
+
+const START_MODES = ['interactive', 'presentation']
+
+// Main window and the URLs of the local sites, set up by createWindow()
+let mainWindow = null
+let siteUrls = {}
+let currentMode = null
+// Last gamepad/keyboard input, used to apply background updates only when idle
+let lastActivityAt = Date.now()
+
+// The preload reports gamepad input; keyboard input is seen in before-input-event.
+// Input also wakes a dimmed or blanked screen.
+ipcMain.on('input:activity', () => {
+    lastActivityAt = Date.now()
+    brightness.activity()
+})
+
+// Decide which mode to open at boot without asking. A `--mode=<name>` switch
+// wins over the saved default; returns null when the chooser should be shown.
+function resolveStartMode() {
+    const arg = process.argv.find(a => a.startsWith('--mode='))
+    const wanted = arg ? arg.slice('--mode='.length) : (settings.get('mode') || {}).default
+    return START_MODES.includes(wanted) ? wanted : null
+}
+
+// Show the gamepad-navigable chooser page in place of the app
+function showModeChooser() {
+    if (!mainWindow || mainWindow.isDestroyed()) return
+    currentMode = null
+    mainWindow.loadFile(path.join(__dirname, 'mode-chooser.html'))
+}
+
+// Point the main window at the site for `mode` and remember it as last used
+function loadMode(mode) {
+    if (!mainWindow || mainWindow.isDestroyed()) return false
+    const target = siteUrls[mode]
+    if (!target) return false
+    currentMode = mode
+    settings.update('mode', { last: mode })
+    mainWindow.loadURL(target)
+    return true
+}
+
+// IPC: current/saved start mode
+ipcMain.handle('mode:get', async () => {
+    const saved = settings.get('mode') || {}
+    return { ok: true, mode: currentMode, lastMode: saved.last || null, defaultMode: saved.default || 'ask', modes: START_MODES.filter(m => siteUrls[m]) }
+})
+
+// IPC: save the default start mode ('interactive', 'presentation' or 'ask')
+ipcMain.handle('mode:set', async (_, mode) => {
+    if (mode !== 'ask' && !START_MODES.includes(mode)) return { ok: false, error: 'Invalid mode' }
+    const saved = settings.update('mode', { default: mode })
+    return { ok: true, defaultMode: saved.default }
+})
+
+// IPC: reload the window onto another mode without restarting the app.
+// Without an argument it toggles; 'ask' goes back to the chooser.
+ipcMain.handle('mode:switch', async (_, mode) => {
+    if (mode === 'ask') {
+        showModeChooser()
+        return { ok: true, mode: null }
+    }
+    const next = mode || (currentMode === 'interactive' ? 'presentation' : 'interactive')
+    if (!START_MODES.includes(next)) return { ok: false, error: 'Invalid mode' }
+    if (!loadMode(next)) return { ok: false, error: 'Mode not available' }
+    return { ok: true, mode: next }
+})
+
+// Content folder a site is served from, picked like createWindow() does: the
+// writable userData copy when there is one, otherwise the bundled build
+function activeDistDir(siteName) {
+    const name = siteName === 'presentation' ? 'dist2' : 'dist'
+    const resourcesPath = process.resourcesPath || __dirname
+    const candidates = [
+        path.join(app.getPath('userData'), name),
+        path.join(resourcesPath, 'app.asar.unpacked', name),
+        path.join(resourcesPath, 'app-' + name),
+        path.join(__dirname, name)
+    ]
+    return candidates.find(d => fs.existsSync(path.join(d, 'index.html'))) || null
+}
+
+// Headless export for --export-content (prints the result as JSON)
+async function runContentExport() {
+    const siteArg = process.argv.find(a => a.startsWith('--site='))
+    const site = siteArg ? siteArg.slice('--site='.length) : 'interactive'
+    const outPath = exportContentArg.includes('=') ? path.resolve(exportContentArg.slice(exportContentArg.indexOf('=') + 1)) : null
+    try {
+        if (!START_MODES.includes(site)) throw new Error('Unknown content site: ' + site)
+        const distDir = activeDistDir(site)
+        if (!distDir) throw new Error('No installed content found for ' + site)
+        const res = await contentPack.exportPack({ distDir, site, outPath })
+        console.log(JSON.stringify(res, null, 2))
+        app.exit(0)
+    } catch (e) {
+        console.error('[export] failed:', e && e.message)
+        app.exit(1)
+    }
 }
 
 // Try to create a stable symlink to the most-recently downloaded AppImage.
@@ -254,7 +358,7 @@ async function tryCreateAppImageSymlink() {
 }
 
 async function createWindow() {
-    const win = new BrowserWindow({
+    const win = mainWindow = new BrowserWindow({
         width: 1200,
         height: 800,
         kiosk: true,
@@ -279,12 +383,20 @@ async function createWindow() {
     // enforce kiosk/fullscreen and remove menu
     try { win.setKiosk(true); win.setFullScreen(true); win.removeMenu() } catch (e) { }
 
+    win.on('closed', () => { if (mainWindow === win) mainWindow = null })
+
     // Re-enter fullscreen/kiosk if the window leaves it for any reason
     win.on('leave-full-screen', () => { try { win.setFullScreen(true); win.setKiosk(true) } catch (e) { } })
     win.on('enter-html-full-screen', () => { try { win.setFullScreen(true); win.setKiosk(true) } catch (e) { } })
 
     // Block common keyboard shortcuts that could exit fullscreen or close the window
     win.webContents.on('before-input-event', (event, input) => {
+        lastActivityAt = Date.now()
+        // the key that wakes a dark screen doesn't also press something unseen
+        if (brightness.activity() && input.type === 'keyDown') {
+            event.preventDefault()
+            return
+        }
         const ctrlOrCmd = input.control || input.meta
         const alt = input.alt
         const key = (input.key || '').toLowerCase()
@@ -329,6 +441,9 @@ async function createWindow() {
     // download/apply will be triggered from the Settings modal via IPC.
     try {
         const updater = require(path.join(__dirname, 'updater'))
+        // Public key used to verify content.json.sig (optional, see README.build.md)
+        const contentKeyPath = path.join(__dirname, 'keys', 'content-signing.pub.pem')
+        if (!fs.existsSync(contentKeyPath)) log.warn('[updater] no content signing key at', contentKeyPath, '- content.json signatures are not checked')
 
         // Determine the runtime dist directory (where the app currently serves from).
         const runtimeSourceDir = path.dirname(chosenDistIndex || embeddedDistIndex)
@@ -390,11 +505,55 @@ async function createWindow() {
 
         }
 
+        // Content sites the updater manages: each deck has its own dist folder,
+        // remote path below the channel's server, version and update status.
+        const contentSites = [
+            { name: 'interactive', label: 'Interactive Educational Platform', distDir, remotePath: '' },
+            { name: 'presentation', label: 'Presentation Deck', distDir: distDir2, remotePath: '/presentation' }
+        ]
+        // The server comes from the persisted updater config (channel/custom URL)
+        const remoteUrlFor = (site) => {
+            const base = updater.resolveRemoteBaseUrl(settings.get('updater'))
+            return base ? base + site.remotePath : null
+        }
+        const siteStatus = {}
+        for (const site of contentSites) siteStatus[site.name] = { state: 'idle', localVer: null, remoteVer: null, lastChecked: null, error: null }
+        const findSite = (name) => contentSites.find(s => s.name === (name || 'interactive'))
+        // opts.site selects one site; without it every site is handled
+        const sitesFor = (opts) => (opts && opts.site ? [findSite(opts.site)].filter(Boolean) : contentSites)
+        const setSiteStatus = (name, patch) => { siteStatus[name] = { ...siteStatus[name], ...patch } }
+
+        const checkSite = async (site) => {
+            setSiteStatus(site.name, { state: 'checking', error: null })
+            try {
+                const res = await updater.checkForUpdate({ distDir: site.distDir, remoteBaseUrl: remoteUrlFor(site) })
+                setSiteStatus(site.name, { state: res.available ? 'available' : 'up-to-date', localVer: res.localVer, remoteVer: res.remoteVer, lastChecked: new Date().toISOString() })
+                return { site: site.name, ...res }
+            } catch (e) {
+                setSiteStatus(site.name, { state: 'error', lastChecked: new Date().toISOString(), error: String(e) })
+                return { site: site.name, error: String(e) }
+            }
+        }
+
+        // Check one or several sites. Several results are combined as
+        // { available, localVer, remoteVer, sites: { [name]: result } } where the
+        // top-level versions are the first site's, so single-site callers keep working.
+        const checkSites = async (sites) => {
+            if (sites.length === 1) return checkSite(sites[0])
+            const results = {}
+            for (const site of sites) results[site.name] = await checkSite(site)
+            const first = results[sites[0].name]
+            const combined = { available: Object.values(results).some(r => r.available), localVer: first.localVer, remoteVer: first.remoteVer, sites: results }
+            if (Object.values(results).every(r => r.error)) combined.error = first.error
+            return combined
+        }
+
         // perform a lightweight check (no downloads)
         try {
-            const check = await updater.checkForUpdate({ distDir, remoteBaseUrl: 'https://gamepad-app.startifysolutions.com' })
+            const check = await checkSites(contentSites)
             if (check && check.available) {
-                try { new Notification({ title: 'Content update available', body: `New content ${check.remoteVer}` }).show() } catch (e) { }
+                const names = Object.values(check.sites || {}).filter(r => r.available).map(r => `${findSite(r.site).label} ${r.remoteVer}`)
+                try { new Notification({ title: 'Content update available', body: `New content: ${names.join(', ')}` }).show() } catch (e) { }
                 try { if (win && !win.isDestroyed()) win.webContents.send('update-available', check) } catch (e) { }
             }
         } catch (e) {
@@ -402,55 +561,316 @@ async function createWindow() {
         }
 
         // Expose IPC handlers so renderer can ask for checks and trigger the full updater.
-        ipcMain.handle('updater:check', async () => {
-            try { return await updater.checkForUpdate({ distDir, remoteBaseUrl: 'https://gamepad-app.startifysolutions.com' }) }
+        // Both accept { site } to target one content site.
+        ipcMain.handle('updater:check', async (_, opts = {}) => {
+            const sites = sitesFor(opts)
+            if (sites.length === 0) return { error: 'Unknown content site' }
+            try { return await checkSites(sites) }
             catch (e) { return { error: String(e) } }
         })
 
-        ipcMain.handle('updater:run', async () => {
-            // create a small progress window (same UI as before)
-            let progressWin = null
-            try {
-                progressWin = new BrowserWindow({
-                    width: 420,
-                    height: 200,
-                    frame: false,
-                    resizable: false,
-                    kiosk: true,
-                    autoHideMenuBar: true,
-                    show: false,
-                    webPreferences: {
-                        preload: path.join(__dirname, 'preload-updater.js'),
-                        contextIsolation: true,
-                        nodeIntegration: false
-                    }
+        ipcMain.handle('updater:status', async () => ({ ok: true, sites: siteStatus }))
+
+        // Updater config: { channel, customUrl } plus the resolved server URLs
+        const describeUpdaterConfig = () => {
+            const config = settings.get('updater') || {}
+            const sites = {}
+            for (const site of contentSites) sites[site.name] = remoteUrlFor(site)
+            return { ok: true, channel: config.channel, customUrl: config.customUrl || '', channels: { ...updater.UPDATE_CHANNELS }, remoteBaseUrl: updater.resolveRemoteBaseUrl(config), sites }
+        }
+        ipcMain.handle('updater:get-config', async () => describeUpdaterConfig())
+        ipcMain.handle('updater:set-config', async (_, patch = {}) => {
+            const current = settings.get('updater') || {}
+            const next = { ...current }
+            if (typeof patch.channel !== 'undefined') {
+                if (patch.channel !== 'custom' && !updater.UPDATE_CHANNELS[patch.channel]) return { ok: false, error: 'Unknown channel' }
+                next.channel = patch.channel
+            }
+            if (typeof patch.customUrl !== 'undefined') next.customUrl = String(patch.customUrl || '').trim()
+            if (next.channel === 'custom' && !updater.resolveRemoteBaseUrl(next)) return { ok: false, error: 'Custom URL must be an http(s) URL' }
+            settings.set('updater', next)
+            // versions known for the old server no longer apply
+            for (const site of contentSites) setSiteStatus(site.name, { state: 'idle', remoteVer: null, error: null })
+            log.info('[updater] channel set to', next.channel, updater.resolveRemoteBaseUrl(next))
+            return describeUpdaterConfig()
+        })
+
+        // Connectivity check against a site's content server (diagnostics.js):
+        // resolves { ok, site, passed, summary, steps } and sends every finished
+        // step as 'diagnostics:step' so the screen fills in while it runs. A
+        // second call while one is running gets the same result.
+        let diagnosticsRun = null
+        ipcMain.handle('diagnostics:run', async (_, opts = {}) => {
+            if (diagnosticsRun) return diagnosticsRun
+            const site = findSite(opts && opts.site)
+            if (!site) return { ok: false, error: 'Unknown site' }
+            diagnosticsRun = diagnostics.runDiagnostics({ remoteBaseUrl: remoteUrlFor(site), onStep: (step) => sendToMain('diagnostics:step', step) })
+                .then((result) => {
+                    log.info('[diagnostics]', site.name, result.summary)
+                    return { ok: true, site: site.name, ...result }
                 })
-                progressWin.loadFile(path.join(__dirname, 'updater-ui.html'))
-                await new Promise((resolve) => progressWin.webContents.once('did-finish-load', resolve))
-                progressWin.show()
+                .catch((e) => ({ ok: false, error: String(e) }))
+                .finally(() => { diagnosticsRun = null })
+            return diagnosticsRun
+        })
 
-                const onProgress = (p) => {
-                    try { if (progressWin && !progressWin.isDestroyed()) progressWin.webContents.send('updater-progress', p) } catch (e) { }
-                    try { if (win && !win.isDestroyed()) win.webContents.send('updater-progress', p) } catch (e) { }
+        // Set while an update, pack import or rollback changes a dist folder;
+        // the scheduler and the other handlers wait for it
+        let manualUpdateRunning = false
+
+        // After an update the reloaded renderer has to report a healthy load
+        // (electronUpdater.reportHealthy(); the preload sends it on its own once
+        // the web app has rendered). If that doesn't happen in time, or the page
+        // fails to load, the previous content version is put back.
+        const UPDATE_HEALTH_TIMEOUT_MS = 60000
+        let healthWatch = null
+        const stopHealthWatch = () => {
+            if (!healthWatch) return
+            clearTimeout(healthWatch.timer)
+            if (healthWatch.onFailLoad) {
+                try { win.webContents.removeListener('did-fail-load', healthWatch.onFailLoad) } catch (e) { }
+            }
+            healthWatch = null
+        }
+        const reloadAndNotify = (channel, payload) => {
+            if (!win || win.isDestroyed()) return
+            // send once the reloaded page is listening again
+            win.webContents.once('did-finish-load', () => {
+                try { if (win && !win.isDestroyed()) win.webContents.send(channel, payload) } catch (e) { }
+            })
+            win.webContents.reloadIgnoringCache()
+        }
+        const rollbackBadUpdate = async (site, reason) => {
+            stopHealthWatch()
+            if (manualUpdateRunning || scheduler.isRunning()) {
+                // try again once the running update is done (a new update of
+                // this site starts its own health watch, which cancels this)
+                log.warn(`[updater] updated ${site.name} content did not load (${reason}), rolling back after the running update`)
+                healthWatch = { onFailLoad: null, timer: setTimeout(() => rollbackBadUpdate(site, reason), 5000) }
+                return
+            }
+            log.warn(`[updater] updated ${site.name} content did not load (${reason}), rolling back`)
+            manualUpdateRunning = true
+            try {
+                const rb = await updater.rollback({ distDir: site.distDir })
+                setSiteStatus(site.name, { localVer: rb.version })
+                reloadAndNotify('update-rolled-back', { site: site.name, ...rb, reason })
+            } catch (e) {
+                log.error('[updater] automatic rollback failed:', e && e.message)
+            } finally {
+                manualUpdateRunning = false
+            }
+        }
+        const watchUpdateHealth = (site) => {
+            stopHealthWatch()
+            // the mode chooser isn't served from dist, so there is nothing to verify
+            if (!currentMode || !win || win.isDestroyed()) return
+            const onFailLoad = (_e, code, desc, url, isMainFrame) => { if (isMainFrame) rollbackBadUpdate(site, 'load failed: ' + desc) }
+            win.webContents.on('did-fail-load', onFailLoad)
+            healthWatch = { onFailLoad, timer: setTimeout(() => rollbackBadUpdate(site, 'no healthy signal'), UPDATE_HEALTH_TIMEOUT_MS) }
+        }
+        ipcMain.on('updater:healthy', () => {
+            if (!healthWatch) return
+            log.info('[updater] renderer reported a healthy load')
+            stopHealthWatch()
+        })
+
+        // Schema check plus missing/unreferenced asset report for installed content
+        ipcMain.handle('updater:content-report', async (_, siteName) => {
+            try {
+                const site = findSite(siteName)
+                if (!site) return { ok: false, error: 'Unknown content site' }
+                return { ok: true, site: site.name, ...updater.contentReferenceReport({ distDir: site.distDir }) }
+            } catch (e) {
+                return { ok: false, error: String(e) }
+            }
+        })
+
+        ipcMain.handle('updater:list-versions', async (_, siteName) => {
+            try {
+                const site = findSite(siteName)
+                if (!site) return { ok: false, error: 'Unknown content site' }
+                const { current, versions } = updater.listVersions({ distDir: site.distDir })
+                return { ok: true, site: site.name, current, versions: versions.map(({ dir, ...v }) => v) }
+            } catch (e) {
+                return { ok: false, error: String(e) }
+            }
+        })
+
+        // Roll back to an archived content version (the newest when no id is given)
+        ipcMain.handle('updater:rollback', async (_, id, siteName) => {
+            try {
+                const site = findSite(siteName)
+                if (!site) return { ok: false, error: 'Unknown content site' }
+                if (manualUpdateRunning || scheduler.isRunning()) return { ok: false, error: 'An update is already running' }
+                stopHealthWatch()
+                manualUpdateRunning = true
+                let res
+                try {
+                    res = await updater.rollback({ distDir: site.distDir, id })
+                } finally {
+                    manualUpdateRunning = false
                 }
-                const onStatus = (s) => {
-                    try { if (progressWin && !progressWin.isDestroyed()) progressWin.webContents.send('updater-status', s) } catch (e) { }
-                    try { if (win && !win.isDestroyed()) win.webContents.send('updater-status', s) } catch (e) { }
+                setSiteStatus(site.name, { localVer: res.version })
+                if (currentMode === site.name) reloadAndNotify('update-rolled-back', { site: site.name, ...res, reason: 'manual' })
+                return { ok: true, site: site.name, ...res }
+            } catch (e) {
+                return { ok: false, error: String(e) }
+            }
+        })
+
+        // Unattended updates (see update-scheduler.js): download and stage in
+        // the background, swap in when the kiosk is idle or in maintenance hours
+        const scheduler = createUpdateScheduler({
+            sites: contentSites,
+            getConfig: () => settings.get('schedule') || {},
+            getLastActivity: () => lastActivityAt,
+            isBlocked: () => manualUpdateRunning,
+            isBusy: () => currentMode === 'presentation' || tts.status().speaking,
+            logger: log,
+            getStaged: (site) => updater.getStagedUpdate({ distDir: site.distDir }),
+            stage: async (site) => {
+                setSiteStatus(site.name, { state: 'downloading', error: null })
+                try {
+                    const res = await updater.runUpdater({ distDir: site.distDir, remoteBaseUrl: remoteUrlFor(site), publicKeyPath: contentKeyPath, tts: settings.get('tts'), stageOnly: true })
+                    setSiteStatus(site.name, { state: res.staged ? 'staged' : 'up-to-date', localVer: res.localVer, remoteVer: res.remoteVer, lastChecked: new Date().toISOString() })
+                    return res
+                } catch (e) {
+                    setSiteStatus(site.name, { state: 'error', lastChecked: new Date().toISOString(), error: String(e) })
+                    throw e
+                }
+            },
+            apply: async (site) => {
+                const res = await updater.applyStagedUpdate({ distDir: site.distDir })
+                if (!res.updated) return res
+                setSiteStatus(site.name, { state: 'up-to-date', localVer: res.remoteVer, remoteVer: res.remoteVer })
+                if (currentMode === site.name && win && !win.isDestroyed()) {
+                    win.webContents.reloadIgnoringCache()
+                    watchUpdateHealth(site)
+                    try { win.webContents.send('update-complete', { site: site.name, ...res, background: true }) } catch (e) { }
                 }
+                return res
+            },
+            onState: (status) => {
+                try { if (win && !win.isDestroyed()) win.webContents.send('updater-schedule', status) } catch (e) { }
+            }
+        })
+        scheduler.start()
+        win.on('closed', () => scheduler.stop())
+
+        ipcMain.handle('updater:schedule-status', async () => scheduler.status())
+        ipcMain.handle('updater:set-schedule', async (_, patch = {}) => {
+            const next = { ...(settings.get('schedule') || {}), ...(patch || {}) }
+            const error = validateScheduleConfig(next)
+            if (error) return { ok: false, error }
+            settings.set('schedule', next)
+            scheduler.reschedule()
+            return scheduler.status()
+        })
+        // Check now, ignoring the interval; a staged update is still only
+        // applied when the window/idle rules allow it
+        ipcMain.handle('updater:schedule-run-now', async () => {
+            if (manualUpdateRunning) return { ok: false, error: 'An update is already running' }
+            return scheduler.runNow()
+        })
 
-                onStatus('Starting update...')
-                const res = await updater.runUpdater({ distDir, remoteBaseUrl: 'https://gamepad-app.startifysolutions.com', onProgress })
-                onStatus(res && res.updated ? 'Update applied' : 'No update')
+        const openProgressWindow = async () => {
+            // create a small progress window (same UI as before)
+            const progressWin = new BrowserWindow({
+                width: 420,
+                height: 200,
+                frame: false,
+                resizable: false,
+                kiosk: true,
+                autoHideMenuBar: true,
+                show: false,
+                webPreferences: {
+                    preload: path.join(__dirname, 'preload-updater.js'),
+                    contextIsolation: true,
+                    nodeIntegration: false
+                }
+            })
+            progressWin.loadFile(path.join(__dirname, 'updater-ui.html'))
+            await new Promise((resolve) => progressWin.webContents.once('did-finish-load', resolve))
+            try {
+                const config = settings.get('updater') || {}
+                progressWin.webContents.send('updater-channel', { channel: config.channel, url: updater.resolveRemoteBaseUrl(config) })
+            } catch (e) { }
+            progressWin.show()
+            return progressWin
+        }
+
+        // Progress/status go to the progress window and to the app itself
+        const progressReporters = (progressWin) => ({
+            onProgress: (p) => {
+                try { if (progressWin && !progressWin.isDestroyed()) progressWin.webContents.send('updater-progress', p) } catch (e) { }
+                try { if (win && !win.isDestroyed()) win.webContents.send('updater-progress', p) } catch (e) { }
+            },
+            onStatus: (s) => {
+                try { if (progressWin && !progressWin.isDestroyed()) progressWin.webContents.send('updater-status', s) } catch (e) { }
+                try { if (win && !win.isDestroyed()) win.webContents.send('updater-status', s) } catch (e) { }
+            }
+        })
 
-                // If an update was applied, reload the main window so it fetches the
-                // new files from the local HTTP server. Also notify the renderer
+        ipcMain.handle('updater:run', async (_, opts = {}) => {
+            const sites = sitesFor(opts)
+            if (sites.length === 0) throw new Error('Unknown content site')
+            if (scheduler.isRunning()) throw new Error('A background update is running, try again shortly')
+            manualUpdateRunning = true
+            let progressWin = null
+            try {
+                progressWin = await openProgressWindow()
+                const { onProgress, onStatus } = progressReporters(progressWin)
+
+                onStatus('Starting update...')
+                // Update the sites one after the other; progress of each site is
+                // mapped onto its share of the overall bar.
+                const results = {}
+                for (let i = 0; i < sites.length; i++) {
+                    const site = sites[i]
+                    const prefix = sites.length > 1 ? `${site.label}: ` : ''
+                    const onSiteProgress = (p) => onProgress({
+                        ...p,
+                        site: site.name,
+                        percent: typeof p.percent === 'number' ? ((i + p.percent / 100) / sites.length) * 100 : p.percent,
+                        message: p.message ? prefix + p.message : p.message
+                    })
+                    setSiteStatus(site.name, { state: 'updating', error: null })
+                    try {
+                        const res = await updater.runUpdater({ distDir: site.distDir, remoteBaseUrl: remoteUrlFor(site), onProgress: onSiteProgress, publicKeyPath: contentKeyPath, tts: settings.get('tts') })
+                        results[site.name] = { site: site.name, ...res }
+                        setSiteStatus(site.name, { state: 'up-to-date', localVer: res.remoteVer || res.localVer, remoteVer: res.remoteVer })
+                    } catch (e) {
+                        setSiteStatus(site.name, { state: 'error', error: String(e) })
+                        // a single site keeps the old contract: the invoke rejects
+                        if (sites.length === 1) throw e
+                        results[site.name] = { site: site.name, updated: false, error: String(e) }
+                    }
+                }
+                const updatedSites = Object.values(results).filter(r => r.updated)
+                const res = sites.length === 1
+                    ? results[sites[0].name]
+                    : { ...results[sites[0].name], updated: updatedSites.length > 0, sites: results }
+                if (updatedSites.length > 0) {
+                    const parts = updatedSites.filter(r => r.summary).map(r => {
+                        const { added, changed, removed } = r.summary
+                        const label = sites.length > 1 ? `${findSite(r.site).label}: ` : ''
+                        return `${label}${added.length} added, ${changed.length} changed, ${removed.length} removed`
+                    })
+                    onStatus(parts.length ? `Update applied (${parts.join('; ')})` : 'Update applied')
+                } else onStatus(Object.values(results).some(r => r.error) ? 'Update failed' : 'No update')
+
+                // If the site on screen was updated, reload the main window so it
+                // fetches the new files from the local HTTP server. Also notify the renderer
                 // with a dedicated event so UI can react (show toast, close modal, etc.).
                 try {
-                    if (res && res.updated) {
+                    const shown = currentMode && results[currentMode]
+                    if (shown && shown.updated) {
                         try {
                             if (win && !win.isDestroyed()) {
                                 // force reload ignoring cache so the renderer fetches fresh assets
                                 win.webContents.reloadIgnoringCache()
+                                watchUpdateHealth(findSite(currentMode))
                                 // inform renderer that update completed
                                 win.webContents.send('update-complete', res)
                             }
@@ -465,18 +885,103 @@ async function createWindow() {
                 try { if (progressWin && !progressWin.isDestroyed()) progressWin.webContents.send('updater-status', 'Update failed: ' + (e && e.message)) } catch (e) { }
                 throw e
             } finally {
+                manualUpdateRunning = false
                 setTimeout(() => { try { if (progressWin && !progressWin.isDestroyed()) progressWin.close() } catch (e) { } }, 900)
             }
         })
+
+        // Offline content packs (see content-pack.js). The pack names its
+        // site; opts.site overrides it. Installed like a network update, with
+        // the progress window, reload and health watch.
+        const importContentPack = async (packPath, opts = {}) => {
+            if (manualUpdateRunning || scheduler.isRunning()) throw new Error('An update is already running')
+            // taken before the first await, so a second import can't slip in
+            manualUpdateRunning = true
+            let site = null
+            let progressWin = null
+            try {
+                const info = await contentPack.readPackInfo(packPath)
+                site = findSite(opts.site || info.site)
+                if (!site) throw new Error('Unknown content site')
+                setSiteStatus(site.name, { state: 'updating', error: null })
+                progressWin = await openProgressWindow()
+                const { onProgress, onStatus } = progressReporters(progressWin)
+                onStatus(`Installing content pack ${path.basename(packPath)}...`)
+                const res = await contentPack.importPack({ packPath, distDir: site.distDir, site: site.name, onProgress, publicKeyPath: contentKeyPath, force: !!opts.force })
+                setSiteStatus(site.name, { state: 'up-to-date', localVer: res.remoteVer || res.localVer })
+                if (res.updated) onStatus(`Content pack ${res.remoteVer} installed`)
+                else onStatus(res.reason === 'older-version' ? `Installed content ${res.localVer} is newer than the pack` : 'Content already up-to-date')
+                if (res.updated && currentMode === site.name && win && !win.isDestroyed()) {
+                    win.webContents.reloadIgnoringCache()
+                    watchUpdateHealth(site)
+                }
+                try { if (win && !win.isDestroyed()) win.webContents.send('update-complete', { site: site.name, pack: packPath, ...res }) } catch (e) { }
+                return { site: site.name, ...res }
+            } catch (e) {
+                if (site) setSiteStatus(site.name, { state: 'error', error: String(e) })
+                try { if (progressWin && !progressWin.isDestroyed()) progressWin.webContents.send('updater-status', 'Content pack failed: ' + (e && e.message)) } catch (e2) { }
+                throw e
+            } finally {
+                manualUpdateRunning = false
+                setTimeout(() => { try { if (progressWin && !progressWin.isDestroyed()) progressWin.close() } catch (e) { } }, 1500)
+            }
+        }
+
+        // Write a site's installed content to a pack (a file or folder path;
+        // without one, the first mounted USB stick)
+        ipcMain.handle('updater:export-pack', async (_, opts = {}) => {
+            const site = findSite(opts.site)
+            if (!site) return { ok: false, error: 'Unknown content site' }
+            let progressWin = null
+            try {
+                progressWin = await openProgressWindow()
+                const { onProgress, onStatus } = progressReporters(progressWin)
+                onStatus(`Exporting ${site.label}...`)
+                const res = await contentPack.exportPack({ distDir: site.distDir, site: site.name, outPath: opts.path, onProgress })
+                onStatus(`Content pack written to ${res.path}`)
+                return { ok: true, ...res }
+            } catch (e) {
+                try { if (progressWin && !progressWin.isDestroyed()) progressWin.webContents.send('updater-status', 'Export failed: ' + (e && e.message)) } catch (e2) { }
+                return { ok: false, error: String(e) }
+            } finally {
+                setTimeout(() => { try { if (progressWin && !progressWin.isDestroyed()) progressWin.close() } catch (e) { } }, 1500)
+            }
+        })
+
+        ipcMain.handle('updater:import-pack', async (_, packPath, opts = {}) => {
+            try { return { ok: true, ...(await importContentPack(packPath, opts)) } }
+            catch (e) { return { ok: false, error: String(e) } }
+        })
+
+        // Watch for USB sticks carrying packs (Linux automount folders)
+        if (process.platform === 'linux') {
+            const packWatcher = contentPack.watchRemovableMedia({
+                onPack: async (packPath) => {
+                    try {
+                        const info = await contentPack.readPackInfo(packPath)
+                        const site = findSite(info.site)
+                        if (!site) return
+                        const localVer = (updater.listVersions({ distDir: site.distDir }).current || {}).version
+                        log.info('[content-pack] found', packPath, 'for', site.name, info.version, '(installed', localVer + ')')
+                        if (String(info.version) === String(localVer)) return
+                        const newer = contentPack.isNewerVersion(info.version, localVer)
+                        try { if (win && !win.isDestroyed()) win.webContents.send('content-pack-detected', { path: packPath, site: site.name, version: info.version, localVer, newer }) } catch (e) { }
+                        // an older pack only goes in through importPack(path, { force: true })
+                        if (newer && (settings.get('packs') || {}).autoImport) await importContentPack(packPath)
+                    } catch (e) {
+                        log.warn('[content-pack] could not use', packPath, e && e.message)
+                    }
+                }
+            })
+            win.on('closed', () => packWatcher.stop())
+        }
     } catch (e) {
         console.warn('Updater module not available:', e && e.message)
     }
 
     if (chosenDistIndex && chosenDistIndex2) {
-        // Serve the dist directory over a small local HTTP server so absolute paths
+        // Serve the dist directories over a small local HTTP server so absolute paths
         // like /assets/... resolve correctly (the build uses leading slashes).
-        const http = require('http')
-        const url = require('url')
 
         // If a userData copy exists from a previous run, prefer it so updates persist
         try {
@@ -497,179 +1002,23 @@ async function createWindow() {
         const distDir = resolvedDistDir || path.dirname(chosenDistIndex || embeddedDistIndex)
         const distDir2 = resolvedDistDir2 || path.dirname(chosenDistIndex2 || embeddedDistIndex2)
 
+        // One entry per deck. The preferred ports keep the renderer origin (and
+        // its localStorage) stable; a free port is used when one is taken.
+        const sites = [
+            { name: 'interactive', root: distDir, port: 3000 },
+            { name: 'presentation', root: distDir2, port: 3001 }
+        ]
+        const staticServer = await startStaticServers(sites)
+        siteUrls = staticServer.urls
 
-        const server = http.createServer((req, res) => {
-            try {
-                const parsed = url.parse(req.url)
-                let pathname = decodeURIComponent(parsed.pathname)
-                if (pathname === '/') pathname = '/index.html'
-
-                // prevent directory traversal
-                const safePath = path.normalize(path.join(distDir, pathname))
-
-                if (!safePath.startsWith(distDir)) {
-                    res.statusCode = 403
-                    res.end('Forbidden')
-                    return
-                }
-
-                if (!fs.existsSync(safePath) || fs.statSync(safePath).isDirectory()) {
-                    res.statusCode = 404
-                    res.end('Not found')
-                    return
-                }
-
-                const ext = path.extname(safePath).toLowerCase()
-                const mime = {
-                    '.html': 'text/html; charset=utf-8',
-                    '.js': 'application/javascript; charset=utf-8',
-                    '.css': 'text/css; charset=utf-8',
-                    '.png': 'image/png',
-                    '.jpg': 'image/jpeg',
-                    '.jpeg': 'image/jpeg',
-                    '.mp4': 'video/mp4',
-                    '.webm': 'video/webm',
-                    '.ogg': 'video/ogg',
-                    '.mp3': 'audio/mpeg',
-                    '.svg': 'image/svg+xml',
-                    '.woff': 'font/woff',
-                    '.woff2': 'font/woff2',
-                    '.ttf': 'font/ttf',
-                    '.json': 'application/json',
-                    '.map': 'application/octet-stream'
-                }[ext] || 'application/octet-stream'
-
-                res.setHeader('Content-Type', mime)
-                // Prevent caching of JSON manifests so updated content.json is picked up immediately
-                if (ext === '.json') {
-                    res.setHeader('Cache-Control', 'no-store, must-revalidate')
-                    res.setHeader('Pragma', 'no-cache')
-                    res.setHeader('Expires', '0')
-                }
-                // Add ETag/Last-Modified so clients can conditional GET and detect updates
-                try {
-                    const stat = fs.statSync(safePath)
-                    const etag = `W/"${stat.size}-${stat.mtimeMs}"`
-                    res.setHeader('ETag', etag)
-                    res.setHeader('Last-Modified', stat.mtime.toUTCString())
-                    const ifNoneMatch = req.headers['if-none-match']
-                    const ifModifiedSince = req.headers['if-modified-since']
-                    if (ifNoneMatch === etag || (ifModifiedSince && new Date(ifModifiedSince).getTime() >= stat.mtimeMs)) {
-                        res.statusCode = 304
-                        res.end()
-                        return
-                    }
-                } catch (e) {
-                    // ignore stat errors and continue to serve the file
-                }
-                // Helpful debug: log when serving content.json
-                if (path.basename(safePath) === 'content.json') {
-                    try { console.log('[server] serving content.json from', safePath) } catch (e) { }
-                }
-                const stream = fs.createReadStream(safePath)
-                stream.pipe(res)
-                stream.on('error', () => {
-                    res.statusCode = 500
-                    res.end('Server error')
-                })
-            } catch (err) {
-                res.statusCode = 500
-                res.end('Server error')
-            }
-        })
-        const server2 = http.createServer((req, res) => {
-            try {
-                const parsed = url.parse(req.url)
-                let pathname = decodeURIComponent(parsed.pathname)
-                if (pathname === '/') pathname = '/index.html'
-
-                // prevent directory traversal
-                const safePath2 = path.normalize(path.join(distDir2, pathname))
-
-                if (!safePath2.startsWith(distDir2)) {
-                    res.statusCode = 403
-                    res.end('Forbidden')
-                    return
-                }
-
-                if (!fs.existsSync(safePath2) || fs.statSync(safePath2).isDirectory()) {
-                    res.statusCode = 404
-                    res.end('Not found')
-                    return
-                }
-
-                const ext = path.extname(safePath2).toLowerCase()
-                const mime = {
-                    '.html': 'text/html; charset=utf-8',
-                    '.js': 'application/javascript; charset=utf-8',
-                    '.css': 'text/css; charset=utf-8',
-                    '.png': 'image/png',
-                    '.jpg': 'image/jpeg',
-                    '.jpeg': 'image/jpeg',
-                    '.mp4': 'video/mp4',
-                    '.webm': 'video/webm',
-                    '.ogg': 'video/ogg',
-                    '.mp3': 'audio/mpeg',
-                    '.svg': 'image/svg+xml',
-                    '.woff': 'font/woff',
-                    '.woff2': 'font/woff2',
-                    '.ttf': 'font/ttf',
-                    '.json': 'application/json',
-                    '.map': 'application/octet-stream'
-                }[ext] || 'application/octet-stream'
-
-                res.setHeader('Content-Type', mime)
-                // Prevent caching of JSON manifests so updated content.json is picked up immediately
-                if (ext === '.json') {
-                    res.setHeader('Cache-Control', 'no-store, must-revalidate')
-                    res.setHeader('Pragma', 'no-cache')
-                    res.setHeader('Expires', '0')
-                }
-                // Add ETag/Last-Modified so clients can conditional GET and detect updates
-                try {
-                    const stat = fs.statSync(safePath2)
-                    const etag = `W/"${stat.size}-${stat.mtimeMs}"`
-                    res.setHeader('ETag', etag)
-                    res.setHeader('Last-Modified', stat.mtime.toUTCString())
-                    const ifNoneMatch = req.headers['if-none-match']
-                    const ifModifiedSince = req.headers['if-modified-since']
-                    if (ifNoneMatch === etag || (ifModifiedSince && new Date(ifModifiedSince).getTime() >= stat.mtimeMs)) {
-                        res.statusCode = 304
-                        res.end()
-                        return
-                    }
-                } catch (e) {
-                    // ignore stat errors and continue to serve the file
-                }
-                const stream = fs.createReadStream(safePath2)
-                stream.pipe(res)
-                stream.on('error', () => {
-                    res.statusCode = 500
-                    res.end('Server error')
-                })
-            } catch (err) {
-                res.statusCode = 500
-                res.end('Server error')
-            }
-        })
-
-        await server.listen(3000, '127.0.0.1')
-        await server2.listen(3001, '127.0.0.1')
-        const mode = await chooseMode();
-        if (mode === "interactive") {
-            win.loadURL(`http://127.0.0.1:${3000}/`)
-        } else {
-            win.loadURL(`http://127.0.0.1:${3001}/`)
-        }
-
+        // Open the saved default mode directly; otherwise let the user pick
+        // with the gamepad (their choice can be saved from the chooser).
+        const mode = resolveStartMode()
+        if (!mode || !loadMode(mode)) showModeChooser()
 
-        // Close server when the window is closed or app quits
-        const cleanup = () => {
-            try { server2.close() } catch (e) { }
-            try { server.close() } catch (e) { }
-        }
-        win.on('closed', cleanup)
-        app.on('will-quit', cleanup)
+        // Close servers when the window is closed or app quits
+        win.on('closed', staticServer.close)
+        app.on('will-quit', staticServer.close)
 
     } else if (fs.existsSync(localIndex)) {
         // fallback to the local index.html in this folder
@@ -683,22 +1032,16 @@ async function createWindow() {
 }
 
 app.whenReady().then(async () => {
+    if (exportContentArg) return runContentExport()
     // Attempt to create the stable AppImage symlink at startup so systemd or
     // other system integrations can reference a predictable filename.
     try { await tryCreateAppImageSymlink() } catch (e) { /* ignore */ }
-    // On Linux, try to set brightness to max on startup so the display is
-    // usable immediately (uses brightnessctl if available).
-    try {
-        if (process.platform === 'linux') {
-            try {
-                await execPromise('brightnessctl set 100%')
-                try { log.info('[startup] brightness set to 100%') } catch (e) { }
-            } catch (e) {
-                try { log.warn('[startup] brightness set failed:', e && e.message) } catch (ee) { }
-            }
-        }
-    } catch (e) { /* ignore */ }
     createWindow()
+    // restores the saved brightness level (see brightness.js)
+    if (process.platform === 'linux') brightness.start()
+    powerMonitor.start()
+    shutdownSchedule.start()
+    startWifiMonitor()
 })
 
 app.on('window-all-closed', () => {
@@ -709,75 +1052,76 @@ app.on('activate', () => {
     if (BrowserWindow.getAllWindows().length === 0) createWindow()
 })
 
-// Helper: promisified exec
-function execPromise(cmd, opts = {}) {
-    return new Promise((resolve, reject) => {
-        exec(cmd, opts, (err, stdout, stderr) => {
-            if (err) return reject(err)
-            resolve({ stdout: String(stdout || ''), stderr: String(stderr || '') })
-        })
-    })
-}
+// Screen brightness (Linux, see brightness.js): the backlight through sysfs or
+// brightnessctl, the saved level restored at startup and the idle dim/blank
+// policy. Changes are pushed to the renderer as brightness:changed.
+const brightness = createBrightnessController({
+    getConfig: () => settings.get('brightness') || {},
+    saveLevel: (level) => settings.update('brightness', { level }),
+    getLastActivity: () => lastActivityAt,
+    // presentations and narration run without input and must stay visible
+    isBusy: () => currentMode === 'presentation' || tts.status().speaking,
+    onChange: (status) => sendToMain('brightness:changed', status)
+})
+app.on('will-quit', () => brightness.stop())
 
-// Brightness control handlers. Uses the `brightnessctl` CLI on Linux. We
-// expose get/set via IPC so the renderer can control screen brightness.
+// value: the current backlight percent (lower than `level` while dimmed)
 ipcMain.handle('brightness:get', async () => {
     try {
         if (process.platform !== 'linux') return { ok: false, supported: false }
-        // Try to read current and max values to compute percent if possible
-        let cur = null
-        let max = null
-        try {
-            const r1 = await execPromise('brightnessctl get')
-            cur = parseInt(String(r1.stdout || '').trim(), 10)
-        } catch (e) { cur = null }
-        try {
-            const r2 = await execPromise('brightnessctl max')
-            max = parseInt(String(r2.stdout || '').trim(), 10)
-        } catch (e) { max = null }
-        if (cur === null) {
-            // Try alternative short commands
-            try { const r = await execPromise('brightnessctl g'); cur = parseInt(String(r.stdout || '').trim(), 10) } catch (e) { }
-            try { const r = await execPromise('brightnessctl m'); if (!max) max = parseInt(String(r.stdout || '').trim(), 10) } catch (e) { }
-        }
-        if (cur === null) return { ok: false, supported: true, error: 'could not read current brightness' }
-        let percent = null
-        if (max && max > 0) percent = Math.round((cur / max) * 100)
-        return { ok: true, supported: true, value: percent !== null ? percent : cur, raw: { cur, max } }
+        const status = await brightness.status()
+        return { ok: true, ...status, value: status.percent }
     } catch (e) {
-        return { ok: false, error: String(e) }
+        return { ok: false, supported: true, error: String(e) }
     }
 })
 
+// sets and saves the level (MIN_LEVEL_PERCENT-100)
 ipcMain.handle('brightness:set', async (_, percent) => {
     try {
         if (process.platform !== 'linux') return { ok: false, supported: false }
         if (typeof percent !== 'number') return { ok: false, error: 'percent must be a number' }
-        const clamped = Math.max(0, Math.min(100, Math.round(percent)))
-        // brightnessctl accepts percentage arguments like '50%'
-        await execPromise(`brightnessctl set ${clamped}%`)
-        return { ok: true, supported: true, value: clamped }
+        const status = await brightness.set(percent)
+        return { ok: true, ...status, value: status.percent }
     } catch (e) {
         return { ok: false, error: String(e) }
     }
 })
 
+ipcMain.handle('brightness:get-config', async () => ({ ok: true, config: settings.get('brightness') }))
+
+ipcMain.handle('brightness:set-config', async (_, patch = {}) => {
+    const current = settings.get('brightness') || {}
+    const next = { ...current, ...(patch || {}) }
+    const error = validateBrightnessConfig(next)
+    if (error) return { ok: false, error }
+    settings.set('brightness', next)
+    if (process.platform === 'linux') {
+        try {
+            if (Number(next.level) !== Number(current.level)) await brightness.set(Number(next.level))
+            else await brightness.refresh()
+        } catch (e) {
+            return { ok: false, config: settings.get('brightness'), error: String(e) }
+        }
+    }
+    return { ok: true, config: settings.get('brightness') }
+})
+
 // IPC: autostart status / control for systemd --user service (Linux only)
+const AUTOSTART_UNIT = 'gamepad-overlay.service'
+
+// is-enabled/is-active exit non-zero for "disabled"/"inactive", so only the
+// printed state counts
+async function autostartStatus() {
+    const r1 = await runCommand('systemctl', ['--user', 'is-enabled', AUTOSTART_UNIT])
+    const r2 = await runCommand('systemctl', ['--user', 'is-active', AUTOSTART_UNIT])
+    return { ok: true, supported: true, enabled: r1.stdout.trim() === 'enabled', active: r2.stdout.trim() === 'active' }
+}
+
 ipcMain.handle('autostart:status', async () => {
     try {
         if (process.platform !== 'linux') return { ok: false, supported: false }
-        // Check is-enabled and is-active
-        let enabled = false
-        let active = false
-        try {
-            const r1 = await execPromise('systemctl --user is-enabled gamepad-overlay.service')
-            enabled = String(r1.stdout || '').trim() === 'enabled'
-        } catch (e) { enabled = false }
-        try {
-            const r2 = await execPromise('systemctl --user is-active gamepad-overlay.service')
-            active = String(r2.stdout || '').trim() === 'active'
-        } catch (e) { active = false }
-        return { ok: true, supported: true, enabled, active }
+        return await autostartStatus()
     } catch (e) {
         return { ok: false, error: String(e) }
     }
@@ -786,44 +1130,31 @@ ipcMain.handle('autostart:status', async () => {
 ipcMain.handle('autostart:set', async (_, enabled) => {
     try {
         if (process.platform !== 'linux') return { ok: false, supported: false }
-        if (enabled) {
-            // enable on boot and start now
-            await execPromise('systemctl --user enable --now gamepad-overlay.service')
-        } else {
-            // disable on boot and stop now
-            await execPromise('systemctl --user disable --now gamepad-overlay.service')
-        }
-        // return updated status
-        const status = await ipcMain.invoke ? await ipcMain.invoke('autostart:status') : null
-        // ipcMain.invoke usually not available here; instead re-run check inline
-        let enabledNow = false
-        let activeNow = false
-        try { const r1 = await execPromise('systemctl --user is-enabled gamepad-overlay.service'); enabledNow = String(r1.stdout || '').trim() === 'enabled' } catch (e) { enabledNow = false }
-        try { const r2 = await execPromise('systemctl --user is-active gamepad-overlay.service'); activeNow = String(r2.stdout || '').trim() === 'active' } catch (e) { activeNow = false }
-        return { ok: true, supported: true, enabled: enabledNow, active: activeNow }
+        // enable on boot and start now, or disable on boot and stop now
+        await runChecked('systemctl', ['--user', enabled ? 'enable' : 'disable', '--now', AUTOSTART_UNIT])
+        return await autostartStatus()
     } catch (e) {
         return { ok: false, error: String(e) }
     }
 })
 
-// IPC: perform a system power action using sudo. Expects 'poweroff' or 'reboot'.
-// WARNING: this will write the provided password to the stdin of sudo. That is
-// potentially insecure. The UI currently sends the password 'butterfly'.
+// Push an event to the app window
+const sendToMain = (channel, payload) => {
+    try { if (mainWindow && !mainWindow.isDestroyed()) mainWindow.webContents.send(channel, payload) } catch (e) { }
+}
+
+// IPC: perform a system power action: 'poweroff', 'reboot', 'suspend' or
+// 'hibernate'. Runs `systemctl <action>` without sudo, so the app's user must
+// be allowed to (logind's defaults for the active seat, or a polkit rule).
 ipcMain.handle('system:power', async (_, action) => {
     try {
         if (process.platform !== 'linux') return { ok: false, supported: false, error: 'Unsupported platform' }
-        if (!['poweroff', 'reboot'].includes(action)) return { ok: false, error: 'Invalid action' }
-
-        // Execute the system action directly without sudo. The caller should
-        // ensure the environment has appropriate privileges (e.g. systemd
-        // service or polkit rules). We intentionally do not prompt for sudo
-        // here — caller previously passed a password which is now ignored.
-        const cmd = action === 'poweroff' ? 'systemctl poweroff' : 'systemctl reboot'
+        if (!POWER_ACTIONS.includes(action)) return { ok: false, error: 'Invalid action' }
         try {
-            const out = await execPromise(cmd)
-            return { ok: true, supported: true, stdout: out.stdout }
+            const stdout = await runPowerAction(action)
+            return { ok: true, supported: true, stdout }
         } catch (e) {
-            // execPromise rejects on non-zero exit; surface stderr where present
+            // non-zero exit or not available; surface stderr where present
             return { ok: false, supported: true, error: String(e), stderr: e.stderr || null }
         }
     } catch (e) {
@@ -831,14 +1162,47 @@ ipcMain.handle('system:power', async (_, action) => {
     }
 })
 
+// IPC: which power actions are available ({ poweroff, reboot, suspend, hibernate, wakeAlarm })
+ipcMain.handle('system:capabilities', async () => {
+    try {
+        return { ok: true, ...await detectPowerCapabilities() }
+    } catch (e) {
+        return { ok: false, error: String(e) }
+    }
+})
+
+// Daily scheduled shutdown; the countdown goes to the renderer as
+// system:shutdown-countdown so it can show it and offer to cancel
+const shutdownSchedule = createShutdownSchedule({
+    getConfig: () => settings.get('shutdown') || {},
+    onCountdown: (payload) => sendToMain('system:shutdown-countdown', payload),
+    shutdown: () => runPowerAction('poweroff'),
+    setWakeAlarm: (date) => {
+        log.info('[power] wake alarm set for', date.toISOString())
+        return setWakeAlarm(date)
+    }
+})
+
+ipcMain.handle('system:shutdown-status', async () => shutdownSchedule.status())
+
+ipcMain.handle('system:set-shutdown', async (_, patch = {}) => {
+    const next = { ...(settings.get('shutdown') || {}), ...(patch || {}) }
+    const error = validateShutdownConfig(next)
+    if (error) return { ok: false, error }
+    settings.set('shutdown', next)
+    return shutdownSchedule.reschedule()
+})
+
+ipcMain.handle('system:cancel-shutdown', async () => shutdownSchedule.cancel())
+
 // IPC: stop the user service and quit the app (Linux only)
-ipcMain.handle('system:stop-and-quit', async (_, password) => {
+ipcMain.handle('system:stop-and-quit', async () => {
     try {
         if (process.platform !== 'linux') return { ok: false, supported: false, error: 'Unsupported platform' }
 
         // Stop the user service (no sudo expected for --user)
         try {
-            await execPromise('systemctl --user stop gamepad-overlay.service')
+            await runChecked('systemctl', ['--user', 'stop', AUTOSTART_UNIT])
         } catch (e) {
             console.warn('Failed to stop service:', e && e.message)
         }
@@ -854,103 +1218,142 @@ ipcMain.handle('system:stop-and-quit', async (_, password) => {
     }
 })
 
-// Wi-Fi management via nmcli (Linux only)
-ipcMain.handle('wifi:scan', async () => {
-    try {
-        if (process.platform !== 'linux') return { ok: false, supported: false }
-        // list wifi access points in terse format: SSID:SECURITY:SIGNAL:BARS
-        const cmd = 'nmcli -t -f SSID,SECURITY,SIGNAL,BARS device wifi list'
-        const out = await execPromise(cmd)
-        const lines = String(out.stdout || '').split('\n').map(l => l.trim()).filter(Boolean)
-        const networks = []
-        for (const line of lines) {
-            // SSID:SECURITY:SIGNAL:BARS (SSID may contain colons, so split from the end)
-            const parts = line.split(':')
-            if (parts.length < 4) continue
-            const bars = parts.pop()
-            const signal = parts.pop()
-            const security = parts.pop()
-            const ssid = parts.join(':')
-            networks.push({ ssid, security, signal: Number(signal || 0), bars })
-        }
-        return { ok: true, supported: true, networks }
-    } catch (e) {
-        return { ok: false, error: String(e) }
+// Battery monitoring: the renderer gets power:changed with the battery state
+// and power:warning when it runs low (see power.js)
+const powerMonitor = createPowerMonitor({
+    getConfig: () => settings.get('power') || {},
+    onChange: (state) => sendToMain('power:changed', state),
+    onWarning: (warning) => {
+        log.warn('[power] battery warning:', JSON.stringify(warning))
+        sendToMain('power:warning', warning)
+    },
+    suspend: async () => {
+        log.warn('[power] battery nearly empty, suspending')
+        await runPowerAction('suspend')
     }
 })
 
-ipcMain.handle('wifi:list', async () => {
+ipcMain.handle('power:status', async () => {
     try {
-        if (process.platform !== 'linux') return { ok: false, supported: false }
-        // show known connections
-        const out = await execPromise('nmcli -t -f NAME,UUID,TYPE connection show')
-        const lines = String(out.stdout || '').split('\n').map(l => l.trim()).filter(Boolean)
-        const conns = lines.map(l => {
-            const [name, uuid, type] = l.split(':')
-            return { name, uuid, type }
-        })
-        return { ok: true, supported: true, connections: conns }
+        return { ok: true, ...await powerMonitor.status() }
     } catch (e) {
         return { ok: false, error: String(e) }
     }
 })
 
-ipcMain.handle('wifi:connect', async (_, ssid, password) => {
-    try {
-        if (process.platform !== 'linux') return { ok: false, supported: false }
-        if (!ssid) return { ok: false, error: 'SSID required' }
-        // Build command: include password only when provided
-        const safeSsid = ssid.replace(/"/g, '\\"')
-        let cmd = `nmcli device wifi connect "${safeSsid}"`
-        if (password) {
-            const safePass = String(password).replace(/"/g, '\\"')
-            cmd += ` password "${safePass}"`
-        }
-        const out = await execPromise(cmd)
-        return { ok: true, supported: true, stdout: out.stdout }
-    } catch (e) {
-        return { ok: false, error: String(e), stderr: e.stderr || null }
-    }
+ipcMain.handle('power:get-config', async () => ({ ok: true, config: settings.get('power') }))
+
+ipcMain.handle('power:set-config', async (_, patch = {}) => {
+    const next = { ...(settings.get('power') || {}), ...(patch || {}) }
+    const error = validatePowerConfig(next)
+    if (error) return { ok: false, error }
+    settings.set('power', next)
+    // thresholds apply from the next poll; re-check right away
+    powerMonitor.refresh()
+    return { ok: true, config: next }
 })
 
-ipcMain.handle('wifi:disconnect', async (_, ssid) => {
+// Wi-Fi management via nmcli (Linux only, see network.js). Connectivity
+// changes are pushed to the renderer as wifi:changed with the Wi-Fi status.
+const networkHandler = (fn) => async (...args) => {
     try {
         if (process.platform !== 'linux') return { ok: false, supported: false }
-        if (!ssid) return { ok: false, error: 'SSID required' }
-        // Try to find an active connection matching the SSID and bring it down by UUID
-        try {
-            const active = await execPromise('nmcli -t -f NAME,UUID,DEVICE connection show --active')
-            const lines = String(active.stdout || '').split('\n').map(l => l.trim()).filter(Boolean)
-            for (const l of lines) {
-                const [name, uuid, device] = l.split(':')
-                if (name === ssid) {
-                    await execPromise(`nmcli connection down uuid ${uuid}`)
-                    return { ok: true, supported: true }
-                }
-            }
-        } catch (e) {
-            // fall through to generic disconnect
-        }
-        // fallback: try to delete or deactivate by name
-        try {
-            await execPromise(`nmcli connection down id "${ssid.replace(/"/g, '\\"')}"`)
-            return { ok: true, supported: true }
-        } catch (e) {
-            return { ok: false, error: 'Could not find/stop connection', stderr: String(e) }
-        }
+        return { ok: true, supported: true, ...await fn(...args) }
     } catch (e) {
-        return { ok: false, error: String(e) }
+        return { ok: false, supported: true, error: String(e), stderr: e.stderr || null }
     }
-})
+}
 
-ipcMain.handle('wifi:status', async (_, ssid) => {
-    try {
-        if (process.platform !== 'linux') return { ok: false, supported: false }
-        // show general network status
-        const res = await execPromise('nmcli -t -f STATE general')
-        const state = String(res.stdout || '').trim()
-        return { ok: true, supported: true, state }
-    } catch (e) {
-        return { ok: false, error: String(e) }
+// opts: { rescan: true | false | 'auto' }
+ipcMain.handle('wifi:scan', networkHandler(async (_, opts = {}) => ({ networks: await network.scanNetworks(opts || {}) })))
+
+ipcMain.handle('wifi:rescan', networkHandler(async () => {
+    await network.rescan()
+    return {}
+}))
+
+// saved Wi-Fi networks with their autoconnect priority
+ipcMain.handle('wifi:list', networkHandler(async () => ({ connections: await network.listSaved() })))
+
+// opts: { hidden, security: 'wpa-eap', identity, anonymousIdentity, eap,
+// phase2, caCert, domain, priority, autoconnect }
+ipcMain.handle('wifi:connect', networkHandler(async (_, ssid, password, opts = {}) => {
+    if (!ssid) throw new Error('SSID required')
+    return await network.connect(ssid, { ...(opts || {}), password })
+}))
+
+ipcMain.handle('wifi:disconnect', networkHandler(async (_, ssid) => {
+    await network.disconnect(ssid)
+    return {}
+}))
+
+ipcMain.handle('wifi:forget', networkHandler(async (_, id) => ({ forgotten: await network.forget(id) })))
+
+ipcMain.handle('wifi:set-priority', networkHandler(async (_, id, priority, autoconnect) => ({ connection: await network.setPriority(id, priority, autoconnect) })))
+
+// current network: { state, connectivity, device, connected, ssid, signal, ip, gateway, dns }
+ipcMain.handle('wifi:status', networkHandler(async (_, ssid) => network.wifiStatus(ssid)))
+
+let wifiMonitor = null
+function startWifiMonitor() {
+    if (process.platform !== 'linux' || wifiMonitor) return
+    wifiMonitor = network.createWifiMonitor({ onChange: (status) => sendToMain('wifi:changed', status) })
+    app.on('will-quit', () => wifiMonitor.stop())
+}
+
+// Wired/Wi-Fi interfaces and their IPv4 settings (Linux, see network.js)
+ipcMain.handle('network:interfaces', networkHandler(async () => ({ interfaces: await network.listInterfaces() })))
+
+// id: a connection UUID/name or a device such as eth0
+ipcMain.handle('network:get-ipv4', networkHandler(async (_, id) => ({ config: await network.getIpv4Config(id) })))
+
+// config: { method: 'auto' | 'manual', address: '192.168.1.20/24', gateway, dns: [] }
+ipcMain.handle('network:set-ipv4', networkHandler(async (_, id, config = {}) => {
+    const error = network.validateIpv4Config(config || {})
+    if (error) throw new Error(error)
+    const result = await network.setIpv4Config(id, config)
+    log.info('[network] IPv4 of', id, 'set to', config.method, config.address || '')
+    return { config: result }
+}))
+
+// Route the updater (proxy.js) and Electron's sessions - the app window and
+// electron-updater's own session - through the configured proxy
+async function applyProxy(config) {
+    proxy.setProxy(config)
+    const rules = proxy.electronProxyConfig(config)
+    for (const ses of [session.defaultSession, session.fromPartition('electron-updater', { cache: false })]) {
+        try { await ses.setProxy(rules) } catch (e) { log.warn('[network] could not set the proxy:', e && e.message) }
     }
+    log.info('[network] proxy:', proxy.describeProxy() || 'none')
+}
+
+// Proxies that ask for a login get the credentials from the proxy URL
+app.on('login', (event, webContents, details, authInfo, callback) => {
+    const credentials = authInfo && authInfo.isProxy ? proxy.proxyCredentials() : null
+    if (!credentials) return
+    event.preventDefault()
+    callback(credentials.username, credentials.password)
+})
+
+// the renderer never sees the proxy password
+const describeProxyConfig = () => {
+    const config = { ...(settings.get('proxy') || {}) }
+    if (config.url) config.url = proxy.redactProxyUrl(config.url) || ''
+    return { ok: true, config, active: proxy.describeProxy() }
+}
+
+ipcMain.handle('network:get-proxy', async () => describeProxyConfig())
+
+ipcMain.handle('network:set-proxy', async (_, patch = {}) => {
+    const saved = settings.get('proxy') || {}
+    const next = { ...saved, ...(patch || {}) }
+    if (typeof next.bypass === 'string') next.bypass = next.bypass.split(',').map(b => b.trim()).filter(Boolean)
+    next.url = String(next.url || '').trim()
+    // the redacted URL from getProxy() sent back unchanged keeps the saved password
+    if (saved.url && next.url === proxy.redactProxyUrl(saved.url)) next.url = saved.url
+    const error = proxy.validateProxyConfig(next)
+    if (error) return { ok: false, error }
+    settings.set('proxy', next)
+    await applyProxy(next)
+    return describeProxyConfig()
 })
\ No newline at end of file
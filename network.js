@@ -0,0 +1,447 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { runChecked, runCommand, spawnCommand } = require('./run-command')
+
+// Network management through NetworkManager's nmcli: Wi-Fi scanning, saved
+// networks (forget, autoconnect priority), hidden SSIDs, WPA2-Enterprise and
+// the current connection, plus a monitor that reports connectivity changes
+// as they happen (`nmcli monitor`). Wired and Wi-Fi interfaces can be
+// switched between DHCP and a static IPv4 address with fixed DNS servers.
+//
+// Passwords never go on the nmcli command line, where every local user can
+// read them in /proc/<pid>/cmdline: profiles are saved without their secret
+// and it is handed over in a passwd-file (0600, deleted right after) when the
+// connection comes up; NetworkManager then stores it with the profile.
+
+const NMCLI_TIMEOUT_MS = 15000
+// connecting includes DHCP, which can take a while
+const CONNECT_TIMEOUT_MS = 90000
+const MONITOR_DEBOUNCE_MS = 500
+const MONITOR_RESTART_MS = 5000
+
+function nmcli(args, opts = {}) {
+    return runChecked('nmcli', args, { timeout: NMCLI_TIMEOUT_MS, ...opts })
+}
+
+// Split a terse (-t) nmcli line; values escape ':' and '\' with a backslash
+function splitTerse(line) {
+    const fields = []
+    let cur = ''
+    for (let i = 0; i < line.length; i++) {
+        const ch = line[i]
+        if (ch === '\\' && i + 1 < line.length) cur += line[++i]
+        else if (ch === ':') {
+            fields.push(cur)
+            cur = ''
+        } else cur += ch
+    }
+    fields.push(cur)
+    return fields
+}
+
+function terseRows(stdout, names) {
+    return String(stdout || '').split('\n').filter(l => l.trim()).map((line) => {
+        const values = splitTerse(line)
+        const row = {}
+        names.forEach((name, i) => { row[name] = typeof values[i] === 'undefined' ? '' : values[i] })
+        return row
+    })
+}
+
+// Visible networks, strongest access point per SSID first. rescan: true asks
+// the radio for a fresh scan first (slower), false uses the cached list.
+async function scanNetworks({ rescan = 'auto' } = {}) {
+    const when = rescan === true ? 'yes' : rescan === false ? 'no' : 'auto'
+    const out = await nmcli(['-t', '-f', 'IN-USE,SSID,BSSID,SECURITY,SIGNAL,BARS,CHAN', 'device', 'wifi', 'list', '--rescan', when], { timeout: 30000 })
+    const saved = new Set((await listSaved().catch(() => [])).map(c => c.ssid || c.name))
+    const bySsid = new Map()
+    for (const row of terseRows(out.stdout, ['inUse', 'ssid', 'bssid', 'security', 'signal', 'bars', 'channel'])) {
+        // hidden networks don't broadcast a name; connect to them by SSID
+        if (!row.ssid) continue
+        const network = {
+            ssid: row.ssid,
+            security: row.security,
+            signal: Number(row.signal || 0),
+            bars: row.bars,
+            channel: Number(row.channel || 0) || null,
+            inUse: row.inUse === '*',
+            saved: saved.has(row.ssid),
+            enterprise: /802\.1X/.test(row.security)
+        }
+        const seen = bySsid.get(network.ssid)
+        if (!seen || network.inUse || (!seen.inUse && network.signal > seen.signal)) bySsid.set(network.ssid, network)
+    }
+    return Array.from(bySsid.values()).sort((a, b) => (b.inUse - a.inUse) || (b.signal - a.signal))
+}
+
+// Ask the radio for a new scan; results show up in scanNetworks() shortly after
+function rescan() {
+    return nmcli(['device', 'wifi', 'rescan'])
+}
+
+// Saved Wi-Fi profiles: [{ name, uuid, ssid, autoconnect, priority, active }]
+async function listSaved() {
+    const out = await nmcli(['-t', '-f', 'NAME,UUID,TYPE,AUTOCONNECT,AUTOCONNECT-PRIORITY,ACTIVE', 'connection', 'show'])
+    const wifi = terseRows(out.stdout, ['name', 'uuid', 'type', 'autoconnect', 'priority', 'active'])
+        .filter(c => c.type === '802-11-wireless' || c.type === 'wifi')
+    const saved = []
+    for (const c of wifi) {
+        // the profile name usually is the SSID, but need not be
+        let ssid = c.name
+        try { ssid = splitTerse((await nmcli(['-g', '802-11-wireless.ssid', 'connection', 'show', 'uuid', c.uuid])).stdout.trim())[0] || c.name } catch (e) { }
+        saved.push({ name: c.name, uuid: c.uuid, ssid, autoconnect: c.autoconnect === 'yes', priority: Number(c.priority || 0), active: c.active === 'yes' })
+    }
+    return saved.sort((a, b) => b.priority - a.priority)
+}
+
+// A saved profile by UUID, name or SSID
+async function findSaved(idOrSsid) {
+    const saved = await listSaved()
+    return saved.find(c => c.uuid === idOrSsid) || saved.find(c => c.name === idOrSsid) || saved.find(c => c.ssid === idOrSsid) || null
+}
+
+function profileSettings(opts) {
+    const args = []
+    if (typeof opts.autoconnect === 'boolean') args.push('connection.autoconnect', opts.autoconnect ? 'yes' : 'no')
+    if (typeof opts.priority !== 'undefined') args.push('connection.autoconnect-priority', String(Math.round(Number(opts.priority) || 0)))
+    return args
+}
+
+// WPA2-Enterprise profile settings (PEAP with MSCHAPv2 unless told otherwise)
+function enterpriseSettings(ssid, opts) {
+    if (!opts.identity) throw new Error('identity is required for WPA2-Enterprise')
+    const args = [
+        '802-11-wireless.ssid', ssid,
+        '802-11-wireless.hidden', opts.hidden ? 'yes' : 'no',
+        'wifi-sec.key-mgmt', 'wpa-eap',
+        '802-1x.eap', opts.eap || 'peap',
+        '802-1x.phase2-auth', opts.phase2 || 'mschapv2',
+        '802-1x.identity', String(opts.identity)
+    ]
+    if (opts.anonymousIdentity) args.push('802-1x.anonymous-identity', String(opts.anonymousIdentity))
+    if (opts.caCert) args.push('802-1x.ca-cert', String(opts.caCert))
+    if (opts.domain) args.push('802-1x.domain-suffix-match', String(opts.domain))
+    return args
+}
+
+// Profile settings for a password-protected network, from the security the
+// cached scan shows for it: WPA/WPA2 (also WPA2/WPA3 mixed) use a PSK, WPA3-only
+// networks SAE and WEP a key or passphrase. `secret` names the setting the
+// password goes to.
+async function pskSettings(ssid, password) {
+    const visible = (await scanNetworks({ rescan: false }).catch(() => [])).find(n => n.ssid === ssid)
+    const security = visible ? visible.security : ''
+    if (/WEP/.test(security)) {
+        // 5/13 characters or 10/26 hex digits are a key, anything else a passphrase
+        const isKey = /^(.{5}|.{13}|[\da-f]{10}|[\da-f]{26})$/i.test(password)
+        return { settings: ['wifi-sec.key-mgmt', 'none', 'wifi-sec.wep-key-type', isKey ? '1' : '2'], secret: 'wifi-sec.wep-key0' }
+    }
+    const sae = /WPA3/.test(security) && !/WPA[12]/.test(security)
+    return { settings: ['wifi-sec.key-mgmt', sae ? 'sae' : 'wpa-psk'], secret: 'wifi-sec.psk' }
+}
+
+// Bring a profile up, answering NetworkManager's secret requests from
+// `secrets` ({ 'wifi-sec.psk': '...' }) through a private passwd-file
+async function activate(uuid, secrets = {}) {
+    const lines = Object.keys(secrets).filter(k => secrets[k]).map(k => `${k}:${secrets[k]}`)
+    if (lines.length === 0) return nmcli(['connection', 'up', 'uuid', uuid], { timeout: CONNECT_TIMEOUT_MS })
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nm-secrets-'))
+    const file = path.join(dir, 'passwd')
+    try {
+        fs.writeFileSync(file, lines.join('\n') + '\n', { mode: 0o600 })
+        return await nmcli(['connection', 'up', 'uuid', uuid, 'passwd-file', file], { timeout: CONNECT_TIMEOUT_MS })
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true })
+    }
+}
+
+// Save `settings` in the profile for `ssid` and bring it up with `secrets`.
+// A saved profile's old secrets are dropped first so NetworkManager asks for
+// the new ones; a profile created here is removed again when it can't
+// connect (e.g. a wrong password). Resolves { uuid, stdout }.
+async function connectProfile(ssid, settings, secrets) {
+    const given = Object.keys(secrets).filter(k => secrets[k])
+    const existing = await findSaved(ssid).catch(() => null)
+    let uuid = existing && existing.uuid
+    if (uuid) {
+        const cleared = [].concat(...given.map(name => [name, '']))
+        await nmcli(['connection', 'modify', 'uuid', uuid].concat(settings, cleared))
+    } else {
+        const out = await nmcli(['connection', 'add', 'type', 'wifi', 'con-name', ssid, 'ifname', '*', 'ssid', ssid].concat(settings))
+        const m = /\(([0-9a-f-]{36})\)/i.exec(out.stdout)
+        uuid = m ? m[1] : (await findSaved(ssid)).uuid
+    }
+    try {
+        const out = await activate(uuid, secrets)
+        return { uuid, stdout: out.stdout }
+    } catch (e) {
+        if (!existing) await nmcli(['connection', 'delete', 'uuid', uuid]).catch(() => { })
+        throw e
+    }
+}
+
+// The UUID nmcli names in "Device 'wlan0' successfully activated with '<uuid>'."
+function activatedUuid(stdout) {
+    const m = /activated with '([0-9a-f-]{36})'/i.exec(String(stdout || ''))
+    return m ? m[1] : null
+}
+
+// Connect to `ssid`. Options: { password, hidden, security: 'wpa-eap' for
+// WPA2-Enterprise (with identity, anonymousIdentity, eap, phase2, caCert,
+// domain), priority, autoconnect }. Resolves { uuid, stdout }.
+async function connect(ssid, opts = {}) {
+    if (!ssid) throw new Error('SSID required')
+    ssid = String(ssid)
+    const password = opts.password ? String(opts.password) : ''
+    // a passwd-file holds one secret per line
+    if (/[\r\n]/.test(password)) throw new Error('The password must not contain line breaks')
+    if (opts.security === 'wpa-eap') {
+        return connectProfile(ssid, enterpriseSettings(ssid, opts).concat(profileSettings(opts)), { '802-1x.password': password })
+    }
+    if (password) {
+        const security = await pskSettings(ssid, password)
+        const settings = ['802-11-wireless.ssid', ssid, '802-11-wireless.hidden', opts.hidden ? 'yes' : 'no'].concat(security.settings, profileSettings(opts))
+        return connectProfile(ssid, settings, { [security.secret]: password })
+    }
+    // open networks, and saved ones NetworkManager has the secret for
+    const args = ['device', 'wifi', 'connect', ssid]
+    if (opts.hidden) args.push('hidden', 'yes')
+    const out = await nmcli(args, { timeout: CONNECT_TIMEOUT_MS })
+    const uuid = activatedUuid(out.stdout) || ((await findSaved(ssid).catch(() => null)) || {}).uuid || null
+    const extra = profileSettings(opts)
+    if (uuid && extra.length) await nmcli(['connection', 'modify', 'uuid', uuid].concat(extra))
+    return { uuid, stdout: out.stdout }
+}
+
+// Bring the connection for `ssid` down (the Wi-Fi device when no SSID is given)
+async function disconnect(ssid) {
+    if (!ssid) {
+        const device = await wifiDevice()
+        if (!device) throw new Error('No Wi-Fi device')
+        return nmcli(['device', 'disconnect', device.device])
+    }
+    const active = await nmcli(['-t', '-f', 'NAME,UUID,TYPE', 'connection', 'show', '--active'])
+    const match = terseRows(active.stdout, ['name', 'uuid', 'type']).find(c => c.name === ssid)
+    if (match) return nmcli(['connection', 'down', 'uuid', match.uuid])
+    return nmcli(['connection', 'down', 'id', String(ssid)])
+}
+
+// Delete a saved network (by UUID, profile name or SSID)
+async function forget(idOrSsid) {
+    const saved = await findSaved(String(idOrSsid || ''))
+    if (!saved) throw new Error(`No saved network ${idOrSsid}`)
+    await nmcli(['connection', 'delete', 'uuid', saved.uuid])
+    return saved
+}
+
+// Autoconnect priority (higher wins when several saved networks are in range)
+async function setPriority(idOrSsid, priority, autoconnect) {
+    const saved = await findSaved(String(idOrSsid || ''))
+    if (!saved) throw new Error(`No saved network ${idOrSsid}`)
+    await nmcli(['connection', 'modify', 'uuid', saved.uuid].concat(profileSettings({ priority, autoconnect })))
+    return { ...saved, priority: Math.round(Number(priority) || 0), autoconnect: typeof autoconnect === 'boolean' ? autoconnect : saved.autoconnect }
+}
+
+// The first Wi-Fi device as { device, state, connection }
+async function wifiDevice() {
+    const out = await nmcli(['-t', '-f', 'DEVICE,TYPE,STATE,CONNECTION', 'device', 'status'])
+    return terseRows(out.stdout, ['device', 'type', 'state', 'connection']).find(d => d.type === 'wifi') || null
+}
+
+// IPv4 address (CIDR), gateway and DNS servers, MAC address and active
+// connection of a device
+async function deviceAddress(device) {
+    const res = await runCommand('nmcli', ['-t', '-f', 'GENERAL.HWADDR,GENERAL.CON-UUID,IP4.ADDRESS,IP4.GATEWAY,IP4.DNS', 'device', 'show', device], { timeout: NMCLI_TIMEOUT_MS })
+    const info = { ip: null, gateway: null, dns: [], mac: null, connectionUuid: null }
+    for (const line of String(res.stdout || '').split('\n')) {
+        const idx = line.indexOf(':')
+        if (idx < 0) continue
+        const key = line.slice(0, idx)
+        const value = line.slice(idx + 1).trim().replace(/\\:/g, ':')
+        if (!value || value === '--') continue
+        if (key === 'GENERAL.HWADDR') info.mac = value
+        else if (key === 'GENERAL.CON-UUID') info.connectionUuid = value
+        else if (key.startsWith('IP4.ADDRESS') && !info.ip) info.ip = value
+        else if (key === 'IP4.GATEWAY') info.gateway = value
+        else if (key.startsWith('IP4.DNS')) info.dns.push(value)
+    }
+    return info
+}
+
+// Overall and Wi-Fi state: { state, connectivity, device, connected, ssid,
+// signal, ip, gateway, dns }. With `ssid`, `connected` says whether that
+// network is the current one.
+async function wifiStatus(ssid) {
+    const general = terseRows((await nmcli(['-t', '-f', 'STATE,CONNECTIVITY', 'general'])).stdout, ['state', 'connectivity'])[0] || {}
+    const status = { state: general.state || 'unknown', connectivity: general.connectivity || 'unknown', device: null, connected: false, ssid: null, signal: null, ip: null, gateway: null, dns: [] }
+    const device = await wifiDevice()
+    if (!device) return status
+    status.device = device.device
+    if (device.state !== 'connected') return status
+    const list = await nmcli(['-t', '-f', 'IN-USE,SSID,SIGNAL', 'device', 'wifi', 'list', '--rescan', 'no'])
+    const current = terseRows(list.stdout, ['inUse', 'ssid', 'signal']).find(r => r.inUse === '*')
+    status.ssid = current ? current.ssid : device.connection
+    status.signal = current ? Number(current.signal || 0) : null
+    const address = await deviceAddress(device.device)
+    Object.assign(status, { ip: address.ip, gateway: address.gateway, dns: address.dns })
+    status.connected = ssid ? status.ssid === ssid : true
+    return status
+}
+
+const IPV4 = /^(25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)(\.(25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)){3}$/
+const isIpv4 = (v) => IPV4.test(String(v || ''))
+const isIpv4Cidr = (v) => {
+    const [ip, prefix, extra] = String(v || '').split('/')
+    return typeof extra === 'undefined' && isIpv4(ip) && /^\d+$/.test(prefix || '') && Number(prefix) >= 1 && Number(prefix) <= 32
+}
+
+// Ethernet and Wi-Fi interfaces: [{ device, type, state, connection,
+// connectionUuid, mac, ip, gateway, dns, method }]
+async function listInterfaces() {
+    const out = await nmcli(['-t', '-f', 'DEVICE,TYPE,STATE,CONNECTION', 'device', 'status'])
+    const devices = terseRows(out.stdout, ['device', 'type', 'state', 'connection']).filter(d => d.type === 'ethernet' || d.type === 'wifi')
+    const interfaces = []
+    for (const d of devices) {
+        const address = await deviceAddress(d.device)
+        let method = null
+        if (address.connectionUuid) {
+            try { method = (await getIpv4Config(address.connectionUuid)).method } catch (e) { }
+        }
+        interfaces.push({ ...d, connection: d.connection || null, ...address, method })
+    }
+    return interfaces
+}
+
+// Connection profile for a connection UUID/name or a device: the device's
+// active connection, else a saved profile bound to it. Resolves { uuid, name } or null.
+async function resolveConnection(id) {
+    id = String(id || '')
+    const out = await nmcli(['-t', '-f', 'NAME,UUID,TYPE,DEVICE', 'connection', 'show'])
+    const rows = terseRows(out.stdout, ['name', 'uuid', 'type', 'device'])
+    const direct = rows.find(c => c.uuid === id) || rows.find(c => c.name === id) || rows.find(c => c.device === id)
+    if (direct) return { uuid: direct.uuid, name: direct.name }
+    for (const c of rows) {
+        try {
+            const bound = (await nmcli(['-g', 'connection.interface-name', 'connection', 'show', 'uuid', c.uuid])).stdout.trim()
+            if (bound === id) return { uuid: c.uuid, name: c.name }
+        } catch (e) { }
+    }
+    return null
+}
+
+// IPv4 settings of a connection: { uuid, name, method: 'auto' | 'manual', address, gateway, dns }
+async function getIpv4Config(id) {
+    const conn = await resolveConnection(id)
+    if (!conn) throw new Error(`No connection for ${id}`)
+    const out = await nmcli(['-t', '-f', 'ipv4.method,ipv4.addresses,ipv4.gateway,ipv4.dns', 'connection', 'show', 'uuid', conn.uuid])
+    const fields = {}
+    for (const line of String(out.stdout || '').split('\n')) {
+        const idx = line.indexOf(':')
+        if (idx > 0) fields[line.slice(0, idx)] = line.slice(idx + 1).trim()
+    }
+    const list = (v) => String(v || '').split(/[,\s]+/).filter(x => x && x !== '--')
+    return {
+        ...conn,
+        method: fields['ipv4.method'] === 'manual' ? 'manual' : 'auto',
+        address: list(fields['ipv4.addresses'])[0] || null,
+        gateway: fields['ipv4.gateway'] && fields['ipv4.gateway'] !== '--' ? fields['ipv4.gateway'] : null,
+        dns: list(fields['ipv4.dns'])
+    }
+}
+
+// Check { method, address, gateway, dns }; returns an error message or null
+function validateIpv4Config(config) {
+    if (!['auto', 'manual'].includes(config.method)) return "method must be 'auto' (DHCP) or 'manual'"
+    if (config.method === 'manual' && !isIpv4Cidr(config.address)) return 'address must be an IPv4 address with prefix, e.g. 192.168.1.20/24'
+    if (config.gateway && !isIpv4(config.gateway)) return 'gateway must be an IPv4 address'
+    if (typeof config.dns !== 'undefined' && (!Array.isArray(config.dns) || !config.dns.every(isIpv4))) return 'dns must be a list of IPv4 addresses'
+    return null
+}
+
+// Switch a connection (or the one of a device) to DHCP or a static address
+// and re-activate it. With DHCP, `dns` replaces the servers DHCP hands out.
+// An Ethernet device without any profile gets a new one.
+async function setIpv4Config(id, config) {
+    const error = validateIpv4Config(config)
+    if (error) throw new Error(error)
+    let conn = await resolveConnection(id)
+    if (!conn) {
+        const device = (await listInterfaces()).find(d => d.device === id && d.type === 'ethernet')
+        if (!device) throw new Error(`No connection for ${id}`)
+        const name = `Wired ${id}`
+        await nmcli(['connection', 'add', 'type', 'ethernet', 'ifname', id, 'con-name', name])
+        conn = await resolveConnection(name)
+    }
+    const dns = (config.dns || []).join(',')
+    const args = config.method === 'manual'
+        ? ['ipv4.method', 'manual', 'ipv4.addresses', config.address, 'ipv4.gateway', config.gateway || '', 'ipv4.dns', dns, 'ipv4.ignore-auto-dns', 'no']
+        : ['ipv4.method', 'auto', 'ipv4.addresses', '', 'ipv4.gateway', '', 'ipv4.dns', dns, 'ipv4.ignore-auto-dns', dns ? 'yes' : 'no']
+    await nmcli(['connection', 'modify', 'uuid', conn.uuid].concat(args))
+    await nmcli(['connection', 'up', 'uuid', conn.uuid], { timeout: CONNECT_TIMEOUT_MS })
+    return getIpv4Config(conn.uuid)
+}
+
+// Follow `nmcli monitor` and call onChange(status) when the Wi-Fi state
+// changes. nmcli is restarted if it exits. Returns { stop }.
+function createWifiMonitor({ onChange, getStatus = wifiStatus }) {
+    let proc = null
+    let stopped = false
+    let debounce = null
+    let restart = null
+    let last = null
+
+    const check = async () => {
+        try {
+            const status = await getStatus()
+            const key = JSON.stringify(status)
+            if (key === last) return
+            last = key
+            onChange(status)
+        } catch (e) { }
+    }
+
+    const start = () => {
+        if (stopped) return
+        try {
+            proc = spawnCommand('nmcli', ['monitor'])
+        } catch (e) {
+            console.warn('[wifi] nmcli monitor failed to start:', e && e.message)
+            return
+        }
+        let buffered = ''
+        proc.stdout.on('data', (chunk) => {
+            buffered += chunk
+            // every line is an event; the status is read once things settle
+            if (!buffered.includes('\n')) return
+            buffered = buffered.slice(buffered.lastIndexOf('\n') + 1)
+            clearTimeout(debounce)
+            debounce = setTimeout(check, MONITOR_DEBOUNCE_MS)
+        })
+        proc.on('error', (e) => {
+            // without nmcli there is nothing to restart
+            if (e.code === 'ENOENT') stopped = true
+        })
+        proc.on('close', () => {
+            proc = null
+            if (!stopped) restart = setTimeout(start, MONITOR_RESTART_MS)
+        })
+    }
+
+    start()
+    check()
+    return {
+        stop() {
+            stopped = true
+            clearTimeout(debounce)
+            clearTimeout(restart)
+            try { if (proc) proc.kill() } catch (e) { }
+        }
+    }
+}
+
+module.exports = {
+    scanNetworks, rescan, listSaved, connect, disconnect, forget, setPriority, wifiStatus, createWifiMonitor,
+    listInterfaces, getIpv4Config, setIpv4Config, validateIpv4Config,
+    splitTerse, terseRows, deviceAddress
+}
@@ -0,0 +1,417 @@
+const fs = require('fs')
+const path = require('path')
+const { runChecked } = require('./run-command')
+const { parseClock } = require('./update-scheduler')
+
+// Battery and power-source state for the renderer, the system power actions
+// (poweroff, reboot, suspend, hibernate) and the daily scheduled shutdown with
+// an optional RTC wake alarm. The kernel's
+// /sys/class/power_supply is read directly (Steam Deck, laptops); when it
+// has no system battery, `upower` is asked instead. Devices such as gamepads
+// report their own batteries there too (scope "Device"); those are skipped.
+//
+// State: { supported, present, percent, state, onAC, timeToEmpty, timeToFull, source }
+//   state: 'charging' | 'discharging' | 'full' | 'not-charging' | 'unknown'
+//   timeToEmpty / timeToFull: seconds, null when the battery doesn't say
+
+const POWER_SUPPLY_DIR = '/sys/class/power_supply'
+const POLL_MS = 30 * 1000
+// seconds between the auto-suspend warning and the suspend itself
+const SUSPEND_GRACE_S = 60
+
+const NO_BATTERY = { supported: true, present: false, percent: null, state: 'unknown', onAC: true, timeToEmpty: null, timeToFull: null, source: null }
+
+function readValue(dir, name) {
+    try { return fs.readFileSync(path.join(dir, name), 'utf8').trim() } catch (e) { return null }
+}
+
+function readNumber(dir, name) {
+    const v = readValue(dir, name)
+    return v === null || v === '' || isNaN(Number(v)) ? null : Number(v)
+}
+
+// first of the files that is present, as a number
+function readFirst(dir, names) {
+    for (const name of names) {
+        const v = readNumber(dir, name)
+        if (v !== null) return v
+    }
+    return null
+}
+
+function normalizeState(value) {
+    const s = String(value || '').trim().toLowerCase().replace(/[\s_]+/g, '-')
+    if (['charging', 'discharging', 'full', 'not-charging'].includes(s)) return s
+    if (s === 'fully-charged') return 'full'
+    if (s === 'pending-charge') return 'not-charging'
+    return 'unknown'
+}
+
+// Read the system batteries and mains adapters from sysfs; null when there is
+// no system battery. Several batteries are combined into one.
+function readSysfs(root = POWER_SUPPLY_DIR) {
+    let names = []
+    try { names = fs.readdirSync(root) } catch (e) { return null }
+    const batteries = []
+    let onAC = null
+    for (const name of names) {
+        const dir = path.join(root, name)
+        const type = readValue(dir, 'type')
+        if (readValue(dir, 'scope') === 'Device') continue
+        if (type === 'Mains' || type === 'USB' || type === 'USB_C') {
+            const online = readNumber(dir, 'online')
+            if (online !== null) onAC = !!onAC || online === 1
+            continue
+        }
+        if (type !== 'Battery' || readNumber(dir, 'present') === 0) continue
+        // energy_* is in µWh with power_now in µW; charge_* in µAh with current_now in µA
+        const now = readFirst(dir, ['energy_now', 'charge_now'])
+        const full = readFirst(dir, ['energy_full', 'charge_full'])
+        const rate = readFirst(dir, ['power_now', 'current_now'])
+        batteries.push({
+            capacity: readNumber(dir, 'capacity'),
+            state: normalizeState(readValue(dir, 'status')),
+            now,
+            full,
+            rate: rate === null ? null : Math.abs(rate)
+        })
+    }
+    if (batteries.length === 0) return null
+
+    const now = batteries.reduce((n, b) => (n === null || b.now === null ? null : n + b.now), 0)
+    const full = batteries.reduce((n, b) => (n === null || b.full === null ? null : n + b.full), 0)
+    const rate = batteries.reduce((n, b) => n + (b.rate || 0), 0)
+    let percent = now !== null && full ? (now / full) * 100 : null
+    if (percent === null) {
+        const known = batteries.filter(b => b.capacity !== null)
+        percent = known.length ? known.reduce((n, b) => n + b.capacity, 0) / known.length : null
+    }
+    const states = batteries.map(b => b.state)
+    const state = states.includes('charging') ? 'charging'
+        : states.includes('discharging') ? 'discharging'
+            : states.every(s => s === 'full') ? 'full'
+                : states.find(s => s !== 'unknown') || 'unknown'
+    return {
+        supported: true,
+        present: true,
+        percent: percent === null ? null : Math.max(0, Math.min(100, Math.round(percent))),
+        state,
+        onAC: onAC === null ? state !== 'discharging' : onAC,
+        timeToEmpty: state === 'discharging' && now !== null && rate > 0 ? Math.round((now / rate) * 3600) : null,
+        timeToFull: state === 'charging' && now !== null && full !== null && rate > 0 ? Math.round(((full - now) / rate) * 3600) : null,
+        source: 'sysfs'
+    }
+}
+
+// "3.2 hours" / "47.5 minutes" -> seconds
+function parseUpowerDuration(value) {
+    const m = /^([\d.,]+)\s*(second|minute|hour|day)s?/i.exec(String(value || '').trim())
+    if (!m) return null
+    const units = { second: 1, minute: 60, hour: 3600, day: 86400 }
+    return Math.round(Number(m[1].replace(',', '.')) * units[m[2].toLowerCase()])
+}
+
+// Parse `upower -i <battery>` (numbers may have a decimal comma, by locale)
+function parseUpowerInfo(output) {
+    const fields = {}
+    for (const line of String(output).split('\n')) {
+        const m = /^\s*([\w -]+):\s+(.*)$/.exec(line)
+        if (m) fields[m[1].trim().toLowerCase()] = m[2].trim()
+    }
+    if (fields.present === 'no' || typeof fields.percentage === 'undefined') return null
+    const state = normalizeState(fields.state)
+    return {
+        supported: true,
+        present: true,
+        percent: Math.round(parseFloat(fields.percentage.replace(',', '.'))),
+        state,
+        onAC: state !== 'discharging',
+        timeToEmpty: parseUpowerDuration(fields['time to empty']),
+        timeToFull: parseUpowerDuration(fields['time to full']),
+        source: 'upower'
+    }
+}
+
+function execOutput(file, args) {
+    return runChecked(file, args, { timeout: 5000 }).then(r => r.stdout)
+}
+
+async function readUpower() {
+    let devices = ''
+    try { devices = await execOutput('upower', ['-e']) } catch (e) { return null }
+    const battery = devices.split('\n').map(l => l.trim()).find(l => /\/battery_/.test(l))
+    if (!battery) return null
+    try { return parseUpowerInfo(await execOutput('upower', ['-i', battery])) } catch (e) { return null }
+}
+
+async function readPowerState() {
+    if (process.platform !== 'linux') return { ...NO_BATTERY, supported: false }
+    return readSysfs() || await readUpower() || { ...NO_BATTERY }
+}
+
+// Check a power config patch; returns an error message or null
+function validatePowerConfig(config) {
+    const pct = (v) => Number.isFinite(Number(v)) && Number(v) >= 0 && Number(v) <= 100
+    if (!pct(config.lowPercent) || !pct(config.criticalPercent) || !pct(config.suspendPercent)) return 'thresholds must be percentages (0-100)'
+    if (!(Number(config.criticalPercent) <= Number(config.lowPercent))) return 'criticalPercent must not be above lowPercent'
+    if (typeof config.autoSuspend !== 'boolean') return 'autoSuspend must be true or false'
+    return null
+}
+
+// Poll the battery and report changes and low-battery warnings:
+//   getConfig() -> { lowPercent, criticalPercent, autoSuspend, suspendPercent }
+//   onChange(state) -> level, charge state or power source changed
+//   onWarning({ kind: 'low' | 'critical' | 'suspend' | 'suspend-cancelled', percent, timeToEmpty, inSeconds? })
+//   suspend() -> suspends the device (auto-suspend, after SUSPEND_GRACE_S)
+// Each warning fires once per discharge, until the battery charges again.
+function createPowerMonitor({ getConfig, onChange, onWarning, suspend, read = readPowerState }) {
+    let timer = null
+    let last = null
+    let warned = {}
+    let suspendTimer = null
+
+    function warn(kind, state, extra = {}) {
+        try { if (onWarning) onWarning({ kind, percent: state.percent, timeToEmpty: state.timeToEmpty, ...extra }) } catch (e) { }
+    }
+
+    function cancelSuspend(state) {
+        if (!suspendTimer) return
+        clearTimeout(suspendTimer)
+        suspendTimer = null
+        warn('suspend-cancelled', state)
+    }
+
+    function checkThresholds(state) {
+        const config = getConfig() || {}
+        if (!state.present || state.percent === null || state.state !== 'discharging') {
+            warned = {}
+            cancelSuspend(state)
+            return
+        }
+        if (state.percent <= Number(config.criticalPercent) && !warned.critical) {
+            warned.critical = warned.low = true
+            warn('critical', state)
+        } else if (state.percent <= Number(config.lowPercent) && !warned.low) {
+            warned.low = true
+            warn('low', state)
+        }
+        if (config.autoSuspend && state.percent <= Number(config.suspendPercent) && !warned.suspend) {
+            warned.suspend = true
+            warn('suspend', state, { inSeconds: SUSPEND_GRACE_S })
+            suspendTimer = setTimeout(async () => {
+                suspendTimer = null
+                try {
+                    // plugged in meanwhile: the next poll cancels, but don't wait for it
+                    const now = await read()
+                    if (now.state === 'discharging') await suspend()
+                } catch (e) {
+                    console.warn('[power] auto-suspend failed:', e && e.message)
+                }
+            }, SUSPEND_GRACE_S * 1000)
+        }
+    }
+
+    async function refresh() {
+        let state
+        try { state = await read() } catch (e) { return last }
+        const changed = !last || last.percent !== state.percent || last.state !== state.state || last.onAC !== state.onAC || last.present !== state.present
+        last = state
+        if (changed) try { if (onChange) onChange(state) } catch (e) { }
+        checkThresholds(state)
+        return state
+    }
+
+    return {
+        start() {
+            if (timer) return
+            refresh()
+            timer = setInterval(refresh, POLL_MS)
+        },
+        stop() {
+            if (timer) clearInterval(timer)
+            timer = null
+            if (suspendTimer) clearTimeout(suspendTimer)
+            suspendTimer = null
+        },
+        refresh,
+        // last polled state (reads once when nothing was polled yet)
+        status: () => (last ? Promise.resolve(last) : refresh())
+    }
+}
+
+const POWER_ACTIONS = ['poweroff', 'reboot', 'suspend', 'hibernate']
+// logind's Can* method for each action
+const LOGIND_CHECKS = { poweroff: 'CanPowerOff', reboot: 'CanReboot', suspend: 'CanSuspend', hibernate: 'CanHibernate' }
+const RTC_WAKEALARM = '/sys/class/rtc/rtc0/wakealarm'
+
+// Ask logind whether an action is allowed: busctl prints `s "yes"` (or "no",
+// "challenge" when it needs authentication, "na" when unsupported)
+async function logindCan(method) {
+    const out = await execOutput('busctl', ['call', 'org.freedesktop.login1', '/org/freedesktop/login1', 'org.freedesktop.login1.Manager', method])
+    const m = /^s\s+"([^"]*)"/.exec(out.trim())
+    if (!m) throw new Error('Unexpected busctl output: ' + out.trim())
+    return m[1]
+}
+
+// Which power actions this machine offers, as { poweroff, reboot, suspend,
+// hibernate, wakeAlarm } booleans. Without logind the kernel's
+// /sys/power/state is checked for suspend (mem) and hibernate (disk).
+async function detectPowerCapabilities() {
+    if (process.platform !== 'linux') return { supported: false }
+    const caps = { supported: true }
+    let sleepStates = null
+    for (const action of POWER_ACTIONS) {
+        try {
+            caps[action] = (await logindCan(LOGIND_CHECKS[action])) === 'yes'
+        } catch (e) {
+            if (sleepStates === null) sleepStates = (readValue('/sys/power', 'state') || '').split(/\s+/)
+            caps[action] = action === 'suspend' ? sleepStates.includes('mem')
+                : action === 'hibernate' ? sleepStates.includes('disk')
+                    : true
+        }
+    }
+    caps.wakeAlarm = fs.existsSync(RTC_WAKEALARM)
+    return caps
+}
+
+// Run a power action through systemd. The app's user needs the right to do
+// so without a password (logind's defaults for the active seat, or polkit).
+async function runPowerAction(action) {
+    if (!POWER_ACTIONS.includes(action)) throw new Error('Invalid action')
+    const caps = await detectPowerCapabilities()
+    if (!caps.supported) throw new Error('Unsupported platform')
+    if (!caps[action]) throw new Error(`${action} is not available on this device`)
+    return execOutput('systemctl', [action])
+}
+
+// Program the RTC to power the device on at `date` (rtcwake, needs the right
+// to write the wake alarm, e.g. a sudoers or udev rule)
+function setWakeAlarm(date) {
+    return execOutput('rtcwake', ['-m', 'no', '-t', String(Math.floor(date.getTime() / 1000))])
+}
+
+// Next local `HH:MM` after `from` (today or tomorrow)
+function nextClockTime(clock, from = new Date()) {
+    const minutes = parseClock(clock)
+    if (minutes === null) return null
+    const at = new Date(from)
+    at.setHours(Math.floor(minutes / 60), minutes % 60, 0, 0)
+    if (at <= from) at.setDate(at.getDate() + 1)
+    return at
+}
+
+// Check a shutdown config; returns an error message or null
+function validateShutdownConfig(config) {
+    if (typeof config.enabled !== 'boolean') return 'enabled must be true or false'
+    if (parseClock(config.time) === null) return 'time must be HH:MM'
+    if (!(Number(config.warnMinutes) >= 1 && Number(config.warnMinutes) <= 60)) return 'warnMinutes must be between 1 and 60'
+    if (typeof config.wakeEnabled !== 'boolean') return 'wakeEnabled must be true or false'
+    if (config.wakeEnabled && parseClock(config.wakeTime) === null) return 'wakeTime must be HH:MM'
+    return null
+}
+
+// Daily shutdown at `time`: `warnMinutes` before it a countdown starts that
+// the renderer can cancel (for that day). With wakeEnabled the RTC wakes the
+// device again at the next `wakeTime`.
+//   getConfig() -> { enabled, time, warnMinutes, wakeEnabled, wakeTime }
+//   onCountdown({ state: 'counting' | 'cancelled' | 'shutting-down', at, secondsLeft, wakeAt })
+//   shutdown() -> powers off; setWakeAlarm(date)
+function createShutdownSchedule({ getConfig, onCountdown, shutdown, setWakeAlarm }) {
+    let timer = null
+    let countdown = null
+    let skipped = null
+
+    function emit(state, extra = {}) {
+        try { if (onCountdown) onCountdown({ state, ...extra }) } catch (e) { }
+    }
+
+    // the next shutdown time, or null when disabled or cancelled
+    function upcoming(config, now = new Date()) {
+        if (!config.enabled) return null
+        const at = nextClockTime(config.time, now)
+        if (!at || (skipped && skipped.getTime() === at.getTime())) return null
+        return at
+    }
+
+    function wakeFor(config, at) {
+        return config.wakeEnabled ? nextClockTime(config.wakeTime, at) : null
+    }
+
+    async function fire(config, at) {
+        const wakeAt = wakeFor(config, at)
+        emit('shutting-down', { at: at.toISOString(), secondsLeft: 0, wakeAt: wakeAt ? wakeAt.toISOString() : null })
+        if (wakeAt) {
+            try { await setWakeAlarm(wakeAt) } catch (e) { console.warn('[power] could not set the wake alarm:', e && e.message) }
+        }
+        try { await shutdown() } catch (e) { console.warn('[power] scheduled shutdown failed:', e && e.message) }
+    }
+
+    function tick() {
+        const config = getConfig() || {}
+        const now = new Date()
+        if (countdown) {
+            const secondsLeft = Math.round((countdown.at.getTime() - now.getTime()) / 1000)
+            if (secondsLeft <= 0) {
+                const at = countdown.at
+                countdown = null
+                // don't run it again after a failed poweroff
+                skipped = at
+                fire(config, at)
+            } else emit('counting', { at: countdown.at.toISOString(), secondsLeft, wakeAt: countdown.wakeAt })
+            return
+        }
+        const at = upcoming(config, now)
+        if (at && at.getTime() - now.getTime() <= Number(config.warnMinutes) * 60 * 1000) {
+            const wakeAt = wakeFor(config, at)
+            countdown = { at, wakeAt: wakeAt ? wakeAt.toISOString() : null }
+            console.log('[power] scheduled shutdown at', at.toISOString())
+            tick()
+        }
+    }
+
+    function status() {
+        const config = getConfig() || {}
+        const at = countdown ? countdown.at : upcoming(config)
+        const wakeAt = at ? wakeFor(config, at) : null
+        return {
+            ok: true,
+            config: { ...config },
+            nextShutdownAt: at ? at.toISOString() : null,
+            wakeAt: wakeAt ? wakeAt.toISOString() : null,
+            counting: !!countdown,
+            secondsLeft: countdown ? Math.max(0, Math.round((countdown.at.getTime() - Date.now()) / 1000)) : null
+        }
+    }
+
+    return {
+        start() {
+            if (!timer) timer = setInterval(tick, 1000)
+        },
+        stop() {
+            if (timer) clearInterval(timer)
+            timer = null
+        },
+        // skip the running (or next) shutdown; the following day's still happens
+        cancel() {
+            const at = countdown ? countdown.at : upcoming(getConfig() || {})
+            if (!at) return status()
+            skipped = at
+            countdown = null
+            emit('cancelled', { at: at.toISOString(), secondsLeft: null, wakeAt: null })
+            return status()
+        },
+        // a config change ends a running countdown; it restarts if still due
+        reschedule() {
+            if (countdown) emit('cancelled', { at: countdown.at.toISOString(), secondsLeft: null, wakeAt: null })
+            countdown = null
+            skipped = null
+            return status()
+        },
+        status
+    }
+}
+
+module.exports = {
+    createPowerMonitor, readPowerState, readSysfs, parseUpowerInfo, validatePowerConfig,
+    POWER_ACTIONS, detectPowerCapabilities, runPowerAction, setWakeAlarm, createShutdownSchedule, validateShutdownConfig
+}
@@ -2,5 +2,6 @@ const { contextBridge, ipcRenderer } = require('electron')
 
 contextBridge.exposeInMainWorld('updater', {
     onProgress: (cb) => ipcRenderer.on('updater-progress', (ev, data) => cb(data)),
-    onStatus: (cb) => ipcRenderer.on('updater-status', (ev, data) => cb(data))
+    onStatus: (cb) => ipcRenderer.on('updater-status', (ev, data) => cb(data)),
+    onChannel: (cb) => ipcRenderer.on('updater-channel', (ev, data) => cb(data))
 })
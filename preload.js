@@ -5,11 +5,27 @@ const { contextBridge, ipcRenderer } = require('electron');
 try { console.log('[preload] preload.js loaded') } catch (e) { }
 
 // Expose a small TTS bridge to the renderer. Methods return Promises so the
-// renderer can await success/failure if desired.
+// renderer can await success/failure if desired. speak() resolves { ok, id }
+// (pass { queue: true } to append instead of interrupting); the onStart/onEnd/
+// onError listeners receive that id and return an unsubscribe function.
+const bridgeListener = (channel) => (cb) => {
+    const listener = (_, payload) => cb(payload)
+    ipcRenderer.on(channel, listener)
+    return () => ipcRenderer.removeListener(channel, listener)
+}
 contextBridge.exposeInMainWorld('electronTTS', {
     speak: (text, opts) => ipcRenderer.invoke('tts:speak', text, opts),
     stop: () => ipcRenderer.invoke('tts:stop'),
-    isAvailable: () => ipcRenderer.invoke('tts:isAvailable')
+    pause: () => ipcRenderer.invoke('tts:pause'),
+    resume: () => ipcRenderer.invoke('tts:resume'),
+    status: () => ipcRenderer.invoke('tts:status'),
+    listVoices: () => ipcRenderer.invoke('tts:listVoices'),
+    isAvailable: (lang) => ipcRenderer.invoke('tts:isAvailable', lang),
+    getConfig: () => ipcRenderer.invoke('tts:get-config'),
+    setConfig: (patch) => ipcRenderer.invoke('tts:set-config', patch),
+    onStart: bridgeListener('tts:start'),
+    onEnd: bridgeListener('tts:end'),
+    onError: bridgeListener('tts:error')
 });
 
 // Expose a tiny auto-start/systemctl bridge to the renderer. Only works on
@@ -19,40 +35,124 @@ contextBridge.exposeInMainWorld('electronAutoStart', {
     setEnabled: (enabled) => ipcRenderer.invoke('autostart:set', enabled)
 });
 
-// System power operations (poweroff / reboot). Renderer must provide the
-// sudo password (if required). This bridge simply forwards to main.
+// System power operations. capabilities() tells which actions the device
+// offers; the daily shutdown (shutdownStatus/setShutdown) counts down through
+// onShutdownCountdown(cb) with { state, at, secondsLeft, wakeAt } and can be
+// skipped for the day with cancelShutdown().
 contextBridge.exposeInMainWorld('electronSystem', {
-    poweroff: (password) => ipcRenderer.invoke('system:power', 'poweroff', password),
-    reboot: (password) => ipcRenderer.invoke('system:power', 'reboot', password),
-    closeApp: (password) => ipcRenderer.invoke('system:stop-and-quit', password)
+    poweroff: () => ipcRenderer.invoke('system:power', 'poweroff'),
+    reboot: () => ipcRenderer.invoke('system:power', 'reboot'),
+    suspend: () => ipcRenderer.invoke('system:power', 'suspend'),
+    hibernate: () => ipcRenderer.invoke('system:power', 'hibernate'),
+    capabilities: () => ipcRenderer.invoke('system:capabilities'),
+    closeApp: () => ipcRenderer.invoke('system:stop-and-quit'),
+    shutdownStatus: () => ipcRenderer.invoke('system:shutdown-status'),
+    setShutdown: (patch) => ipcRenderer.invoke('system:set-shutdown', patch),
+    cancelShutdown: () => ipcRenderer.invoke('system:cancel-shutdown'),
+    onShutdownCountdown: bridgeListener('system:shutdown-countdown')
 });
 
+// Battery bridge: status() -> { supported, present, percent, state, onAC,
+// timeToEmpty, timeToFull } (seconds), onChange(cb) on level/charging changes
+// and onWarning(cb) with { kind: 'low' | 'critical' | 'suspend' |
+// 'suspend-cancelled', percent, inSeconds? }. Listeners return an unsubscribe.
+contextBridge.exposeInMainWorld('electronPower', {
+    status: () => ipcRenderer.invoke('power:status'),
+    getConfig: () => ipcRenderer.invoke('power:get-config'),
+    setConfig: (patch) => ipcRenderer.invoke('power:set-config', patch),
+    onChange: bridgeListener('power:changed'),
+    onWarning: bridgeListener('power:warning')
+});
+
+// Start mode bridge: get() -> { mode, lastMode, defaultMode, modes },
+// set(mode) saves the default start mode ('interactive', 'presentation' or
+// 'ask' to show the chooser at boot) and switch(mode?) reloads the window onto
+// another mode without restarting the app (toggles when no mode is given).
+contextBridge.exposeInMainWorld('electronMode', {
+    get: () => ipcRenderer.invoke('mode:get'),
+    set: (mode) => ipcRenderer.invoke('mode:set', mode),
+    switch: (mode) => ipcRenderer.invoke('mode:switch', mode)
+});
 
 // Small ready flag the renderer can check quickly to determine if the
 // preload bridge loaded at all.
 try { contextBridge.exposeInMainWorld('__electron_bridge_loaded', true) } catch (e) { }
 
 // Expose nmcli-based Wi-Fi controls (Linux). Methods return Promises.
+// connect(ssid, password, opts) takes { hidden, security: 'wpa-eap',
+// identity, anonymousIdentity, caCert, priority, autoconnect }; list() returns
+// the saved networks, forget/setPriority take a saved network's UUID or SSID.
+// onChange(cb) receives the status whenever connectivity changes.
 contextBridge.exposeInMainWorld('electronWifi', {
-    scan: () => ipcRenderer.invoke('wifi:scan'),
-    connect: (ssid, password) => ipcRenderer.invoke('wifi:connect', ssid, password),
+    scan: (opts) => ipcRenderer.invoke('wifi:scan', opts),
+    rescan: () => ipcRenderer.invoke('wifi:rescan'),
+    connect: (ssid, password, opts) => ipcRenderer.invoke('wifi:connect', ssid, password, opts),
     disconnect: (ssid) => ipcRenderer.invoke('wifi:disconnect', ssid),
     list: () => ipcRenderer.invoke('wifi:list'),
-    status: (ssid) => ipcRenderer.invoke('wifi:status', ssid)
+    forget: (id) => ipcRenderer.invoke('wifi:forget', id),
+    setPriority: (id, priority, autoconnect) => ipcRenderer.invoke('wifi:set-priority', id, priority, autoconnect),
+    status: (ssid) => ipcRenderer.invoke('wifi:status', ssid),
+    onChange: bridgeListener('wifi:changed')
+});
+
+// Network bridge (Linux): interfaces() lists Ethernet and Wi-Fi devices with
+// their address and IPv4 method; getIpv4(id)/setIpv4(id, { method: 'auto' |
+// 'manual', address: '192.168.1.20/24', gateway, dns: [] }) take a device
+// (eth0) or connection. The proxy ({ enabled, url, bypass }) is used for
+// content and app updates.
+contextBridge.exposeInMainWorld('electronNetwork', {
+    interfaces: () => ipcRenderer.invoke('network:interfaces'),
+    getIpv4: (id) => ipcRenderer.invoke('network:get-ipv4', id),
+    setIpv4: (id, config) => ipcRenderer.invoke('network:set-ipv4', id, config),
+    getProxy: () => ipcRenderer.invoke('network:get-proxy'),
+    setProxy: (patch) => ipcRenderer.invoke('network:set-proxy', patch)
+});
+
+// Connectivity diagnostics: run({ site }) checks link, IP address, gateway,
+// DNS, the HTTPS handshake, the content.json download and captive portals and
+// resolves { ok, passed, summary, steps: [{ id, label, ok, skipped, reason }] };
+// onStep(cb) receives each step as it finishes.
+contextBridge.exposeInMainWorld('electronDiagnostics', {
+    run: (opts) => ipcRenderer.invoke('diagnostics:run', opts),
+    onStep: bridgeListener('diagnostics:step')
 });
 
-// Brightness bridge using system brightnessctl (Linux). Exposes get() -> {ok, supported, value}
-// and set(percent) -> {ok, supported}.
+// Brightness bridge (Linux). get() -> { ok, supported, value, level, state,
+// backend } where value is the current percent and level the saved one;
+// set(percent) changes and saves the level. The idle policy (getConfig/
+// setConfig: { level, dimMinutes, dimPercent, blankMinutes }) dims and blanks
+// the screen; onChange(cb) receives { state: 'on' | 'dimmed' | 'blanked',
+// level, percent }.
 contextBridge.exposeInMainWorld('electronBrightness', {
     get: () => ipcRenderer.invoke('brightness:get'),
-    set: (percent) => ipcRenderer.invoke('brightness:set', percent)
+    set: (percent) => ipcRenderer.invoke('brightness:set', percent),
+    getConfig: () => ipcRenderer.invoke('brightness:get-config'),
+    setConfig: (patch) => ipcRenderer.invoke('brightness:set-config', patch),
+    onChange: bridgeListener('brightness:changed')
 });
 
 // Updater bridge: check for update and trigger update run. Also allow
 // subscribing to progress/status events emitted by main during update.
+// check/run accept { site: 'interactive' | 'presentation' }; without a site
+// every content site is checked/updated and the result carries `sites`.
 contextBridge.exposeInMainWorld('electronUpdater', {
     check: (opts = {}) => ipcRenderer.invoke('updater:check', opts),
     run: (opts = {}) => ipcRenderer.invoke('updater:run', opts),
+    status: () => ipcRenderer.invoke('updater:status'),
+    // Update channel config: getConfig() -> { channel, customUrl, channels, remoteBaseUrl, sites }
+    // and setConfig({ channel: 'stable' | 'beta' | 'local' | 'custom', customUrl })
+    // Background update schedule: scheduleStatus() -> { enabled, nextRunAt, lastRun, lastApply, staged, ... },
+    // setSchedule({ enabled, intervalMinutes, windowStart: 'HH:MM', windowEnd: 'HH:MM', idleMinutes })
+    scheduleStatus: () => ipcRenderer.invoke('updater:schedule-status'),
+    setSchedule: (patch) => ipcRenderer.invoke('updater:set-schedule', patch),
+    runScheduledNow: () => ipcRenderer.invoke('updater:schedule-run-now'),
+    onScheduleStatus: (cb) => {
+        const listener = (_, status) => cb(status)
+        ipcRenderer.on('updater-schedule', listener)
+        return () => ipcRenderer.removeListener('updater-schedule', listener)
+    },
+    getConfig: () => ipcRenderer.invoke('updater:get-config'),
+    setConfig: (patch) => ipcRenderer.invoke('updater:set-config', patch),
     onProgress: (cb) => {
         const listener = (_, p) => cb(p)
         ipcRenderer.on('updater-progress', listener)
@@ -62,5 +162,60 @@ contextBridge.exposeInMainWorld('electronUpdater', {
         const listener = (_, s) => cb(s)
         ipcRenderer.on('updater-status', listener)
         return () => ipcRenderer.removeListener('updater-status', listener)
+    },
+    // Schema and asset check of installed content:
+    // contentReport(site?) -> { ok, version, valid, errors, warnings, missing, unreferenced }
+    contentReport: (site) => ipcRenderer.invoke('updater:content-report', site),
+    // Archived content versions and rollback: listVersions(site?) -> { current, versions }
+    // and rollback(id?, site?) (newest archive when id is omitted, interactive site by default)
+    listVersions: (site) => ipcRenderer.invoke('updater:list-versions', site),
+    rollback: (id, site) => ipcRenderer.invoke('updater:rollback', id, site),
+    // Tell main the freshly updated content loaded fine (otherwise it rolls back)
+    reportHealthy: () => ipcRenderer.send('updater:healthy'),
+    onRolledBack: (cb) => {
+        const listener = (_, info) => cb(info)
+        ipcRenderer.on('update-rolled-back', listener)
+        return () => ipcRenderer.removeListener('update-rolled-back', listener)
+    },
+    // Offline content packs: importPack('/run/media/kiosk/USB/content.gcpack', { site, force })
+    // -> { ok, updated, localVer, remoteVer, summary }; onPackDetected fires for packs on new USB media
+    // with { path, site, version, localVer, newer } (only newer packs are imported automatically)
+    importPack: (packPath, opts) => ipcRenderer.invoke('updater:import-pack', packPath, opts),
+    // exportPack({ site, path }) -> { ok, path, version, files, bytes, missing }
+    exportPack: (opts) => ipcRenderer.invoke('updater:export-pack', opts),
+    onPackDetected: (cb) => {
+        const listener = (_, info) => cb(info)
+        ipcRenderer.on('content-pack-detected', listener)
+        return () => ipcRenderer.removeListener('content-pack-detected', listener)
     }
 });
+
+// Report a healthy load automatically once the web app has rendered into
+// #root, so content updates are confirmed even if the UI never calls
+// electronUpdater.reportHealthy() itself.
+window.addEventListener('DOMContentLoaded', () => {
+    if (!/^https?:$/.test(location.protocol)) return
+    const started = Date.now()
+    const check = () => {
+        const root = document.getElementById('root')
+        if (root && root.childElementCount > 0) return ipcRenderer.send('updater:healthy')
+        if (Date.now() - started < 30000) setTimeout(check, 500)
+    }
+    check()
+});
+
+// Tell the main process when the gamepad is used (keyboard input is seen
+// there directly), so background updates are only applied on an idle kiosk.
+(() => {
+    let lastSent = 0
+    setInterval(() => {
+        try {
+            if (Date.now() - lastSent < 5000) return
+            const pads = navigator.getGamepads ? Array.from(navigator.getGamepads()).filter(Boolean) : []
+            const active = pads.some(pad => pad.buttons.some(b => b.pressed) || pad.axes.some(a => Math.abs(a) > 0.3))
+            if (!active) return
+            lastSent = Date.now()
+            ipcRenderer.send('input:activity')
+        } catch (e) { }
+    }, 500)
+})();
@@ -0,0 +1,154 @@
+const http = require('http')
+const https = require('https')
+const tls = require('tls')
+const { URL } = require('url')
+
+// HTTP proxy for the main process' own requests (content updater,
+// diagnostics). Electron's sessions - the app window and electron-updater -
+// get the same proxy through session.setProxy(), see electronProxyConfig().
+//
+// Config (settings `proxy`): { enabled, url: 'http://[user:pass@]host:port',
+// bypass: ['*.school.local', '10.0.0.5'] }. HTTPS goes through a CONNECT
+// tunnel, plain HTTP is sent to the proxy with the full URL. Loopback
+// addresses never use the proxy.
+
+const ALWAYS_DIRECT = ['localhost', '127.0.0.1', '::1', '[::1]']
+// stands in for the proxy password outside the main process
+const REDACTED = '****'
+
+let current = null
+
+// Check a proxy config; returns an error message or null
+function validateProxyConfig(config) {
+    if (typeof config.enabled !== 'boolean') return 'enabled must be true or false'
+    if (!Array.isArray(config.bypass) || config.bypass.some(b => typeof b !== 'string')) return 'bypass must be a list of host names'
+    if (!config.enabled) return null
+    let url
+    try { url = new URL(String(config.url || '')) } catch (e) { return 'url must be like http://proxy.school.local:3128' }
+    if (url.protocol !== 'http:') return 'only http:// proxies are supported'
+    if (!url.hostname) return 'url needs a host'
+    return null
+}
+
+// Use `config` for all following requests (null or disabled: direct)
+function setProxy(config) {
+    if (!config || !config.enabled || validateProxyConfig(config)) {
+        current = null
+        return
+    }
+    const url = new URL(config.url)
+    current = {
+        url,
+        bypass: (config.bypass || []).map(b => b.trim().toLowerCase()).filter(Boolean),
+        auth: url.username ? 'Basic ' + Buffer.from(decodeURIComponent(url.username) + ':' + decodeURIComponent(url.password)).toString('base64') : null,
+        agent: null
+    }
+}
+
+// The proxy URL without credentials (for logs and the UI), or null
+function describeProxy() {
+    return current ? `http://${current.url.host}` : null
+}
+
+// `url` with the password masked, for config handed to the renderer; null
+// when it isn't a URL
+function redactProxyUrl(url) {
+    let u
+    try { u = new URL(String(url || '')) } catch (e) { return null }
+    if (!u.password) return String(url)
+    return `${u.protocol}//${u.username}:${REDACTED}@${u.host}`
+}
+
+// Does `hostname` skip the proxy? Bypass entries match the host itself and,
+// as '*.example.org' or '.example.org', any host below it.
+function bypasses(hostname) {
+    const host = String(hostname || '').toLowerCase()
+    if (ALWAYS_DIRECT.includes(host)) return true
+    return current.bypass.some((rule) => {
+        if (rule === '*') return true
+        const suffix = rule.replace(/^\*/, '')
+        if (suffix.startsWith('.')) return host.endsWith(suffix) || host === suffix.slice(1)
+        return host === rule
+    })
+}
+
+function proxyFor(target) {
+    if (!current) return null
+    return bypasses(new URL(target).hostname) ? null : current
+}
+
+// The proxy a request for `target` goes through as { hostname, port }, or
+// null when it goes direct
+function proxyRouteFor(target) {
+    const proxy = proxyFor(target)
+    return proxy ? { hostname: proxy.url.hostname, port: Number(proxy.url.port) || 80 } : null
+}
+
+// https.Agent that reaches the origin through an HTTP CONNECT tunnel
+class TunnelAgent extends https.Agent {
+    constructor(proxy) {
+        super({ keepAlive: false })
+        this.proxy = proxy
+    }
+
+    createConnection(options, callback) {
+        const authority = `${options.host}:${options.port || 443}`
+        const headers = { Host: authority }
+        if (this.proxy.auth) headers['Proxy-Authorization'] = this.proxy.auth
+        const req = http.request({
+            host: this.proxy.url.hostname,
+            port: this.proxy.url.port || 80,
+            method: 'CONNECT',
+            path: authority,
+            headers
+        })
+        req.once('connect', (res, socket) => {
+            if (res.statusCode !== 200) {
+                socket.destroy()
+                return callback(new Error(`Proxy refused the connection to ${authority} (HTTP ${res.statusCode})`))
+            }
+            callback(null, tls.connect({ ...options, socket, servername: options.servername || options.host }))
+        })
+        req.once('error', (e) => callback(new Error('Proxy connection failed: ' + e.message)))
+        req.end()
+    }
+}
+
+// http(s).request() arguments for `target` through the proxy, if any:
+// { client, url, options } with `options` to merge into the request options
+function requestArgs(target, options = {}) {
+    const secure = String(target).startsWith('https://')
+    const proxy = proxyFor(target)
+    if (!proxy) return { client: secure ? https : http, url: target, options }
+    if (secure) {
+        if (!proxy.agent) proxy.agent = new TunnelAgent(proxy)
+        return { client: https, url: target, options: { ...options, agent: proxy.agent } }
+    }
+    const headers = { ...(options.headers || {}), Host: new URL(target).host }
+    if (proxy.auth) headers['Proxy-Authorization'] = proxy.auth
+    return {
+        client: http,
+        url: `http://${proxy.url.host}/`,
+        options: { ...options, path: target, headers }
+    }
+}
+
+// Config for Electron's session.setProxy()
+function electronProxyConfig(config) {
+    if (!config || !config.enabled || validateProxyConfig(config)) return { mode: 'direct' }
+    const url = new URL(config.url)
+    return {
+        mode: 'fixed_servers',
+        proxyRules: url.host,
+        // '<local>': host names without a dot
+        proxyBypassRules: ['<local>'].concat(ALWAYS_DIRECT, config.bypass || []).join(',')
+    }
+}
+
+// Credentials of the configured proxy for Electron's login event, or null
+function proxyCredentials() {
+    if (!current || !current.url.username) return null
+    return { username: decodeURIComponent(current.url.username), password: decodeURIComponent(current.url.password) }
+}
+
+module.exports = { setProxy, describeProxy, redactProxyUrl, requestArgs, proxyRouteFor, electronProxyConfig, proxyCredentials, validateProxyConfig }
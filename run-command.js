@@ -0,0 +1,123 @@
+const { spawn } = require('child_process')
+
+// The one way the main process runs system tools. Commands are spawned with
+// an argument array and no shell, so SSIDs, passwords and other values from
+// the renderer are passed through verbatim and can never run as shell code.
+// Only the binaries below may be run, by bare name looked up on PATH; paths
+// are refused, so /tmp/x/nmcli can't pass for nmcli.
+//
+// runCommand() resolves { ok, code, signal, stdout, stderr, timedOut, error }
+// for every outcome; runChecked() resolves the same on exit code 0 and
+// rejects otherwise with an Error carrying those fields. spawnCommand()
+// starts a long-running command (speech, `nmcli monitor`) whose process the
+// caller controls.
+
+const ALLOWED_COMMANDS = [
+    'nmcli',
+    'systemctl',
+    'brightnessctl',
+    'busctl',
+    'upower',
+    'rtcwake',
+    'ping',
+    'espeak-ng',
+    'espeak',
+    'spd-say',
+    'piper',
+    'piper-tts',
+    'pico2wave',
+    'pw-play',
+    'paplay',
+    'aplay'
+]
+
+const DEFAULT_TIMEOUT_MS = 15000
+const DEFAULT_MAX_BUFFER = 4 * 1024 * 1024
+// grace period between SIGTERM and SIGKILL when a command times out
+const KILL_GRACE_MS = 2000
+
+function checkCommand(command, args) {
+    if (typeof command !== 'string' || !ALLOWED_COMMANDS.includes(command)) throw new Error(`Command not allowed: ${command}`)
+    if (!Array.isArray(args) || args.some(a => typeof a !== 'string' && typeof a !== 'number')) {
+        throw new Error(`Arguments for ${command} must be an array of strings`)
+    }
+}
+
+// Options: { timeout (ms, 0 = none), input (written to stdin), env, cwd, maxBuffer }
+function runCommand(command, args = [], opts = {}) {
+    checkCommand(command, args)
+    const { timeout = DEFAULT_TIMEOUT_MS, input, env, cwd, maxBuffer = DEFAULT_MAX_BUFFER } = opts
+    return new Promise((resolve) => {
+        const result = { ok: false, command, code: null, signal: null, stdout: '', stderr: '', timedOut: false, error: null }
+        let proc
+        try {
+            proc = spawn(command, args.map(String), {
+                cwd,
+                env: env ? { ...process.env, ...env } : process.env,
+                stdio: [typeof input === 'undefined' ? 'ignore' : 'pipe', 'pipe', 'pipe'],
+                shell: false
+            })
+        } catch (e) {
+            result.error = e.message
+            return resolve(result)
+        }
+        let done = false
+        let killTimer = null
+        const timer = timeout > 0 ? setTimeout(() => {
+            result.timedOut = true
+            try { proc.kill('SIGTERM') } catch (e) { }
+            killTimer = setTimeout(() => { try { proc.kill('SIGKILL') } catch (e) { } }, KILL_GRACE_MS)
+        }, timeout) : null
+        const collect = (key) => (chunk) => {
+            if (result[key].length < maxBuffer) result[key] += chunk.toString('utf8').slice(0, maxBuffer - result[key].length)
+        }
+        proc.stdout.on('data', collect('stdout'))
+        proc.stderr.on('data', collect('stderr'))
+        const finish = () => {
+            if (done) return
+            done = true
+            clearTimeout(timer)
+            clearTimeout(killTimer)
+            result.ok = result.code === 0 && !result.timedOut && !result.error
+            resolve(result)
+        }
+        proc.on('error', (e) => {
+            // ENOENT: the binary isn't installed
+            result.error = e.code === 'ENOENT' ? `${result.command} is not installed` : e.message
+            finish()
+        })
+        proc.on('close', (code, signal) => {
+            result.code = code
+            result.signal = signal
+            finish()
+        })
+        if (proc.stdin) {
+            proc.stdin.on('error', () => { })
+            proc.stdin.end(String(input))
+        }
+    })
+}
+
+// Error for a failed result; the message names the command and its stderr
+function commandError(result) {
+    const reason = (result.timedOut ? 'timed out' : `exited with ${result.signal || result.code}`) +
+        (result.stderr.trim() ? ': ' + result.stderr.trim() : '')
+    const err = new Error(result.error || `${result.command} ${reason}`)
+    Object.assign(err, { code: result.code, signal: result.signal, stdout: result.stdout, stderr: result.stderr, timedOut: result.timedOut })
+    return err
+}
+
+async function runChecked(command, args = [], opts = {}) {
+    const result = await runCommand(command, args, opts)
+    if (!result.ok) throw commandError(result)
+    return result
+}
+
+// Start an allowed command and hand back the child process (stdout/stderr
+// piped, no stdin unless opts.stdio says otherwise)
+function spawnCommand(command, args = [], opts = {}) {
+    checkCommand(command, args)
+    return spawn(command, args.map(String), { stdio: ['ignore', 'pipe', 'pipe'], ...opts, shell: false })
+}
+
+module.exports = { runCommand, runChecked, spawnCommand, commandError, ALLOWED_COMMANDS }
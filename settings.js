@@ -0,0 +1,58 @@
+const fs = require('fs')
+const path = require('path')
+
+// Tiny JSON settings store kept in userData (settings.json). Settings are
+// grouped in sections (e.g. `mode`) and each section is merged over its
+// defaults on load, so new keys can be added without migrating old files.
+function createSettingsStore(filePath, defaults = {}) {
+    let data = load()
+
+    function load() {
+        let saved = {}
+        try {
+            if (fs.existsSync(filePath)) saved = JSON.parse(fs.readFileSync(filePath, 'utf8')) || {}
+        } catch (e) {
+            console.warn('[settings] could not read', filePath, e && e.message)
+            saved = {}
+        }
+        const merged = {}
+        for (const key of new Set(Object.keys(defaults).concat(Object.keys(saved)))) {
+            const def = defaults[key]
+            const val = saved[key]
+            if (def && typeof def === 'object' && !Array.isArray(def)) merged[key] = { ...def, ...(val && typeof val === 'object' ? val : {}) }
+            else merged[key] = typeof val === 'undefined' ? def : val
+        }
+        return merged
+    }
+
+    function save() {
+        try {
+            if (!fs.existsSync(path.dirname(filePath))) fs.mkdirSync(path.dirname(filePath), { recursive: true })
+            // write to a temp file first so a power cut never leaves a half-written file
+            const tmp = filePath + '.tmp'
+            fs.writeFileSync(tmp, JSON.stringify(data, null, 2), 'utf8')
+            fs.renameSync(tmp, filePath)
+        } catch (e) {
+            console.warn('[settings] could not write', filePath, e && e.message)
+        }
+    }
+
+    return {
+        filePath,
+        get: (key) => (key ? data[key] : data),
+        set: (key, value) => {
+            data[key] = value
+            save()
+            return data[key]
+        },
+        // shallow-merge `patch` into an object section
+        update: (key, patch) => {
+            data[key] = { ...(data[key] || {}), ...(patch || {}) }
+            save()
+            return data[key]
+        },
+        reload: () => { data = load() }
+    }
+}
+
+module.exports = { createSettingsStore }
@@ -0,0 +1,322 @@
+const fs = require('fs')
+const path = require('path')
+const http = require('http')
+
+// Static file server for the bundled web apps (dist, dist2, ...). Each content
+// root is a "site"; sites are either served on their own port (preferred port
+// first, a free port when it is taken) or mounted on a single port under a
+// path prefix. The Vite builds reference assets with absolute paths
+// (/assets/...), so prefix mounting only works for builds made with a
+// matching `base`.
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'application/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.mp4': 'video/mp4',
+    '.webm': 'video/webm',
+    '.ogg': 'video/ogg',
+    '.mp3': 'audio/mpeg',
+    '.wav': 'audio/wav',
+    '.svg': 'image/svg+xml',
+    '.woff': 'font/woff',
+    '.woff2': 'font/woff2',
+    '.ttf': 'font/ttf',
+    '.json': 'application/json',
+    '.map': 'application/octet-stream'
+}
+
+// Weak validator used by the local static servers for conditional requests
+// (If-None-Match) and for If-Range checks on partial requests.
+function weakEtag(stat) {
+    return `W/"${stat.size}-${stat.mtimeMs}"`
+}
+
+// Parse a `Range: bytes=...` header against a file of `size` bytes.
+// Returns null when the header should be ignored (absent, not a byte range,
+// unparseable or a range ending before it starts) so the whole file is served, an empty array when none of the
+// requested ranges can be satisfied (416), or a sorted list of coalesced
+// { start, end } ranges (inclusive offsets).
+function parseRangeHeader(header, size) {
+    if (!header) return null
+    const m = /^\s*bytes\s*=\s*(.+)$/i.exec(String(header))
+    if (!m) return null
+    const specs = m[1].split(',').map(s => s.trim()).filter(Boolean)
+    // Refuse to fan a single request out into an absurd number of parts
+    if (specs.length === 0 || specs.length > 32) return null
+    const ranges = []
+    for (const spec of specs) {
+        const r = /^(\d*)\s*-\s*(\d*)$/.exec(spec)
+        if (!r || (r[1] === '' && r[2] === '')) return null
+        let start
+        let end
+        if (r[1] === '') {
+            // suffix range: last N bytes
+            const suffix = parseInt(r[2], 10)
+            if (suffix === 0) continue
+            start = Math.max(0, size - suffix)
+            end = size - 1
+        } else {
+            start = parseInt(r[1], 10)
+            // invalid per RFC 7233 2.1: the whole header is ignored
+            if (r[2] !== '' && parseInt(r[2], 10) < start) return null
+            end = r[2] === '' ? size - 1 : Math.min(parseInt(r[2], 10), size - 1)
+        }
+        if (start >= size || start > end) continue
+        ranges.push({ start, end })
+    }
+    ranges.sort((a, b) => a.start - b.start)
+    const merged = []
+    for (const r of ranges) {
+        const last = merged[merged.length - 1]
+        if (last && r.start <= last.end + 1) last.end = Math.max(last.end, r.end)
+        else merged.push({ start: r.start, end: r.end })
+    }
+    return merged
+}
+
+// Stream a file (or the requested byte ranges of it) to an HTTP response.
+// Handles single ranges (206 + Content-Range), multiple ranges
+// (multipart/byteranges), unsatisfiable ranges (416) and If-Range validation
+// against the weak ETag / Last-Modified the server hands out. Headers like
+// Content-Type and ETag are expected to be set by the caller.
+function sendFileWithRanges(req, res, filePath, stat, mime) {
+    const size = stat.size
+    const isHead = req.method === 'HEAD'
+    res.setHeader('Accept-Ranges', 'bytes')
+
+    let ranges = parseRangeHeader(req.headers['range'], size)
+    const ifRange = req.headers['if-range']
+    if (ranges && ifRange) {
+        // Only honour the range when the client's copy is still current;
+        // otherwise fall back to sending the full (changed) file.
+        const value = String(ifRange).trim()
+        const matches = value.startsWith('W/') || value.startsWith('"')
+            ? value === weakEtag(stat)
+            : value === stat.mtime.toUTCString()
+        if (!matches) ranges = null
+    }
+
+    const pipeRange = (start, end, done) => {
+        const stream = fs.createReadStream(filePath, { start, end })
+        stream.on('error', () => {
+            try { res.destroy() } catch (e) { }
+        })
+        stream.on('end', done)
+        stream.pipe(res, { end: false })
+    }
+
+    if (ranges && ranges.length === 0) {
+        res.statusCode = 416
+        res.setHeader('Content-Range', `bytes */${size}`)
+        res.end()
+        return
+    }
+
+    if (ranges && ranges.length === 1) {
+        const { start, end } = ranges[0]
+        res.statusCode = 206
+        res.setHeader('Content-Range', `bytes ${start}-${end}/${size}`)
+        res.setHeader('Content-Length', end - start + 1)
+        if (isHead) return res.end()
+        pipeRange(start, end, () => res.end())
+        return
+    }
+
+    if (ranges && ranges.length > 1) {
+        const boundary = 'gamepad-app-' + Date.now().toString(16) + Math.random().toString(16).slice(2)
+        const partHeaders = ranges.map(({ start, end }) =>
+            `\r\n--${boundary}\r\nContent-Type: ${mime}\r\nContent-Range: bytes ${start}-${end}/${size}\r\n\r\n`)
+        const trailer = `\r\n--${boundary}--\r\n`
+        let length = Buffer.byteLength(trailer)
+        ranges.forEach(({ start, end }, i) => { length += Buffer.byteLength(partHeaders[i]) + (end - start + 1) })
+        res.statusCode = 206
+        res.setHeader('Content-Type', `multipart/byteranges; boundary=${boundary}`)
+        res.setHeader('Content-Length', length)
+        if (isHead) return res.end()
+        let i = 0
+        const next = () => {
+            if (i >= ranges.length) return res.end(trailer)
+            const { start, end } = ranges[i]
+            res.write(partHeaders[i])
+            i++
+            pipeRange(start, end, next)
+        }
+        next()
+        return
+    }
+
+    res.statusCode = 200
+    res.setHeader('Content-Length', size)
+    if (isHead || size === 0) return res.end()
+    pipeRange(0, size - 1, () => res.end())
+}
+
+// Serve `pathname` from the content root `root`. `pathname` is already
+// decoded and relative to the site (prefix stripped).
+function serveFromRoot(root, pathname, req, res) {
+    if (pathname === '/' || pathname === '') pathname = '/index.html'
+
+    // prevent directory traversal (also rejects sibling dirs like dist2 vs dist)
+    const safePath = path.normalize(path.join(root, pathname))
+    if (safePath !== root && !safePath.startsWith(root + path.sep)) {
+        res.statusCode = 403
+        res.end('Forbidden')
+        return
+    }
+
+    if (!fs.existsSync(safePath) || fs.statSync(safePath).isDirectory()) {
+        res.statusCode = 404
+        res.end('Not found')
+        return
+    }
+
+    const ext = path.extname(safePath).toLowerCase()
+    const mime = MIME_TYPES[ext] || 'application/octet-stream'
+
+    res.setHeader('Content-Type', mime)
+    // Prevent caching of JSON manifests so updated content.json is picked up immediately
+    if (ext === '.json') {
+        res.setHeader('Cache-Control', 'no-store, must-revalidate')
+        res.setHeader('Pragma', 'no-cache')
+        res.setHeader('Expires', '0')
+    }
+    // Add ETag/Last-Modified so clients can conditional GET and detect updates
+    const stat = fs.statSync(safePath)
+    try {
+        const etag = weakEtag(stat)
+        res.setHeader('ETag', etag)
+        res.setHeader('Last-Modified', stat.mtime.toUTCString())
+        const ifNoneMatch = req.headers['if-none-match']
+        const ifModifiedSince = req.headers['if-modified-since']
+        if (ifNoneMatch === etag || (ifModifiedSince && new Date(ifModifiedSince).getTime() >= stat.mtimeMs)) {
+            res.statusCode = 304
+            res.end()
+            return
+        }
+    } catch (e) {
+        // ignore header errors and continue to serve the file
+    }
+    // Helpful debug: log when serving content.json
+    if (path.basename(safePath) === 'content.json') {
+        try { console.log('[server] serving content.json from', safePath) } catch (e) { }
+    }
+    // Honour Range requests so <video>/<audio> can seek without
+    // re-reading the file from byte 0
+    sendFileWithRanges(req, res, safePath, stat, mime)
+}
+
+// Build a request handler for a list of mounted sites. Each site is
+// { name, root, prefix } where prefix is '' for the server root or a path
+// like '/deck'. The longest matching prefix wins.
+function createStaticHandler(sites) {
+    const mounts = sites
+        .map(s => ({ name: s.name, root: path.resolve(s.root), prefix: String(s.prefix || '').replace(/\/+$/, '') }))
+        .sort((a, b) => b.prefix.length - a.prefix.length)
+
+    return (req, res) => {
+        try {
+            let pathname
+            try {
+                pathname = decodeURIComponent(new URL(req.url, 'http://localhost').pathname)
+            } catch (e) {
+                res.statusCode = 400
+                res.end('Bad request')
+                return
+            }
+            for (const m of mounts) {
+                if (!m.prefix) return serveFromRoot(m.root, pathname, req, res)
+                if (pathname === m.prefix) {
+                    // redirect so relative asset paths resolve inside the prefix
+                    res.statusCode = 301
+                    res.setHeader('Location', m.prefix + '/')
+                    res.end()
+                    return
+                }
+                if (pathname.startsWith(m.prefix + '/')) return serveFromRoot(m.root, pathname.slice(m.prefix.length), req, res)
+            }
+            res.statusCode = 404
+            res.end('Not found')
+        } catch (err) {
+            res.statusCode = 500
+            res.end('Server error')
+        }
+    }
+}
+
+// Listen on `port`, falling back to a free port chosen by the OS when the
+// preferred one is already in use. Resolves with the bound port.
+function listen(server, port, host) {
+    return new Promise((resolve, reject) => {
+        const attempt = (p) => {
+            const onError = (err) => {
+                server.removeListener('listening', onListening)
+                if (err && err.code === 'EADDRINUSE' && p !== 0) {
+                    console.warn(`[server] port ${p} in use, picking a free port`)
+                    return attempt(0)
+                }
+                reject(err)
+            }
+            const onListening = () => {
+                server.removeListener('error', onError)
+                resolve(server.address().port)
+            }
+            server.once('error', onError)
+            server.once('listening', onListening)
+            server.listen(p, host)
+        }
+        attempt(typeof port === 'number' ? port : 0)
+    })
+}
+
+/**
+ * Start serving a set of content roots.
+ *
+ * sites: [{ name, root, port?, prefix? }]
+ * options: { host = '127.0.0.1', singlePort = false, port }
+ *   - singlePort false: every site gets its own server on `site.port`
+ *     (or a free port when unset/taken), served from `/`.
+ *   - singlePort true: one server on `options.port` mounts each site under
+ *     `site.prefix` (defaults to `/<name>`; use '' for the root site).
+ *
+ * Resolves with { urls: { [name]: 'http://host:port/prefix/' }, close() }.
+ */
+async function startStaticServers(sites, options = {}) {
+    const host = options.host || '127.0.0.1'
+    const servers = []
+    const urls = {}
+
+    const close = () => {
+        for (const s of servers) {
+            try { s.close() } catch (e) { }
+        }
+    }
+
+    try {
+        if (options.singlePort) {
+            const mounts = sites.map(s => ({ ...s, prefix: typeof s.prefix === 'string' ? s.prefix : `/${s.name}` }))
+            const server = http.createServer(createStaticHandler(mounts))
+            servers.push(server)
+            const port = await listen(server, options.port, host)
+            for (const m of mounts) urls[m.name] = `http://${host}:${port}${m.prefix.replace(/\/+$/, '')}/`
+        } else {
+            for (const site of sites) {
+                const server = http.createServer(createStaticHandler([{ name: site.name, root: site.root, prefix: '' }]))
+                servers.push(server)
+                const port = await listen(server, site.port, host)
+                urls[site.name] = `http://${host}:${port}/`
+            }
+        }
+    } catch (e) {
+        close()
+        throw e
+    }
+
+    console.log('[server] serving sites:', urls)
+    return { urls, close }
+}
+
+module.exports = { startStaticServers, createStaticHandler, parseRangeHeader, MIME_TYPES }
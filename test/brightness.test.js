@@ -0,0 +1,136 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('fs')
+const path = require('path')
+const brightness = require('../brightness')
+const { tempDir, writeTree } = require('./helpers')
+
+// The backlight on a fake /sys/class/backlight and the idle dim/blank policy
+// with fake hardware.
+
+function backlights(t, devices) {
+    const root = tempDir(t)
+    const files = {}
+    for (const [name, values] of Object.entries(devices)) {
+        for (const [key, value] of Object.entries(values)) files[`${name}/${key}`] = String(value) + '\n'
+    }
+    writeTree(root, files)
+    return root
+}
+
+const read = (root, rel) => fs.readFileSync(path.join(root, rel), 'utf8').trim()
+
+test('firmware backlights go before platform and raw ones', (t) => {
+    const root = backlights(t, {
+        intel_backlight: { type: 'raw', max_brightness: 96000, brightness: 48000 },
+        acpi_video0: { type: 'firmware', max_brightness: 100, brightness: 50 },
+        // no range: not a usable device
+        broken: { type: 'firmware', max_brightness: 0 }
+    })
+    assert.deepEqual(brightness.findBacklight(root), { name: 'acpi_video0', dir: path.join(root, 'acpi_video0'), type: 'firmware', max: 100 })
+    assert.equal(brightness.findBacklight(path.join(root, 'missing')), null)
+})
+
+test('the level is read and written as a percentage of the raw range', async (t) => {
+    const root = backlights(t, { amdgpu_bl0: { type: 'raw', max_brightness: 255, brightness: 64 } })
+    assert.deepEqual(await brightness.readBacklight(root), { supported: true, percent: 25, raw: { cur: 64, max: 255 }, device: 'amdgpu_bl0', backend: 'sysfs' })
+    assert.deepEqual(await brightness.writeBacklight(60.4, root), { supported: true, percent: 60, raw: { cur: 153, max: 255 }, device: 'amdgpu_bl0', backend: 'sysfs' })
+    assert.equal(read(root, 'amdgpu_bl0/brightness'), '153')
+    assert.equal((await brightness.writeBacklight(140, root)).raw.cur, 255)
+})
+
+test('blanking uses bl_power, or brightness 0 without it', async (t) => {
+    const root = backlights(t, { panel: { type: 'raw', max_brightness: 100, brightness: 70, bl_power: 0 } })
+    await brightness.setBacklightPower(false, root)
+    assert.equal(read(root, 'panel/bl_power'), '4')
+    assert.equal(read(root, 'panel/brightness'), '70')
+    await brightness.setBacklightPower(true, root)
+    assert.equal(read(root, 'panel/bl_power'), '0')
+
+    fs.rmSync(path.join(root, 'panel/bl_power'))
+    await brightness.setBacklightPower(false, root)
+    assert.equal(read(root, 'panel/brightness'), '0')
+})
+
+test('brightness settings are checked', () => {
+    const ok = { level: 80, dimMinutes: 2, dimPercent: 20, blankMinutes: 5 }
+    assert.equal(brightness.validateBrightnessConfig(ok), null)
+    assert.equal(brightness.validateBrightnessConfig({ ...ok, dimMinutes: 0, blankMinutes: 0 }), null)
+    assert.match(brightness.validateBrightnessConfig({ ...ok, level: 2 }), /level must be a percentage \(5-100\)/)
+    assert.match(brightness.validateBrightnessConfig({ ...ok, dimMinutes: -1 }), /minutes/)
+    assert.match(brightness.validateBrightnessConfig({ ...ok, dimPercent: 101 }), /dimPercent/)
+    assert.match(brightness.validateBrightnessConfig({ ...ok, blankMinutes: 2 }), /blankMinutes must be later than dimMinutes/)
+})
+
+// A controller on fake hardware, dimming after 1 and blanking after 2 idle minutes
+function controller(t, { busy = false } = {}) {
+    t.mock.timers.enable({ apis: ['setInterval', 'Date'], now: 0 })
+    const hw = { percent: 100, power: true, calls: [], saved: [], states: [], busy }
+    const ctl = brightness.createBrightnessController({
+        getConfig: () => ({ level: 80, dimMinutes: 1, dimPercent: 20, blankMinutes: 2 }),
+        saveLevel: (v) => hw.saved.push(v),
+        getLastActivity: () => hw.lastActivity || 0,
+        isBusy: () => hw.busy,
+        onChange: (e) => hw.states.push(e.state),
+        read: async () => ({ supported: true, percent: hw.percent, backend: 'sysfs' }),
+        write: async (percent) => {
+            hw.calls.push(percent)
+            hw.percent = percent
+            return { supported: true, percent, backend: 'sysfs' }
+        },
+        setPower: async (on) => {
+            hw.calls.push(on ? 'on' : 'off')
+            hw.power = on
+        }
+    })
+    t.after(() => ctl.stop())
+    return { ctl, hw }
+}
+
+const settle = () => new Promise(resolve => setImmediate(resolve))
+
+test('the screen dims, blanks and wakes with input', async (t) => {
+    const { ctl, hw } = controller(t)
+    ctl.start()
+    await settle()
+    assert.deepEqual(hw.calls, ['on', 80])
+
+    t.mock.timers.tick(60 * 1000)
+    await settle()
+    t.mock.timers.tick(60 * 1000)
+    await settle()
+    assert.deepEqual(hw.calls, ['on', 80, 20, 'off'])
+    assert.deepEqual(hw.states, ['on', 'dimmed', 'blanked'])
+
+    hw.lastActivity = Date.now()
+    assert.equal(ctl.activity(), true)
+    await settle()
+    assert.deepEqual(hw.calls.slice(4), ['on', 80])
+    assert.equal(ctl.activity(), false)
+    assert.deepEqual(hw.saved, [])
+})
+
+test('a presentation or narration keeps the screen on', async (t) => {
+    const { ctl, hw } = controller(t, { busy: true })
+    ctl.start()
+    t.mock.timers.tick(5 * 60 * 1000)
+    await settle()
+    assert.deepEqual(hw.calls, ['on', 80])
+})
+
+test('levels set by hand or with the hardware keys are saved', async (t) => {
+    const { ctl, hw } = controller(t)
+    ctl.start()
+    await settle()
+    // a hardware key changed the level behind the app's back
+    hw.percent = 45
+    hw.lastActivity = Date.now() + 5000
+    t.mock.timers.tick(5000)
+    await settle()
+    assert.deepEqual(hw.saved, [45])
+
+    const status = await ctl.set(2)
+    assert.deepEqual(hw.saved, [45, brightness.MIN_LEVEL_PERCENT])
+    assert.equal(hw.calls[hw.calls.length - 1], brightness.MIN_LEVEL_PERCENT)
+    assert.equal(status.state, 'on')
+})
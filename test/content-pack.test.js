@@ -0,0 +1,270 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('fs')
+const path = require('path')
+const crypto = require('crypto')
+const zlib = require('zlib')
+const { spawnSync } = require('child_process')
+const contentPack = require('../content-pack')
+const { tempDir, writeTree } = require('./helpers')
+
+// Offline content packs: export from one dist folder, import into another.
+
+const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519')
+const PUBLIC_PEM = publicKey.export({ type: 'spki', format: 'pem' })
+const sign = (raw) => crypto.sign(null, Buffer.from(raw, 'utf8'), privateKey).toString('base64')
+
+const COVER = 'cover image bytes'
+
+function manifestRaw(version = '2.0.0') {
+    return JSON.stringify({
+        version,
+        collections: [{ id: 'c', books: [{ id: 1, title: 'Book', cover: 'c.jpg', template: 1, content: [] }] }]
+    })
+}
+
+// A unit with `version` installed (signed unless `signature` is null) and
+// an empty one with 1.0.0 to import into
+function units(t, { version = '2.0.0', signature } = {}) {
+    const root = tempDir(t)
+    const source = path.join(root, 'source', 'dist')
+    const target = path.join(root, 'target', 'dist')
+    const raw = manifestRaw(version)
+    writeTree(source, { 'content.json': raw, 'books/1/c.jpg': COVER })
+    if (signature !== null) fs.writeFileSync(path.join(source, 'content.json.sig'), typeof signature === 'string' ? signature : sign(raw))
+    writeTree(target, { 'content.json': JSON.stringify({ version: '1.0.0', collections: [] }), 'index.html': 'app' })
+    return { root, source, target, raw }
+}
+
+const installedVersion = (distDir) => JSON.parse(fs.readFileSync(path.join(distDir, 'content.json'), 'utf8')).version
+
+test('an exported pack carries the signature and imports with the key', async (t) => {
+    const { root, source, target, raw } = units(t)
+    const pack = await contentPack.exportPack({ distDir: source, outPath: root })
+    assert.equal(path.basename(pack.path), 'interactive-2.0.0.gcpack')
+    const info = await contentPack.readPackInfo(pack.path)
+    assert.deepEqual(info.files.map(f => f.path).sort(), ['books/1/c.jpg', 'content.json'])
+
+    const result = await contentPack.importPack({ packPath: pack.path, distDir: target, site: 'interactive', publicKey: PUBLIC_PEM })
+    assert.equal(result.updated, true)
+    assert.equal(installedVersion(target), '2.0.0')
+    assert.equal(fs.readFileSync(path.join(target, 'books/1/c.jpg'), 'utf8'), COVER)
+    assert.equal(fs.readFileSync(path.join(target, 'index.html'), 'utf8'), 'app')
+    // installed, so a pack exported from this unit is signed as well
+    assert.equal(fs.readFileSync(path.join(target, 'content.json.sig'), 'utf8'), sign(raw))
+    assert.equal(fs.existsSync(path.join(target, 'pack.json')), false)
+})
+
+test('an unsigned pack is refused when a key is bundled', async (t) => {
+    const { root, source, target } = units(t, { signature: null })
+    const pack = await contentPack.exportPack({ distDir: source, outPath: root })
+    await assert.rejects(contentPack.importPack({ packPath: pack.path, distDir: target, publicKey: PUBLIC_PEM }), /not signed/)
+    assert.equal(installedVersion(target), '1.0.0')
+})
+
+test('a pack with a bad signature is refused', async (t) => {
+    const { root, source, target } = units(t, { signature: sign(manifestRaw('6.6.6')) })
+    const pack = await contentPack.exportPack({ distDir: source, outPath: root })
+    await assert.rejects(contentPack.importPack({ packPath: pack.path, distDir: target, publicKey: PUBLIC_PEM }), /signature in pack verification failed/)
+    assert.equal(installedVersion(target), '1.0.0')
+})
+
+test('without a key an unsigned pack installs and leaves no stale signature', async (t) => {
+    const { root, source, target } = units(t, { signature: null })
+    fs.writeFileSync(path.join(target, 'content.json.sig'), sign(manifestRaw('1.0.0')))
+    const pack = await contentPack.exportPack({ distDir: source, outPath: root })
+    await assert.rejects(contentPack.importPack({ packPath: pack.path, distDir: target, requireSignature: true }), /No public key/)
+    assert.equal((await contentPack.importPack({ packPath: pack.path, distDir: target })).updated, true)
+    assert.equal(installedVersion(target), '2.0.0')
+    assert.equal(fs.existsSync(path.join(target, 'content.json.sig')), false)
+})
+
+// A pack folder for `files` ({ rel: data }) with a matching pack.json;
+// `unlisted` files are packed without being listed
+function packFolder(t, files, { unlisted = {}, info = {} } = {}) {
+    const dir = tempDir(t)
+    const listed = Object.entries(files).map(([rel, data]) => ({ path: rel, size: Buffer.byteLength(data), sha256: crypto.createHash('sha256').update(data).digest('hex') }))
+    writeTree(dir, { ...files, ...unlisted, 'pack.json': JSON.stringify({ format: 1, site: 'interactive', version: '2.0.0', files: listed, ...info }) })
+    return dir
+}
+
+const hasTar = spawnSync('tar', ['--version']).status === 0
+
+// Pack `dir` with GNU tar in `format`; extra tar arguments go before the file list
+function tarPack(t, dir, format, extra = []) {
+    const out = path.join(tempDir(t), 'pack.gcpack')
+    const entries = ['pack.json'].concat(fs.readdirSync(dir).filter(n => n !== 'pack.json'))
+    const res = spawnSync('tar', ['-czf', out, `--format=${format}`, '-C', dir, ...extra, ...entries])
+    assert.equal(res.status, 0, String(res.stderr))
+    return out
+}
+
+function emptyTarget(t) {
+    const target = path.join(tempDir(t), 'dist')
+    writeTree(target, { 'content.json': JSON.stringify({ version: '1.0.0', collections: [] }) })
+    return target
+}
+
+const LONG_DIR = 'books/1/' + 'chapter-'.repeat(11)
+const longManifest = (names) => JSON.stringify({
+    version: '2.0.0',
+    collections: [{ id: 'c', books: [{ id: 1, title: 'Book', cover: 'c.jpg', template: 1, content: names.map(src => ({ type: 'image', src })) }] }]
+})
+
+test('long paths survive our own tar writer and reader', async (t) => {
+    // one name fits the ustar prefix field, the other needs a GNU long name
+    const prefixed = 'chapter-'.repeat(14) + '/page.png'
+    const long = 'chapter-'.repeat(14) + '/' + 'p'.repeat(120) + '.png'
+    const source = path.join(tempDir(t), 'dist')
+    writeTree(source, { 'content.json': longManifest([prefixed, long]), 'books/1/c.jpg': COVER, [`books/1/${prefixed}`]: 'one', [`books/1/${long}`]: 'two' })
+    const pack = await contentPack.exportPack({ distDir: source, outPath: tempDir(t) })
+    const target = emptyTarget(t)
+    assert.equal((await contentPack.importPack({ packPath: pack.path, distDir: target })).updated, true)
+    assert.equal(fs.readFileSync(path.join(target, 'books/1', prefixed), 'utf8'), 'one')
+    assert.equal(fs.readFileSync(path.join(target, 'books/1', long), 'utf8'), 'two')
+})
+
+for (const format of ['ustar', 'gnu', 'pax']) {
+    test(`packs made with GNU tar (${format}) import`, { skip: !hasTar && 'tar is not installed' }, async (t) => {
+        const names = format === 'ustar' ? ['page.png'] : ['page.png', 'p'.repeat(120) + '.png']
+        const files = { 'content.json': longManifest(names.map(n => LONG_DIR.slice('books/1/'.length) + '/' + n)), 'books/1/c.jpg': COVER }
+        for (const n of names) files[`${LONG_DIR}/${n}`] = 'page ' + n.length
+        const pack = tarPack(t, packFolder(t, files), format)
+        assert.equal((await contentPack.readPackInfo(pack)).version, '2.0.0')
+        const target = emptyTarget(t)
+        assert.equal((await contentPack.importPack({ packPath: pack, distDir: target })).updated, true)
+        for (const n of names) assert.equal(fs.readFileSync(path.join(target, LONG_DIR, n), 'utf8'), 'page ' + n.length)
+    })
+}
+
+test('files pack.json does not list are not installed', { skip: !hasTar && 'tar is not installed' }, async (t) => {
+    const dir = packFolder(t, { 'content.json': manifestRaw(), 'books/1/c.jpg': COVER }, { unlisted: { 'books/1/extra.js': 'alert(1)' } })
+    const target = emptyTarget(t)
+    await contentPack.importPack({ packPath: tarPack(t, dir, 'gnu'), distDir: target })
+    assert.equal(fs.existsSync(path.join(target, 'books/1/c.jpg')), true)
+    assert.equal(fs.existsSync(path.join(target, 'books/1/extra.js')), false)
+})
+
+test('a file that differs from pack.json is refused', { skip: !hasTar && 'tar is not installed' }, async (t) => {
+    const dir = packFolder(t, { 'content.json': manifestRaw(), 'books/1/c.jpg': COVER })
+    fs.writeFileSync(path.join(dir, 'books/1/c.jpg'), 'COVER IMAGE BYTES')
+    const target = emptyTarget(t)
+    await assert.rejects(contentPack.importPack({ packPath: tarPack(t, dir, 'gnu'), distDir: target }), /Checksum mismatch for books\/1\/c\.jpg/)
+    assert.equal(fs.existsSync(path.join(target, 'books')), false)
+})
+
+test('paths leaving the pack are refused', { skip: !hasTar && 'tar is not installed' }, async (t) => {
+    const dir = packFolder(t, { 'content.json': manifestRaw(), 'books/1/c.jpg': COVER })
+    const pack = tarPack(t, dir, 'gnu', ['--transform', 's,^books,../books,'])
+    const target = emptyTarget(t)
+    await assert.rejects(contentPack.importPack({ packPath: pack, distDir: target }), /unsafe path: \.\.\/books/)
+    assert.equal(fs.existsSync(path.join(target, '..', 'books')), false)
+})
+
+test('broken archives are reported', async (t) => {
+    const dir = tempDir(t)
+    const notGzip = path.join(dir, 'a.gcpack')
+    fs.writeFileSync(notGzip, 'this is not a pack')
+    await assert.rejects(contentPack.readPackInfo(notGzip), /Not a valid content pack/)
+
+    const source = units(t).source
+    const pack = await contentPack.exportPack({ distDir: source, outPath: dir })
+    const raw = zlib.gunzipSync(fs.readFileSync(pack.path))
+    const truncated = path.join(dir, 'truncated.gcpack')
+    fs.writeFileSync(truncated, zlib.gzipSync(raw.subarray(0, 512 + 100)))
+    await assert.rejects(contentPack.importPack({ packPath: truncated, distDir: emptyTarget(t) }), /truncated/)
+    const badHeader = Buffer.from(raw)
+    badHeader[0] ^= 0xff
+    const corrupt = path.join(dir, 'corrupt.gcpack')
+    fs.writeFileSync(corrupt, zlib.gzipSync(badHeader))
+    await assert.rejects(contentPack.readPackInfo(corrupt), /bad tar header/)
+})
+
+test('an export lists what is missing and carries the narration', async (t) => {
+    const { root, source } = units(t, { signature: null })
+    const manifest = JSON.parse(manifestRaw('2.1.0 beta'))
+    manifest.collections[0].books[0].content = [{ type: 'image', src: 'gone.png' }]
+    writeTree(source, { 'content.json': JSON.stringify(manifest), 'books/1/tts.wav': 'RIFF', 'books/1/tts.timings.json': '{}', 'books/1/notes.txt': 'stray' })
+    const progress = []
+    const pack = await contentPack.exportPack({ distDir: source, outPath: root, onProgress: p => progress.push(p.percent) })
+
+    // the version is made safe for a file name
+    assert.equal(pack.path, path.join(root, 'interactive-2.1.0_beta.gcpack'))
+    assert.deepEqual(pack.missing, ['books/1/gone.png'])
+    assert.equal(fs.existsSync(pack.path + '.part'), false)
+    assert.equal(progress[progress.length - 1], 100)
+    const info = await contentPack.readPackInfo(pack.path)
+    assert.deepEqual(info.missing, ['books/1/gone.png'])
+    assert.deepEqual(info.files.map(f => f.path).sort(), ['books/1/c.jpg', 'books/1/tts.timings.json', 'books/1/tts.wav', 'content.json'])
+})
+
+test('an export goes to the given file and is found on the volume', async (t) => {
+    const { root, source, target } = units(t, { signature: null })
+    const out = path.join(root, 'stick', 'lesson.gcpack')
+    fs.mkdirSync(path.dirname(out))
+    const pack = await contentPack.exportPack({ distDir: source, outPath: out, site: 'hero' })
+    assert.equal(pack.path, out)
+    assert.equal(pack.site, 'hero')
+    assert.equal((await contentPack.readPackInfo(out)).site, 'hero')
+    assert.deepEqual(contentPack.findPacks(path.dirname(out)), [out])
+
+    await assert.rejects(contentPack.importPack({ packPath: out, distDir: target, site: 'interactive' }), /for the hero site, not interactive/)
+    // the installed version again is skipped
+    await contentPack.importPack({ packPath: out, distDir: target, site: 'hero' })
+    const again = await contentPack.importPack({ packPath: out, distDir: target, site: 'hero' })
+    assert.equal(again.updated, false)
+    assert.equal(again.reason, 'same-version')
+})
+
+test('an export needs a readable content.json with a version', async (t) => {
+    const dir = tempDir(t)
+    await assert.rejects(contentPack.exportPack({ distDir: dir, outPath: dir }), /No readable content.json/)
+    writeTree(dir, { 'content.json': '{"collections":[]}' })
+    await assert.rejects(contentPack.exportPack({ distDir: dir, outPath: dir }), /has no version/)
+})
+
+test('removable volumes are the folders under the media roots', (t) => {
+    const root = tempDir(t)
+    writeTree(root, { 'user/STICK/a.gcpack': 'x', 'user/notes.txt': 'x' })
+    assert.deepEqual(contentPack.listRemovableMounts([path.join(root, 'user'), path.join(root, 'nobody')]), [path.join(root, 'user', 'STICK')])
+})
+
+test('packs on a new volume are handed over one at a time', async (t) => {
+    const root = tempDir(t)
+    writeTree(root, { 'user/STICK/a.gcpack': 'x', 'user/STICK/b.gcpack': 'x' })
+    const calls = []
+    let done
+    const finished = new Promise(resolve => { done = resolve })
+    const watcher = contentPack.watchRemovableMedia({
+        roots: [path.join(root, 'user')],
+        intervalMs: 60000,
+        onPack: async (pack) => {
+            calls.push('start ' + path.basename(pack))
+            await new Promise(resolve => setTimeout(resolve, 20))
+            calls.push('end ' + path.basename(pack))
+            if (calls.length === 4) done()
+        }
+    })
+    t.after(() => watcher.stop())
+    await finished
+    const [first, second] = [calls[0], calls[2]].map(c => c.slice('start '.length))
+    assert.deepEqual(calls, [`start ${first}`, `end ${first}`, `start ${second}`, `end ${second}`])
+    assert.deepEqual([first, second].sort(), ['a.gcpack', 'b.gcpack'])
+})
+
+test('an older pack is only installed with force', async (t) => {
+    const { root, source, target } = units(t, { version: '0.9.0', signature: null })
+    const pack = await contentPack.exportPack({ distDir: source, outPath: root })
+    const skipped = await contentPack.importPack({ packPath: pack.path, distDir: target })
+    assert.deepEqual([skipped.updated, skipped.reason, skipped.localVer, skipped.remoteVer], [false, 'older-version', '1.0.0', '0.9.0'])
+    assert.equal(installedVersion(target), '1.0.0')
+    assert.equal((await contentPack.importPack({ packPath: pack.path, distDir: target, force: true })).updated, true)
+    assert.equal(installedVersion(target), '0.9.0')
+})
+
+test('pack versions compare numerically', () => {
+    assert.equal(contentPack.isNewerVersion('1.10.0', '1.9.2'), true)
+    assert.equal(contentPack.isNewerVersion('2.0.0', '2.0.0'), false)
+    assert.equal(contentPack.isNewerVersion('1.2.0', '1.3.0'), false)
+    assert.equal(contentPack.isNewerVersion('1.0.0', null), true)
+})
@@ -0,0 +1,97 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('fs')
+const path = require('path')
+const { validateManifest, describeErrors } = require('../content-schema')
+const updater = require('../updater')
+const { tempDir, writeTree, serveRoutes } = require('./helpers')
+
+// content.json schema checks, the reference report and the updater refusing
+// a manifest that fails them.
+
+const book = (extra = {}) => ({ id: 1, title: 'Book', cover: 'c.jpg', template: 1, content: [{ type: 'paragraph', text: 'Hi' }], ...extra })
+const manifest = (extra = {}) => ({ version: '1.0.0', collections: [{ id: 'c', books: [book()] }], ...extra })
+const paths = (list) => list.map(e => e.path)
+
+test('a well-formed manifest is valid', () => {
+    assert.deepEqual(validateManifest(manifest()), { valid: true, errors: [], warnings: [] })
+    // the legacy books array instead of collections
+    assert.equal(validateManifest({ version: 3, books: [book()] }).valid, true)
+})
+
+test('missing and malformed fields are errors with their path', () => {
+    assert.deepEqual(paths(validateManifest([]).errors), [''])
+    assert.deepEqual(paths(validateManifest({ collections: [] }).errors), ['version'])
+    assert.deepEqual(paths(validateManifest({ version: '1' }).errors), ['collections'])
+
+    const broken = manifest({
+        collections: [{ id: 'c', books: [book({ title: ' ', template: 4, content: [{ type: 'image' }, { type: 'quote', text: 'x' }, { type: 'video', src: 'v.mp4', poster: 1 }] })] }]
+    })
+    const { valid, errors } = validateManifest(broken)
+    assert.equal(valid, false)
+    assert.deepEqual(paths(errors), [
+        'collections[0].books[0].title',
+        'collections[0].books[0].template',
+        'collections[0].books[0].content[0].src',
+        'collections[0].books[0].content[1].type',
+        'collections[0].books[0].content[2].poster'
+    ])
+})
+
+test('book ids must be unique and path-safe', () => {
+    const { errors } = validateManifest(manifest({
+        collections: [{ id: 'c', books: [book(), book({ id: '../x' })] }, { id: 'd', books: [book()] }]
+    }))
+    assert.deepEqual(paths(errors), ['collections[0].books[1].id', 'collections[1].books[0].id'])
+    assert.match(errors[1].message, /duplicate book id 1 \(also at collections\[0\]\.books\[0\]\)/)
+    assert.equal(validateManifest(manifest({ collections: [{ id: 'c', books: [book({ id: 'intro-2' })] }] })).valid, true)
+})
+
+test('unknown properties are warnings only', () => {
+    const { valid, warnings } = validateManifest(manifest({ theme: 'dark', collections: [{ id: 'c', books: [book({ music: 'a.mp3' })] }] }))
+    assert.equal(valid, true)
+    assert.deepEqual(paths(warnings), ['theme', 'collections[0].books[0].music'])
+})
+
+test('the files list is checked', () => {
+    const { errors } = validateManifest(manifest({ files: [{ path: 'a' }, { size: 1 }, { path: 'b', size: -1, sha256: 'abc' }] }))
+    assert.deepEqual(paths(errors), ['files[1]', 'files[2].size', 'files[2].sha256'])
+})
+
+test('describeErrors summarizes the first few', () => {
+    const errors = [{ path: 'a', message: 'one' }, { path: '', message: 'two' }, { path: 'c', message: 'three' }, { path: 'd', message: 'four' }]
+    assert.equal(describeErrors(errors), 'a: one; two; c: three (and 1 more)')
+    assert.equal(describeErrors(errors.slice(0, 1)), 'a: one')
+})
+
+test('the reference report lists missing and unreferenced files', (t) => {
+    const distDir = tempDir(t)
+    const m = manifest({ collections: [{ id: 'c', books: [book({ content: [{ type: 'image', src: 'page.png' }, { type: 'image', src: 'tpyo.png' }] })] }] })
+    writeTree(distDir, {
+        'content.json': JSON.stringify(m),
+        'books/1/c.jpg': 'x',
+        'books/1/page.png': 'x',
+        'books/1/typo.png': 'x',
+        'books/1/tts.wav': 'x'
+    })
+    const report = updater.contentReferenceReport({ distDir })
+    assert.equal(report.version, '1.0.0')
+    assert.equal(report.valid, true)
+    assert.deepEqual(report.missing, ['books/1/tpyo.png'])
+    // generated narration is not reported
+    assert.deepEqual(report.unreferenced, ['books/1/typo.png'])
+})
+
+test('the reference report notes an unreadable content.json', (t) => {
+    const report = updater.contentReferenceReport({ distDir: tempDir(t) })
+    assert.equal(report.valid, false)
+    assert.match(report.errors[0].message, /content.json unreadable/)
+})
+
+test('an update with an invalid manifest is refused', async (t) => {
+    const distDir = path.join(tempDir(t), 'dist')
+    writeTree(distDir, { 'content.json': JSON.stringify({ version: '1.0.0', books: [] }) })
+    const server = await serveRoutes(t, { '/content.json': JSON.stringify(manifest({ version: '1.0.1', collections: [{ id: 'c', books: [book({ template: 9 })] }] })) })
+    await assert.rejects(updater.runUpdater({ distDir, remoteBaseUrl: server.url, retries: 0 }), /failed validation: collections\[0\]\.books\[0\]\.template: unknown template 9/)
+    assert.equal(JSON.parse(fs.readFileSync(path.join(distDir, 'content.json'), 'utf8')).version, '1.0.0')
+})
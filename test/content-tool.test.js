@@ -0,0 +1,90 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('fs')
+const path = require('path')
+const crypto = require('crypto')
+const { spawnSync } = require('child_process')
+const { bumpVersion, buildFilesList, diffFolders } = require('../content-tool')
+const { tempDir, writeTree } = require('./helpers')
+
+// The editors' content tool: its helpers, and run as `node content-tool.js ...`.
+
+const TOOL = path.join(__dirname, '..', 'content-tool.js')
+const run = (...args) => spawnSync(process.execPath, [TOOL, ...args], { encoding: 'utf8', timeout: 30000 })
+
+function distFolder(t) {
+    const dist = tempDir(t)
+    writeTree(dist, { 'content.json': JSON.stringify({ version: '1.2.3', collections: [] }), 'index.html': 'app' })
+    return dist
+}
+
+const version = (dist) => JSON.parse(fs.readFileSync(path.join(dist, 'content.json'), 'utf8')).version
+
+test('files --bump without --write refuses instead of doing nothing', (t) => {
+    const dist = distFolder(t)
+    const before = fs.readFileSync(path.join(dist, 'content.json'), 'utf8')
+    const res = run('files', dist, '--bump')
+    assert.equal(res.status, 2)
+    assert.match(res.stderr, /--bump needs --write; nothing was written/)
+    assert.equal(res.stdout, '')
+    assert.equal(fs.readFileSync(path.join(dist, 'content.json'), 'utf8'), before)
+})
+
+test('files --write --bump saves the list and the new version', (t) => {
+    const dist = distFolder(t)
+    const res = run('files', dist, '--write', '--bump=minor')
+    assert.equal(res.status, 0, res.stderr)
+    assert.equal(version(dist), '1.3.0')
+    const files = JSON.parse(fs.readFileSync(path.join(dist, 'content.json'), 'utf8')).files
+    assert.deepEqual(files.map(f => f.path), ['index.html'])
+})
+
+test('bumpVersion raises one part and resets the ones after it', () => {
+    assert.equal(bumpVersion('1.2.24'), '1.2.25')
+    assert.equal(bumpVersion('1.2.24', 'minor'), '1.3.0')
+    assert.equal(bumpVersion('1.2.24', 'major'), '2.0.0')
+    assert.equal(bumpVersion('7', 'patch'), '7.0.1')
+    assert.equal(bumpVersion(null), '0.0.1')
+    // four parts: patch is the last one
+    assert.equal(bumpVersion('1.2.3.4'), '1.2.3.5')
+    assert.equal(bumpVersion('1.2.3-beta', '2.0.0'), '2.0.0')
+    assert.throws(() => bumpVersion('1.2.3-beta'), /Cannot bump non-numeric version 1.2.3-beta/)
+})
+
+test('the files list skips content.json and dotfiles', async (t) => {
+    const dist = distFolder(t)
+    writeTree(dist, { 'books/1/c.jpg': 'cover', '.files.json': '[]', 'books/.cache/x': 'x' })
+    assert.deepEqual(await buildFilesList(dist), [
+        { path: 'books/1/c.jpg', size: 5, sha256: crypto.createHash('sha256').update('cover').digest('hex') },
+        { path: 'index.html', size: 3, sha256: crypto.createHash('sha256').update('app').digest('hex') }
+    ])
+})
+
+test('diffFolders reports added, changed and removed files', async (t) => {
+    const before = distFolder(t)
+    const after = distFolder(t)
+    writeTree(before, { 'a.js': 'a', 'b.js': 'b', 'gone.js': 'x' })
+    writeTree(after, { 'content.json': JSON.stringify({ version: '1.2.4' }), 'a.js': 'a', 'b.js': 'B', 'new.js': 'n' })
+    assert.deepEqual(await diffFolders(before, after), { oldVersion: '1.2.3', newVersion: '1.2.4', added: ['new.js'], changed: ['b.js'], removed: ['gone.js'] })
+    const res = run('diff', before, after)
+    assert.equal(res.status, 0, res.stderr)
+    assert.equal(res.stdout, '+ new.js\n~ b.js\n- gone.js\nversion 1.2.3 -> 1.2.4: 1 added, 1 changed, 1 removed\n')
+})
+
+test('bump and validate from the command line', (t) => {
+    const dist = distFolder(t)
+    assert.equal(run('bump', dist, 'major').stdout, 'version 1.2.3 -> 2.0.0\n')
+    assert.equal(version(dist), '2.0.0')
+
+    // collections are fine, a book without a title is not
+    const ok = run('validate', dist)
+    assert.equal(ok.status, 0, ok.stdout)
+    writeTree(dist, { 'content.json': JSON.stringify({ version: '2.0.0', collections: [{ id: 'c', books: [{ id: 1, template: 1, content: [] }] }] }) })
+    const bad = run('validate', dist)
+    assert.equal(bad.status, 1)
+    assert.match(bad.stdout, /^error {4}collections\[0\]\.books\[0\]\.title: title is required$/m)
+
+    const usage = run('frobnicate')
+    assert.equal(usage.status, 2)
+    assert.match(usage.stderr, /^usage: node content-tool.js/)
+})
@@ -0,0 +1,119 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('fs')
+const path = require('path')
+const diagnostics = require('../diagnostics')
+const { tempDir, writeTree, serveRoutes, fakeBins } = require('./helpers')
+
+// The connectivity check against a fake /sys/class/net and /proc/net/route
+// and a local content server.
+
+const ROUTE_HEADER = 'Iface\tDestination\tGateway \tFlags\tRefCnt\tUse\tMetric\tMask\t\tMTU\tWindow\tIRTT'
+
+// A /proc/net/route with `rows` of [iface, destination, gateway, metric]
+function routeFile(t, rows) {
+    const file = path.join(tempDir(t), 'route')
+    const lines = rows.map(([iface, dest, gw, metric]) => `${iface}\t${dest}\t${gw}\t0003\t0\t0\t${metric}\t00000000\t0\t0\t0`)
+    fs.writeFileSync(file, [ROUTE_HEADER].concat(lines).join('\n') + '\n')
+    return file
+}
+
+test('physical interfaces are read from sysfs', (t) => {
+    const root = tempDir(t)
+    writeTree(root, {
+        'eth0/device/vendor': '0x8086', 'eth0/operstate': 'down\n', 'eth0/carrier': '0\n',
+        'wlan0/device/vendor': '0x168c', 'wlan0/wireless/.keep': '', 'wlan0/operstate': 'up\n', 'wlan0/carrier': '1\n',
+        // virtual interfaces have no device
+        'lo/operstate': 'unknown\n', 'docker0/operstate': 'up\n'
+    })
+    assert.deepEqual(diagnostics.readLinks(root).sort((a, b) => a.name.localeCompare(b.name)), [
+        { name: 'eth0', kind: 'ethernet', state: 'down', carrier: false },
+        { name: 'wlan0', kind: 'wifi', state: 'up', carrier: true }
+    ])
+    assert.deepEqual(diagnostics.readLinks(path.join(root, 'missing')), [])
+})
+
+test('default routes are read lowest metric first', (t) => {
+    const file = routeFile(t, [
+        ['wlan0', '0001A8C0', '00000000', 600],
+        ['wlan0', '00000000', '0101A8C0', 600],
+        ['eth0', '00000000', 'FE00000A', 100],
+        // a default route without a gateway (point-to-point) is no use here
+        ['tun0', '00000000', '00000000', 50]
+    ])
+    assert.deepEqual(diagnostics.readDefaultRoutes(file), [
+        { iface: 'eth0', gateway: '10.0.0.254', metric: 100 },
+        { iface: 'wlan0', gateway: '192.168.1.1', metric: 600 }
+    ])
+    assert.deepEqual(diagnostics.readDefaultRoutes(file + '.missing'), [])
+})
+
+test('without a network adapter the later steps are skipped', async (t) => {
+    const seen = []
+    const result = await diagnostics.runDiagnostics({ remoteBaseUrl: 'http://content.invalid', netDir: tempDir(t), routeFile: routeFile(t, []), onStep: s => seen.push(s.id) })
+    assert.equal(result.passed, false)
+    assert.equal(result.summary, 'Network link: No network adapter found')
+    assert.deepEqual(seen, ['link', 'ip', 'gateway', 'dns', 'tls', 'manifest', 'portal'])
+    assert.deepEqual(result.steps.slice(1).map(s => [s.skipped, s.reason]), Array(6).fill([true, 'Skipped: Network link failed']))
+})
+
+test('a cable that is not plugged in is named', async (t) => {
+    const netDir = tempDir(t)
+    writeTree(netDir, { 'eth0/device/vendor': 'x', 'eth0/operstate': 'down', 'eth0/carrier': '0' })
+    const result = await diagnostics.runDiagnostics({ netDir, routeFile: routeFile(t, []) })
+    assert.equal(result.summary, 'Network link: No network cable plugged in')
+})
+
+// `lo` dressed up as a physical adapter, so the address check finds 127.0.0.1
+function loopbackUnit(t) {
+    const netDir = tempDir(t)
+    writeTree(netDir, { 'lo/device/vendor': 'x', 'lo/operstate': 'unknown', 'lo/carrier': '1' })
+    return { netDir, routeFile: routeFile(t, []) }
+}
+
+test('each step reports what it found', async (t) => {
+    const server = await serveRoutes(t, { '/content.json': JSON.stringify({ version: '1.4.0' }), '/generate_204': { status: 204 } })
+    const result = await diagnostics.runDiagnostics({ ...loopbackUnit(t), remoteBaseUrl: server.url + '/', portalUrl: server.url + '/generate_204' })
+    const byId = Object.fromEntries(result.steps.map(s => [s.id, s]))
+    assert.equal(result.remoteBaseUrl, server.url)
+    assert.equal(byId.link.reason, 'lo (ethernet) is up')
+    assert.equal(byId.ip.ok, true)
+    assert.equal(byId.gateway.reason, 'No default gateway; the network settings are incomplete')
+    assert.equal(byId.dns.reason, '127.0.0.1 resolves to 127.0.0.1')
+    assert.deepEqual([byId.tls.skipped, byId.tls.reason], [true, 'The content server uses plain HTTP'])
+    assert.equal(byId.manifest.reason, `Version 1.4.0 (${JSON.stringify({ version: '1.4.0' }).length} bytes)`)
+    assert.equal(byId.portal.reason, 'No captive portal')
+    assert.equal(result.summary, 'Gateway reachable: No default gateway; the network settings are incomplete')
+})
+
+test('a captive portal shows in the manifest and portal steps', async (t) => {
+    const login = { status: 302, headers: { location: 'http://portal.school.local/login' }, body: '' }
+    const server = await serveRoutes(t, { '/content.json': '<html>Please log in</html>', '/generate_204': login })
+    const result = await diagnostics.runDiagnostics({ ...loopbackUnit(t), remoteBaseUrl: server.url, portalUrl: server.url + '/generate_204' })
+    const byId = Object.fromEntries(result.steps.map(s => [s.id, s]))
+    assert.equal(byId.manifest.reason, 'content.json is not JSON (26 bytes); a portal or proxy may have answered instead')
+    assert.equal(byId.portal.reason, 'Redirected to http://portal.school.local/login; log in once from a browser on this network')
+    assert.deepEqual(byId.portal.detail, { location: 'http://portal.school.local/login' })
+})
+
+test('a missing content server fails the manifest step', async (t) => {
+    const server = await serveRoutes(t, { '/generate_204': { status: 204 } })
+    const result = await diagnostics.runDiagnostics({ ...loopbackUnit(t), portalUrl: server.url + '/generate_204' })
+    const byId = Object.fromEntries(result.steps.map(s => [s.id, s]))
+    assert.deepEqual([byId.dns.skipped, byId.tls.skipped], [true, true])
+    assert.equal(byId.manifest.reason, 'No content server configured (update channel or custom URL)')
+    assert.equal(result.remoteBaseUrl, null)
+})
+
+test('a gateway that ignores ping does not fail the check', async (t) => {
+    const saved = process.env.PATH
+    process.env.PATH = fakeBins(t, { ping: 'exit 1' }) + path.delimiter + saved
+    t.after(() => { process.env.PATH = saved })
+    const server = await serveRoutes(t, { '/content.json': JSON.stringify({ version: '1.4.0' }), '/generate_204': { status: 204 } })
+    const unit = { ...loopbackUnit(t), routeFile: routeFile(t, [['lo', '00000000', '0101A8C0', 100]]) }
+    const result = await diagnostics.runDiagnostics({ ...unit, remoteBaseUrl: server.url, portalUrl: server.url + '/generate_204' })
+    const gateway = result.steps.find(s => s.id === 'gateway')
+    assert.deepEqual([gateway.ok, gateway.skipped, gateway.reason], [false, true, 'Gateway 192.168.1.1 does not answer ping (some routers block it)'])
+    assert.equal(result.passed, true)
+    assert.equal(result.summary, 'All checks passed')
+})
@@ -0,0 +1,59 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const http = require('http')
+
+// Shared fixtures for the tests: throwaway folders and a local content server.
+
+// A fresh temp folder, removed again by the test's `after` hook
+function tempDir(t, prefix = 'steamdeck-app-test-') {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), prefix))
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }))
+    return dir
+}
+
+// Write { 'rel/path': content } below `dir`
+function writeTree(dir, files) {
+    for (const [rel, content] of Object.entries(files)) {
+        const file = path.join(dir, rel)
+        fs.mkdirSync(path.dirname(file), { recursive: true })
+        fs.writeFileSync(file, content)
+    }
+}
+
+// Serve `routes` ({ '/url/path': body | { status, body, headers } }) on
+// 127.0.0.1; anything else answers 404. Resolves { url, requests } where
+// `requests` lists the paths asked for. Closed when the test ends.
+function serveRoutes(t, routes) {
+    const requests = []
+    const server = http.createServer((req, res) => {
+        const pathname = decodeURIComponent(new URL(req.url, 'http://x').pathname)
+        requests.push(pathname)
+        let route = routes[pathname]
+        if (typeof route === 'undefined') {
+            res.writeHead(404)
+            return res.end('not found')
+        }
+        if (typeof route === 'string' || Buffer.isBuffer(route)) route = { body: route }
+        res.writeHead(route.status || 200, route.headers || {})
+        res.end(req.method === 'HEAD' ? undefined : route.body)
+    })
+    return new Promise((resolve) => {
+        server.listen(0, '127.0.0.1', () => {
+            t.after(() => new Promise(done => server.close(done)))
+            resolve({ url: `http://127.0.0.1:${server.address().port}`, requests })
+        })
+    })
+}
+
+// Shell scripts standing in for system tools ({ nmcli: 'echo ...' }), in a
+// temp folder; pass { env: { PATH: fakeBins(...) + ':' + process.env.PATH } }
+function fakeBins(t, scripts) {
+    const dir = tempDir(t, 'steamdeck-app-bin-')
+    for (const [name, body] of Object.entries(scripts)) {
+        fs.writeFileSync(path.join(dir, name), '#!/bin/sh\n' + body + '\n', { mode: 0o755 })
+    }
+    return dir
+}
+
+module.exports = { tempDir, writeTree, serveRoutes, fakeBins }
@@ -0,0 +1,185 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('fs')
+const path = require('path')
+const network = require('../network')
+const { tempDir, fakeBins } = require('./helpers')
+
+// Wi-Fi and IPv4 settings through nmcli, with a fake nmcli on PATH that logs
+// its arguments and the passwd-file it is given, or that answers with canned
+// output.
+
+const UUID_NEW = '11111111-2222-3333-4444-555555555555'
+const UUID_SAVED = '99999999-8888-7777-6666-555555555555'
+
+function fakeNmcli(t, { saved = false, security = 'WPA2', failUp = false } = {}) {
+    const log = path.join(tempDir(t), 'nmcli.log')
+    const dir = fakeBins(t, {
+        nmcli: [
+            `echo "args: $*" >> "${log}"`,
+            'prev=',
+            'for a in "$@"; do',
+            `  if [ "$prev" = passwd-file ]; then echo "file: $a $(stat -c %a "$a")" >> "${log}"; sed 's/^/secret: /' "$a" >> "${log}"; fi`,
+            '  prev=$a',
+            'done',
+            'case "$*" in',
+            '  *"-g 802-11-wireless.ssid"*) echo "Home" ;;',
+            `  *"connection show"*) ${saved ? `echo "Home:${UUID_SAVED}:802-11-wireless:yes:0:no"` : 'true'} ;;`,
+            `  *"device wifi list"*) echo " :Home:AA\\:BB\\:CC\\:DD\\:EE\\:FF:${security}:70:***:6" ;;`,
+            `  *"connection add"*) echo "Connection 'Home' (${UUID_NEW}) successfully added." ;;`,
+            `  *"connection up"*) ${failUp ? 'echo "Error: Connection activation failed: Secrets were required" >&2; exit 4' : 'echo "Connection successfully activated"'} ;;`,
+            'esac'
+        ].join('\n')
+    })
+    const savedPath = process.env.PATH
+    process.env.PATH = dir + path.delimiter + savedPath
+    t.after(() => { process.env.PATH = savedPath })
+    return () => fs.readFileSync(log, 'utf8').trim().split('\n')
+}
+
+const argLines = (lines) => lines.filter(l => l.startsWith('args: '))
+
+test('a Wi-Fi password reaches nmcli only through a private passwd-file', async (t) => {
+    const readLog = fakeNmcli(t)
+    const result = await network.connect('Home', { password: 'correct horse', priority: 5 })
+    assert.equal(result.uuid, UUID_NEW)
+    const lines = readLog()
+    assert.equal(argLines(lines).some(l => l.includes('correct horse')), false)
+    assert.ok(argLines(lines).includes(`args: connection add type wifi con-name Home ifname * ssid Home 802-11-wireless.ssid Home 802-11-wireless.hidden no wifi-sec.key-mgmt wpa-psk connection.autoconnect-priority 5`))
+    const file = lines.find(l => l.startsWith('file: ')).split(' ')
+    assert.equal(file[2], '600')
+    assert.equal(fs.existsSync(file[1]), false)
+    assert.ok(lines.includes('secret: wifi-sec.psk:correct horse'))
+})
+
+test('a saved network gets its old secret cleared and the new one on activation', async (t) => {
+    const readLog = fakeNmcli(t, { saved: true, security: 'WPA3' })
+    const result = await network.connect('Home', { password: 'new secret' })
+    assert.equal(result.uuid, UUID_SAVED)
+    const args = argLines(readLog())
+    assert.ok(args.includes(`args: connection modify uuid ${UUID_SAVED} 802-11-wireless.ssid Home 802-11-wireless.hidden no wifi-sec.key-mgmt sae wifi-sec.psk `))
+    assert.ok(args.includes(`args: connection up uuid ${UUID_SAVED} passwd-file ${readLog().find(l => l.startsWith('file: ')).split(' ')[1]}`))
+})
+
+test('an 802.1X password goes through the passwd-file too', async (t) => {
+    const readLog = fakeNmcli(t)
+    await network.connect('Home', { security: 'wpa-eap', identity: 'teacher', password: 'eap secret' })
+    const lines = readLog()
+    assert.equal(argLines(lines).some(l => l.includes('eap secret')), false)
+    assert.ok(argLines(lines).some(l => l.includes('802-1x.identity teacher')))
+    assert.ok(lines.includes('secret: 802-1x.password:eap secret'))
+})
+
+test('a new profile that fails to connect is removed again', async (t) => {
+    const readLog = fakeNmcli(t, { failUp: true })
+    await assert.rejects(network.connect('Home', { password: 'wrong' }), /Secrets were required/)
+    assert.ok(argLines(readLog()).includes(`args: connection delete uuid ${UUID_NEW}`))
+})
+
+test('open networks connect without a passwd-file', async (t) => {
+    const readLog = fakeNmcli(t)
+    await network.connect('Cafe', { hidden: true })
+    assert.deepEqual(argLines(readLog()).filter(l => l.includes('wifi connect')), ['args: device wifi connect Cafe hidden yes'])
+})
+
+test('passwords with line breaks are refused', async () => {
+    await assert.rejects(network.connect('Home', { password: 'a\nwifi-sec.psk:b' }), /line breaks/)
+})
+
+// A fake nmcli printing the lines of the first reply whose pattern is in its
+// arguments: [[pattern, lines], ...]
+function nmcliReplies(t, replies) {
+    const quote = (line) => `'${line.replace(/'/g, "'\\''")}'`
+    const dir = fakeBins(t, {
+        nmcli: ['case "$*" in']
+            .concat(replies.map(([pattern, lines]) => `  *${quote(pattern)}*) printf '%s\\n' ${lines.map(quote).join(' ')} ;;`))
+            .concat(['esac'])
+            .join('\n')
+    })
+    const savedPath = process.env.PATH
+    process.env.PATH = dir + path.delimiter + savedPath
+    t.after(() => { process.env.PATH = savedPath })
+}
+
+test('terse nmcli output is split on unescaped colons', () => {
+    assert.deepEqual(network.splitTerse('*:Home\\:Net:AA\\:BB:C\\\\D:'), ['*', 'Home:Net', 'AA:BB', 'C\\D', ''])
+    assert.deepEqual(network.terseRows('a:b\n\nc\n', ['x', 'y']), [{ x: 'a', y: 'b' }, { x: 'c', y: '' }])
+})
+
+test('the scan keeps the best access point per network', async (t) => {
+    nmcliReplies(t, [
+        ['device wifi list', [
+            ' :School:AA\\:00:WPA2 802.1X:40:**:1',
+            ' :School:AA\\:01:WPA2 802.1X:80:***:36',
+            '*:Home:BB\\:00:WPA2:30:*:6',
+            ' :Home:BB\\:01:WPA2:90:****:11',
+            ' ::CC\\:00:WPA2:99:****:1',
+            ' :Cafe\\:2G:DD\\:00::55:**:6'
+        ]],
+        ['connection show uuid', ['Home']],
+        ['connection show', ['Home:u-1:802-11-wireless:yes:0:yes']]
+    ])
+    const networks = await network.scanNetworks({ rescan: false })
+    assert.deepEqual(networks.map(n => [n.ssid, n.signal, n.inUse, n.saved, n.enterprise]), [
+        // the one in use goes first, even with a stronger one around
+        ['Home', 30, true, true, false],
+        ['School', 80, false, false, true],
+        ['Cafe:2G', 55, false, false, false]
+    ])
+    assert.equal(networks[1].channel, 36)
+})
+
+test('saved profiles are listed by priority with their SSID', async (t) => {
+    nmcliReplies(t, [
+        ['show uuid u-1', ['Home Net']],
+        ['show uuid u-2', ['School']],
+        ['connection show', [
+            'Home:u-1:802-11-wireless:yes:0:no',
+            'Wired connection 1:u-3:802-3-ethernet:yes:0:yes',
+            'School:u-2:802-11-wireless:no:10:yes'
+        ]]
+    ])
+    assert.deepEqual(await network.listSaved(), [
+        { name: 'School', uuid: 'u-2', ssid: 'School', autoconnect: false, priority: 10, active: true },
+        { name: 'Home', uuid: 'u-1', ssid: 'Home Net', autoconnect: true, priority: 0, active: false }
+    ])
+})
+
+test('the Wi-Fi status names the network, signal and addresses', async (t) => {
+    nmcliReplies(t, [
+        ['STATE,CONNECTIVITY', ['connected:full']],
+        ['device status', ['eth0:ethernet:unavailable:', 'wlan0:wifi:connected:Home']],
+        ['device wifi list', [' :Other:10', '*:Home:64']],
+        ['device show wlan0', ['GENERAL.HWADDR:AA\\:BB\\:CC\\:DD\\:EE\\:FF', 'GENERAL.CON-UUID:u-1', 'IP4.ADDRESS[1]:192.168.1.20/24', 'IP4.GATEWAY:192.168.1.1', 'IP4.DNS[1]:192.168.1.1', 'IP4.DNS[2]:9.9.9.9']]
+    ])
+    assert.deepEqual(await network.wifiStatus('Home'), {
+        state: 'connected', connectivity: 'full', device: 'wlan0', connected: true, ssid: 'Home', signal: 64,
+        ip: '192.168.1.20/24', gateway: '192.168.1.1', dns: ['192.168.1.1', '9.9.9.9']
+    })
+    assert.equal((await network.wifiStatus('Other')).connected, false)
+    assert.equal((await network.deviceAddress('wlan0')).mac, 'AA:BB:CC:DD:EE:FF')
+})
+
+test('static IPv4 settings are checked', async () => {
+    assert.equal(network.validateIpv4Config({ method: 'auto' }), null)
+    assert.equal(network.validateIpv4Config({ method: 'auto', dns: ['9.9.9.9'] }), null)
+    assert.equal(network.validateIpv4Config({ method: 'manual', address: '192.168.1.20/24', gateway: '192.168.1.1', dns: [] }), null)
+    assert.match(network.validateIpv4Config({ method: 'dhcp' }), /method must be/)
+    for (const address of ['192.168.1.20', '192.168.1.20/0', '192.168.1.20/33', '256.1.1.1/24', '1.2.3.4/24/1']) {
+        assert.match(network.validateIpv4Config({ method: 'manual', address }), /address must be/, address)
+    }
+    assert.match(network.validateIpv4Config({ method: 'manual', address: '10.0.0.2/8', gateway: '10.0.0' }), /gateway/)
+    assert.match(network.validateIpv4Config({ method: 'auto', dns: '9.9.9.9' }), /dns/)
+    await assert.rejects(network.setIpv4Config('eth0', { method: 'manual', address: '10.0.0.2' }), /address must be/)
+})
+
+test('a connection is found by device and its IPv4 settings read', async (t) => {
+    nmcliReplies(t, [
+        ['ipv4.method', ['ipv4.method:manual', 'ipv4.addresses:192.168.1.20/24', 'ipv4.gateway:192.168.1.1', 'ipv4.dns:192.168.1.1,9.9.9.9']],
+        ['connection show', ['Wired connection 1:u-3:802-3-ethernet:eth0', 'Home:u-1:802-11-wireless:']]
+    ])
+    assert.deepEqual(await network.getIpv4Config('eth0'), {
+        uuid: 'u-3', name: 'Wired connection 1', method: 'manual', address: '192.168.1.20/24', gateway: '192.168.1.1', dns: ['192.168.1.1', '9.9.9.9']
+    })
+    assert.equal((await network.getIpv4Config('Home')).uuid, 'u-1')
+})
@@ -0,0 +1,196 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const power = require('../power')
+const { tempDir, writeTree } = require('./helpers')
+
+// Battery state from a fake /sys/class/power_supply and upower, the
+// low-battery warnings of the power monitor and the daily shutdown schedule.
+
+function supplies(t, devices) {
+    const root = tempDir(t)
+    const files = {}
+    for (const [name, values] of Object.entries(devices)) {
+        for (const [key, value] of Object.entries(values)) files[`${name}/${key}`] = String(value) + '\n'
+    }
+    writeTree(root, files)
+    return root
+}
+
+test('a discharging battery reports level and time to empty', (t) => {
+    const root = supplies(t, {
+        AC: { type: 'Mains', online: 0 },
+        BAT0: { type: 'Battery', present: 1, status: 'Discharging', energy_now: 20000000, energy_full: 40000000, power_now: 10000000, capacity: 49 }
+    })
+    assert.deepEqual(power.readSysfs(root), {
+        supported: true, present: true, percent: 50, state: 'discharging', onAC: false, timeToEmpty: 7200, timeToFull: null, source: 'sysfs'
+    })
+})
+
+test('charge counters, several batteries and device batteries', (t) => {
+    const root = supplies(t, {
+        ADP1: { type: 'USB_C', online: 1 },
+        BAT0: { type: 'Battery', status: 'Charging', charge_now: 1000000, charge_full: 4000000, current_now: -1500000 },
+        BAT1: { type: 'Battery', status: 'Full', charge_now: 2000000, charge_full: 2000000 },
+        // a gamepad's battery is not the system's
+        hid_pad: { type: 'Battery', scope: 'Device', status: 'Discharging', capacity: 5 }
+    })
+    const state = power.readSysfs(root)
+    assert.equal(state.percent, 50)
+    assert.equal(state.state, 'charging')
+    assert.equal(state.onAC, true)
+    // 3 Ah still to go at 1.5 A
+    assert.equal(state.timeToFull, 7200)
+})
+
+test('capacity is used when the counters are missing', (t) => {
+    const root = supplies(t, { BAT0: { type: 'Battery', status: 'Not charging', capacity: 81 } })
+    const state = power.readSysfs(root)
+    assert.equal(state.percent, 81)
+    assert.equal(state.state, 'not-charging')
+    // no adapter listed: not discharging counts as plugged in
+    assert.equal(state.onAC, true)
+})
+
+test('no system battery in sysfs reads as null', (t) => {
+    assert.equal(power.readSysfs(supplies(t, { AC: { type: 'Mains', online: 1 }, BAT0: { type: 'Battery', present: 0 } })), null)
+    assert.equal(power.readSysfs(tempDir(t) + '/missing'), null)
+})
+
+test('upower output is parsed', () => {
+    const output = [
+        '  native-path:          BAT0',
+        '  battery',
+        '    present:             yes',
+        '    state:               fully-charged',
+        '    percentage:          99,6%',
+        '    time to full:        47,5 minutes',
+        '    time to empty:       3.2 hours'
+    ].join('\n')
+    assert.deepEqual(power.parseUpowerInfo(output), {
+        supported: true, present: true, percent: 100, state: 'full', onAC: true, timeToEmpty: 11520, timeToFull: 2850, source: 'upower'
+    })
+    assert.equal(power.parseUpowerInfo('    present:             no\n    percentage: 0%'), null)
+})
+
+test('power settings are checked', () => {
+    const ok = { lowPercent: 20, criticalPercent: 10, suspendPercent: 5, autoSuspend: true }
+    assert.equal(power.validatePowerConfig(ok), null)
+    assert.match(power.validatePowerConfig({ ...ok, lowPercent: 120 }), /percentages/)
+    assert.match(power.validatePowerConfig({ ...ok, criticalPercent: 30 }), /criticalPercent must not be above lowPercent/)
+    assert.match(power.validatePowerConfig({ ...ok, autoSuspend: 'yes' }), /autoSuspend/)
+})
+
+test('warnings fire once per discharge and auto-suspend waits for its grace time', async (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout'] })
+    const battery = (percent, state = 'discharging') => ({ supported: true, present: true, percent, state, onAC: state !== 'discharging', timeToEmpty: null, timeToFull: null })
+    let current = battery(50)
+    const warnings = []
+    const changes = []
+    let suspended = 0
+    const monitor = power.createPowerMonitor({
+        getConfig: () => ({ lowPercent: 20, criticalPercent: 10, suspendPercent: 5, autoSuspend: true }),
+        onChange: s => changes.push(s.percent),
+        onWarning: w => warnings.push(w.kind),
+        suspend: async () => { suspended++ },
+        read: async () => current
+    })
+    t.after(() => monitor.stop())
+
+    for (const percent of [50, 50, 19, 15, 9, 4]) {
+        current = battery(percent)
+        await monitor.refresh()
+    }
+    assert.deepEqual(changes, [50, 19, 15, 9, 4])
+    assert.deepEqual(warnings, ['low', 'critical', 'suspend'])
+
+    // plugged in during the grace time: no suspend, warnings armed again
+    current = battery(4, 'charging')
+    await monitor.refresh()
+    t.mock.timers.tick(60 * 1000)
+    assert.equal(suspended, 0)
+    assert.deepEqual(warnings.slice(3), ['suspend-cancelled'])
+
+    current = battery(4)
+    await monitor.refresh()
+    t.mock.timers.tick(60 * 1000)
+    // the timer reads the state once more before suspending
+    await new Promise(resolve => setImmediate(resolve))
+    assert.equal(suspended, 1)
+    assert.deepEqual(warnings.slice(4), ['critical', 'suspend'])
+})
+
+test('shutdown settings are checked', () => {
+    const ok = { enabled: true, time: '22:00', warnMinutes: 5, wakeEnabled: false, wakeTime: '' }
+    assert.equal(power.validateShutdownConfig(ok), null)
+    assert.match(power.validateShutdownConfig({ ...ok, time: '24:00' }), /time must be HH:MM/)
+    assert.match(power.validateShutdownConfig({ ...ok, warnMinutes: 0 }), /warnMinutes/)
+    assert.match(power.validateShutdownConfig({ ...ok, wakeEnabled: true }), /wakeTime must be HH:MM/)
+    assert.equal(power.validateShutdownConfig({ ...ok, wakeEnabled: true, wakeTime: '7:30' }), null)
+})
+
+// A schedule for 22:00 with a 07:30 wake, the clock at 21:50 local time
+function schedule(t, config = {}) {
+    t.mock.timers.enable({ apis: ['setInterval', 'Date'], now: new Date(2026, 9, 19, 21, 50) })
+    const events = []
+    const calls = []
+    const shutdowns = power.createShutdownSchedule({
+        getConfig: () => ({ enabled: true, time: '22:00', warnMinutes: 5, wakeEnabled: true, wakeTime: '07:30', ...config }),
+        onCountdown: e => events.push(e),
+        shutdown: async () => { calls.push('shutdown') },
+        setWakeAlarm: async (date) => { calls.push(date.toISOString()) }
+    })
+    shutdowns.start()
+    t.after(() => shutdowns.stop())
+    return { shutdowns, events, calls }
+}
+
+const at = (day, hours, minutes) => new Date(2026, 9, day, hours, minutes).toISOString()
+
+test('the shutdown counts down, sets the wake alarm and powers off', async (t) => {
+    const { shutdowns, events, calls } = schedule(t)
+    assert.deepEqual(shutdowns.status(), {
+        ok: true,
+        config: { enabled: true, time: '22:00', warnMinutes: 5, wakeEnabled: true, wakeTime: '07:30' },
+        nextShutdownAt: at(19, 22, 0),
+        wakeAt: at(20, 7, 30),
+        counting: false,
+        secondsLeft: null
+    })
+
+    t.mock.timers.tick(5 * 60 * 1000)
+    assert.deepEqual(events[0], { state: 'counting', at: at(19, 22, 0), secondsLeft: 300, wakeAt: at(20, 7, 30) })
+    assert.equal(shutdowns.status().counting, true)
+
+    t.mock.timers.tick(5 * 60 * 1000)
+    await new Promise(resolve => setImmediate(resolve))
+    assert.deepEqual(events[events.length - 1], { state: 'shutting-down', at: at(19, 22, 0), secondsLeft: 0, wakeAt: at(20, 7, 30) })
+    assert.deepEqual(calls, [at(20, 7, 30), 'shutdown'])
+    // once is enough; the next one is tomorrow's
+    t.mock.timers.tick(60 * 1000)
+    assert.equal(calls.length, 2)
+    assert.equal(shutdowns.status().nextShutdownAt, at(20, 22, 0))
+})
+
+test('a cancelled shutdown skips that day only', (t) => {
+    const { shutdowns, events, calls } = schedule(t, { wakeEnabled: false })
+    t.mock.timers.tick(6 * 60 * 1000)
+    const status = shutdowns.cancel()
+    assert.equal(status.counting, false)
+    assert.equal(status.nextShutdownAt, null)
+    assert.deepEqual(events[events.length - 1], { state: 'cancelled', at: at(19, 22, 0), secondsLeft: null, wakeAt: null })
+
+    t.mock.timers.tick(10 * 60 * 1000)
+    assert.deepEqual(calls, [])
+    assert.equal(shutdowns.status().nextShutdownAt, at(20, 22, 0))
+})
+
+test('rescheduling ends the countdown and starts it again if still due', (t) => {
+    const { shutdowns, events } = schedule(t)
+    t.mock.timers.tick(6 * 60 * 1000)
+    const status = shutdowns.reschedule()
+    assert.equal(status.counting, false)
+    assert.equal(status.nextShutdownAt, at(19, 22, 0))
+    assert.equal(events[events.length - 1].state, 'cancelled')
+    t.mock.timers.tick(1000)
+    assert.equal(events[events.length - 1].state, 'counting')
+})
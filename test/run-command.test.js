@@ -0,0 +1,66 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('fs')
+const path = require('path')
+const { runCommand, runChecked, spawnCommand } = require('../run-command')
+const { fakeBins } = require('./helpers')
+
+// The allow-list and result shape of run-command.js, with shell scripts
+// standing in for the real tools on PATH.
+
+const withBins = (t, scripts) => ({ PATH: fakeBins(t, scripts) + path.delimiter + process.env.PATH })
+
+test('allowed tools run by name from PATH', async (t) => {
+    const env = withBins(t, { nmcli: 'echo "nmcli $*"' })
+    const res = await runCommand('nmcli', ['-t', 'device'], { env })
+    assert.equal(res.ok, true)
+    assert.equal(res.command, 'nmcli')
+    assert.equal(res.stdout, 'nmcli -t device\n')
+})
+
+test('paths and unknown tools are refused, even when they exist', async (t) => {
+    const dir = fakeBins(t, { nmcli: 'echo ran', curl: 'echo ran' })
+    assert.throws(() => runCommand(path.join(dir, 'nmcli'), []), /Command not allowed/)
+    assert.throws(() => runCommand('./nmcli', [], { cwd: dir }), /Command not allowed/)
+    assert.throws(() => runCommand('curl', [], { env: { PATH: dir } }), /Command not allowed/)
+    assert.throws(() => spawnCommand(path.join(dir, 'nmcli'), []), /Command not allowed/)
+    await assert.rejects(runChecked('/usr/bin/nmcli', []), /Command not allowed/)
+})
+
+test('arguments must be strings or numbers', () => {
+    assert.throws(() => runCommand('nmcli', 'device'), /must be an array of strings/)
+    assert.throws(() => runCommand('nmcli', [{ toString: () => 'x' }]), /must be an array of strings/)
+})
+
+test('arguments and stdin reach the tool verbatim, without a shell', async (t) => {
+    const dir = fakeBins(t, { nmcli: 'for a in "$@"; do printf "%s\\n" "$a"; done; cat' })
+    const marker = path.join(dir, 'ran')
+    const hostile = `$(touch ${marker}); echo "x" | true`
+    const res = await runCommand('nmcli', [hostile, 5], { env: { PATH: dir + path.delimiter + process.env.PATH }, input: '`touch ' + marker + '`' })
+    assert.equal(res.ok, true)
+    assert.equal(res.stdout, `${hostile}\n5\n\`touch ${marker}\``)
+    assert.equal(fs.existsSync(marker), false)
+})
+
+test('a missing tool is reported as not installed', async () => {
+    const res = await runCommand('rtcwake', [], { env: { PATH: '/nonexistent' } })
+    assert.equal(res.ok, false)
+    assert.equal(res.error, 'rtcwake is not installed')
+})
+
+test('a tool that outlives its timeout is stopped', async (t) => {
+    const env = withBins(t, { ping: 'exec sleep 5' })
+    const res = await runCommand('ping', [], { env, timeout: 200 })
+    assert.equal(res.ok, false)
+    assert.equal(res.timedOut, true)
+    assert.equal(res.signal, 'SIGTERM')
+})
+
+test('runChecked rejects with the exit code and stderr', async (t) => {
+    const env = withBins(t, { systemctl: 'echo "Unit not found" >&2; exit 5' })
+    await assert.rejects(runChecked('systemctl', ['stop', 'x'], { env }), (err) => {
+        assert.equal(err.message, 'systemctl exited with 5: Unit not found')
+        assert.equal(err.code, 5)
+        return true
+    })
+})
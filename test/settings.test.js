@@ -0,0 +1,47 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('fs')
+const path = require('path')
+const { createSettingsStore } = require('../settings')
+const { tempDir } = require('./helpers')
+
+// The settings.json store in userData.
+
+const DEFAULTS = { mode: { startMode: 'ask', remember: false }, kioskName: 'Deck' }
+
+test('a missing file starts from the defaults', (t) => {
+    const file = path.join(tempDir(t), 'settings.json')
+    const store = createSettingsStore(file, DEFAULTS)
+    assert.deepEqual(store.get(), DEFAULTS)
+    assert.equal(fs.existsSync(file), false)
+})
+
+test('saved sections are merged over their defaults', (t) => {
+    const file = path.join(tempDir(t), 'settings.json')
+    fs.writeFileSync(file, JSON.stringify({ mode: { startMode: 'presentation' }, extra: [1, 2] }))
+    const store = createSettingsStore(file, DEFAULTS)
+    assert.deepEqual(store.get('mode'), { startMode: 'presentation', remember: false })
+    assert.equal(store.get('kioskName'), 'Deck')
+    assert.deepEqual(store.get('extra'), [1, 2])
+})
+
+test('set and update persist atomically and survive a reload', (t) => {
+    const file = path.join(tempDir(t), 'nested', 'settings.json')
+    const store = createSettingsStore(file, DEFAULTS)
+    store.set('kioskName', 'Library')
+    assert.deepEqual(store.update('mode', { remember: true }), { startMode: 'ask', remember: true })
+    assert.equal(fs.existsSync(file + '.tmp'), false)
+    const again = createSettingsStore(file, DEFAULTS)
+    assert.equal(again.get('kioskName'), 'Library')
+    assert.deepEqual(again.get('mode'), { startMode: 'ask', remember: true })
+    fs.writeFileSync(file, JSON.stringify({ kioskName: 'Edited' }))
+    store.reload()
+    assert.equal(store.get('kioskName'), 'Edited')
+})
+
+test('an unreadable file falls back to the defaults', (t) => {
+    const file = path.join(tempDir(t), 'settings.json')
+    fs.writeFileSync(file, '{ not json')
+    const store = createSettingsStore(file, DEFAULTS)
+    assert.deepEqual(store.get(), DEFAULTS)
+})
@@ -0,0 +1,169 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const http = require('http')
+const path = require('path')
+const { parseRangeHeader, createStaticHandler, startStaticServers } = require('../static-server')
+const { tempDir, writeTree } = require('./helpers')
+
+// The local dist servers: sites on their own ports or under a prefix, and
+// byte ranges for <video>/<audio> seeking.
+
+// GET/HEAD `url`; resolves { status, headers, body } with the body as a Buffer
+function request(url, { method = 'GET', headers = {} } = {}) {
+    return new Promise((resolve, reject) => {
+        http.request(url, { method, headers }, (res) => {
+            const parts = []
+            res.on('data', c => parts.push(c))
+            res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(parts) }))
+        }).on('error', reject).end()
+    })
+}
+
+// Serve `sites` through createStaticHandler on a free port; resolves the base URL
+function serveSites(t, sites) {
+    const server = http.createServer(createStaticHandler(sites))
+    return new Promise((resolve) => {
+        server.listen(0, '127.0.0.1', () => {
+            t.after(() => new Promise(done => server.close(done)))
+            resolve(`http://127.0.0.1:${server.address().port}`)
+        })
+    })
+}
+
+const VIDEO = '0123456789abcdefghij'
+
+async function videoSite(t) {
+    const root = tempDir(t)
+    writeTree(root, { 'books/1/clip.mp4': VIDEO })
+    return (await serveSites(t, [{ name: 'interactive', root, prefix: '' }])) + '/books/1/clip.mp4'
+}
+
+test('parseRangeHeader', () => {
+    assert.equal(parseRangeHeader(undefined, 100), null)
+    assert.equal(parseRangeHeader('items=0-5', 100), null)
+    assert.equal(parseRangeHeader('bytes=-', 100), null)
+    assert.equal(parseRangeHeader('bytes=abc', 100), null)
+    assert.deepEqual(parseRangeHeader('bytes=0-9', 100), [{ start: 0, end: 9 }])
+    assert.deepEqual(parseRangeHeader('bytes=90-', 100), [{ start: 90, end: 99 }])
+    assert.deepEqual(parseRangeHeader('bytes=-10', 100), [{ start: 90, end: 99 }])
+    assert.deepEqual(parseRangeHeader('bytes=-500', 100), [{ start: 0, end: 99 }])
+    assert.deepEqual(parseRangeHeader('bytes=50-500', 100), [{ start: 50, end: 99 }])
+    // overlapping and adjacent ranges are merged, in order
+    assert.deepEqual(parseRangeHeader('bytes=20-29, 0-9, 10-14, 25-40', 100), [{ start: 0, end: 14 }, { start: 20, end: 40 }])
+    // unsatisfiable
+    assert.deepEqual(parseRangeHeader('bytes=100-', 100), [])
+    assert.deepEqual(parseRangeHeader('bytes=-0', 100), [])
+    // a range ending before it starts is invalid: served whole
+    assert.equal(parseRangeHeader('bytes=9-5', 100), null)
+    assert.equal(parseRangeHeader('bytes=0-1,9-5', 100), null)
+    // too many parts: served whole
+    assert.equal(parseRangeHeader('bytes=' + Array.from({ length: 33 }, (_, i) => `${i * 2}-${i * 2}`).join(','), 100), null)
+})
+
+test('a single range answers 206 with Content-Range', async (t) => {
+    const url = await videoSite(t)
+    const res = await request(url, { headers: { Range: 'bytes=5-9' } })
+    assert.equal(res.status, 206)
+    assert.equal(res.headers['content-range'], 'bytes 5-9/20')
+    assert.equal(res.headers['content-length'], '5')
+    assert.equal(res.headers['accept-ranges'], 'bytes')
+    assert.equal(res.body.toString(), '56789')
+    const head = await request(url, { method: 'HEAD', headers: { Range: 'bytes=-4' } })
+    assert.equal(head.status, 206)
+    assert.equal(head.headers['content-range'], 'bytes 16-19/20')
+})
+
+test('several ranges come back as multipart/byteranges', async (t) => {
+    const url = await videoSite(t)
+    const res = await request(url, { headers: { Range: 'bytes=0-1,18-' } })
+    assert.equal(res.status, 206)
+    const boundary = /boundary=(\S+)/.exec(res.headers['content-type'])[1]
+    assert.equal(Number(res.headers['content-length']), res.body.length)
+    const body = res.body.toString()
+    assert.match(body, /Content-Range: bytes 0-1\/20\r\n\r\n01\r\n/)
+    assert.match(body, /Content-Range: bytes 18-19\/20\r\n\r\nij\r\n/)
+    assert.ok(body.endsWith(`--${boundary}--\r\n`))
+})
+
+test('an unsatisfiable range answers 416', async (t) => {
+    const url = await videoSite(t)
+    const res = await request(url, { headers: { Range: 'bytes=20-' } })
+    assert.equal(res.status, 416)
+    assert.equal(res.headers['content-range'], 'bytes */20')
+})
+
+test('an invalid range is ignored and the whole file sent', async (t) => {
+    const url = await videoSite(t)
+    const res = await request(url, { headers: { Range: 'bytes=5-3' } })
+    assert.equal(res.status, 200)
+    assert.equal(res.headers['content-range'], undefined)
+    assert.equal(res.body.toString(), VIDEO)
+})
+
+test('If-Range with an old validator gets the whole file', async (t) => {
+    const url = await videoSite(t)
+    const full = await request(url)
+    assert.equal(full.status, 200)
+    assert.equal(full.body.toString(), VIDEO)
+    const current = await request(url, { headers: { Range: 'bytes=0-3', 'If-Range': full.headers.etag } })
+    assert.equal(current.status, 206)
+    const stale = await request(url, { headers: { Range: 'bytes=0-3', 'If-Range': 'W/"1-1"' } })
+    assert.equal(stale.status, 200)
+    assert.equal(stale.body.toString(), VIDEO)
+    const byDate = await request(url, { headers: { Range: 'bytes=0-3', 'If-Range': full.headers['last-modified'] } })
+    assert.equal(byDate.status, 206)
+})
+
+function twoSites(t) {
+    const dist = tempDir(t)
+    const dist2 = tempDir(t)
+    writeTree(dist, { 'index.html': 'interactive', 'content.json': '{}' })
+    writeTree(dist2, { 'index.html': 'presentation', 'assets/app.js': 'deck()' })
+    return [{ name: 'interactive', root: dist }, { name: 'presentation', root: dist2 }]
+}
+
+test('every site gets its own port by default', async (t) => {
+    const { urls, close } = await startStaticServers(twoSites(t), { port: 0 })
+    t.after(close)
+    assert.notEqual(urls.interactive, urls.presentation)
+    assert.equal((await request(urls.interactive)).body.toString(), 'interactive')
+    assert.equal((await request(urls.presentation + 'assets/app.js')).body.toString(), 'deck()')
+    const json = await request(urls.interactive + 'content.json')
+    assert.equal(json.headers['cache-control'], 'no-store, must-revalidate')
+})
+
+test('a taken port falls back to a free one', async (t) => {
+    const blocker = http.createServer()
+    await new Promise(done => blocker.listen(0, '127.0.0.1', done))
+    t.after(() => new Promise(done => blocker.close(done)))
+    const taken = blocker.address().port
+    const [site] = twoSites(t)
+    const { urls, close } = await startStaticServers([{ ...site, port: taken }])
+    t.after(close)
+    assert.notEqual(urls.interactive, `http://127.0.0.1:${taken}/`)
+    assert.equal((await request(urls.interactive)).status, 200)
+})
+
+test('on a single port sites are mounted under their prefix', async (t) => {
+    const [interactive, presentation] = twoSites(t)
+    const { urls, close } = await startStaticServers([{ ...interactive, prefix: '' }, presentation], { singlePort: true })
+    t.after(close)
+    const base = urls.interactive
+    assert.equal(urls.presentation, base + 'presentation/')
+    assert.equal((await request(base)).body.toString(), 'interactive')
+    assert.equal((await request(urls.presentation)).body.toString(), 'presentation')
+    const bare = await request(base + 'presentation')
+    assert.equal(bare.status, 301)
+    assert.equal(bare.headers.location, '/presentation/')
+})
+
+test('paths outside a site are refused', async (t) => {
+    const [interactive, presentation] = twoSites(t)
+    const url = await serveSites(t, [{ ...interactive, prefix: '' }])
+    // an encoded slash survives URL parsing, so '..' only shows up after decoding
+    assert.equal((await request(url + '/..%2F' + path.basename(presentation.root) + '%2Findex.html')).status, 403)
+    assert.equal((await request(url + '/missing.png')).status, 404)
+    assert.equal((await request(url + '/%E0%A4%A')).status, 400)
+    const etag = (await request(url + '/index.html')).headers.etag
+    assert.equal((await request(url + '/index.html', { headers: { 'If-None-Match': etag } })).status, 304)
+})
@@ -0,0 +1,115 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('fs')
+const path = require('path')
+const tts = require('../tts')
+const { tempDir, writeTree, fakeBins } = require('./helpers')
+
+// Speech engine backends: voice parsing, detection and picking the engine and
+// voice per language, with fake engines as the only ones on PATH.
+
+const ESPEAK_VOICES = [
+    'Pty Language       Age/Gender VoiceName          File                 Other Languages',
+    ' 5  en-us           --/M      English_(America)  gmw/en-US            (en 3)',
+    ' 5  fr-fr           --/F      French             roa/fr',
+    ' 5  de              --/-      German             gmw/de'
+].join('\n')
+
+// Fake espeak-ng, pico2wave, spd-say and piper (with one English model); the
+// engines named in `without` are left out
+function fakeEngines(t, { without = [] } = {}) {
+    const models = tempDir(t)
+    writeTree(models, { 'en/en_US-lessac-medium.onnx': 'model', 'en/en_US-lessac-medium.onnx.json': JSON.stringify({ language: { code: 'en_US' } }) })
+    const engines = {
+        // shell builtins only: nothing else is on PATH
+        'espeak-ng': ['[ "$1" = "--voices" ] || exit 0'].concat(ESPEAK_VOICES.split('\n').map(line => `echo '${line}'`)).join('\n'),
+        // writes nothing, like a pico2wave that can't open its language files
+        pico2wave: 'exit 0',
+        'spd-say': 'echo "NAME LANGUAGE VARIANT"; echo "english-us en-US none"',
+        piper: 'exit 0'
+    }
+    for (const name of without) delete engines[name]
+    const saved = process.env.PATH
+    process.env.PATH = fakeBins(t, engines)
+    tts.clearVoiceCache()
+    t.after(() => {
+        process.env.PATH = saved
+        tts.clearVoiceCache()
+    })
+    return { piperModelDir: models }
+}
+
+const pick = async (config, request) => {
+    const choice = await tts.chooseBackend(config, request)
+    return choice && [choice.engine, choice.voice.id]
+}
+
+test('espeak voice lists and language tags are parsed', () => {
+    assert.equal(tts.normalizeLang(' EN_us '), 'en-us')
+    assert.equal(tts.normalizeLang(undefined), '')
+    assert.deepEqual(tts.parseEspeakVoices(ESPEAK_VOICES, 'espeak-ng'), [
+        { engine: 'espeak-ng', id: 'en-us', language: 'en-us', name: 'English (America)', gender: 'M', file: 'gmw/en-US', priority: 5 },
+        { engine: 'espeak-ng', id: 'fr-fr', language: 'fr-fr', name: 'French', gender: 'F', file: 'roa/fr', priority: 5 },
+        { engine: 'espeak-ng', id: 'de', language: 'de', name: 'German', gender: null, file: 'gmw/de', priority: 5 }
+    ])
+})
+
+test('installed engines are detected in the default order', (t) => {
+    fakeEngines(t)
+    const engines = tts.detectEngines()
+    assert.deepEqual(engines.map(e => e.name), ['piper', 'espeak-ng', 'pico2wave', 'spd-say'])
+    // no audio player on PATH: render-only engines can't speak live
+    assert.deepEqual(engines.map(e => e.canSpeak), [false, true, false, true])
+    assert.equal(engines[0].neural, true)
+    assert.equal(engines[0].path, path.join(process.env.PATH, 'piper'))
+})
+
+test('voices of all engines are listed', async (t) => {
+    const config = fakeEngines(t)
+    const voices = await tts.listVoices(config)
+    assert.deepEqual(voices.map(v => `${v.engine}:${v.id}`), [
+        'piper:en_US-lessac-medium',
+        'espeak-ng:en-us', 'espeak-ng:fr-fr', 'espeak-ng:de',
+        'pico2wave:en-US', 'pico2wave:en-GB', 'pico2wave:de-DE', 'pico2wave:es-ES', 'pico2wave:fr-FR', 'pico2wave:it-IT',
+        'spd-say:english-us'
+    ])
+})
+
+test('the first engine in the order with a voice for the language wins', async (t) => {
+    const config = fakeEngines(t)
+    assert.deepEqual(await pick(config, { lang: 'en-US', toFile: true }), ['piper', 'en_US-lessac-medium'])
+    // piper has no French model
+    assert.deepEqual(await pick(config, { lang: 'fr', toFile: true }), ['espeak-ng', 'fr-fr'])
+    // the base language matches a regional request
+    assert.deepEqual(await pick(config, { lang: 'de-AT', toFile: true }), ['espeak-ng', 'de'])
+    assert.equal(await pick(config, { lang: 'ja', toFile: true }), null)
+})
+
+test('per-language engine lists go before the general one', async (t) => {
+    const config = { ...fakeEngines(t), engines: { '*': ['espeak-ng'], de_DE: ['pico2wave'] } }
+    assert.deepEqual(await pick(config, { lang: 'de-de', toFile: true }), ['pico2wave', 'de-DE'])
+    assert.deepEqual(await pick(config, { lang: 'en', toFile: true }), ['espeak-ng', 'en-us'])
+})
+
+test('live speech and rendering pick engines that can do it', async (t) => {
+    const config = { ...fakeEngines(t), engines: { '*': ['spd-say', 'espeak-ng'] } }
+    assert.deepEqual(await pick(config, { lang: 'en' }), ['spd-say', 'english-us'])
+    // spd-say can't write a file
+    assert.deepEqual(await pick(config, { lang: 'en', toFile: true }), ['espeak-ng', 'en-us'])
+})
+
+test('a named or configured voice wins over the engine order', async (t) => {
+    const config = fakeEngines(t)
+    assert.deepEqual(await pick(config, { lang: 'en', voice: 'en-us+f3', toFile: true }), ['espeak-ng', 'en-us+f3'])
+    assert.deepEqual(await pick({ ...config, voices: { en: 'en-GB' } }, { lang: 'en-US', toFile: true }), ['pico2wave', 'en-GB'])
+    // a voice no engine has falls back to the language
+    assert.deepEqual(await pick(config, { lang: 'en', voice: 'nl', toFile: true }), ['piper', 'en_US-lessac-medium'])
+})
+
+test('an engine that writes no audio is an error', async (t) => {
+    const config = fakeEngines(t, { without: ['piper', 'espeak-ng'] })
+    const choice = await tts.chooseBackend(config, { lang: 'en-US', toFile: true })
+    const out = path.join(tempDir(t), 'out.wav')
+    await assert.rejects(tts.renderToFile(choice, 'Hello', out), /pico2wave failed \(exit 0\): no audio written/)
+    assert.equal(fs.existsSync(out), false)
+})
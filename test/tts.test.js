@@ -0,0 +1,88 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('fs')
+const path = require('path')
+const { once } = require('events')
+const tts = require('../tts')
+const { tempDir, fakeBins } = require('./helpers')
+
+// The live speech controller, with a fake espeak-ng on PATH that records
+// what it was asked to say.
+
+function fakeEspeak(t) {
+    const spoken = path.join(tempDir(t), 'spoken')
+    const dir = fakeBins(t, {
+        'espeak-ng': [
+            'if [ "$1" = "--voices" ]; then',
+            '  echo "Pty Language       Age/Gender VoiceName          File                 Other Languages"',
+            '  echo " 5  en-us           --/M      English_(America)  gmw/en-US            (en 3)"',
+            '  exit 0',
+            'fi',
+            `cat >> "${spoken}"`
+        ].join('\n')
+    })
+    const saved = process.env.PATH
+    process.env.PATH = dir + path.delimiter + saved
+    tts.clearVoiceCache()
+    t.after(() => {
+        process.env.PATH = saved
+        tts.clearVoiceCache()
+    })
+    return spoken
+}
+
+const controller = () => tts.createTtsController({ getConfig: () => ({ engines: { '*': ['espeak-ng'] } }) })
+
+test('speak runs the engine and reports start and end', async (t) => {
+    const spoken = fakeEspeak(t)
+    const ctl = controller()
+    const started = []
+    ctl.events.on('start', e => started.push(e))
+    const id = ctl.speak('Hello there', { lang: 'en-US' })
+    const [end] = await once(ctl.events, 'end')
+    assert.deepEqual(end, { id, interrupted: false })
+    assert.deepEqual(started.map(e => [e.id, e.engine, e.voice]), [[id, 'espeak-ng', 'en-us']])
+    assert.equal(fs.readFileSync(spoken, 'utf8'), 'Hello there')
+})
+
+test('speech stopped while the engine is chosen never starts', async (t) => {
+    const spoken = fakeEspeak(t)
+    const ctl = controller()
+    const started = []
+    ctl.events.on('start', e => started.push(e))
+    const id = ctl.speak('Too late', { lang: 'en-US' })
+    ctl.stop()
+    const [end] = await once(ctl.events, 'end')
+    assert.deepEqual(end, { id, interrupted: true })
+    assert.deepEqual(started, [])
+    assert.equal(fs.existsSync(spoken), false)
+    assert.equal(ctl.status().speaking, false)
+})
+
+test('stopping a render-only engine ends its render', async (t) => {
+    const models = tempDir(t)
+    fs.writeFileSync(path.join(models, 'en_US-slow.onnx'), 'model')
+    fs.writeFileSync(path.join(models, 'en_US-slow.onnx.json'), JSON.stringify({ language: { code: 'en_US' } }))
+    const rendering = path.join(tempDir(t), 'rendering')
+    // a piper that takes far longer than the test may
+    const dir = fakeBins(t, { piper: `touch "${rendering}"\nexec sleep 30`, 'pw-play': 'exit 0' })
+    const saved = process.env.PATH
+    process.env.PATH = dir + path.delimiter + saved
+    tts.clearVoiceCache()
+    t.after(() => {
+        process.env.PATH = saved
+        tts.clearVoiceCache()
+    })
+    const ctl = tts.createTtsController({ getConfig: () => ({ engines: { '*': ['piper'] }, piperModelDir: models }) })
+    const id = ctl.speak('A long chapter', { lang: 'en-US' })
+    while (!fs.existsSync(rendering)) await new Promise(resolve => setTimeout(resolve, 10))
+    assert.equal(ctl.pause(), true)
+    assert.equal(ctl.resume(), true)
+
+    const stoppedAt = Date.now()
+    ctl.stop()
+    const [end] = await once(ctl.events, 'end')
+    assert.deepEqual(end, { id, interrupted: true })
+    assert.ok(Date.now() - stoppedAt < 5000)
+    assert.equal(ctl.status().speaking, false)
+})
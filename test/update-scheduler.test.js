@@ -0,0 +1,81 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const { createUpdateScheduler, validateScheduleConfig, inMaintenanceWindow, parseClock } = require('../update-scheduler')
+
+// The background update schedule: when staged content may be swapped in.
+
+const at = (hours, minutes) => new Date(2026, 0, 1, hours, minutes)
+
+test('parseClock reads HH:MM', () => {
+    assert.equal(parseClock('03:00'), 180)
+    assert.equal(parseClock(' 7:05 '), 425)
+    assert.equal(parseClock('23:59'), 1439)
+    for (const bad of ['24:00', '12:60', '3', '03:0', '', null, 'noon']) assert.equal(parseClock(bad), null, String(bad))
+})
+
+test('the maintenance window may cross midnight', () => {
+    const night = { windowStart: '23:00', windowEnd: '02:00' }
+    assert.equal(inMaintenanceWindow(night, at(23, 30)), true)
+    assert.equal(inMaintenanceWindow(night, at(1, 59)), true)
+    assert.equal(inMaintenanceWindow(night, at(2, 0)), false)
+    assert.equal(inMaintenanceWindow(night, at(12, 0)), false)
+    const early = { windowStart: '03:00', windowEnd: '05:00' }
+    assert.equal(inMaintenanceWindow(early, at(3, 0)), true)
+    assert.equal(inMaintenanceWindow(early, at(5, 0)), false)
+    assert.equal(inMaintenanceWindow({ windowStart: '03:00', windowEnd: '03:00' }, at(3, 0)), false)
+    assert.equal(inMaintenanceWindow({}, at(3, 0)), false)
+})
+
+test('validateScheduleConfig', () => {
+    const ok = { enabled: true, intervalMinutes: 360, idleMinutes: 30, windowStart: '03:00', windowEnd: '05:00' }
+    assert.equal(validateScheduleConfig(ok), null)
+    assert.equal(validateScheduleConfig({ ...ok, windowStart: '', windowEnd: '' }), null)
+    assert.match(validateScheduleConfig({ ...ok, enabled: 'yes' }), /enabled/)
+    assert.match(validateScheduleConfig({ ...ok, intervalMinutes: 1 }), /intervalMinutes/)
+    assert.match(validateScheduleConfig({ ...ok, idleMinutes: -1 }), /idleMinutes/)
+    assert.match(validateScheduleConfig({ ...ok, windowEnd: '' }), /together/)
+    assert.match(validateScheduleConfig({ ...ok, windowEnd: '25:00' }), /HH:MM/)
+})
+
+// A scheduler for one site with an update waiting, idle for an hour, outside
+// any maintenance window
+function idleScheduler({ busy }) {
+    const applied = []
+    const logged = []
+    const scheduler = createUpdateScheduler({
+        sites: [{ name: 'interactive' }],
+        getConfig: () => ({ enabled: true, intervalMinutes: 360, idleMinutes: 30, windowStart: '', windowEnd: '' }),
+        stage: async () => ({ staged: true, remoteVer: '1.0.1' }),
+        apply: async (site) => {
+            applied.push(site.name)
+            return { updated: true, remoteVer: '1.0.1' }
+        },
+        getStaged: () => null,
+        getLastActivity: () => Date.now() - 60 * 60 * 1000,
+        isBusy: () => busy.value,
+        logger: { info: (...args) => logged.push(args.join(' ')), warn: (...args) => logged.push(args.join(' ')) }
+    })
+    return { scheduler, applied, logged }
+}
+
+test('an idle kiosk applies the staged update', async () => {
+    const { scheduler, applied, logged } = idleScheduler({ busy: { value: false } })
+    const status = await scheduler.runNow()
+    assert.deepEqual(applied, ['interactive'])
+    assert.equal(status.lastApply.reason, 'idle')
+    assert.deepEqual(status.staged, {})
+    assert.equal(logged.length, 2)
+    assert.match(logged[1], /applied staged updates \(idle\)/)
+})
+
+test('a running presentation holds the idle apply back', async () => {
+    const busy = { value: true }
+    const { scheduler, applied } = idleScheduler({ busy })
+    let status = await scheduler.runNow()
+    assert.deepEqual(applied, [])
+    assert.deepEqual(status.staged, { interactive: '1.0.1' })
+    assert.equal(status.canApplyNow, false)
+    busy.value = false
+    status = await scheduler.runNow()
+    assert.deepEqual(applied, ['interactive'])
+})
@@ -0,0 +1,20 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const { resolveRemoteBaseUrl, UPDATE_CHANNELS } = require('../updater')
+
+// Update channels: which content server a device pulls from.
+
+test('channels map to their content servers, stable by default', () => {
+    assert.equal(resolveRemoteBaseUrl(), UPDATE_CHANNELS.stable)
+    assert.equal(resolveRemoteBaseUrl({ channel: 'beta' }), UPDATE_CHANNELS.beta)
+    assert.equal(resolveRemoteBaseUrl({ channel: 'local' }), 'http://127.0.0.1:5173')
+    assert.equal(resolveRemoteBaseUrl({ channel: 'nightly' }), null)
+})
+
+test('a custom channel uses its http(s) URL without trailing slashes', () => {
+    assert.equal(resolveRemoteBaseUrl({ channel: 'custom', customUrl: 'https://content.school.test/decks/' }), 'https://content.school.test/decks')
+    assert.equal(resolveRemoteBaseUrl({ channel: 'custom', customUrl: 'http://10.0.0.5:8080' }), 'http://10.0.0.5:8080')
+    assert.equal(resolveRemoteBaseUrl({ channel: 'custom' }), null)
+    assert.equal(resolveRemoteBaseUrl({ channel: 'custom', customUrl: 'ftp://content.school.test' }), null)
+    assert.equal(resolveRemoteBaseUrl({ channel: 'custom', customUrl: 'content.school.test' }), null)
+})
@@ -0,0 +1,74 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('fs')
+const path = require('path')
+const crypto = require('crypto')
+const updater = require('../updater')
+const { tempDir, writeTree, serveRoutes } = require('./helpers')
+
+// Delta updates: a new release only fetches what changed and prunes book
+// assets it no longer uses.
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex')
+
+// content.json for `version` with the book images in `pages` ({ name: data })
+function release(version, pages) {
+    const content = Object.keys(pages).map(name => ({ type: 'image', src: name }))
+    const files = Object.entries(pages).map(([name, data]) => ({ path: `books/1/${name}`, size: data.length, sha256: sha256(data) }))
+    return JSON.stringify({ version, collections: [{ id: 'c', books: [{ id: 1, title: 'Book', cover: 'a.png', template: 1, content }] }], files })
+}
+
+function publish(routes, version, pages) {
+    for (const key of Object.keys(routes)) delete routes[key]
+    routes['/content.json'] = release(version, pages)
+    for (const [name, data] of Object.entries(pages)) routes[`/books/1/${name}`] = data
+}
+
+test('a new release downloads changed and added files and prunes removed ones', async (t) => {
+    const routes = {}
+    const server = await serveRoutes(t, routes)
+    const distDir = path.join(tempDir(t), 'dist')
+    writeTree(distDir, { 'content.json': JSON.stringify({ version: '0.9.0', collections: [] }) })
+
+    publish(routes, '1.0.0', { 'a.png': 'same', 'b.png': 'old b', 'c.png': 'dropped' })
+    const first = await updater.runUpdater({ distDir, remoteBaseUrl: server.url, retries: 0 })
+    assert.deepEqual(first.summary.added.sort(), ['books/1/a.png', 'books/1/b.png', 'books/1/c.png'])
+
+    publish(routes, '1.1.0', { 'a.png': 'same', 'b.png': 'new b', 'd.png': 'added' })
+    server.requests.length = 0
+    const second = await updater.runUpdater({ distDir, remoteBaseUrl: server.url, retries: 0 })
+    assert.deepEqual(server.requests.filter(p => p.startsWith('/books/')).sort(), ['/books/1/b.png', '/books/1/d.png'])
+    assert.deepEqual(second.summary.added, ['books/1/d.png'])
+    assert.deepEqual(second.summary.changed, ['books/1/b.png'])
+    assert.deepEqual(second.summary.removed, ['books/1/c.png'])
+    assert.equal(second.summary.unchanged, 1)
+    assert.equal(second.summary.bytes, 'new b'.length + 'added'.length)
+    assert.equal(fs.readFileSync(path.join(distDir, 'books/1/b.png'), 'utf8'), 'new b')
+    assert.equal(fs.existsSync(path.join(distDir, 'books/1/c.png')), false)
+    assert.deepEqual(Object.keys(updater.readFileState(distDir).files).sort(), ['books/1/a.png', 'books/1/b.png', 'books/1/d.png'])
+})
+
+test('files without a hash are kept while the server ETag is unchanged', async (t) => {
+    const manifest = (version) => JSON.stringify({
+        version,
+        collections: [{ id: 'c', books: [{ id: 1, title: 'Book', cover: 'a.png', template: 1, content: [] }] }],
+        files: [{ path: 'books/1/a.png', size: 4 }]
+    })
+    const routes = { '/content.json': manifest('1.0.0'), '/books/1/a.png': { body: 'page', headers: { ETag: '"v1"' } } }
+    const server = await serveRoutes(t, routes)
+    const distDir = path.join(tempDir(t), 'dist')
+    writeTree(distDir, { 'content.json': JSON.stringify({ version: '0.9.0', collections: [] }) })
+    await updater.runUpdater({ distDir, remoteBaseUrl: server.url, retries: 0 })
+    assert.equal(updater.readFileState(distDir).files['books/1/a.png'].etag, '"v1"')
+
+    routes['/content.json'] = manifest('1.0.1')
+    const unchanged = await updater.runUpdater({ distDir, remoteBaseUrl: server.url, retries: 0 })
+    assert.equal(unchanged.summary.unchanged, 1)
+    assert.equal(unchanged.summary.bytes, 0)
+
+    routes['/content.json'] = manifest('1.0.2')
+    routes['/books/1/a.png'] = { body: 'PAGE', headers: { ETag: '"v2"' } }
+    const changed = await updater.runUpdater({ distDir, remoteBaseUrl: server.url, retries: 0 })
+    assert.deepEqual(changed.summary.changed, ['books/1/a.png'])
+    assert.equal(fs.readFileSync(path.join(distDir, 'books/1/a.png'), 'utf8'), 'PAGE')
+})
@@ -0,0 +1,104 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('fs')
+const path = require('path')
+const http = require('http')
+const crypto = require('crypto')
+const updater = require('../updater')
+const { createStaticHandler } = require('../static-server')
+const { tempDir, writeTree } = require('./helpers')
+
+// Content downloads: several at a time, retried on server errors and resumed
+// from a partial file, against the app's own static server as content server.
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex')
+const VIDEO = Buffer.alloc(64 * 1024, 'v')
+const ASSETS = { 'books/1/c.jpg': 'cover', 'books/1/clip.mp4': VIDEO, 'books/1/p1.png': 'page one', 'books/1/p2.png': 'page two' }
+
+// A content server for release 2.0.0 of ASSETS. `failures` maps a path to
+// the number of 503 answers it gets before it is served; `delayMs` holds
+// every answer back a little so parallel requests overlap; `missing` files
+// are listed in content.json but not on the server.
+async function contentServer(t, { failures = {}, delayMs = 0, missing = [] } = {}) {
+    const root = tempDir(t)
+    writeTree(root, ASSETS)
+    const files = Object.entries(ASSETS).map(([p, data]) => ({ path: p, size: Buffer.byteLength(data), sha256: sha256(data) }))
+    for (const p of missing) files.push({ path: p, size: 1, sha256: sha256('x') })
+    const content = [{ type: 'image', src: 'p1.png' }, { type: 'image', src: 'p2.png' }, { type: 'video', src: 'clip.mp4' }]
+    writeTree(root, { 'content.json': JSON.stringify({ version: '2.0.0', collections: [{ id: 'c', books: [{ id: 1, title: 'Book', cover: 'c.jpg', template: 1, content }] }], files }) })
+    const handler = createStaticHandler([{ name: 'interactive', root, prefix: '' }])
+    const requests = []
+    let inFlight = 0
+    let maxInFlight = 0
+    const server = http.createServer((req, res) => {
+        const pathname = new URL(req.url, 'http://x').pathname.slice(1)
+        requests.push({ path: pathname, range: req.headers.range || null, ifRange: req.headers['if-range'] || null })
+        inFlight++
+        maxInFlight = Math.max(maxInFlight, inFlight)
+        res.on('finish', () => { inFlight-- })
+        setTimeout(() => {
+            if (failures[pathname] > 0) {
+                failures[pathname]--
+                res.statusCode = 503
+                return res.end()
+            }
+            handler(req, res)
+        }, delayMs)
+    })
+    await new Promise(done => server.listen(0, '127.0.0.1', done))
+    t.after(() => new Promise(done => server.close(done)))
+    return { url: `http://127.0.0.1:${server.address().port}`, requests, maxInFlight: () => maxInFlight }
+}
+
+function installed(t) {
+    const distDir = path.join(tempDir(t), 'dist')
+    writeTree(distDir, { 'content.json': JSON.stringify({ version: '1.0.0', collections: [] }) })
+    return distDir
+}
+
+const assetRequests = (requests) => requests.filter(r => r.path.startsWith('books/'))
+
+test('files download in parallel up to the concurrency limit', async (t) => {
+    const server = await contentServer(t, { delayMs: 50 })
+    const distDir = installed(t)
+    const result = await updater.runUpdater({ distDir, remoteBaseUrl: server.url, concurrency: 2, retries: 0 })
+    assert.equal(result.updated, true)
+    assert.equal(server.maxInFlight(), 2)
+    for (const [rel, data] of Object.entries(ASSETS)) assert.deepEqual(fs.readFileSync(path.join(distDir, rel)), Buffer.from(data))
+})
+
+test('a server error is retried', async (t) => {
+    const server = await contentServer(t, { failures: { 'books/1/p1.png': 1 } })
+    const distDir = installed(t)
+    const result = await updater.runUpdater({ distDir, remoteBaseUrl: server.url, retries: 2 })
+    assert.equal(result.updated, true)
+    assert.equal(assetRequests(server.requests).filter(r => r.path === 'books/1/p1.png').length, 2)
+})
+
+test('a missing file is not retried and keeps the installed content', async (t) => {
+    const server = await contentServer(t, { missing: ['books/1/gone.png'] })
+    const distDir = installed(t)
+    await assert.rejects(updater.runUpdater({ distDir, remoteBaseUrl: server.url, retries: 3 }), /books\/1\/gone\.png: HTTP 404/)
+    assert.equal(assetRequests(server.requests).filter(r => r.path === 'books/1/gone.png').length, 1)
+    assert.equal(JSON.parse(fs.readFileSync(path.join(distDir, 'content.json'), 'utf8')).version, '1.0.0')
+})
+
+test('an interrupted download resumes with a Range request', async (t) => {
+    const server = await contentServer(t)
+    const distDir = installed(t)
+    // what an earlier run for 2.0.0 left behind: half of the video
+    const tmpRoot = path.join(distDir, '..', '.update_tmp', 'dist')
+    const head = await new Promise((resolve) => http.request(server.url + '/books/1/clip.mp4', { method: 'HEAD' }, (res) => { res.resume(); resolve(res) }).end())
+    server.requests.length = 0
+    writeTree(tmpRoot, {
+        '.update.json': JSON.stringify({ remoteVer: '2.0.0', remoteBaseUrl: server.url }),
+        'books/1/clip.mp4.part': VIDEO.subarray(0, 1000),
+        'books/1/clip.mp4.part.json': JSON.stringify({ url: server.url + '/books/1/clip.mp4', etag: head.headers.etag })
+    })
+    const result = await updater.runUpdater({ distDir, remoteBaseUrl: server.url, retries: 0 })
+    assert.equal(result.updated, true)
+    const clip = assetRequests(server.requests).filter(r => r.path === 'books/1/clip.mp4')
+    assert.deepEqual(clip, [{ path: 'books/1/clip.mp4', range: 'bytes=1000-', ifRange: head.headers.etag }])
+    assert.deepEqual(fs.readFileSync(path.join(distDir, 'books/1/clip.mp4')), VIDEO)
+    assert.equal(fs.existsSync(tmpRoot), false)
+})
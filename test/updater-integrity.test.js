@@ -0,0 +1,103 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('fs')
+const path = require('path')
+const crypto = require('crypto')
+const updater = require('../updater')
+const { tempDir, writeTree, serveRoutes } = require('./helpers')
+
+// Content update integrity: file hashes from content.json and the detached
+// content.json.sig, against a local content server.
+
+const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519')
+const PUBLIC_PEM = publicKey.export({ type: 'spki', format: 'pem' })
+const sign = (raw) => crypto.sign(null, Buffer.from(raw, 'utf8'), privateKey).toString('base64')
+const sha256 = (text) => crypto.createHash('sha256').update(text).digest('hex')
+
+const COVER = 'cover image bytes'
+
+function manifestRaw({ coverHash = sha256(COVER) } = {}) {
+    return JSON.stringify({
+        version: '1.0.1',
+        collections: [{ id: 'c', books: [{ id: 1, title: 'Book', cover: 'c.jpg', template: 1, content: [] }] }],
+        files: [{ path: 'books/1/c.jpg', size: COVER.length, sha256: coverHash }]
+    })
+}
+
+// dist with an installed 1.0.0 and a server offering 1.0.1
+async function fixture(t, routes) {
+    const root = tempDir(t)
+    const distDir = path.join(root, 'dist')
+    writeTree(distDir, { 'content.json': JSON.stringify({ version: '1.0.0', books: [] }), 'index.html': 'old' })
+    const server = await serveRoutes(t, { '/books/1/c.jpg': COVER, ...routes })
+    return { distDir, run: (opts = {}) => updater.runUpdater({ distDir, remoteBaseUrl: server.url, retries: 0, ...opts }) }
+}
+
+const installedVersion = (distDir) => JSON.parse(fs.readFileSync(path.join(distDir, 'content.json'), 'utf8')).version
+
+test('a signed manifest with matching hashes installs', async (t) => {
+    const raw = manifestRaw()
+    const { distDir, run } = await fixture(t, { '/content.json': raw, '/content.json.sig': sign(raw) })
+    const result = await run({ publicKey: PUBLIC_PEM })
+    assert.equal(result.updated, true)
+    assert.equal(installedVersion(distDir), '1.0.1')
+    assert.equal(fs.readFileSync(path.join(distDir, 'books/1/c.jpg'), 'utf8'), COVER)
+    // kept with the content for content pack exports
+    assert.equal(fs.readFileSync(path.join(distDir, 'content.json.sig'), 'utf8').trim(), sign(raw))
+})
+
+test('a file with the wrong sha256 refuses the update', async (t) => {
+    const raw = manifestRaw({ coverHash: sha256('something else') })
+    const { distDir, run } = await fixture(t, { '/content.json': raw, '/content.json.sig': sign(raw) })
+    await assert.rejects(run({ publicKey: PUBLIC_PEM }), /SHA-256 mismatch/)
+    assert.equal(installedVersion(distDir), '1.0.0')
+    assert.equal(fs.existsSync(path.join(distDir, 'books/1/c.jpg')), false)
+})
+
+test('a bad signature refuses the update', async (t) => {
+    const raw = manifestRaw()
+    const { distDir, run } = await fixture(t, { '/content.json': raw, '/content.json.sig': sign(raw.replace('1.0.1', '6.6.6')) })
+    await assert.rejects(run({ publicKey: PUBLIC_PEM }), /signature verification failed/)
+    assert.equal(installedVersion(distDir), '1.0.0')
+})
+
+test('a missing signature refuses the update when a key is bundled', async (t) => {
+    const raw = manifestRaw()
+    const { distDir, run } = await fixture(t, { '/content.json': raw })
+    await assert.rejects(run({ publicKey: PUBLIC_PEM }), /not signed/)
+    assert.equal(installedVersion(distDir), '1.0.0')
+})
+
+test('an SPA fallback page in place of the signature counts as missing', async (t) => {
+    const raw = manifestRaw()
+    const { run } = await fixture(t, { '/content.json': raw, '/content.json.sig': '<!doctype html><html></html>' })
+    await assert.rejects(run({ publicKey: PUBLIC_PEM }), /not signed/)
+})
+
+test('the key can come from publicKeyPath', async (t) => {
+    const raw = manifestRaw()
+    const keyPath = path.join(tempDir(t), 'content-signing.pub.pem')
+    fs.writeFileSync(keyPath, PUBLIC_PEM)
+    const { run } = await fixture(t, { '/content.json': raw })
+    await assert.rejects(run({ publicKeyPath: keyPath }), /not signed/)
+})
+
+test('without a key unsigned content installs unless requireSignature is set', async (t) => {
+    const raw = manifestRaw()
+    const { distDir, run } = await fixture(t, { '/content.json': raw })
+    fs.writeFileSync(path.join(distDir, 'content.json.sig'), sign('{"version":"1.0.0"}'))
+    await assert.rejects(run({ requireSignature: true }), /No public key/)
+    assert.equal((await run()).updated, true)
+    assert.equal(installedVersion(distDir), '1.0.1')
+    // the old content's signature doesn't carry over to the new content.json
+    assert.equal(fs.existsSync(path.join(distDir, 'content.json.sig')), false)
+})
+
+test('verifyManifestSignature checks the exact bytes', () => {
+    const raw = manifestRaw()
+    assert.equal(updater.verifyManifestSignature(raw, sign(raw), PUBLIC_PEM), true)
+    assert.equal(updater.verifyManifestSignature(raw + ' ', sign(raw), PUBLIC_PEM), false)
+    const rsa = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 })
+    const rsaSig = crypto.sign('sha256', Buffer.from(raw), rsa.privateKey).toString('base64')
+    assert.equal(updater.verifyManifestSignature(raw, rsaSig, rsa.publicKey.export({ type: 'spki', format: 'pem' })), true)
+})
@@ -0,0 +1,152 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('fs')
+const path = require('path')
+const updater = require('../updater')
+const tts = require('../tts')
+const { tempDir, writeTree, serveRoutes, fakeBins } = require('./helpers')
+
+// Book narration rendered during an update, with a fake espeak-ng that writes
+// 0.1 s of silence per character so the timings are predictable.
+
+const RENDER = `
+const fs = require('fs')
+const args = process.argv.slice(2)
+const out = args[args.indexOf('-w') + 1]
+const text = fs.readFileSync(0, 'utf8')
+fs.appendFileSync(process.env.SPOKEN_LOG, JSON.stringify(text) + '\\n')
+// 8 kHz, mono, 16 bit: 16000 bytes per second
+const fmt = Buffer.alloc(16)
+fmt.writeUInt16LE(1, 0); fmt.writeUInt16LE(1, 2); fmt.writeUInt32LE(8000, 4)
+fmt.writeUInt32LE(16000, 8); fmt.writeUInt16LE(2, 12); fmt.writeUInt16LE(16, 14)
+const data = Buffer.alloc(text.length * 1600)
+const head = Buffer.alloc(20)
+head.write('RIFF', 0); head.writeUInt32LE(36 + data.length, 4); head.write('WAVEfmt ', 8); head.writeUInt32LE(16, 16)
+const dataHead = Buffer.alloc(8)
+dataHead.write('data', 0); dataHead.writeUInt32LE(data.length, 4)
+fs.writeFileSync(out, Buffer.concat([head, fmt, dataHead, data]))
+`
+
+function fakeEngine(t) {
+    const dir = tempDir(t)
+    const spoken = path.join(dir, 'spoken')
+    fs.writeFileSync(path.join(dir, 'render.js'), RENDER)
+    const bins = fakeBins(t, {
+        'espeak-ng': [
+            'if [ "$1" = "--voices" ]; then',
+            '  echo "Pty Language       Age/Gender VoiceName          File                 Other Languages"',
+            '  echo " 5  en-us           --/M      English_(America)  gmw/en-US            (en 3)"',
+            '  exit 0',
+            'fi',
+            `exec "${process.execPath}" "${path.join(dir, 'render.js')}" "$@"`
+        ].join('\n')
+    })
+    const saved = { PATH: process.env.PATH, SPOKEN_LOG: process.env.SPOKEN_LOG }
+    process.env.PATH = bins + path.delimiter + saved.PATH
+    process.env.SPOKEN_LOG = spoken
+    tts.clearVoiceCache()
+    t.after(() => {
+        process.env.PATH = saved.PATH
+        if (typeof saved.SPOKEN_LOG === 'undefined') delete process.env.SPOKEN_LOG
+        else process.env.SPOKEN_LOG = saved.SPOKEN_LOG
+        tts.clearVoiceCache()
+    })
+    return () => (fs.existsSync(spoken) ? fs.readFileSync(spoken, 'utf8').trim().split('\n').map(l => JSON.parse(l)) : [])
+}
+
+const manifest = (version, paragraph) => JSON.stringify({
+    version,
+    lang: 'en-US',
+    collections: [{
+        id: 'c',
+        books: [
+            { id: 1, title: 'Read me', template: 1, content: [{ type: 'heading', text: 'Title' }, { type: 'video', src: 'v.mp4' }, { type: 'paragraph', text: paragraph }] },
+            { id: 2, title: 'Watch me', template: 2, content: [{ type: 'heading', text: 'Only a heading' }] }
+        ]
+    }]
+})
+
+async function fixture(t) {
+    const distDir = path.join(tempDir(t), 'dist')
+    writeTree(distDir, { 'content.json': JSON.stringify({ version: '1.0.0', books: [] }) })
+    const routes = { '/index.html': 'app', '/books/1/v.mp4': 'video' }
+    const server = await serveRoutes(t, routes)
+    const run = (version, paragraph) => {
+        routes['/content.json'] = manifest(version, paragraph)
+        return updater.runUpdater({ distDir, remoteBaseUrl: server.url, retries: 0, tts: { engines: { '*': ['espeak-ng'] } } })
+    }
+    const read = (rel) => JSON.parse(fs.readFileSync(path.join(distDir, 'books', rel), 'utf8'))
+    return { distDir, run, read }
+}
+
+test('narration is rendered locally for books with a paragraph', async (t) => {
+    const spoken = fakeEngine(t)
+    const { distDir, run, read } = await fixture(t)
+    await run('1.0.1', 'One. Two!')
+
+    // the heading is read before the paragraph
+    assert.equal(spoken().join(' '), 'Title One. Two!')
+    assert.equal(fs.statSync(path.join(distDir, 'books/1/tts.wav')).size, 44 + 13 * 1600)
+    const meta = read('1/tts.json')
+    assert.deepEqual([meta.source, meta.engine, meta.voice, meta.lang], ['local', 'espeak-ng', 'en-us', 'en-US'])
+    // a book without a paragraph has nothing to read
+    assert.equal(fs.existsSync(path.join(distDir, 'books/2/tts.wav')), false)
+})
+
+test('narration is kept while the text stays and rendered again when it changes', async (t) => {
+    const spoken = fakeEngine(t)
+    const { run, read } = await fixture(t)
+    await run('1.0.1', 'One.')
+    const first = read('1/tts.json')
+    const runs = spoken().length
+    await run('1.0.2', 'One.')
+    assert.equal(spoken().length, runs)
+    assert.equal(read('1/tts.json').createdAt, first.createdAt)
+
+    await run('1.0.3', 'He said "Stop." Then left')
+    assert.equal(spoken().slice(runs).join(' '), 'Title He said "Stop." Then left')
+    assert.notEqual(read('1/tts.json').hash, first.hash)
+    assert.deepEqual(read('1/tts.timings.json').blocks[1].sentences.map(s => s.text), ['He said "Stop."', 'Then left'])
+})
+
+test('the timings place every block and sentence on the recording', async (t) => {
+    const spoken = fakeEngine(t)
+    const { distDir, run, read } = await fixture(t)
+    await run('1.0.1', 'One. Two!')
+
+    // one engine run per sentence, so each one is measured
+    assert.deepEqual(spoken(), ['Title', 'One.', 'Two!'])
+    const meta = read('1/tts.json')
+    assert.equal(meta.timings, true)
+    assert.deepEqual(read('1/tts.timings.json'), {
+        hash: meta.hash,
+        duration: 1.3,
+        blocks: [
+            { index: 0, type: 'heading', start: 0, end: 0.5, sentences: [{ text: 'Title', start: 0, end: 0.5 }] },
+            { index: 2, type: 'paragraph', start: 0.5, end: 1.3, sentences: [{ text: 'One.', start: 0.5, end: 0.9 }, { text: 'Two!', start: 0.9, end: 1.3 }] }
+        ]
+    })
+    assert.equal(fs.existsSync(path.join(distDir, 'books/2/tts.timings.json')), false)
+})
+
+test('narration the server publishes for the same text is used as is', async (t) => {
+    const spoken = fakeEngine(t)
+    const distDir = path.join(tempDir(t), 'dist')
+    writeTree(distDir, { 'content.json': JSON.stringify({ version: '1.0.0', books: [] }) })
+    // render once to learn the text's hash, then serve that recording
+    const local = await fixture(t)
+    await local.run('1.0.1', 'One.')
+    const hash = local.read('1/tts.json').hash
+    const runs = spoken().length
+    const server = await serveRoutes(t, {
+        '/content.json': manifest('1.0.1', 'One.'),
+        '/index.html': 'app',
+        '/books/1/v.mp4': 'video',
+        '/books/1/tts.wav': 'RIFF from the server',
+        '/books/1/tts.json': JSON.stringify({ hash })
+    })
+    await updater.runUpdater({ distDir, remoteBaseUrl: server.url, retries: 0, tts: { engines: { '*': ['espeak-ng'] } } })
+    assert.equal(spoken().length, runs)
+    assert.equal(fs.readFileSync(path.join(distDir, 'books/1/tts.wav'), 'utf8'), 'RIFF from the server')
+    assert.equal(JSON.parse(fs.readFileSync(path.join(distDir, 'books/1/tts.json'), 'utf8')).source, 'remote')
+})
@@ -0,0 +1,114 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('fs')
+const path = require('path')
+const updater = require('../updater')
+const { tempDir, writeTree, serveRoutes } = require('./helpers')
+
+// The presentation deck lives below /presentation on the content server and
+// is installed into dist2; nothing of the interactive site at the server root
+// may end up there.
+
+test('inferFilesFromManifest resolves manifest paths below the site root', () => {
+    const manifest = { books: [{ id: 1, cover: 'c.jpg', content: [{ type: 'image', src: '/img/x.png' }, { type: 'video', src: 'https://cdn.test/v.mp4' }] }] }
+    assert.deepEqual(updater.inferFilesFromManifest(manifest, 'https://h.test/presentation').sort(), [
+        'https://cdn.test/v.mp4',
+        'https://h.test/presentation/books/1/c.jpg',
+        'https://h.test/presentation/content.json',
+        'https://h.test/presentation/img/x.png'
+    ])
+    assert.deepEqual(updater.inferFilesFromManifest(manifest, 'https://h.test').sort(), [
+        'https://cdn.test/v.mp4',
+        'https://h.test/books/1/c.jpg',
+        'https://h.test/content.json',
+        'https://h.test/img/x.png'
+    ])
+})
+
+test('relPathFor is relative to the site root', () => {
+    const base = 'https://h.test/presentation'
+    assert.equal(updater.relPathFor({ url: 'https://h.test/presentation/books/1/c.jpg' }, base), 'books/1/c.jpg')
+    assert.equal(updater.relPathFor({ url: 'https://h.test/books/1/c.jpg' }), 'books/1/c.jpg')
+    // outside the site (a CDN): the URL's own path
+    assert.equal(updater.relPathFor({ url: 'https://cdn.test/media/v.mp4' }, base), 'media/v.mp4')
+    // an explicit path wins and can't leave the dist folder
+    assert.equal(updater.relPathFor({ url: 'https://h.test/x', path: '../../etc/passwd' }, base), 'etc/passwd')
+})
+
+test('siteUrl keeps absolute URLs and roots everything else at the site', () => {
+    const base = 'https://h.test/presentation'
+    assert.equal(updater.siteUrl('/assets/app.js', base), 'https://h.test/presentation/assets/app.js')
+    assert.equal(updater.siteUrl('assets/app.js', base + '/'), 'https://h.test/presentation/assets/app.js')
+    assert.equal(updater.siteUrl('https://cdn.test/a.js', base), 'https://cdn.test/a.js')
+    assert.equal(updater.siteUrl('//cdn.test/a.js', base), 'https://cdn.test/a.js')
+})
+
+test('a presentation update downloads from /presentation into dist2', async (t) => {
+    const root = tempDir(t)
+    const dist2 = path.join(root, 'dist2')
+    // the shipped dist2 has no content.json yet
+    writeTree(dist2, { 'index.html': '<html>old deck</html>' })
+    const deck = { version: '2.0.0', books: [{ id: 1, title: 'Deck', cover: 'c.jpg', template: 1, content: [] }] }
+    const server = await serveRoutes(t, {
+        '/content.json': JSON.stringify({ version: '9.9.9', books: [{ id: 1, title: 'Interactive', cover: 'c.jpg', template: 1, content: [] }] }),
+        '/index.html': '<html>interactive</html>',
+        '/books/1/c.jpg': 'interactive cover',
+        '/presentation/content.json': JSON.stringify(deck),
+        '/presentation/index.html': '<html><script src="/assets/app.js"></script><link href="assets/app.css" rel="stylesheet"></html>',
+        '/presentation/assets/app.js': 'deck js',
+        '/presentation/assets/app.css': 'body { background: url(/assets/bg.png) }',
+        '/presentation/assets/bg.png': 'deck background',
+        '/presentation/books/1/c.jpg': 'deck cover'
+    })
+    const remoteBaseUrl = server.url + '/presentation'
+
+    const check = await updater.checkForUpdate({ distDir: dist2, remoteBaseUrl })
+    assert.deepEqual(check, { available: true, localVer: null, remoteVer: '2.0.0' })
+
+    const result = await updater.runUpdater({ distDir: dist2, remoteBaseUrl, retries: 0 })
+    assert.equal(result.updated, true)
+    const read = (rel) => fs.readFileSync(path.join(dist2, rel), 'utf8')
+    assert.equal(JSON.parse(read('content.json')).version, '2.0.0')
+    assert.equal(read('index.html'), '<html><script src="/assets/app.js"></script><link href="assets/app.css" rel="stylesheet"></html>')
+    assert.equal(read('assets/app.js'), 'deck js')
+    assert.equal(read('assets/bg.png'), 'deck background')
+    assert.equal(read('books/1/c.jpg'), 'deck cover')
+    assert.equal(fs.existsSync(path.join(dist2, 'presentation')), false)
+    // the interactive site at the server root was never fetched
+    assert.deepEqual(server.requests.filter(p => !p.startsWith('/presentation/')), [])
+})
+
+test('an interrupted update of one site survives an update of the other', async (t) => {
+    const root = tempDir(t)
+    const dist = path.join(root, 'dist')
+    const dist2 = path.join(root, 'dist2')
+    writeTree(dist, { 'content.json': JSON.stringify({ version: '1.0.0', books: [] }) })
+    writeTree(dist2, { 'content.json': JSON.stringify({ version: '1.0.0', books: [] }) })
+    const book = { id: 1, title: 'Book', cover: 'c.jpg', template: 1, content: [] }
+    const server = await serveRoutes(t, {
+        '/content.json': JSON.stringify({ version: '2.0.0', books: [book] }),
+        '/index.html': '<html>interactive</html>',
+        '/books/1/c.jpg': 'interactive cover',
+        '/presentation/content.json': JSON.stringify({ version: '2.0.0', books: [book] }),
+        '/presentation/index.html': '<html>deck</html>',
+        '/presentation/books/1/c.jpg': 'deck cover'
+    })
+    // what an interrupted update of the interactive site left behind
+    const tmpRoot = path.join(root, '.update_tmp', 'dist')
+    writeTree(tmpRoot, {
+        '.update.json': JSON.stringify({ remoteVer: '2.0.0', remoteBaseUrl: server.url }),
+        'books/1/c.jpg': 'interactive cover'
+    })
+
+    const deck = await updater.runUpdater({ distDir: dist2, remoteBaseUrl: server.url + '/presentation', retries: 0 })
+    assert.equal(deck.updated, true)
+    assert.equal(fs.readFileSync(path.join(dist2, 'books/1/c.jpg'), 'utf8'), 'deck cover')
+    assert.equal(fs.readFileSync(path.join(tmpRoot, 'books/1/c.jpg'), 'utf8'), 'interactive cover')
+
+    server.requests.length = 0
+    const site = await updater.runUpdater({ distDir: dist, remoteBaseUrl: server.url, retries: 0 })
+    assert.equal(site.updated, true)
+    assert.equal(fs.readFileSync(path.join(dist, 'books/1/c.jpg'), 'utf8'), 'interactive cover')
+    // the cover fetched by the interrupted run was not downloaded again
+    assert.equal(server.requests.includes('/books/1/c.jpg'), false)
+})
@@ -0,0 +1,51 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('fs')
+const path = require('path')
+const updater = require('../updater')
+const { tempDir, writeTree, serveRoutes } = require('./helpers')
+
+// Background updates are downloaded and staged first (stageOnly) and swapped
+// in later with applyStagedUpdate().
+
+const manifest = (version) => JSON.stringify({ version, collections: [{ id: 'c', books: [{ id: 1, title: 'Book', cover: 'c.jpg', template: 1, content: [] }] }], files: [{ path: 'books/1/c.jpg', size: 5 }] })
+
+async function fixture(t) {
+    const server = await serveRoutes(t, { '/content.json': manifest('2.0.0'), '/books/1/c.jpg': 'cover' })
+    const distDir = path.join(tempDir(t), 'dist')
+    writeTree(distDir, { 'content.json': JSON.stringify({ version: '1.0.0', collections: [] }) })
+    const stage = () => updater.runUpdater({ distDir, remoteBaseUrl: server.url, retries: 0, stageOnly: true })
+    return { server, distDir, stage }
+}
+
+const installedVersion = (distDir) => JSON.parse(fs.readFileSync(path.join(distDir, 'content.json'), 'utf8')).version
+
+test('a staged update leaves the installed content until it is applied', async (t) => {
+    const { server, distDir, stage } = await fixture(t)
+    const staged = await stage()
+    assert.deepEqual([staged.updated, staged.staged, staged.remoteVer], [false, true, '2.0.0'])
+    assert.equal(installedVersion(distDir), '1.0.0')
+    assert.equal(updater.getStagedUpdate({ distDir }).remoteVer, '2.0.0')
+
+    // staging the same release again downloads nothing
+    server.requests.length = 0
+    assert.equal((await stage()).reason, 'already-staged')
+    assert.deepEqual(server.requests, ['/content.json'])
+
+    const applied = await updater.applyStagedUpdate({ distDir })
+    assert.deepEqual([applied.updated, applied.localVer, applied.remoteVer], [true, '1.0.0', '2.0.0'])
+    assert.equal(installedVersion(distDir), '2.0.0')
+    assert.equal(fs.readFileSync(path.join(distDir, 'books/1/c.jpg'), 'utf8'), 'cover')
+    assert.equal(updater.getStagedUpdate({ distDir }), null)
+    assert.equal((await updater.applyStagedUpdate({ distDir })).reason, 'nothing-staged')
+})
+
+test('a staged update is dropped when the installed content changed meanwhile', async (t) => {
+    const { distDir, stage } = await fixture(t)
+    await stage()
+    fs.writeFileSync(path.join(distDir, 'content.json'), JSON.stringify({ version: '1.5.0', collections: [] }))
+    const result = await updater.applyStagedUpdate({ distDir })
+    assert.deepEqual([result.updated, result.reason], [false, 'stale'])
+    assert.equal(installedVersion(distDir), '1.5.0')
+    assert.equal(updater.getStagedUpdate({ distDir }), null)
+})
@@ -0,0 +1,60 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('fs')
+const path = require('path')
+const updater = require('../updater')
+const { tempDir, writeTree } = require('./helpers')
+
+// Previous content versions kept next to the dist folder, and rollback.
+
+function distWith(t) {
+    const root = tempDir(t)
+    const distDir = path.join(root, 'dist')
+    writeTree(distDir, { 'content.json': JSON.stringify({ version: '1.0.0' }), 'books/1/a.png': 'v1' })
+    // install `version` the way an update does
+    const install = (version, opts = {}) => {
+        const staged = path.join(root, '.dist_tmp')
+        writeTree(staged, { 'content.json': JSON.stringify({ version }), 'books/1/a.png': version })
+        return updater.installStagedDir(distDir, staged, opts)
+    }
+    return { distDir, install }
+}
+
+const installedVersion = (distDir) => JSON.parse(fs.readFileSync(path.join(distDir, 'content.json'), 'utf8')).version
+
+test('every install archives the content it replaces, newest first', (t) => {
+    const { distDir, install } = distWith(t)
+    install('1.1.0')
+    install('1.2.0')
+    const { current, versions } = updater.listVersions({ distDir })
+    assert.equal(current.version, '1.2.0')
+    assert.ok(current.updatedAt)
+    assert.deepEqual(versions.map(v => [v.version, v.reason]), [['1.1.0', 'update'], ['1.0.0', 'update']])
+})
+
+test('only keepVersions archives are kept', (t) => {
+    const { distDir, install } = distWith(t)
+    for (const v of ['1.1.0', '1.2.0', '1.3.0']) install(v, { keepVersions: 2 })
+    assert.deepEqual(updater.listVersions({ distDir }).versions.map(v => v.version), ['1.2.0', '1.1.0'])
+})
+
+test('rollback reinstates the newest archive and can be undone', async (t) => {
+    const { distDir, install } = distWith(t)
+    install('1.1.0')
+    const result = await updater.rollback({ distDir })
+    assert.equal(result.version, '1.0.0')
+    assert.equal(installedVersion(distDir), '1.0.0')
+    assert.equal(fs.readFileSync(path.join(distDir, 'books/1/a.png'), 'utf8'), 'v1')
+    const { versions } = updater.listVersions({ distDir })
+    assert.deepEqual(versions.map(v => [v.version, v.reason]), [['1.1.0', 'rollback']])
+    await updater.rollback({ distDir, id: versions[0].id })
+    assert.equal(installedVersion(distDir), '1.1.0')
+})
+
+test('rollback to an unknown or missing version fails without touching the content', async (t) => {
+    const { distDir, install } = distWith(t)
+    await assert.rejects(updater.rollback({ distDir }), /No previous content version/)
+    install('1.1.0')
+    await assert.rejects(updater.rollback({ distDir, id: '42' }), /Unknown content version 42/)
+    assert.equal(installedVersion(distDir), '1.1.0')
+})
@@ -0,0 +1,477 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { runCommand, spawnCommand } = require('./run-command')
+const EventEmitter = require('events')
+
+// Text-to-speech for the renderer (live speech) and the updater (book
+// narration rendered to tts.wav). Speech engines are backends that declare
+// their voices and languages, whether they can render to a WAV file and
+// whether they play audio themselves; engines that only render are played
+// through aplay/paplay/pw-play. For every language the engines are tried in
+// the configured order (settings `tts`) and the first installed one with a
+// voice for it is used:
+//
+//   { engines: { '*': ['piper', 'espeak-ng', ...], 'de': ['pico2wave'] },
+//     voices: { 'en': 'en_US-lessac-medium' }, piperModelDir: '' }
+//
+// `engines` lists for a language ('de-DE', else 'de') go before the '*' list;
+// `voices` names the preferred voice per language; Piper voices (*.onnx with
+// their .onnx.json) are looked up in piperModelDir and the usual share dirs.
+//
+// The live controller keeps an utterance queue. Each utterance gets an id and
+// the controller emits 'start' { id, text, engine }, 'end' { id, interrupted }
+// and 'error' { id, error } as it goes, so the UI knows when reading finished.
+
+const DEFAULT_ENGINE_ORDER = ['piper', 'espeak-ng', 'espeak', 'pico2wave', 'spd-say']
+const PLAYERS = ['pw-play', 'paplay', 'aplay']
+const PIPER_MODEL_DIRS = [
+    path.join(os.homedir(), '.local', 'share', 'piper-voices'),
+    '/usr/local/share/piper-voices',
+    '/usr/share/piper-voices'
+]
+const PICO_LANGUAGES = ['en-US', 'en-GB', 'de-DE', 'es-ES', 'fr-FR', 'it-IT']
+
+// Find an executable on PATH
+function findExecutable(name) {
+    for (const dir of String(process.env.PATH || '').split(path.delimiter)) {
+        if (!dir) continue
+        const full = path.join(dir, name)
+        try {
+            fs.accessSync(full, fs.constants.X_OK)
+            if (fs.statSync(full).isFile()) return full
+        } catch (e) { }
+    }
+    return null
+}
+
+// 'en_US' / 'EN-us' -> 'en-us'
+function normalizeLang(lang) {
+    return String(lang || '').trim().toLowerCase().replace(/_/g, '-')
+}
+
+function runForOutput(file, args) {
+    return runCommand(file, args, { timeout: 5000 }).then(r => (r.ok ? r.stdout : ''))
+}
+
+// Parse `espeak-ng --voices`:
+//  Pty Language       Age/Gender VoiceName          File                 Other Languages
+//   5  en-us           --/M      English_(America)  gmw/en-US            (en 3)
+function parseEspeakVoices(output, engine) {
+    const voices = []
+    for (const line of String(output).split('\n').slice(1)) {
+        const parts = line.trim().split(/\s+/)
+        if (parts.length < 5) continue
+        const [priority, language, ageGender, name, file] = parts
+        voices.push({
+            engine,
+            id: language,
+            language: normalizeLang(language),
+            name: name.replace(/_/g, ' '),
+            gender: (ageGender.split('/')[1] || '').replace('-', '') || null,
+            file,
+            priority: Number(priority) || 0
+        })
+    }
+    return voices
+}
+
+// Parse `spd-say -L`:
+//  NAME                 LANGUAGE             VARIANT
+//  english-us           en-US                none
+function parseSpdVoices(output) {
+    const voices = []
+    for (const line of String(output).split('\n').slice(1)) {
+        const parts = line.trim().split(/\s+/)
+        if (parts.length < 2) continue
+        voices.push({ engine: 'spd-say', id: parts[0], language: normalizeLang(parts[1]), name: parts[0], gender: null })
+    }
+    return voices
+}
+
+// Piper voices are <name>.onnx models with a <name>.onnx.json config
+function findPiperVoices(config) {
+    const dirs = [config && config.piperModelDir].filter(Boolean).concat(PIPER_MODEL_DIRS)
+    const voices = []
+    const seen = new Set()
+    const scan = (dir, depth) => {
+        let entries = []
+        try { entries = fs.readdirSync(dir, { withFileTypes: true }) } catch (e) { return }
+        for (const entry of entries) {
+            const full = path.join(dir, entry.name)
+            if (entry.isDirectory() && depth < 3) scan(full, depth + 1)
+            if (!entry.isFile() || !entry.name.endsWith('.onnx') || !fs.existsSync(full + '.json')) continue
+            const id = entry.name.slice(0, -'.onnx'.length)
+            if (seen.has(id)) continue
+            seen.add(id)
+            let meta = {}
+            try { meta = JSON.parse(fs.readFileSync(full + '.json', 'utf8')) || {} } catch (e) { }
+            // en_US-lessac-medium: language before the first '-'
+            const language = (meta.language && meta.language.code) || id.split('-')[0]
+            voices.push({ engine: 'piper', id, language: normalizeLang(language), name: id, gender: null, file: full })
+        }
+    }
+    for (const dir of dirs) scan(dir, 0)
+    return voices
+}
+
+// espeak/espeak-ng options: -v <voice>, -s <speed words/min>, -p <pitch 0-99>, -a <amplitude 0-200>;
+// text comes on stdin, so text starting with '-' is never read as an option
+function espeakArgs(voiceId, opts = {}) {
+    const { rate = 150, pitch = 50, amplitude = 100 } = opts || {}
+    return ['-v', voiceId, '-s', String(rate), '-p', String(pitch), '-a', String(amplitude)]
+}
+
+const espeakBackend = (name) => ({
+    name,
+    binaries: [name],
+    canRenderToFile: true,
+    canSpeak: true,
+    canPause: true,
+    voices: (command) => runForOutput(command, ['--voices']).then(out => parseEspeakVoices(out, name)),
+    // espeak also takes voice variants such as 'en-us+f3'
+    hasVoice: (voices, id) => voices.some(v => v.id === String(id).split('+')[0]),
+    speakCommand: (voice, text, opts) => ({ args: espeakArgs(voice.id, opts).concat(['--stdin']), input: text }),
+    renderCommand: (voice, text, outPath, opts) => ({ args: espeakArgs(voice.id, opts).concat(['-w', outPath, '--stdin']), input: text })
+})
+
+// Backends by engine name. voices(command, config) resolves the engine's voices
+// as [{ engine, id, language, name, ... }]; speakCommand/renderCommand build
+// the arguments (and stdin) for one utterance with the chosen voice.
+const BACKENDS = {
+    'espeak-ng': espeakBackend('espeak-ng'),
+    espeak: espeakBackend('espeak'),
+    // neural voices, much closer to a human reader; renders only
+    piper: {
+        name: 'piper',
+        binaries: ['piper', 'piper-tts'],
+        neural: true,
+        canRenderToFile: true,
+        canSpeak: false,
+        canPause: true,
+        voices: (command, config) => Promise.resolve(findPiperVoices(config)),
+        renderCommand: (voice, text, outPath, opts) => {
+            const rate = Number(opts && opts.rate) || 150
+            // length_scale > 1 reads slower; espeak's 150 words/min is the baseline
+            const scale = Math.min(4, Math.max(0.25, 150 / rate)).toFixed(2)
+            return { args: ['--model', voice.file, '--length_scale', scale, '--output_file', outPath], input: text }
+        }
+    },
+    pico2wave: {
+        name: 'pico2wave',
+        binaries: ['pico2wave'],
+        canRenderToFile: true,
+        canSpeak: false,
+        canPause: true,
+        voices: () => Promise.resolve(PICO_LANGUAGES.map(id => ({ engine: 'pico2wave', id, language: normalizeLang(id), name: id, gender: 'F' }))),
+        // pico2wave only writes *.wav files and takes the text as an argument
+        renderCommand: (voice, text, outPath) => ({ args: ['-l', voice.id, '-w', outPath, '--', text] })
+    },
+    // speech-dispatcher speaks through the desktop's configured synthesizer;
+    // it can't render to a file and the audio can't be paused from here
+    'spd-say': {
+        name: 'spd-say',
+        binaries: ['spd-say'],
+        canRenderToFile: false,
+        canSpeak: true,
+        canPause: false,
+        voices: (command) => runForOutput(command, ['-L']).then(parseSpdVoices),
+        speakCommand: (voice, text, opts) => {
+            const rate = Math.max(-100, Math.min(100, Math.round(((Number(opts && opts.rate) || 150) - 150) / 2)))
+            return { args: ['-w', '-l', voice.language, '-y', voice.id, '-r', String(rate), '--', text] }
+        },
+        // killing the client leaves the message playing in the daemon
+        cancel: (command) => { try { spawnCommand(command, ['-C'], { stdio: 'ignore' }).on('error', () => { }) } catch (e) { } }
+    }
+}
+
+// The first of the backend's binaries on PATH, by name (run-command.js
+// runs allowed tools by name only)
+function backendCommand(backend) {
+    return backend.binaries.find(bin => findExecutable(bin)) || null
+}
+
+function findPlayer() {
+    for (const name of PLAYERS) {
+        const exe = findExecutable(name)
+        if (exe) return { name, path: exe }
+    }
+    return null
+}
+
+// Installed engines as [{ name, path, neural, canRenderToFile, canSpeak, canPause }]
+// in the default order
+function detectEngines() {
+    const player = findPlayer()
+    const engines = []
+    for (const name of DEFAULT_ENGINE_ORDER) {
+        const backend = BACKENDS[name]
+        const command = backendCommand(backend)
+        if (!command) continue
+        engines.push({
+            name,
+            path: findExecutable(command),
+            neural: !!backend.neural,
+            canRenderToFile: backend.canRenderToFile,
+            // render-only engines speak live through an audio player
+            canSpeak: backend.canSpeak || (backend.canRenderToFile && !!player),
+            canPause: backend.canPause
+        })
+    }
+    return engines
+}
+
+// Voice lists rarely change; cache them per engine binary (and Piper model dir)
+const voiceCache = new Map()
+
+function voicesFor(backend, command, config) {
+    const key = `${backend.name}:${command}:${(config && config.piperModelDir) || ''}`
+    if (!voiceCache.has(key)) {
+        voiceCache.set(key, backend.voices(command, config || {}).catch(() => []).then((voices) => {
+            // an engine without voices may have been broken; look again next time
+            if (voices.length === 0) voiceCache.delete(key)
+            return voices
+        }))
+    }
+    return voiceCache.get(key)
+}
+
+function clearVoiceCache() {
+    voiceCache.clear()
+}
+
+// All voices of all installed engines
+async function listVoices(config = {}) {
+    const voices = []
+    for (const name of DEFAULT_ENGINE_ORDER) {
+        const backend = BACKENDS[name]
+        const command = backendCommand(backend)
+        if (command) voices.push(...await voicesFor(backend, command, config))
+    }
+    return voices
+}
+
+// Engine order for a language: its own list ('de-de', then 'de'), then '*'
+function engineOrder(config, lang) {
+    const lists = (config && config.engines) || {}
+    const byLang = {}
+    for (const key of Object.keys(lists)) byLang[normalizeLang(key)] = lists[key]
+    const wanted = normalizeLang(lang)
+    const order = [].concat(byLang[wanted] || [], byLang[wanted.split('-')[0]] || [], byLang['*'] || DEFAULT_ENGINE_ORDER)
+    return [...new Set(order)].filter(name => BACKENDS[name])
+}
+
+// Best voice for the language: exact match, then the same base language
+function voiceForLang(voices, lang) {
+    const wanted = normalizeLang(lang) || 'en'
+    const base = wanted.split('-')[0]
+    return voices.find(v => v.language === wanted) ||
+        voices.find(v => v.language === base) ||
+        voices.find(v => v.language.split('-')[0] === base) ||
+        null
+}
+
+// Pick the engine and voice for { lang, voice }; toFile asks for engines that
+// can render a WAV file. An explicit (or configured) voice wins when an engine
+// in the order has it, otherwise the first engine with a voice for the
+// language is used. Resolves { engine, command, backend, voice } or null.
+async function chooseBackend(config, { lang = 'en', voice = null, toFile = false } = {}) {
+    const preferredVoice = voice || ((config && config.voices) || {})[normalizeLang(lang)] ||
+        ((config && config.voices) || {})[normalizeLang(lang).split('-')[0]] || null
+    const player = toFile ? null : findPlayer()
+    const candidates = []
+    for (const name of engineOrder(config, lang)) {
+        const backend = BACKENDS[name]
+        if (toFile ? !backend.canRenderToFile : !(backend.canSpeak || (backend.canRenderToFile && player))) continue
+        const command = backendCommand(backend)
+        if (!command) continue
+        candidates.push({ backend, command, voices: await voicesFor(backend, command, config) })
+    }
+    if (preferredVoice) {
+        for (const c of candidates) {
+            const has = c.backend.hasVoice ? c.backend.hasVoice(c.voices, preferredVoice) : c.voices.some(v => v.id === preferredVoice)
+            if (!has) continue
+            const known = c.voices.find(v => v.id === preferredVoice) || voiceForLang(c.voices, lang) || {}
+            return { engine: c.backend.name, command: c.command, backend: c.backend, voice: { ...known, engine: c.backend.name, id: preferredVoice } }
+        }
+    }
+    for (const c of candidates) {
+        const match = voiceForLang(c.voices, lang)
+        if (match) return { engine: c.backend.name, command: c.command, backend: c.backend, voice: match }
+    }
+    return null
+}
+
+// Run one engine/player process; `onSpawn` gets the child so it can be
+// paused or killed. Resolves { code, signal, stderr }.
+function runProcess(file, { args, input }, onSpawn) {
+    return new Promise((resolve, reject) => {
+        const proc = spawnCommand(file, args, { stdio: [typeof input === 'string' ? 'pipe' : 'ignore', 'ignore', 'pipe'] })
+        let stderr = ''
+        let failed = false
+        if (onSpawn) onSpawn(proc)
+        proc.stderr.on('data', (d) => { stderr += d })
+        proc.on('error', (e) => {
+            failed = true
+            reject(e)
+        })
+        proc.on('close', (code, signal) => { if (!failed) resolve({ code, signal, stderr: stderr.trim() }) })
+        if (proc.stdin) {
+            proc.stdin.on('error', () => { })
+            proc.stdin.end(input)
+        }
+    })
+}
+
+// Render text to a WAV file with a choice from chooseBackend().
+// Resolves the engine name; rejects when nothing usable was written.
+// opts.onSpawn(proc) is handed the engine process, e.g. to stop it early.
+async function renderToFile(choice, text, outPath, opts = {}) {
+    const { timeout = 120000, onSpawn } = opts
+    let proc = null
+    const timer = setTimeout(() => { try { if (proc) proc.kill() } catch (e) { } }, timeout)
+    try {
+        try { fs.rmSync(outPath, { force: true }) } catch (e) { }
+        const res = await runProcess(choice.command, choice.backend.renderCommand(choice.voice, text, outPath, opts), (p) => {
+            proc = p
+            if (onSpawn) onSpawn(p)
+        })
+        let size = 0
+        try { size = fs.statSync(outPath).size } catch (e) { }
+        // a bare 44-byte header means nothing was spoken
+        if (res.code === 0 && size > 44) return choice.engine
+        throw new Error(`${choice.engine} failed (${res.signal || 'exit ' + res.code}): ${res.stderr || 'no audio written'}`)
+    } finally {
+        clearTimeout(timer)
+    }
+}
+
+// getConfig() returns the `tts` settings section
+function createTtsController({ getConfig = () => ({}) } = {}) {
+    const events = new EventEmitter()
+    const queue = []
+    let current = null
+    let nextId = 1
+
+    function emit(type, payload) {
+        try { events.emit(type, payload) } catch (e) { }
+    }
+
+    // Speak one utterance; engines without playback render a temporary WAV
+    // file that is then played. Resolves when it finished or was stopped.
+    async function play(running) {
+        const opts = running.opts
+        const choice = await chooseBackend(getConfig() || {}, { lang: opts.lang || 'en-US', voice: opts.voice || null })
+        // stopped while the voices were looked up: never start it
+        if (running.stopped) return
+        if (!choice) throw new Error('No TTS engine with a voice for ' + (opts.voice || opts.lang || 'en-US') + ' is installed')
+        running.engine = choice
+        emit('start', { id: running.id, text: running.text, engine: choice.engine, voice: choice.voice.id })
+        const track = (p) => {
+            running.proc = p
+            // stopped before the process started
+            if (running.stopped) {
+                try { p.kill() } catch (e) { }
+                return
+            }
+            // paused before the process started
+            if (running.paused && choice.backend.canPause) try { p.kill('SIGSTOP') } catch (e) { }
+            else running.paused = false
+        }
+        if (choice.backend.canSpeak) {
+            const res = await runProcess(choice.command, choice.backend.speakCommand(choice.voice, running.text, opts), track)
+            if (!running.stopped && res.code !== 0) throw new Error(`${choice.engine} exited with ${res.signal || res.code}${res.stderr ? ': ' + res.stderr : ''}`)
+            return
+        }
+        const player = findPlayer()
+        if (!player) throw new Error(`${choice.engine} needs an audio player (${PLAYERS.join(', ')})`)
+        const wav = path.join(os.tmpdir(), `tts-${process.pid}-${running.id}.wav`)
+        try {
+            // tracked like the player, so stop and pause reach the render
+            await renderToFile(choice, running.text, wav, { ...opts, timeout: 60000, onSpawn: track }).catch((e) => { if (!running.stopped) throw e })
+            if (running.stopped) return
+            const res = await runProcess(player.name, { args: [wav] }, track)
+            if (!running.stopped && res.code !== 0) throw new Error(`${player.name} exited with ${res.signal || res.code}${res.stderr ? ': ' + res.stderr : ''}`)
+        } finally {
+            try { fs.rmSync(wav, { force: true }) } catch (e) { }
+        }
+    }
+
+    function playNext() {
+        if (current || queue.length === 0) return
+        const running = current = { ...queue.shift(), proc: null, engine: null, paused: false, stopped: false }
+        play(running).then(
+            () => emit('end', { id: running.id, interrupted: running.stopped }),
+            (e) => {
+                if (running.stopped) emit('end', { id: running.id, interrupted: true })
+                else emit('error', { id: running.id, error: e && e.message ? e.message : String(e) })
+            }
+        ).then(() => {
+            if (current === running) current = null
+            playNext()
+        })
+    }
+
+    function stopCurrent() {
+        if (!current) return
+        const running = current
+        running.stopped = true
+        if (!running.proc) return
+        // a stopped (paused) process has to be woken up to receive SIGTERM
+        try { if (running.paused) running.proc.kill('SIGCONT') } catch (e) { }
+        try { running.proc.kill() } catch (e) { }
+        if (running.engine && running.engine.backend.cancel) running.engine.backend.cancel(running.engine.command)
+    }
+
+    function dropQueue() {
+        for (const dropped of queue.splice(0)) emit('end', { id: dropped.id, interrupted: true })
+    }
+
+    return {
+        events,
+        // Speak `text`; it interrupts whatever is playing and clears the queue
+        // unless opts.queue is set, then it is appended. Returns the utterance id.
+        speak(text, opts = {}) {
+            const item = { id: nextId++, text: String(text || ''), opts: opts || {} }
+            if (!opts || !opts.queue) {
+                dropQueue()
+                stopCurrent()
+            }
+            queue.push(item)
+            // with an interrupted utterance the queue moves on once it has ended
+            if (!current) playNext()
+            return item.id
+        },
+        stop() {
+            dropQueue()
+            stopCurrent()
+        },
+        pause() {
+            if (!current || current.paused) return false
+            if (current.engine && !current.engine.backend.canPause) return false
+            try { if (current.proc) current.proc.kill('SIGSTOP') } catch (e) { return false }
+            current.paused = true
+            return true
+        },
+        resume() {
+            if (!current || !current.paused) return false
+            try { if (current.proc) current.proc.kill('SIGCONT') } catch (e) { return false }
+            current.paused = false
+            return true
+        },
+        status() {
+            return {
+                speaking: !!current,
+                paused: !!(current && current.paused),
+                current: current ? current.id : null,
+                engine: current && current.engine ? current.engine.engine : null,
+                queued: queue.map(item => item.id)
+            }
+        }
+    }
+}
+
+module.exports = {
+    createTtsController, listVoices, detectEngines, chooseBackend, renderToFile, clearVoiceCache,
+    findExecutable, normalizeLang, parseEspeakVoices, DEFAULT_ENGINE_ORDER
+}
@@ -0,0 +1,180 @@
+// Background content updates for unattended kiosks. Every `intervalMinutes`
+// each site's new content is downloaded and staged without the progress
+// window; a staged update is only applied inside the maintenance window
+// (windowStart-windowEnd, local time, may cross midnight) or once nobody has
+// used the gamepad/keyboard for `idleMinutes` and nothing is playing.
+
+const TICK_MS = 60 * 1000
+// first background check after start, so it doesn't compete with the boot check
+const FIRST_RUN_DELAY_MS = 5 * 60 * 1000
+
+// 'HH:MM' -> minutes after midnight (null when not a valid time)
+function parseClock(value) {
+    const m = /^(\d{1,2}):(\d{2})$/.exec(String(value || '').trim())
+    if (!m) return null
+    const hours = Number(m[1])
+    const minutes = Number(m[2])
+    if (hours > 23 || minutes > 59) return null
+    return hours * 60 + minutes
+}
+
+function inMaintenanceWindow(config, date = new Date()) {
+    const start = parseClock(config.windowStart)
+    const end = parseClock(config.windowEnd)
+    if (start === null || end === null || start === end) return false
+    const now = date.getHours() * 60 + date.getMinutes()
+    return start < end ? now >= start && now < end : now >= start || now < end
+}
+
+// Check a schedule config patch; returns an error message or null
+function validateScheduleConfig(config) {
+    if (typeof config.enabled !== 'boolean') return 'enabled must be true or false'
+    if (!(Number(config.intervalMinutes) >= 5)) return 'intervalMinutes must be at least 5'
+    if (!(Number(config.idleMinutes) >= 0)) return 'idleMinutes must be 0 (off) or more'
+    const hasStart = !!config.windowStart
+    const hasEnd = !!config.windowEnd
+    if (hasStart !== hasEnd) return 'windowStart and windowEnd must be set together'
+    if (hasStart && (parseClock(config.windowStart) === null || parseClock(config.windowEnd) === null)) return 'window times must be HH:MM'
+    return null
+}
+
+// sites: [{ name }]; the callbacks do the actual work:
+//   getConfig() -> { enabled, intervalMinutes, windowStart, windowEnd, idleMinutes }
+//   stage(site) -> runUpdater result ({ staged, remoteVer } or { updated: false })
+//   apply(site) -> applyStagedUpdate result
+//   getStaged(site) -> staged note or null (picks up updates staged before a restart)
+//   getLastActivity() -> ms timestamp of the last user input
+//   isBlocked() -> true while a manual update runs
+//   isBusy() -> true while the kiosk plays without input (presentations,
+//     speech); idle applies wait, they would reload it mid-show
+//   onState(status) -> called whenever the status changes
+//   logger -> where results are logged (electron-log in the app)
+function createUpdateScheduler({ sites, getConfig, stage, apply, getStaged, getLastActivity, isBlocked, isBusy, onState, logger = console }) {
+    let timer = null
+    let running = false
+    let nextRunAt = null
+    let lastRun = null
+    let lastApply = null
+    const staged = {}
+
+    for (const site of sites) {
+        try {
+            const note = getStaged(site)
+            if (note) staged[site.name] = note.remoteVer || null
+        } catch (e) { }
+    }
+
+    function idleMs() {
+        return Math.max(0, Date.now() - (getLastActivity() || 0))
+    }
+
+    // Why a staged update may be applied right now ('window' / 'idle'), or null
+    function applyReason(config) {
+        if (inMaintenanceWindow(config)) return 'window'
+        const idleMinutes = Number(config.idleMinutes) || 0
+        if (idleMinutes > 0 && idleMs() >= idleMinutes * 60 * 1000 && !(isBusy && isBusy())) return 'idle'
+        return null
+    }
+
+    function status() {
+        const config = getConfig()
+        return {
+            ok: true,
+            enabled: !!config.enabled,
+            running,
+            config: { ...config },
+            nextRunAt: config.enabled && nextRunAt ? new Date(nextRunAt).toISOString() : null,
+            lastRun,
+            lastApply,
+            staged: { ...staged },
+            idleSeconds: Math.round(idleMs() / 1000),
+            inWindow: inMaintenanceWindow(config),
+            canApplyNow: !!applyReason(config)
+        }
+    }
+
+    function notify() {
+        try { if (onState) onState(status()) } catch (e) { }
+    }
+
+    async function checkAndStage() {
+        const results = {}
+        for (const site of sites) {
+            try {
+                const res = await stage(site)
+                if (res && res.staged) staged[site.name] = res.remoteVer || null
+                results[site.name] = { staged: !!(res && res.staged), remoteVer: (res && res.remoteVer) || null, reason: (res && res.reason) || null }
+            } catch (e) {
+                results[site.name] = { error: String(e) }
+            }
+        }
+        lastRun = { at: new Date().toISOString(), sites: results }
+        logger.info('[scheduler] background check finished:', JSON.stringify(results))
+    }
+
+    async function applyStaged(reason) {
+        const results = {}
+        for (const site of sites) {
+            if (!(site.name in staged)) continue
+            try {
+                const res = await apply(site)
+                results[site.name] = { updated: !!(res && res.updated), remoteVer: (res && res.remoteVer) || null, reason: (res && res.reason) || null }
+                delete staged[site.name]
+            } catch (e) {
+                // keep it staged; the next tick tries again
+                results[site.name] = { error: String(e) }
+            }
+        }
+        lastApply = { at: new Date().toISOString(), reason, sites: results }
+        logger.info('[scheduler] applied staged updates (' + reason + '):', JSON.stringify(results))
+    }
+
+    async function tick({ force = false } = {}) {
+        const config = getConfig()
+        if ((!config.enabled && !force) || running || (isBlocked && isBlocked())) return status()
+        running = true
+        notify()
+        try {
+            const intervalMs = Math.max(5, Number(config.intervalMinutes) || 0) * 60 * 1000
+            if (force || nextRunAt === null || Date.now() >= nextRunAt) {
+                await checkAndStage()
+                nextRunAt = Date.now() + intervalMs
+            }
+            const reason = Object.keys(staged).length > 0 ? applyReason(config) : null
+            if (reason) await applyStaged(reason)
+        } catch (e) {
+            logger.warn('[scheduler] tick failed:', e && e.message)
+        } finally {
+            running = false
+            notify()
+        }
+        return status()
+    }
+
+    // Recompute the next run after a config change
+    function reschedule() {
+        const config = getConfig()
+        const intervalMs = Math.max(5, Number(config.intervalMinutes) || 0) * 60 * 1000
+        nextRunAt = lastRun ? Date.parse(lastRun.at) + intervalMs : Date.now() + FIRST_RUN_DELAY_MS
+        notify()
+    }
+
+    return {
+        start() {
+            if (timer) return
+            nextRunAt = Date.now() + FIRST_RUN_DELAY_MS
+            timer = setInterval(() => { tick() }, TICK_MS)
+        },
+        stop() {
+            if (timer) clearInterval(timer)
+            timer = null
+        },
+        // check (and apply when allowed) now, even when the schedule is disabled
+        runNow: () => tick({ force: true }),
+        isRunning: () => running,
+        reschedule,
+        status
+    }
+}
+
+module.exports = { createUpdateScheduler, validateScheduleConfig, inMaintenanceWindow, parseClock }
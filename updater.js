@@ -1,49 +1,377 @@
 const fs = require('fs')
 const path = require('path')
-const http = require('http')
-const https = require('https')
 const { URL } = require('url')
-const { spawn } = require('child_process')
+const crypto = require('crypto')
+const { validateManifest, describeErrors } = require('./content-schema')
+const tts = require('./tts')
+const proxy = require('./proxy')
 
-function fetchText(url, timeout = 10000) {
+const REDIRECT_CODES = [301, 302, 303, 307, 308]
+
+// Error for an HTTP status. 5xx, 408 and 429 are worth retrying; other 4xx
+// answers (404 etc.) will not change on a second attempt.
+function httpError(statusCode) {
+    const err = new Error('HTTP ' + statusCode)
+    err.statusCode = statusCode
+    err.retryable = statusCode >= 500 || statusCode === 408 || statusCode === 429
+    return err
+}
+
+// Request `url` (GET unless `method` says otherwise), following up to
+// `maxRedirects` redirects. Resolves with the final response (the caller must
+// consume or resume() it). `timeout` is a socket inactivity timeout, so it
+// also covers stalls in the middle of a body.
+function httpRequest(url, { method = 'GET', headers = {}, timeout = 10000, maxRedirects = 5 } = {}) {
     return new Promise((resolve, reject) => {
-        const client = url.startsWith('https://') ? https : http
-        const req = client.get(url, (res) => {
-            if (res.statusCode && res.statusCode >= 400) return reject(new Error('HTTP ' + res.statusCode))
-            let data = ''
-            res.setEncoding('utf8')
-            res.on('data', (chunk) => data += chunk)
-            res.on('end', () => resolve(data))
-        })
-        req.on('error', reject)
-        req.setTimeout(timeout, () => { req.abort(); reject(new Error('Timeout')) })
+        const attempt = (target, redirectsLeft) => {
+            // through the configured proxy, if any (see proxy.js)
+            const { client, url: requestUrl, options } = proxy.requestArgs(target, { method, headers })
+            const req = client.request(requestUrl, options, (res) => {
+                if (REDIRECT_CODES.includes(res.statusCode) && res.headers.location) {
+                    res.resume()
+                    if (redirectsLeft <= 0) return reject(new Error('Too many redirects'))
+                    let next
+                    try { next = new URL(res.headers.location, target).toString() } catch (e) { return reject(new Error('Bad redirect location')) }
+                    return attempt(next, redirectsLeft - 1)
+                }
+                resolve(res)
+            })
+            req.on('error', reject)
+            req.setTimeout(timeout, () => { req.destroy(new Error('Timeout')); reject(new Error('Timeout')) })
+            req.end()
+        }
+        attempt(url, maxRedirects)
     })
 }
 
-function downloadToFile(url, destPath, timeout = 20000, onProgress) {
+async function fetchText(url, timeout = 10000) {
+    const res = await httpRequest(url, { timeout })
+    if (res.statusCode && res.statusCode >= 400) {
+        res.resume()
+        throw httpError(res.statusCode)
+    }
     return new Promise((resolve, reject) => {
-        const file = fs.createWriteStream(destPath)
-        const client = url.startsWith('https://') ? https : http
-        const req = client.get(url, (res) => {
-            if (res.statusCode && res.statusCode >= 400) return reject(new Error('HTTP ' + res.statusCode))
-            const total = parseInt(res.headers['content-length'] || '0', 10)
-            let received = 0
-            res.on('data', (chunk) => {
-                received += chunk.length
-                if (onProgress && total) onProgress({ url, received, total, percent: (received / total) * 100 })
-            })
-            res.pipe(file)
-            file.on('finish', () => { file.close(() => resolve()) })
+        let data = ''
+        res.setEncoding('utf8')
+        res.on('data', (chunk) => data += chunk)
+        res.on('end', () => resolve(data))
+        res.on('aborted', () => reject(new Error('Connection lost')))
+        res.on('error', reject)
+    })
+}
+
+// HEAD `url` and return what identifies the server's copy: { etag, size }
+async function fetchHeadInfo(url, timeout = 8000) {
+    const res = await httpRequest(url, { method: 'HEAD', timeout })
+    res.resume()
+    if (res.statusCode && res.statusCode >= 400) throw httpError(res.statusCode)
+    const length = res.headers['content-length']
+    return { etag: res.headers['etag'] || null, size: length ? parseInt(length, 10) : null }
+}
+
+// Feed an existing file through `hash` (used when resuming a partial download)
+function hashFile(filePath, hash) {
+    return new Promise((resolve, reject) => {
+        const stream = fs.createReadStream(filePath)
+        stream.on('data', (chunk) => hash.update(chunk))
+        stream.on('end', resolve)
+        stream.on('error', reject)
+    })
+}
+
+async function sha256File(filePath) {
+    const hash = crypto.createHash('sha256')
+    await hashFile(filePath, hash)
+    return hash.digest('hex')
+}
+
+// Download `url` to `destPath`.
+// options: { timeout, onProgress, expected: { sha256, size }, resume = true }
+// The body is written to `<dest>.part` (with a `<dest>.part.json` sidecar
+// holding the server's validators) and only renamed into place once complete,
+// so an interrupted download - even across an app restart - continues with an
+// HTTP Range request instead of starting over. When `expected` is given (as
+// listed in the manifest's `files` entries) the body is hashed while it
+// streams and a mismatch discards the file.
+// Resolves with { size, bytes (transferred by this call), etag }.
+async function downloadToFile(url, destPath, options = {}) {
+    const { timeout = 30000, onProgress, expected = {}, resume = true } = options
+    const partPath = destPath + '.part'
+    const metaPath = destPath + '.part.json'
+    const wantSize = expected && typeof expected.size === 'number' ? expected.size : null
+    const discardPart = () => {
+        try { fs.rmSync(partPath, { force: true }) } catch (e) { }
+        try { fs.rmSync(metaPath, { force: true }) } catch (e) { }
+    }
+
+    // Pick up a partial file from an earlier attempt. Without a validator
+    // (ETag/Last-Modified) or an expected hash we can't tell whether the
+    // server's file changed in between, so such partials start over.
+    let offset = 0
+    let meta = null
+    if (resume) {
+        try { meta = JSON.parse(fs.readFileSync(metaPath, 'utf8')) } catch (e) { meta = null }
+        if (meta && meta.url === url && fs.existsSync(partPath) && (meta.etag || meta.lastModified || expected.sha256)) {
+            offset = fs.statSync(partPath).size
+        }
+    }
+    if (!offset) discardPart()
+
+    const headers = {}
+    if (offset) {
+        headers['Range'] = `bytes=${offset}-`
+        if (meta.etag || meta.lastModified) headers['If-Range'] = meta.etag || meta.lastModified
+    }
+    const res = await httpRequest(url, { headers, timeout })
+
+    if (res.statusCode === 416 && offset) {
+        res.resume()
+        discardPart()
+        const err = new Error('Partial download no longer matches the server file')
+        err.retryable = true
+        throw err
+    }
+    if (res.statusCode && res.statusCode >= 400) {
+        res.resume()
+        throw httpError(res.statusCode)
+    }
+
+    // 206 continues the part file; a 200 means the server sent the whole
+    // file again (no range support or the file changed) so start from zero.
+    const append = offset > 0 && res.statusCode === 206
+    if (append) {
+        const m = /^bytes (\d+)-/.exec(res.headers['content-range'] || '')
+        if (!m || parseInt(m[1], 10) !== offset) {
+            res.resume()
+            discardPart()
+            const err = new Error('Unexpected Content-Range in resumed download')
+            err.retryable = true
+            throw err
+        }
+    } else offset = 0
+    const resumedFrom = offset
+
+    try {
+        fs.writeFileSync(metaPath, JSON.stringify({ url, etag: res.headers['etag'] || null, lastModified: res.headers['last-modified'] || null }), 'utf8')
+    } catch (e) { }
+
+    const hash = expected && expected.sha256 ? crypto.createHash('sha256') : null
+    if (hash && append) await hashFile(partPath, hash)
+
+    const length = res.headers['content-length'] ? parseInt(res.headers['content-length'], 10) : null
+    const total = length !== null ? offset + length : (wantSize || 0)
+    let received = offset
+
+    await new Promise((resolve, reject) => {
+        const file = fs.createWriteStream(partPath, { flags: append ? 'a' : 'w' })
+        let settled = false
+        let finished = false
+        const fail = (err) => {
+            if (settled) return
+            settled = true
+            res.destroy()
+            file.destroy()
+            reject(err)
+        }
+        res.on('data', (chunk) => {
+            received += chunk.length
+            if (hash) hash.update(chunk)
+            if (onProgress && total) onProgress({ url, received, total, percent: (received / total) * 100 })
+        })
+        res.on('aborted', () => fail(new Error('Connection lost')))
+        res.on('error', fail)
+        file.on('error', (e) => { e.retryable = false; fail(e) })
+        file.on('finish', () => { finished = true })
+        file.on('close', () => {
+            if (settled) return
+            settled = true
+            if (finished) resolve()
+            else reject(new Error('Download interrupted'))
         })
-        req.on('error', (err) => { fs.unlink(destPath, () => reject(err)) })
-        req.setTimeout(timeout, () => { req.abort(); fs.unlink(destPath, () => reject(new Error('Timeout'))) })
+        res.pipe(file)
+    })
+
+    if (length !== null && received !== total) throw new Error(`Incomplete download: got ${received} of ${total} bytes`)
+    if (wantSize !== null && received !== wantSize) {
+        discardPart()
+        const err = new Error(`Size mismatch: expected ${wantSize} bytes, got ${received}`)
+        err.retryable = true
+        throw err
+    }
+    if (hash) {
+        const actual = hash.digest('hex')
+        if (actual !== String(expected.sha256).toLowerCase()) {
+            discardPart()
+            const err = new Error(`SHA-256 mismatch: expected ${expected.sha256}, got ${actual}`)
+            err.retryable = true
+            throw err
+        }
+    }
+    fs.renameSync(partPath, destPath)
+    try { fs.rmSync(metaPath, { force: true }) } catch (e) { }
+    return { size: received, bytes: received - resumedFrom, etag: res.headers['etag'] || null }
+}
+
+// Run `fn` until it succeeds, up to `retries` extra attempts, with
+// exponential backoff (plus jitter). Errors flagged `retryable === false`
+// (e.g. HTTP 404) are thrown right away.
+async function withRetries(fn, { retries = 4, baseDelay = 1000, maxDelay = 30000, onRetry } = {}) {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await fn(attempt)
+        } catch (e) {
+            if (attempt >= retries || (e && e.retryable === false)) throw e
+            const delay = Math.round(Math.min(maxDelay, baseDelay * Math.pow(2, attempt)) * (0.75 + Math.random() * 0.5))
+            if (typeof onRetry === 'function') onRetry(e, attempt + 1, delay)
+            await new Promise((res) => setTimeout(res, delay))
+        }
+    }
+}
+
+// Run `worker(item, index)` over `items` with at most `limit` in flight.
+// The worker is expected to handle its own errors.
+async function runWithConcurrency(items, limit, worker) {
+    let next = 0
+    const lanes = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, async () => {
+        while (next < items.length) {
+            const i = next++
+            await worker(items[i], i)
+        }
     })
+    await Promise.all(lanes)
+}
+
+// Verify a detached signature over the raw content.json bytes. `signature` is
+// the base64 text of content.json.sig and `publicKey` a PEM public key
+// (Ed25519, or RSA/ECDSA over SHA-256).
+function verifyManifestSignature(raw, signature, publicKey) {
+    const key = crypto.createPublicKey(publicKey)
+    const sig = Buffer.from(String(signature).trim(), 'base64')
+    const algorithm = key.asymmetricKeyType === 'ed25519' || key.asymmetricKeyType === 'ed448' ? null : 'sha256'
+    return crypto.verify(algorithm, Buffer.from(raw, 'utf8'), key, sig)
+}
+
+// Load the signing key from options: `publicKey` (PEM text) or
+// `publicKeyPath` (a PEM file bundled with the app). Returns null when unset.
+function loadPublicKey(options) {
+    if (options.publicKey) return options.publicKey
+    if (options.publicKeyPath && fs.existsSync(options.publicKeyPath)) return fs.readFileSync(options.publicKeyPath, 'utf8')
+    return null
+}
+
+// A site's remoteBaseUrl is the root its dist folder is served from (e.g.
+// https://host/presentation for dist2), so manifest paths and root-relative
+// references ('/books/1/c.jpg') resolve below it, not at the server root.
+// Absolute URLs (a CDN) are left alone.
+function siteUrl(ref, baseUrl) {
+    const s = String(ref)
+    if (/^[a-z][a-z\d+.-]*:/i.test(s) || s.startsWith('//')) return new URL(s, baseUrl).toString()
+    return new URL(s.replace(/^\/+/, ''), String(baseUrl).replace(/\/+$/, '') + '/').toString()
+}
+
+// Path of `url` below the site root `baseUrl`; URLs outside the site keep
+// their full path
+function sitePathFor(url, baseUrl) {
+    const u = new URL(url)
+    if (baseUrl) {
+        const base = new URL(String(baseUrl).replace(/\/+$/, '') + '/')
+        if (u.origin === base.origin && u.pathname.startsWith(base.pathname)) return decodeURIComponent(u.pathname.slice(base.pathname.length))
+    }
+    return decodeURIComponent(u.pathname)
+}
+
+// Path (relative to the dist root) a listed file is stored under: the
+// manifest `path` when given - the `url` may point elsewhere, e.g. a CDN or a
+// redirecting endpoint - otherwise the URL's path below the site root
+// `baseUrl`. Normalized so a manifest entry can't escape the dist folder.
+function relPathFor(f, baseUrl) {
+    const p = f.path ? String(f.path) : sitePathFor(f.url, baseUrl)
+    return path.posix.normalize('/' + p.replace(/\\/g, '/')).replace(/^\/+/, '')
 }
 
 function ensureDir(dir) {
     if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true })
 }
 
+// Update channels: each names the content server devices pull from. 'custom'
+// uses the URL saved in the updater config instead.
+const UPDATE_CHANNELS = {
+    stable: 'https://gamepad-app.startifysolutions.com',
+    beta: 'https://beta.gamepad-app.startifysolutions.com',
+    local: 'http://127.0.0.1:5173'
+}
+
+// Resolve the content server base URL for an updater config
+// ({ channel, customUrl }). Returns null when nothing usable is configured.
+function resolveRemoteBaseUrl(config = {}) {
+    const channel = config.channel || 'stable'
+    const url = channel === 'custom' ? config.customUrl : UPDATE_CHANNELS[channel]
+    if (!url) return null
+    try {
+        const u = new URL(url)
+        if (u.protocol !== 'http:' && u.protocol !== 'https:') return null
+        return u.toString().replace(/\/+$/, '')
+    } catch (e) {
+        return null
+    }
+}
+
+function requireRemoteBaseUrl(options) {
+    if (!options.remoteBaseUrl) throw new Error('No content server configured (remoteBaseUrl missing)')
+    return String(options.remoteBaseUrl).replace(/\/+$/, '')
+}
+
+// Per-file record of what is installed in a dist folder, written by each
+// update: { version, files: { 'books/1/1.jpg': { size, mtimeMs, sha256, etag } } }.
+// It lets the next update tell unchanged files apart without downloading them.
+const FILE_STATE_NAME = '.files.json'
+
+function readFileState(dir) {
+    try {
+        const state = JSON.parse(fs.readFileSync(path.join(dir, FILE_STATE_NAME), 'utf8'))
+        if (state && state.files && typeof state.files === 'object') return state
+    } catch (e) { }
+    return { version: null, files: {} }
+}
+
+// Compare a remote file with the installed copy at `distDir/relPath`.
+// Files with a `sha256` in the manifest are compared by hash (the hash of the
+// local file is cached in the state while its size/mtime don't change);
+// others by size + the ETag the server sent when we last downloaded them.
+// Returns { status: 'added' | 'changed' | 'unchanged', entry }.
+async function compareWithInstalled(distDir, relPath, f, prev) {
+    const localPath = path.join(distDir, relPath)
+    if (!fs.existsSync(localPath)) return { status: 'added' }
+    const st = fs.statSync(localPath)
+    if (!st.isFile()) return { status: 'changed' }
+    if (f.sha256) {
+        const cached = prev && prev.sha256 && prev.size === st.size && prev.mtimeMs === st.mtimeMs
+        const sha256 = cached ? prev.sha256 : await sha256File(localPath)
+        const entry = { size: st.size, mtimeMs: st.mtimeMs, sha256, etag: (prev && prev.etag) || null }
+        return { status: sha256 === String(f.sha256).toLowerCase() ? 'unchanged' : 'changed', entry }
+    }
+    if (!prev || !prev.etag || prev.size !== st.size) return { status: 'changed' }
+    if (typeof f.size === 'number' && f.size !== st.size) return { status: 'changed' }
+    let head = null
+    try { head = await fetchHeadInfo(f.url) } catch (e) { head = null }
+    if (head && head.etag === prev.etag && (head.size === null || head.size === st.size)) {
+        return { status: 'unchanged', entry: { ...prev, mtimeMs: st.mtimeMs } }
+    }
+    return { status: 'changed' }
+}
+
+// List files below `dir` as posix paths relative to `base`
+function listFilesRecursive(dir, base = dir) {
+    const out = []
+    if (!fs.existsSync(dir)) return out
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+        const full = path.join(dir, entry.name)
+        if (entry.isDirectory()) out.push(...listFilesRecursive(full, base))
+        else out.push(path.relative(base, full).split(path.sep).join('/'))
+    }
+    return out
+}
+
 // Collect asset URLs from a content manifest when a detailed files list is absent.
 function inferFilesFromManifest(manifest, baseUrl) {
     const files = new Set()
@@ -52,14 +380,14 @@ function inferFilesFromManifest(manifest, baseUrl) {
         if (!p) return null
         // absolute URL
         if (p.startsWith('http://') || p.startsWith('https://')) return p
-        // absolute path on server
-        if (p.startsWith('/')) return (new URL(p, baseUrl)).toString()
+        // absolute path: from the site root
+        if (p.startsWith('/')) return siteUrl(p, baseUrl)
         // bare filename -> assume inside book folder if book and id exist
         if (book && (typeof book.id !== 'undefined')) {
-            return (new URL(`/books/${book.id}/${p}`, baseUrl)).toString()
+            return siteUrl(`books/${book.id}/${p}`, baseUrl)
         }
-        // fallback: relative to base
-        return (new URL(p, baseUrl)).toString()
+        // fallback: relative to the site root
+        return siteUrl(p, baseUrl)
     }
 
     // Accept either a top-level `books` array (legacy) or `collections` where
@@ -94,11 +422,12 @@ function inferFilesFromManifest(manifest, baseUrl) {
         }
     }
     // always include the manifest itself
-    files.add((new URL('/content.json', baseUrl)).toString())
+    files.add(siteUrl('content.json', baseUrl))
     return Array.from(files)
 }
 
 // Parse HTML content and extract asset URLs (src/href and inline CSS url(...)).
+// `baseUrl` is the site root the page is served from.
 function parseHtmlForAssets(html, baseUrl) {
     const urls = new Set()
     if (!html) return []
@@ -111,7 +440,7 @@ function parseHtmlForAssets(html, baseUrl) {
         if (v.startsWith('data:')) continue
         if (v.startsWith('javascript:')) continue
         try {
-            const resolved = new URL(v, baseUrl).toString()
+            const resolved = siteUrl(v, baseUrl)
             urls.add(resolved)
         } catch (e) {
             // ignore bad urls
@@ -124,15 +453,17 @@ function parseHtmlForAssets(html, baseUrl) {
         if (!v) continue
         if (v.startsWith('data:')) continue
         try {
-            const resolved = new URL(v, baseUrl).toString()
+            const resolved = siteUrl(v, baseUrl)
             urls.add(resolved)
         } catch (e) { }
     }
     return Array.from(urls)
 }
 
-// Parse CSS text and return referenced urls via url(...)
-function parseCssForAssets(cssText, baseUrl) {
+// Parse CSS text and return referenced urls via url(...). Relative urls
+// resolve against the stylesheet `baseUrl`, root-relative ones against the
+// site root `siteBaseUrl`.
+function parseCssForAssets(cssText, baseUrl, siteBaseUrl = baseUrl) {
     const urls = new Set()
     if (!cssText) return []
     const cssUrlRe = /url\((?:\s*['"]?)([^'")]+)(?:['"]?\s*)\)/gi
@@ -142,36 +473,151 @@ function parseCssForAssets(cssText, baseUrl) {
         if (!v) continue
         if (v.startsWith('data:')) continue
         try {
-            const resolved = new URL(v, baseUrl).toString()
+            const resolved = v.startsWith('/') && !v.startsWith('//') ? siteUrl(v, siteBaseUrl) : new URL(v, baseUrl).toString()
             urls.add(resolved)
         } catch (e) { }
     }
     return Array.from(urls)
 }
 
-// Generate TTS WAV files for books that contain a `paragraphs` array.
-// Writes files into the temporary update folder (tmpRoot) under /books/{id}/tts.wav
-// If a remote TTS URL exists, download it instead of generating locally.
-async function generateTtsFiles(manifest, tmpRoot, options, emitProgress, remoteBaseUrl) {
-    if (!manifest) return 0
+// Book narration: books/<id>/tts.wav plus a tts.json note recording which
+// text/voice it was rendered from ({ hash, source: 'remote' | 'local', voice,
+// engine, timings, createdAt }). The text is the book's heading and paragraph
+// blocks; the voice comes from the book's `voice` or `lang` (else the
+// manifest's `lang`), rendered by the engine tts.js picks for that language.
+// tts.timings.json places each block, and each sentence in it, on the
+// recording so the reader can highlight along and start from any paragraph:
+//   { hash, duration, blocks: [{ index, type, start, end, sentences: [{ text, start, end }] }] }
+// `index` is the block's position in the book's `content` (seconds throughout).
+const NARRATION_FILES = ['tts.wav', 'tts.json', 'tts.timings.json']
+const NARRATION_FORMAT = 1
 
-    const books = []
-    const collect = (b) => {
-        if (!b) return
-        if (Array.isArray(b.paragraphs) && b.paragraphs.length > 0) {
-            books.push(b)
-            return
+// Is `rel` a narration file the updater produces (not a manifest asset)?
+function isNarrationFile(rel) {
+    return NARRATION_FILES.includes(path.posix.basename(rel))
+}
+
+// Text, language, voice and cache hash for a book's narration (null when
+// there is no text). `voice` is only set when the book names one.
+function narrationFor(book, manifest) {
+    let blocks = []
+    if (Array.isArray(book.paragraphs) && book.paragraphs.length > 0) {
+        blocks = book.paragraphs.map((t, index) => ({ index, type: 'paragraph', text: t }))
+    } else if (Array.isArray(book.content)) {
+        // books without a paragraph (e.g. a heading and a video) get no narration
+        if (!book.content.some(it => it && it.type === 'paragraph' && typeof it.text === 'string' && it.text.trim() !== '')) return null
+        blocks = book.content
+            .map((it, index) => ({ index, type: it && it.type, text: it && it.text }))
+            .filter(b => (b.type === 'heading' || b.type === 'paragraph'))
+    }
+    blocks = blocks.filter(b => typeof b.text === 'string' && b.text.trim() !== '').map(b => ({ ...b, text: b.text.trim() }))
+    if (blocks.length === 0) return null
+    const text = blocks.map(b => b.text).join('\n\n')
+    const lang = book.lang || (manifest && manifest.lang) || 'en'
+    const voice = book.voice || null
+    const hash = crypto.createHash('sha256').update(JSON.stringify({ format: NARRATION_FORMAT, text, voice: voice || String(lang).toLowerCase().replace('_', '-') })).digest('hex')
+    return { text, lang, voice, hash, blocks }
+}
+
+// Split a block into sentences for the timings (the whole text if it has no
+// sentence ends)
+function splitSentences(text) {
+    const sentences = String(text).match(/[^.!?\u2026]+(?:[.!?\u2026]+["'\u201d\u2019)\]]*|$)\s*/g) || [text]
+    return sentences.map(s => s.trim()).filter(Boolean)
+}
+
+// Minimal PCM WAV reader/writer, enough to join the engine's per-sentence output
+function readWav(file) {
+    const buf = fs.readFileSync(file)
+    if (buf.length < 12 || buf.toString('ascii', 0, 4) !== 'RIFF' || buf.toString('ascii', 8, 12) !== 'WAVE') throw new Error('Not a WAV file: ' + file)
+    let fmt = null
+    let data = null
+    let off = 12
+    while (off + 8 <= buf.length) {
+        const id = buf.toString('ascii', off, off + 4)
+        const size = buf.readUInt32LE(off + 4)
+        if (id === 'fmt ') fmt = buf.subarray(off + 8, off + 8 + size)
+        if (id === 'data') {
+            // engines writing to a pipe leave the size open; take what is there
+            data = buf.subarray(off + 8, Math.min(buf.length, off + 8 + size))
+            break
         }
-        if (Array.isArray(b.content)) {
-            for (const it of b.content) {
-                if (it && it.type === 'paragraph' && typeof it.text === 'string' && it.text.trim() !== '') {
-                    books.push(b)
-                    return
-                }
+        off += 8 + size + (size & 1)
+    }
+    if (!fmt || !data) throw new Error('Incomplete WAV file: ' + file)
+    return { fmt, data, byteRate: fmt.readUInt32LE(8) }
+}
+
+function writeWav(file, fmt, chunks) {
+    const dataLength = chunks.reduce((n, c) => n + c.length, 0)
+    const header = Buffer.alloc(12 + 8 + fmt.length + 8)
+    header.write('RIFF', 0, 'ascii')
+    header.writeUInt32LE(4 + 8 + fmt.length + 8 + dataLength, 4)
+    header.write('WAVE', 8, 'ascii')
+    header.write('fmt ', 12, 'ascii')
+    header.writeUInt32LE(fmt.length, 16)
+    fmt.copy(header, 20)
+    header.write('data', 20 + fmt.length, 'ascii')
+    header.writeUInt32LE(dataLength, 24 + fmt.length)
+    fs.writeFileSync(file, Buffer.concat([header].concat(chunks)))
+}
+
+// Render a book's narration sentence by sentence and join the pieces into
+// outPath, measuring where each block and sentence starts and ends. `choice`
+// is the engine and voice from tts.chooseBackend().
+// Resolves { engine, voice, timings }.
+async function synthesizeNarration(narration, outPath, choice) {
+    const piece = outPath + '.piece.wav'
+    let fmt = null
+    const chunks = []
+    let bytes = 0
+    const blocks = []
+    try {
+        for (const block of narration.blocks) {
+            const entry = { index: block.index, type: block.type, start: 0, end: 0, sentences: [] }
+            for (const sentence of splitSentences(block.text)) {
+                await tts.renderToFile(choice, sentence, piece)
+                const wav = readWav(piece)
+                if (!fmt) fmt = { buf: wav.fmt, byteRate: wav.byteRate }
+                else if (!wav.fmt.equals(fmt.buf)) throw new Error('TTS engine changed audio format between sentences')
+                const start = bytes / fmt.byteRate
+                chunks.push(Buffer.from(wav.data))
+                bytes += wav.data.length
+                entry.sentences.push({ text: sentence, start: round3(start), end: round3(bytes / fmt.byteRate) })
             }
+            entry.start = entry.sentences.length ? entry.sentences[0].start : round3(bytes / fmt.byteRate)
+            entry.end = round3(bytes / (fmt ? fmt.byteRate : 1))
+            blocks.push(entry)
         }
+    } finally {
+        try { fs.rmSync(piece, { force: true }) } catch (e) { }
     }
+    if (!fmt) throw new Error('No narration text')
+    writeWav(outPath, fmt.buf, chunks)
+    return { engine: choice.engine, voice: choice.voice.id, timings: { hash: narration.hash, duration: round3(bytes / fmt.byteRate), blocks } }
+}
+
+function round3(n) {
+    return Math.round(n * 1000) / 1000
+}
 
+function readJsonFile(file) {
+    try { return JSON.parse(fs.readFileSync(file, 'utf8')) } catch (e) { return null }
+}
+
+// Produce narration for every book with paragraphs into tmpRoot. Per book:
+//  - the installed tts.wav is kept when its tts.json hash matches the text
+//    (a local recording only while the same engine and voice would be used,
+//    so installing e.g. Piper re-renders books espeak read before);
+//  - otherwise the server's copy is used when its tts.json has the same hash
+//    (servers without tts.json: when their tts.wav changed, or on first install);
+//  - otherwise, or when the server has none, it is rendered locally.
+// Returns the narration paths of all books, for pruning.
+async function generateTtsFiles(manifest, tmpRoot, options, emitProgress, remoteBaseUrl, delta) {
+    if (!manifest) return []
+
+    const books = []
+    const collect = (b) => { if (b && typeof b.id !== 'undefined') books.push(b) }
     if (Array.isArray(manifest.books)) manifest.books.forEach(collect)
     if (Array.isArray(manifest.collections)) {
         for (const col of manifest.collections) {
@@ -179,49 +625,355 @@ async function generateTtsFiles(manifest, tmpRoot, options, emitProgress, remote
             for (const b of col.books) collect(b)
         }
     }
-
-    const total = books.length
-    if (total === 0) return 0
+    const jobs = books.map(book => ({ book, narration: narrationFor(book, manifest) })).filter(j => j.narration)
+    const total = jobs.length
+    if (total === 0) return []
 
     const DOWNLOAD_MAX = 90
+    const distDir = delta ? delta.distDir : null
+    // narration files to keep; timings only when they belong to the recording
+    const paths = []
+    const record = (relPath, status) => {
+        if (!delta) return
+        const st = fs.statSync(path.join(tmpRoot, relPath))
+        delta.nextFiles[relPath] = { size: st.size, sha256: null, etag: null }
+        delta.summary[status === 'added' ? 'added' : 'changed'].push(relPath)
+    }
+    const keepInstalled = (relPath) => {
+        if (!delta) return
+        const prev = delta.prevFiles[relPath]
+        try {
+            const st = fs.statSync(path.join(distDir, relPath))
+            delta.nextFiles[relPath] = { ...(prev || { sha256: null, etag: null }), size: st.size, mtimeMs: st.mtimeMs }
+        } catch (e) { }
+        delta.summary.unchanged++
+    }
+
     for (let i = 0; i < total; i++) {
-        const book = books[i]
-        const rel = `/books/${book.id}/tts.wav`
-        const outPath = path.join(tmpRoot, rel.replace(/^\//, ''))
+        const { book, narration } = jobs[i]
+        const wavRel = `books/${book.id}/tts.wav`
+        const metaRel = `books/${book.id}/tts.json`
+        const timingsRel = `books/${book.id}/tts.timings.json`
+        paths.push(wavRel, metaRel)
+        let timingsValid = false
+        const outPath = path.join(tmpRoot, wavRel)
         ensureDir(path.dirname(outPath))
 
         try {
-            // Determine remote TTS URL (you can adapt logic, e.g., remoteBaseUrl + /books/{id}/tts.wav)
-            const ttsUrl = (remoteBaseUrl ? new URL(`/books/${book.id}/tts.wav`, remoteBaseUrl).toString() : null)
-            if (ttsUrl) {
-                console.log(`[updater] downloading TTS for book ${book.id} from remote`)
-                await downloadToFile(ttsUrl, outPath, 120000, (progress) => {
-                    if (emitProgress) {
-                        const pct = DOWNLOAD_MAX + ((i + progress.received / (progress.total || 1)) / total) * (100 - DOWNLOAD_MAX)
-                        emitProgress(Math.min(100, pct), `Downloading TTS for book ${book.id}`)
-                    }
-                })
+            const installedMeta = distDir ? readJsonFile(path.join(distDir, metaRel)) : null
+            const installedWav = distDir && fs.existsSync(path.join(distDir, wavRel))
+            const installedTimings = distDir && fs.existsSync(path.join(distDir, timingsRel))
+            const choice = await tts.chooseBackend(options.tts || {}, { lang: narration.lang, voice: narration.voice, toFile: true })
+            // local recordings from before timings existed are rendered again
+            const localCurrent = (meta) => !!installedTimings && (!choice || (meta.engine === choice.engine && meta.voice === choice.voice.id))
+            if (installedMeta && installedMeta.hash === narration.hash && installedWav && (installedMeta.source !== 'local' || localCurrent(installedMeta))) {
+                keepInstalled(wavRel)
+                keepInstalled(metaRel)
+                if (installedTimings) keepInstalled(timingsRel)
+                timingsValid = installedTimings
             } else {
-                console.warn(`[updater] no remote TTS URL for book ${book.id}, skipping`)
+                const ttsUrl = remoteBaseUrl ? new URL(wavRel, remoteBaseUrl + '/').toString() : null
+                let remoteMeta = null
+                if (ttsUrl) {
+                    try { remoteMeta = JSON.parse(await fetchText(new URL(metaRel, remoteBaseUrl + '/').toString(), 5000)) } catch (e) { remoteMeta = null }
+                }
+                let source = null
+                let useRemote = false
+                if (!ttsUrl) useRemote = false
+                else if (remoteMeta) useRemote = remoteMeta.hash === narration.hash
+                else {
+                    // server without tts.json: an unchanged file can't be trusted
+                    // for changed text, except on the first run with no note yet
+                    const cmp = delta ? await compareWithInstalled(distDir, wavRel, { url: ttsUrl }, delta.prevFiles[wavRel]) : null
+                    if (cmp && cmp.status === 'unchanged' && !installedMeta) {
+                        fs.copyFileSync(path.join(distDir, wavRel), outPath)
+                        source = 'remote'
+                    } else useRemote = !(cmp && cmp.status === 'unchanged')
+                }
+                if (!source && useRemote) {
+                    try {
+                        console.log(`[updater] downloading TTS for book ${book.id} from remote`)
+                        const result = await withRetries(() => downloadToFile(ttsUrl, outPath, {
+                            onProgress: (progress) => {
+                                if (emitProgress) {
+                                    const pct = DOWNLOAD_MAX + ((i + progress.received / (progress.total || 1)) / total) * (100 - DOWNLOAD_MAX)
+                                    emitProgress(Math.min(100, pct), `Downloading TTS for book ${book.id}`)
+                                }
+                            }
+                        }), { retries: 2 })
+                        if (delta) delta.summary.bytes += result.bytes
+                        source = 'remote'
+                        // the server may publish timings for its recording
+                        try {
+                            const timings = JSON.parse(await fetchText(new URL(timingsRel, remoteBaseUrl + '/').toString(), 5000))
+                            if (timings && Array.isArray(timings.blocks) && (!timings.hash || timings.hash === narration.hash)) {
+                                fs.writeFileSync(path.join(tmpRoot, timingsRel), JSON.stringify(timings), 'utf8')
+                            }
+                        } catch (e) { }
+                    } catch (e) {
+                        console.warn('[updater] failed to download TTS for book', book.id, e && e.message)
+                        for (const p of [outPath, outPath + '.part', outPath + '.part.json']) {
+                            try { if (fs.existsSync(p)) fs.unlinkSync(p) } catch (e2) { }
+                        }
+                    }
+                }
+                let engine = null
+                let voice = narration.voice
+                if (!source && options.synthesizeTts !== false) {
+                    if (choice) {
+                        if (emitProgress) emitProgress(Math.min(100, DOWNLOAD_MAX + (i / total) * (100 - DOWNLOAD_MAX)), `Generating narration for book ${book.id}`)
+                        const rendered = await synthesizeNarration(narration, outPath, choice)
+                        engine = rendered.engine
+                        voice = rendered.voice
+                        source = 'local'
+                        fs.writeFileSync(path.join(tmpRoot, timingsRel), JSON.stringify(rendered.timings, null, 2), 'utf8')
+                    }
+                    else console.warn(`[updater] no TTS engine for ${narration.voice || narration.lang} installed, book ${book.id} has no narration`)
+                }
+                if (source) {
+                    const timings = fs.existsSync(path.join(tmpRoot, timingsRel))
+                    fs.writeFileSync(path.join(tmpRoot, metaRel), JSON.stringify({ hash: narration.hash, source, lang: narration.lang, voice, engine, timings, createdAt: new Date().toISOString() }, null, 2), 'utf8')
+                    const status = installedWav ? 'changed' : 'added'
+                    record(wavRel, status)
+                    record(metaRel, installedMeta ? 'changed' : 'added')
+                    if (timings) record(timingsRel, installedTimings ? 'changed' : 'added')
+                    timingsValid = timings
+                    console.log(`[updater] narration for book ${book.id}: ${source}${engine ? ' (' + engine + ')' : ''}`)
+                }
             }
         } catch (e) {
-            console.warn('[updater] failed to download TTS for book', book.id, e && e.message)
-            try { if (fs.existsSync(outPath)) fs.unlinkSync(outPath) } catch (e) { }
+            console.warn('[updater] narration failed for book', book.id, e && e.message)
+            for (const p of [outPath, outPath + '.part', outPath + '.part.json', path.join(tmpRoot, metaRel), path.join(tmpRoot, timingsRel)]) {
+                try { if (fs.existsSync(p)) fs.unlinkSync(p) } catch (e2) { }
+            }
         }
 
+        // the old recording stays when nothing new was made; so do its timings
+        if (timingsValid || (!fs.existsSync(outPath) && distDir && fs.existsSync(path.join(distDir, timingsRel)))) paths.push(timingsRel)
+
         // emit progress for this book
         if (typeof emitProgress === 'function') {
             const pct = DOWNLOAD_MAX + ((i + 1) / total) * (100 - DOWNLOAD_MAX)
             emitProgress(Math.min(100, pct), `Processed TTS for book ${book.id}`)
         }
     }
-    return total
+    return paths
+}
+
+// Copy a file or directory tree, overwriting existing files
+function copyRecursive(src, dest) {
+    if (!fs.existsSync(src)) return
+    const st = fs.statSync(src)
+    if (st.isDirectory()) {
+        ensureDir(dest)
+        for (const name of fs.readdirSync(src)) copyRecursive(path.join(src, name), path.join(dest, name))
+    } else {
+        ensureDir(path.dirname(dest))
+        fs.copyFileSync(src, dest)
+    }
+}
+
+// Build the next dist tree in .dist_tmp/<site>: the installed dist with `sourceDir`
+// (the downloaded/unpacked files) laid over it, book assets that are not in
+// `keep` removed (listed in summary.removed) and the per-file state of
+// `nextFiles` written. Returns the staged directory, ready for installStagedDir().
+function stageContentTree(distDir, sourceDir, { keep, nextFiles, version, summary }) {
+    const distTmp = path.join(distDir, '..', '.dist_tmp', path.basename(distDir))
+    try { if (fs.existsSync(distTmp)) fs.rmSync(distTmp, { recursive: true, force: true }) } catch (e) { }
+    ensureDir(distTmp)
+
+    // copy original dist into distTmp (unchanged files come from here)
+    copyRecursive(distDir, distTmp)
+    // overlay the new files
+    copyRecursive(sourceDir, distTmp)
+    // a signature only belongs to the content.json it came with
+    if (fs.existsSync(path.join(sourceDir, 'content.json')) && !fs.existsSync(path.join(sourceDir, 'content.json.sig'))) {
+        try { fs.rmSync(path.join(distTmp, 'content.json.sig'), { force: true }) } catch (e) { }
+    }
+
+    // prune book assets the new manifest no longer references
+    for (const rel of listFilesRecursive(path.join(distTmp, 'books'), distTmp)) {
+        if (keep.has(rel)) continue
+        try {
+            fs.rmSync(path.join(distTmp, rel), { force: true })
+            summary.removed.push(rel)
+        } catch (e) { }
+    }
+    try {
+        const booksDir = path.join(distTmp, 'books')
+        if (fs.existsSync(booksDir)) {
+            for (const name of fs.readdirSync(booksDir)) {
+                const dir = path.join(booksDir, name)
+                if (fs.statSync(dir).isDirectory() && fs.readdirSync(dir).length === 0) fs.rmdirSync(dir)
+            }
+        }
+    } catch (e) { }
+
+    // record what is installed (mtimes are those of the staged copies)
+    for (const rel of Object.keys(nextFiles)) {
+        try {
+            const st = fs.statSync(path.join(distTmp, rel))
+            nextFiles[rel] = { ...nextFiles[rel], size: st.size, mtimeMs: st.mtimeMs }
+        } catch (e) { delete nextFiles[rel] }
+    }
+    fs.writeFileSync(path.join(distTmp, FILE_STATE_NAME), JSON.stringify({ version, files: nextFiles }, null, 2), 'utf8')
+    return distTmp
+}
+
+// Previous content versions are kept next to the dist folder in
+// .versions/<dist name>/<archivedAt ms>/ - each a complete copy of the dist
+// tree as it was installed, plus an .archived.json note.
+const DEFAULT_KEEP_VERSIONS = 3
+
+function versionsRootFor(distDir) {
+    return path.join(distDir, '..', '.versions', path.basename(distDir))
+}
+
+// Read the label of an installed or archived dist tree
+function describeDistDir(dir) {
+    let version = null
+    let updatedAt = null
+    try { version = JSON.parse(fs.readFileSync(path.join(dir, 'content.json'), 'utf8')).version || null } catch (e) { }
+    try { updatedAt = fs.readFileSync(path.join(dir, '.updated_at'), 'utf8').trim() || null } catch (e) { }
+    return { version, updatedAt }
+}
+
+// Move the current dist into the versions folder and put `stagedDir` in its
+// place, then drop archives beyond `keepVersions`. The swap is undone if the
+// staged tree can't be moved into place. A rollback keeps the reinstated
+// tree's own .updated_at marker (markUpdated: false).
+function installStagedDir(distDir, stagedDir, { keepVersions = DEFAULT_KEEP_VERSIONS, reason = 'update', markUpdated = true } = {}) {
+    const versionsRoot = versionsRootFor(distDir)
+    ensureDir(versionsRoot)
+    let id = String(Date.now())
+    while (fs.existsSync(path.join(versionsRoot, id))) id = String(Number(id) + 1)
+    const archived = path.join(versionsRoot, id)
+
+    const hadDist = fs.existsSync(distDir)
+    if (hadDist) fs.renameSync(distDir, archived)
+    try {
+        fs.renameSync(stagedDir, distDir)
+    } catch (e) {
+        // attempt rollback
+        try { if (hadDist && !fs.existsSync(distDir)) fs.renameSync(archived, distDir) } catch (e2) { }
+        throw e
+    }
+    if (hadDist) {
+        try { fs.writeFileSync(path.join(archived, '.archived.json'), JSON.stringify({ archivedAt: new Date(Number(id)).toISOString(), reason }), 'utf8') } catch (e) { }
+    }
+    // write a small marker to help debug and to indicate update time
+    if (markUpdated) {
+        try {
+            const marker = path.join(distDir, '.updated_at')
+            fs.writeFileSync(marker, new Date().toISOString(), 'utf8')
+            console.log('[updater] update completed, marker written to', marker)
+        } catch (e) { }
+    }
+    pruneVersions(distDir, keepVersions)
+    return { archivedId: hadDist ? id : null }
+}
+
+// Updates downloaded ahead of time (runUpdater with stageOnly) wait as a
+// complete dist tree in .dist_staged/<dist name>/ until applyStagedUpdate()
+// swaps them in. STAGED_NOTE_NAME inside it describes the staged release.
+const STAGED_NOTE_NAME = '.staged.json'
+
+function stagedDirFor(distDir) {
+    return path.join(distDir, '..', '.dist_staged', path.basename(distDir))
+}
+
+function discardStagedUpdate(distDir) {
+    try { fs.rmSync(stagedDirFor(distDir), { recursive: true, force: true }) } catch (e) { }
+}
+
+// Returns { localVer, remoteVer, remoteBaseUrl, stagedAt, summary } for a
+// staged update, or null when there is none
+function getStagedUpdate(options) {
+    try { return JSON.parse(fs.readFileSync(path.join(stagedDirFor(options.distDir), STAGED_NOTE_NAME), 'utf8')) } catch (e) { return null }
+}
+
+// Install a staged update. It is dropped instead when the installed content
+// changed since it was staged (manual update, rollback), as the staged tree
+// was built on top of the old one.
+async function applyStagedUpdate(options) {
+    const distDir = options.distDir
+    const stagedDir = stagedDirFor(distDir)
+    const note = getStagedUpdate({ distDir })
+    if (!note) return { updated: false, reason: 'nothing-staged' }
+    const localVer = describeDistDir(distDir).version
+    if (note.localVer !== localVer) {
+        console.log('[updater] staged update to', note.remoteVer, 'is stale (installed', localVer + '), discarding')
+        discardStagedUpdate(distDir)
+        return { updated: false, reason: 'stale', localVer, remoteVer: note.remoteVer }
+    }
+    fs.rmSync(path.join(stagedDir, STAGED_NOTE_NAME), { force: true })
+    try {
+        installStagedDir(distDir, stagedDir, { keepVersions: options.keepVersions, reason: 'update' })
+    } catch (e) {
+        discardStagedUpdate(distDir)
+        throw new Error('Failed to swap dist directories: ' + e.message)
+    }
+    console.log('[updater] applied staged update', note.localVer, '->', note.remoteVer)
+    return { updated: true, localVer: note.localVer, remoteVer: note.remoteVer, summary: note.summary }
+}
+
+function pruneVersions(distDir, keep = DEFAULT_KEEP_VERSIONS) {
+    const versions = listVersions({ distDir }).versions
+    for (const v of versions.slice(Math.max(0, keep))) {
+        try { fs.rmSync(v.dir, { recursive: true, force: true }) } catch (e) { }
+    }
+}
+
+// List archived content versions, newest first.
+// Returns { current: { version, updatedAt }, versions: [{ id, version, updatedAt, archivedAt, reason }] }
+function listVersions(options) {
+    const distDir = options.distDir
+    const versionsRoot = versionsRootFor(distDir)
+    const versions = []
+    if (fs.existsSync(versionsRoot)) {
+        for (const id of fs.readdirSync(versionsRoot)) {
+            const dir = path.join(versionsRoot, id)
+            if (!/^\d+$/.test(id) || !fs.statSync(dir).isDirectory()) continue
+            let note = {}
+            try { note = JSON.parse(fs.readFileSync(path.join(dir, '.archived.json'), 'utf8')) } catch (e) { }
+            versions.push({ id, dir, ...describeDistDir(dir), archivedAt: note.archivedAt || new Date(Number(id)).toISOString(), reason: note.reason || null })
+        }
+    }
+    versions.sort((a, b) => Number(b.id) - Number(a.id))
+    return { current: describeDistDir(distDir), versions }
+}
+
+// Reinstate an archived version (the newest one when `id` is omitted). The
+// content being replaced is archived too, so a rollback can be undone.
+async function rollback(options) {
+    const distDir = options.distDir
+    const { versions } = listVersions({ distDir })
+    const target = options.id ? versions.find(v => v.id === String(options.id)) : versions[0]
+    if (!target) throw new Error(options.id ? `Unknown content version ${options.id}` : 'No previous content version to roll back to')
+
+    // move it out of the versions folder first so pruning can't remove it
+    const staged = path.join(distDir, '..', '.dist_rollback', path.basename(distDir))
+    if (fs.existsSync(staged)) fs.rmSync(staged, { recursive: true, force: true })
+    ensureDir(path.dirname(staged))
+    fs.renameSync(target.dir, staged)
+    try { fs.rmSync(path.join(staged, '.archived.json'), { force: true }) } catch (e) { }
+    try {
+        installStagedDir(distDir, staged, { keepVersions: options.keepVersions, reason: 'rollback', markUpdated: false })
+    } catch (e) {
+        try { if (fs.existsSync(staged)) fs.renameSync(staged, target.dir) } catch (e2) { }
+        throw new Error('Failed to roll back content: ' + e.message)
+    }
+    console.log('[updater] rolled back to content version', target.version, '(archive', target.id + ')')
+    return { rolledBack: true, id: target.id, version: target.version }
 }
 
 async function runUpdater(options) {
-    // options: { distDir, remoteBaseUrl, onProgress }
+    // options: { distDir, remoteBaseUrl, onProgress, publicKey, publicKeyPath, requireSignature,
+    //            concurrency = 4, retries = 4, keepVersions = 3, stageOnly }
+    // With stageOnly the new tree is prepared but not installed; it is
+    // returned as { staged: true } and applied later with applyStagedUpdate().
     const distDir = options.distDir
-    const remoteBaseUrl = options.remoteBaseUrl || 'http://127.0.0.1:5173'
+    const remoteBaseUrl = requireRemoteBaseUrl(options)
 
     const localContentPath = path.join(distDir, 'content.json')
 
@@ -256,6 +1008,31 @@ async function runUpdater(options) {
 
     let remote
     try { remote = JSON.parse(remoteRaw) } catch (e) { throw new Error('Remote content.json parse error: ' + e.message) }
+
+    // Detached signature over content.json (content.json.sig, base64). When
+    // the app bundles a public key a valid signature is required, so deleting
+    // or blocking the .sig refuses the update like a bad signature does.
+    // `requireSignature` also refuses updates when no key is available.
+    const publicKey = loadPublicKey(options)
+    let signature = null
+    if (publicKey) {
+        try { signature = await fetchText(remoteBaseUrl + '/content.json.sig', 8000) } catch (e) { signature = null }
+        // servers with an SPA fallback answer unknown paths with index.html
+        if (signature && !/^[A-Za-z0-9+/=\s]+$/.test(signature)) signature = null
+        if (!signature) throw new Error('Remote content.json is not signed')
+        let valid = false
+        try { valid = verifyManifestSignature(remoteRaw, signature, publicKey) } catch (e) { valid = false }
+        if (!valid) throw new Error('Remote content.json signature verification failed')
+        console.log('[updater] content.json signature verified')
+    } else if (options.requireSignature) {
+        throw new Error('No public key available to verify content.json')
+    }
+
+    // refuse manifests the renderer couldn't show correctly
+    const validation = validateManifest(remote)
+    if (!validation.valid) throw new Error('Remote content.json failed validation: ' + describeErrors(validation.errors))
+    if (validation.warnings.length > 0) console.warn('[updater] content.json warnings:', describeErrors(validation.warnings))
+
     // Support both legacy `books` and new `collections` structures. Log a brief
     // diagnostic about what we found so update traces are clearer.
     try {
@@ -276,13 +1053,19 @@ async function runUpdater(options) {
         emitProgress(100, 'Content up-to-date')
         return { updated: false, reason: 'same-version', localVer, remoteVer }
     }
+    const staged = getStagedUpdate({ distDir })
+    if (options.stageOnly && staged && staged.localVer === localVer && staged.remoteVer === remoteVer && staged.remoteBaseUrl === remoteBaseUrl) {
+        emitProgress(100, 'Update already downloaded')
+        return { updated: false, staged: true, reason: 'already-staged', localVer, remoteVer, summary: staged.summary }
+    }
 
     // determine files to download
     let filesToDownload = []
     if (Array.isArray(remote.files) && remote.files.length > 0) {
         filesToDownload = remote.files.map(f => {
-            const url = f.url ? new URL(f.url, remoteBaseUrl).toString() : new URL(f.path || '', remoteBaseUrl).toString()
-            return { url, path: f.path || path.basename(url), size: f.size }
+            // relative and root-relative entries resolve below the site folder (e.g. /presentation/)
+            const url = siteUrl(f.url || f.path || '', remoteBaseUrl)
+            return { url, path: f.path || sitePathFor(url, remoteBaseUrl), size: f.size, sha256: f.sha256 }
         })
     } else {
         // infer from manifest
@@ -298,7 +1081,7 @@ async function runUpdater(options) {
             for (const cssUrl of cssFiles) {
                 try {
                     const cssText = await fetchText(cssUrl, 5000)
-                    const cssAssets = parseCssForAssets(cssText, cssUrl)
+                    const cssAssets = parseCssForAssets(cssText, cssUrl, remoteBaseUrl)
                     for (const a of cssAssets) indexAssets.push(a)
                 } catch (e) {
                     // ignore CSS fetch errors
@@ -310,52 +1093,98 @@ async function runUpdater(options) {
 
         const merged = new Set(inferred.concat(indexAssets))
         // ensure index.html itself is included
-        merged.add((new URL('/index.html', remoteBaseUrl)).toString())
-        filesToDownload = Array.from(merged).map(u => ({ url: u, path: (new URL(u)).pathname }))
+        merged.add(siteUrl('index.html', remoteBaseUrl))
+        filesToDownload = Array.from(merged).map(u => ({ url: u, path: sitePathFor(u, remoteBaseUrl) }))
     }
 
-    // Phase 2: create folders in temp area (report progress between 5-15%)
-    const tmpRoot = path.join(distDir, '..', '.update_tmp')
-    if (fs.existsSync(tmpRoot)) fs.rmSync(tmpRoot, { recursive: true, force: true })
+    // content.json is staged from the verified copy fetched above, never downloaded again
+    filesToDownload = filesToDownload.filter(f => relPathFor(f) !== 'content.json')
+
+    // Phase 2: compare with the installed files and create folders in the temp
+    // area for what has to be fetched (report progress between 5-15%)
+    // Downloads of an interrupted run for the same release are kept (complete
+    // files and .part files) so the update resumes instead of starting over.
+    // Each site has its own temp folder, so updating one leaves the other's be.
+    const tmpRoot = path.join(distDir, '..', '.update_tmp', path.basename(distDir))
+    const tmpMetaPath = path.join(tmpRoot, '.update.json')
+    let tmpMeta = null
+    try { tmpMeta = JSON.parse(fs.readFileSync(tmpMetaPath, 'utf8')) } catch (e) { tmpMeta = null }
+    if (tmpMeta && tmpMeta.remoteVer === remoteVer && tmpMeta.remoteBaseUrl === remoteBaseUrl) {
+        console.log('[updater] resuming interrupted update to', remoteVer)
+    } else if (fs.existsSync(tmpRoot)) fs.rmSync(tmpRoot, { recursive: true, force: true })
     ensureDir(tmpRoot)
+    fs.writeFileSync(tmpMetaPath, JSON.stringify({ remoteVer, remoteBaseUrl, startedAt: (tmpMeta && tmpMeta.startedAt) || new Date().toISOString() }), 'utf8')
 
-    emitStatus('Creating folders...')
-    console.log('[updater] Phase 2: creating folders')
-    // Debug: list files we plan to download
-    console.log('[updater] filesToDownload:', filesToDownload.map(f => ({ url: f.url, path: f.path, size: f.size })))
+    emitStatus('Comparing with installed content...')
+    console.log('[updater] Phase 2: comparing files and creating folders')
+    // Debug: list files the remote manifest lists
+    console.log('[updater] remote files:', filesToDownload.map(f => ({ url: f.url, path: f.path, size: f.size })))
 
-    const totalFiles = filesToDownload.length
-    for (let i = 0; i < totalFiles; i++) {
-        const f = filesToDownload[i]
-        const u = new URL(f.url)
-        const relPath = u.pathname.replace(/^\//, '')
-        const dest = path.join(tmpRoot, relPath)
-        ensureDir(path.dirname(dest))
+    const prevFiles = readFileState(distDir).files
+    const nextFiles = {}
+    const summary = { added: [], changed: [], removed: [], unchanged: 0, bytes: 0 }
+    const statuses = new Array(filesToDownload.length)
+    let compared = 0
+    await runWithConcurrency(filesToDownload, Math.max(1, options.concurrency || 4), async (f, i) => {
+        const relPath = relPathFor(f)
+        let cmp
+        try { cmp = await compareWithInstalled(distDir, relPath, f, prevFiles[relPath]) } catch (e) { cmp = { status: 'changed' } }
+        statuses[i] = cmp.status
+        if (cmp.status === 'unchanged') nextFiles[relPath] = cmp.entry
+        else ensureDir(path.dirname(path.join(tmpRoot, relPath)))
+        compared++
         // map progress across the create phase
-        const createPct = PHASE.ANALYZE_MAX + ((i + 1) / Math.max(1, totalFiles)) * (PHASE.CREATE_MAX - PHASE.ANALYZE_MAX)
-        emitProgress(Math.min(PHASE.CREATE_MAX, createPct), `Prepared folder for ${relPath}`)
-        console.log(`[updater] Prepared folder for ${relPath}`)
-        // brief pause so user can follow folder creation
-    }
+        const createPct = PHASE.ANALYZE_MAX + (compared / Math.max(1, filesToDownload.length)) * (PHASE.CREATE_MAX - PHASE.ANALYZE_MAX)
+        emitProgress(Math.min(PHASE.CREATE_MAX, createPct), `Checked ${relPath}`)
+    })
+    const pending = filesToDownload.filter((f, i) => statuses[i] !== 'unchanged')
+    summary.unchanged = filesToDownload.length - pending.length
+    console.log(`[updater] ${pending.length} of ${filesToDownload.length} files need downloading`)
 
-    // Phase 3: download each file individually (report progress 15-100%)
+    // Phase 3: download changed/added files, a few at a time (report progress 15-90%)
     emitStatus('Downloading files...')
     console.log('[updater] Phase 3: downloading files')
-    let downloaded = 0
-    for (let idx = 0; idx < totalFiles; idx++) {
-        const f = filesToDownload[idx]
-        const u = new URL(f.url)
-        const relPath = u.pathname.replace(/^\//, '')
+    const totalFiles = pending.length
+    const concurrency = Math.max(1, options.concurrency || 4)
+    const retries = typeof options.retries === 'number' ? options.retries : 4
+    // per-file completion (0..1), averaged into the CREATE_MAX..DOWNLOAD_MAX range
+    const fractions = new Array(totalFiles).fill(0)
+    const emitDownloadProgress = (message) => {
+        const fileFraction = totalFiles > 0 ? fractions.reduce((a, b) => a + b, 0) / totalFiles : 1
+        const overall = PHASE.CREATE_MAX + fileFraction * (PHASE.DOWNLOAD_MAX - PHASE.CREATE_MAX)
+        emitProgress(Math.min(PHASE.DOWNLOAD_MAX, overall), message)
+    }
+    const failures = []
+    await runWithConcurrency(pending, concurrency, async (f, idx) => {
+        const relPath = relPathFor(f)
         const dest = path.join(tmpRoot, relPath)
+        const expected = { sha256: f.sha256, size: typeof f.size === 'number' ? f.size : undefined }
         try {
-            // increase per-file timeout for potentially large video files (120s)
-            await downloadToFile(f.url, dest, 120000, (progress) => {
-                // progress: compute overall percent mapping (map downloads into CREATE_MAX..DOWNLOAD_MAX)
-                const fileFraction = totalFiles > 0 ? (idx + (progress.total ? (progress.received / progress.total) : 0)) / totalFiles : 0
-                const overall = PHASE.CREATE_MAX + fileFraction * (PHASE.DOWNLOAD_MAX - PHASE.CREATE_MAX)
-                emitProgress(Math.min(PHASE.DOWNLOAD_MAX, overall), `Downloading ${relPath}`)
-            })
-            downloaded++
+            // already fetched by an earlier, interrupted run?
+            let result = null
+            if (fs.existsSync(dest)) {
+                const st = fs.statSync(dest)
+                let done
+                if (expected.sha256) done = (await sha256File(dest)) === String(expected.sha256).toLowerCase()
+                else done = st.size > 0 && (typeof expected.size !== 'number' || st.size === expected.size)
+                if (done) result = { size: st.size, bytes: 0, etag: null }
+                else fs.rmSync(dest, { force: true })
+            }
+            if (!result) {
+                result = await withRetries(() => downloadToFile(f.url, dest, {
+                    expected,
+                    onProgress: (progress) => {
+                        fractions[idx] = progress.total ? Math.min(1, progress.received / progress.total) : 0
+                        emitDownloadProgress(`Downloading ${relPath}`)
+                    }
+                }), {
+                    retries,
+                    onRetry: (err, attempt, delay) => {
+                        console.warn(`[updater] retrying ${relPath} (attempt ${attempt + 1}) in ${delay}ms:`, err && err.message)
+                        emitDownloadProgress(`Retrying ${relPath}...`)
+                    }
+                })
+            }
             // Verify file size is non-zero
             try {
                 const st = fs.statSync(dest)
@@ -364,81 +1193,117 @@ async function runUpdater(options) {
                 try { fs.rmSync(dest, { force: true }) } catch (e) { }
                 throw new Error(`Downloaded file invalid for ${f.url}: ${statErr && statErr.message}`)
             }
-            const overallAfter = PHASE.CREATE_MAX + (downloaded / totalFiles) * (PHASE.DOWNLOAD_MAX - PHASE.CREATE_MAX)
-            emitProgress(Math.min(PHASE.DOWNLOAD_MAX, overallAfter), `Downloaded ${relPath}`)
+            nextFiles[relPath] = { size: result.size, sha256: f.sha256 ? String(f.sha256).toLowerCase() : null, etag: result.etag }
+            summary.bytes += result.bytes
+            fractions[idx] = 1
+            emitDownloadProgress(`Downloaded ${relPath}`)
             console.log(`[updater] Downloaded ${relPath}`)
-            // brief pause so you can follow progress
         } catch (e) {
-            try { fs.rmSync(tmpRoot, { recursive: true, force: true }) } catch (e) { }
-            throw new Error('Failed to download ' + f.url + ': ' + e.message)
+            fractions[idx] = 0
+            failures.push({ url: f.url, error: e && e.message })
         }
+    })
+    if (failures.length > 0) {
+        // keep tmpRoot: the next run resumes from what was fetched so far
+        const more = failures.length > 1 ? ` (and ${failures.length - 1} more)` : ''
+        throw new Error('Failed to download ' + failures[0].url + ': ' + failures[0].error + more)
+    }
+    try { fs.rmSync(tmpMetaPath, { force: true }) } catch (e) { }
+    filesToDownload.forEach((f, i) => {
+        if (statuses[i] === 'added') summary.added.push(relPathFor(f))
+        else if (statuses[i] === 'changed') summary.changed.push(relPathFor(f))
+    })
+
+    // The staged content.json must be exactly the manifest that was parsed
+    // (and signature-checked) above, not a second fetch of it.
+    // A verified signature is installed with it, so content packs exported
+    // from this unit can be checked again on import.
+    try {
+        fs.writeFileSync(path.join(tmpRoot, 'content.json'), remoteRaw, 'utf8')
+        if (signature) fs.writeFileSync(path.join(tmpRoot, 'content.json.sig'), signature.trim() + '\n', 'utf8')
+    } catch (e) {
+        try { fs.rmSync(tmpRoot, { recursive: true, force: true }) } catch (e2) { }
+        throw new Error('Failed to stage content.json: ' + e.message)
     }
 
     // Phase 4: generate TTS audio for books that have paragraphs
     emitStatus('Generating TTS audio files...')
     console.log('[updater] Phase 4: generating tts files')
+    let ttsPaths = []
     try {
         // best-effort: generate WAV files under tmpRoot/books/{id}/tts.wav
-        await generateTtsFiles(remote, tmpRoot, options, emitProgress, remoteBaseUrl)
+        ttsPaths = await generateTtsFiles(remote, tmpRoot, options, emitProgress, remoteBaseUrl, { distDir, prevFiles, nextFiles, summary })
     } catch (e) {
         console.warn('[updater] TTS generation failed:', e && e.message)
         // don't abort update; TTS is optional
     }
 
-    // move tmp files into place: replace distDir/books and distDir/content.json
-    // we will move files into a new dist_tmp and rename
-    const distTmp = path.join(distDir, '..', '.dist_tmp')
-    try { if (fs.existsSync(distTmp)) fs.rmSync(distTmp, { recursive: true, force: true }) } catch (e) { }
-    ensureDir(distTmp)
+    // move tmp files into place: build the new tree in .dist_tmp/<site> and swap it in
+    // (never prune a file the manifest itself still references, even if `files` omits it)
+    const keep = new Set(filesToDownload.map(f => relPathFor(f)).concat(ttsPaths))
+    for (const u of inferFilesFromManifest(remote, remoteBaseUrl)) keep.add(relPathFor({ url: u }, remoteBaseUrl))
+    const distTmp = stageContentTree(distDir, tmpRoot, { keep, nextFiles, version: remoteVer, summary })
 
-    // copy existing dist contents into distTmp, then overwrite with tmpRoot contents
-    function copyRecursive(src, dest) {
-        if (!fs.existsSync(src)) return
-        const st = fs.statSync(src)
-        if (st.isDirectory()) {
-            ensureDir(dest)
-            for (const name of fs.readdirSync(src)) copyRecursive(path.join(src, name), path.join(dest, name))
-        } else {
-            ensureDir(path.dirname(dest))
-            fs.copyFileSync(src, dest)
+    // an older staged release is superseded either way
+    discardStagedUpdate(distDir)
+    if (options.stageOnly) {
+        const stagedDir = stagedDirFor(distDir)
+        try {
+            ensureDir(path.dirname(stagedDir))
+            fs.writeFileSync(path.join(distTmp, STAGED_NOTE_NAME), JSON.stringify({ localVer, remoteVer, remoteBaseUrl, stagedAt: new Date().toISOString(), summary }, null, 2), 'utf8')
+            fs.renameSync(distTmp, stagedDir)
+            fs.rmSync(tmpRoot, { recursive: true, force: true })
+        } catch (e) {
+            throw new Error('Failed to stage update: ' + e.message)
         }
+        console.log('[updater] staged update', localVer, '->', remoteVer)
+        return { updated: false, staged: true, localVer, remoteVer, summary }
     }
 
-    // copy original dist into distTmp
-    copyRecursive(distDir, distTmp)
-    // overlay downloaded files from tmpRoot into distTmp
-    copyRecursive(tmpRoot, distTmp)
-
-    // swap: rename dist to dist.bak, distTmp to dist
-    const distBak = distDir + '.bak'
+    // swap the staged tree in; the previous content is kept for rollback
     try {
-        if (fs.existsSync(distBak)) fs.rmSync(distBak, { recursive: true, force: true })
-        fs.renameSync(distDir, distBak)
-        fs.renameSync(distTmp, distDir)
-        // remove bak
-        fs.rmSync(distBak, { recursive: true, force: true })
+        installStagedDir(distDir, distTmp, { keepVersions: options.keepVersions, reason: 'update' })
         // cleanup tmpRoot
         fs.rmSync(tmpRoot, { recursive: true, force: true })
-        // write a small marker to help debug and to indicate update time
-        try {
-            const marker = path.join(distDir, '.updated_at')
-            fs.writeFileSync(marker, new Date().toISOString(), 'utf8')
-            console.log('[updater] update completed, marker written to', marker)
-        } catch (e) { }
     } catch (e) {
-        // attempt rollback
-        try { if (fs.existsSync(distBak) && !fs.existsSync(distDir)) fs.renameSync(distBak, distDir) } catch (e2) { }
         throw new Error('Failed to swap dist directories: ' + e.message)
     }
 
-    return { updated: true, localVer, remoteVer }
+    console.log(`[updater] summary: ${summary.added.length} added, ${summary.changed.length} changed, ${summary.removed.length} removed, ${summary.unchanged} unchanged, ${summary.bytes} bytes downloaded`)
+    return { updated: true, localVer, remoteVer, summary }
+}
+
+// Report on the content installed in `distDir`: schema problems in its
+// content.json, referenced assets that aren't there (e.g. a typo in a src)
+// and files in books/ nothing references. Generated narration (tts.wav,
+// tts.json) is counted as referenced.
+// Returns { version, valid, errors, warnings, missing: [relPath], unreferenced: [relPath] }
+function contentReferenceReport(options) {
+    const distDir = options.distDir
+    let manifest = options.manifest
+    if (!manifest) {
+        try { manifest = JSON.parse(fs.readFileSync(path.join(distDir, 'content.json'), 'utf8')) } catch (e) {
+            return { version: null, valid: false, errors: [{ path: '', message: 'content.json unreadable: ' + e.message }], warnings: [], missing: [], unreferenced: [] }
+        }
+    }
+    const { valid, errors, warnings } = validateManifest(manifest)
+    const base = 'http://content.invalid/'
+    const referenced = new Set()
+    for (const u of inferFilesFromManifest(manifest, base)) {
+        if (u.startsWith(base)) referenced.add(relPathFor({ url: u }, base))
+    }
+    const missing = Array.from(referenced).filter(rel => !fs.existsSync(path.join(distDir, rel))).sort()
+    const unreferenced = listFilesRecursive(path.join(distDir, 'books'), distDir)
+        .filter(rel => !referenced.has(rel) && !isNarrationFile(rel))
+        .sort()
+    return { version: (manifest && manifest.version) || null, valid, errors, warnings, missing, unreferenced }
 }
 
 // Check-only function: fetch remote content.json and compare versions with local.
 // Returns { available: boolean, localVer, remoteVer }
 async function checkForUpdate(options) {
     const distDir = options.distDir
-    const remoteBaseUrl = options.remoteBaseUrl || 'http://127.0.0.1:5173'
+    const remoteBaseUrl = requireRemoteBaseUrl(options)
     const localContentPath = path.join(distDir, 'content.json')
 
     let local = null
@@ -459,4 +1324,9 @@ async function checkForUpdate(options) {
     return { available, localVer, remoteVer }
 }
 
-module.exports = { runUpdater, checkForUpdate }
+module.exports = {
+    runUpdater, checkForUpdate, verifyManifestSignature, listVersions, rollback, getStagedUpdate, applyStagedUpdate, contentReferenceReport, UPDATE_CHANNELS, resolveRemoteBaseUrl,
+    // shared with content-pack.js, which installs through the same staging path,
+    // and diagnostics.js, which fetches content.json the way an update does
+    stageContentTree, installStagedDir, inferFilesFromManifest, compareWithInstalled, readFileState, relPathFor, siteUrl, sitePathFor, sha256File, loadPublicKey, ensureDir, listFilesRecursive, isNarrationFile, fetchText
+}